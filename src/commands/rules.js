@@ -1,12 +1,28 @@
 const RuleEngine = require('../services/ruleEngine');
+const RuleDsl = require('../services/ruleDsl');
+const RuleShare = require('../services/ruleShare');
+const RuleSchedule = require('../services/ruleSchedule');
+const FileExportService = require('../services/fileExportService');
 
 class RulesCommand {
     constructor(bot, db, config) {
         this.bot = bot;
         this.db = db;
+        this.config = config;
         this.ruleEngine = new RuleEngine(db, config);
+        this.ruleDsl = new RuleDsl();
+        this.ruleShare = new RuleShare();
+        this.ruleSchedule = new RuleSchedule();
+        this.fileExportService = new FileExportService(config, db);
         this.userStates = new Map();
         this.lastMessageIds = new Map();
+        // Take profit ladders offered in the manual management wizard, as { percentage (gain), sellPercent }
+        this.takeProfitLadderPresets = [
+            [{ percentage: 50, sellPercent: 25 }, { percentage: 100, sellPercent: 25 }],
+            [{ percentage: 100, sellPercent: 50 }, { percentage: 300, sellPercent: 50 }],
+            [{ percentage: 25, sellPercent: 25 }, { percentage: 50, sellPercent: 25 }, { percentage: 100, sellPercent: 25 }, { percentage: 200, sellPercent: 25 }]
+        ];
+        this.maxLadderRungs = 10;
     }
 
     async sendMessage(chatId, message, options = {}) {
@@ -55,6 +71,10 @@ class RulesCommand {
                     { text: '📊 Rule Stats', callback_data: 'rules_stats' },
                     { text: '⚙️ Settings', callback_data: 'rules_settings' }
                 ],
+                [
+                    { text: '📚 Templates', callback_data: 'rules_templates' },
+                    { text: '📥 Import Rule', callback_data: 'rules_import' }
+                ],
                 [
                     { text: '◀️ Back to Main Menu', callback_data: 'main_menu' }
                 ]
@@ -127,6 +147,28 @@ class RulesCommand {
                 await this.showRuleStats(ctx);
                 return;
             }
+            if (action === 'rules_import') {
+                await this.startRuleImport(ctx);
+                return;
+            }
+            if (action === 'rules_import_cancel') {
+                this.userStates.delete(userId);
+                await this.handleRulesCommand(ctx);
+                return;
+            }
+            // Strategy templates: rules_tpl_<id> previews one, rules_tplapply_<id> creates a rule from it
+            if (action === 'rules_templates') {
+                await this.showStrategyTemplates(ctx);
+                return;
+            }
+            if (action.startsWith('rules_tplapply_')) {
+                await this.applyStrategyTemplate(ctx, action.replace('rules_tplapply_', ''));
+                return;
+            }
+            if (action.startsWith('rules_tpl_')) {
+                await this.showStrategyTemplate(ctx, action.replace('rules_tpl_', ''));
+                return;
+            }
             if (action === 'rules_settings') {
                 await this.showRuleSettings(ctx);
                 return;
@@ -235,6 +277,18 @@ class RulesCommand {
                 await this.showStopLossRuleOptions(ctx);
                 return;
             }
+            if (action === 'tp_ladder_select') {
+                await this.showTakeProfitLadderOptions(ctx);
+                return;
+            }
+            if (action === 'break_even_select') {
+                await this.showBreakEvenOptions(ctx);
+                return;
+            }
+            if (action === 'max_hold_select') {
+                await this.showMaxHoldOptions(ctx);
+                return;
+            }
 
             // Handle timeframe selection FIRST (more specific patterns)
             if (action.startsWith('timeframe_') || action.startsWith('volume_timeframe_') || action.startsWith('price_timeframe_') || action.startsWith('volume_change_timeframe_')) {
@@ -339,6 +393,31 @@ class RulesCommand {
                 return;
             }
 
+            if (action.startsWith('tp_ladder_')) {
+                await this.handleTakeProfitLadderSelection(ctx, action);
+                return;
+            }
+
+            if (action.startsWith('break_even_')) {
+                await this.handleBreakEvenSelection(ctx, action);
+                return;
+            }
+
+            if (action.startsWith('max_hold_')) {
+                await this.handleMaxHoldSelection(ctx, action);
+                return;
+            }
+
+            // Rule sharing: rule_share_<ruleId> shows the code, rule_sharefile_<ruleId> sends the JSON file
+            if (action.startsWith('rule_sharefile_')) {
+                await this.handleRuleShareFile(ctx, action.replace('rule_sharefile_', ''));
+                return;
+            }
+            if (action.startsWith('rule_share_')) {
+                await this.handleRuleShare(ctx, action.replace('rule_share_', ''));
+                return;
+            }
+
             // Handle rule selection and management
             if (action.startsWith('rule_')) {
                 if (action.includes('_toggle_')) {
@@ -904,8 +983,11 @@ Select buy amount:`;
                 momentum: null,
                 volatility: null,
                 takeProfit: null,
+                takeProfitLadder: null,
                 trailingStop: null,
-                stopLoss: null
+                stopLoss: null,
+                breakEven: null,
+                maxHold: null
             }
         });
 
@@ -981,8 +1063,11 @@ Set general management rules for manual trades
                     volumeChange: null,
                     // Management rules
                     takeProfit: null,
+                    takeProfitLadder: null,
                     trailingStop: null,
-                    stopLoss: null
+                    stopLoss: null,
+                    breakEven: null,
+                    maxHold: null
                 }
             };
             this.userStates.set(userId, userState);
@@ -1372,7 +1457,8 @@ Select the timeframe for volume change:`;
         }
         
         if (data.volumeSpike) {
-            selections += `- Volume Spike: ${data.volumeSpike.threshold}% increase in ${data.volumeSpike.timeWindow}h\n`;
+            const spikeWindow = /^\d+$/.test(String(data.volumeSpike.timeWindow)) ? `${data.volumeSpike.timeWindow}h` : data.volumeSpike.timeWindow;
+            selections += `- Volume Spike: ${data.volumeSpike.threshold}% increase in ${spikeWindow}\n`;
             hasStrategies = true;
         }
         
@@ -1407,6 +1493,11 @@ Select the timeframe for volume change:`;
             hasStrategies = true;
         }
         
+        if (data.takeProfitLadder) {
+            selections += `- Take Profit Ladder: ${this.formatTakeProfitLadder(data.takeProfitLadder.rungs)}\n`;
+            hasStrategies = true;
+        }
+
         if (data.trailingStop) {
             selections += `- Trailing Stop: ${data.trailingStop.percentage}%\n`;
             hasStrategies = true;
@@ -1417,6 +1508,16 @@ Select the timeframe for volume change:`;
             hasStrategies = true;
         }
 
+        if (data.breakEven) {
+            selections += `- Break-Even Stop: ${this.formatBreakEven(data.breakEven)}\n`;
+            hasStrategies = true;
+        }
+
+        if (data.maxHold) {
+            selections += `- Max Hold: ${this.formatMaxHold(data.maxHold)}\n`;
+            hasStrategies = true;
+        }
+
         // Buy amount configuration
         if (data.buyAmount) {
             selections += `- Buy Amount: ${data.buyAmount.value}${data.buyAmount.unit}\n`;
@@ -1513,7 +1614,7 @@ ${selections}
         }
     }
 
-    async createRule(userId, ruleData) {
+    async createRule(userId, ruleData, { active = true } = {}) {
         try {
             // Validate and sanitize rule data
             const validation = this.validateRuleConfig(ruleData);
@@ -1535,7 +1636,8 @@ ${selections}
             const ruleResult = await this.db.createRule(userId, {
                 name: sanitizedData.name,
                 type: ruleType,
-                description: this.generateRuleDescription(sanitizedData)
+                description: this.generateRuleDescription(sanitizedData),
+                isActive: active
             });
 
             // Create default settings for the rule with proper SQLite types
@@ -1558,6 +1660,9 @@ ${selections}
                 await this.createLegacyRuleConditions(ruleResult.lastInsertRowid, sanitizedData);
             }
 
+            // First entry of the rule's version history
+            await this.db.createRuleVersion(ruleResult.lastInsertRowid, 'Created');
+
             return ruleResult.lastInsertRowid;
         } catch (error) {
             console.error('Error creating rule:', error);
@@ -1640,6 +1745,16 @@ ${selections}
         if (ruleData.trailingStop) {
             await this.db.createRuleCondition(ruleId, 'manual_trailing_stop', JSON.stringify(ruleData.trailingStop));
         }
+        if (ruleData.takeProfitLadder) {
+            await this.db.createRuleCondition(ruleId, 'manual_take_profit_ladder', JSON.stringify(ruleData.takeProfitLadder));
+        }
+        // Position exits shared with autonomous management use the management_ types
+        if (ruleData.breakEven) {
+            await this.db.createRuleCondition(ruleId, 'management_break_even', JSON.stringify(ruleData.breakEven));
+        }
+        if (ruleData.maxHold) {
+            await this.db.createRuleCondition(ruleId, 'management_max_hold', JSON.stringify(ruleData.maxHold));
+        }
     }
 
     async createLegacyRuleConditions(ruleId, ruleData) {
@@ -2075,6 +2190,76 @@ ${stats.recentActivity.length > 0 ? stats.recentActivity.join('\n') : 'No recent
                         await this.showUnifiedRuleOptions(ctx);
                         return;
 
+                    case 'rule_import': {
+                        this.userStates.delete(userId);
+                        const document = ctx.message.document;
+                        const input = document ? await this.downloadRuleDocument(chatId, document) : text;
+                        if (input !== null) {
+                            await this.importRule(ctx, input);
+                        }
+                        return;
+                    }
+
+                    case 'custom_tp_ladder': {
+                        const ladder = this.parseTakeProfitLadder(text);
+                        if (ladder.error) {
+                            await this.sendMessage(chatId, `❌ ${ladder.error}`);
+                            return;
+                        }
+
+                        userState.data.takeProfitLadder = {
+                            rungs: ladder.rungs,
+                            enabled: true
+                        };
+                        userState.waitingFor = null; // Clear waiting state
+                        userState.step = null; // Clear step
+
+                        await this.sendMessage(chatId, `✅ Take profit ladder set: ${this.formatTakeProfitLadder(ladder.rungs)}`);
+                        await this.showUnifiedRuleOptions(ctx);
+                        return;
+                    }
+
+                    case 'custom_break_even': {
+                        const breakEvenPercentage = parseFloat(text);
+                        if (isNaN(breakEvenPercentage) || breakEvenPercentage <= 0 || breakEvenPercentage > 1000) {
+                            await this.sendMessage(chatId, '❌ Please enter a valid gain percentage between 1 and 1000.');
+                            return;
+                        }
+
+                        userState.data.breakEven = {
+                            percentage: breakEvenPercentage,
+                            afterTakeProfit: false,
+                            enabled: true
+                        };
+                        userState.waitingFor = null; // Clear waiting state
+                        userState.step = null; // Clear step
+
+                        await this.sendMessage(chatId, `✅ Break-even stop set after +${breakEvenPercentage}%`);
+                        await this.showUnifiedRuleOptions(ctx);
+                        return;
+                    }
+
+                    case 'custom_max_hold': {
+                        const maxHoldHours = parseFloat(text);
+                        if (isNaN(maxHoldHours) || maxHoldHours <= 0 || maxHoldHours > 720) {
+                            await this.sendMessage(chatId, '❌ Please enter a valid number of hours between 1 and 720.');
+                            return;
+                        }
+
+                        userState.data.maxHold = {
+                            hours: maxHoldHours,
+                            action: userState.maxHoldAction || 'sell',
+                            enabled: true
+                        };
+                        userState.waitingFor = null; // Clear waiting state
+                        userState.step = null; // Clear step
+                        delete userState.maxHoldAction;
+
+                        await this.sendMessage(chatId, `✅ Max holding time set: ${this.formatMaxHold(userState.data.maxHold)}`);
+                        await this.showUnifiedRuleOptions(ctx);
+                        return;
+                    }
+
                     case 'custom_trailing_stop':
                         const trailingStopPercentage = parseFloat(text);
                         if (isNaN(trailingStopPercentage) || trailingStopPercentage <= 0 || trailingStopPercentage > 50) {
@@ -3291,20 +3476,43 @@ Select the threshold percentage for alerts:
             // Create rule in database with the correct user ID
             const ruleId = await this.createRule(user.id, userState.data);
 
-            // Generate success message based on trading mode
-            let message = '';
-            let ruleTypeDisplay = '';
+            await this.showRuleCreated(chatId, userState.data);
+
+            // Clear user state
+            this.userStates.delete(telegramId);
+        } catch (error) {
+            console.error('Error creating rule:', error);
             
-            if (userState.data.tradingMode === 'autonomous') {
-                ruleTypeDisplay = '🤖 Autonomous Strategy';
-                message = `
+            // Check if it's a validation error
+            let errorMessage = 'Sorry, there was an error creating your rule. Please try again.';
+            if (error.message && error.message.includes('Rule validation failed:')) {
+                errorMessage = `❌ *Rule Validation Failed*\n\n${error.message.replace('Rule validation failed: ', '')}\n\nPlease fix these issues and try again.`;
+            }
+            
+            await this.sendMessage(chatId, errorMessage, {
+                parse_mode: 'Markdown'
+            });
+        }
+    }
+
+    /**
+     * Confirm a newly created rule with its selections and follow-up buttons
+     */
+    async showRuleCreated(chatId, data) {
+        // Generate success message based on trading mode
+        let message = '';
+        let ruleTypeDisplay = '';
+        
+        if (data.tradingMode === 'autonomous') {
+            ruleTypeDisplay = '🤖 Autonomous Strategy';
+            message = `
 *✅ Autonomous Strategy Created Successfully!*
 
 *Strategy Details:*
-*Name:* ${userState.data.name}
+*Name:* ${data.name}
 *Type:* ${ruleTypeDisplay}
 
-${this.getCurrentSelections(userState.data)}
+${this.getCurrentSelections(data)}
 
 Your autonomous strategy is now active! It will:
 - 🟦 **Discover tokens** based on your criteria
@@ -3315,16 +3523,16 @@ Your autonomous strategy is now active! It will:
 - Monitor strategy performance in Rule Stats
 - Adjust settings as needed
 - Create additional strategies for diversification`;
-            } else if (userState.data.tradingMode === 'manual') {
-                ruleTypeDisplay = '✋ Manual Trading Rules';
-                message = `
+        } else if (data.tradingMode === 'manual') {
+            ruleTypeDisplay = '✋ Manual Trading Rules';
+            message = `
 *✅ Manual Trading Rules Created Successfully!*
 
 *Management Rules:*
-*Name:* ${userState.data.name}
+*Name:* ${data.name}
 *Type:* ${ruleTypeDisplay}
 
-${this.getCurrentSelections(userState.data)}
+${this.getCurrentSelections(data)}
 
 Your universal manual trading rules are now active! They will:
 - 🟩 **Apply to ALL manual trades** automatically
@@ -3336,17 +3544,17 @@ Your universal manual trading rules are now active! They will:
 - Start manual trading with automatic rule management
 - Monitor rule performance in Rule Stats
 - Adjust settings as your strategy evolves`;
-            } else {
-                // Legacy rule type
-                ruleTypeDisplay = '🔧 Trading Rule';
-                message = `
+        } else {
+            // Legacy rule type
+            ruleTypeDisplay = '🔧 Trading Rule';
+            message = `
 *✅ Rule Created Successfully!*
 
 *Rule Details:*
-*Name:* ${userState.data.name}
+*Name:* ${data.name}
 *Type:* ${ruleTypeDisplay}
 
-${this.getCurrentSelections(userState.data)}
+${this.getCurrentSelections(data)}
 
 The rule is now active and will monitor tokens based on your criteria.
 
@@ -3354,17 +3562,167 @@ The rule is now active and will monitor tokens based on your criteria.
 - Monitor rule performance in Rule Stats
 - Adjust settings in Rule Settings
 - Create more rules for different strategies`;
+        }
+
+        const keyboard = {
+            inline_keyboard: [
+                [
+                    { text: '📊 View Stats', callback_data: 'rules_stats' },
+                    { text: '📋 All Rules', callback_data: 'rules_list' }
+                ],
+                [
+                    { text: '➕ Create Another', callback_data: 'rules_create' },
+                    { text: '⚙️ Settings', callback_data: 'rules_settings' }
+                ]
+            ]
+        };
+
+        await this.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+
+    /**
+     * /rule add "<name>" <terms...>: create a rule from one message using the
+     * rule DSL (see services/ruleDsl.js). The rule goes through the same
+     * validation and condition storage as the wizard.
+     * /rule import <code>: import a shared rule (see importRule).
+     */
+    async handleRuleTextCommand(ctx, text) {
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+
+        const match = (text || '').match(/^\/rule(?:@\w+)?(?:\s+(\S+))?/i);
+        const subcommand = match && match[1] ? match[1].toLowerCase() : null;
+        if (subcommand === 'import') {
+            const code = text.slice(match[0].length).trim();
+            if (code) {
+                await this.importRule(ctx, code);
+            } else {
+                await this.startRuleImport(ctx);
+            }
+            return;
+        }
+        if (subcommand !== 'add') {
+            await this.showRuleDslHelp(chatId);
+            return;
+        }
+
+        const definition = text.slice(match[0].length).trim();
+        if (!definition) {
+            await this.showRuleDslHelp(chatId);
+            return;
+        }
+
+        const parsed = this.ruleDsl.parse(definition);
+        if (parsed.error) {
+            await this.showRuleDslErrors(chatId, definition, [parsed.error]);
+            return;
+        }
+
+        const validation = this.validateRuleConfig(parsed.ruleData);
+        if (!validation.isValid) {
+            const errors = validation.errors.map(error => this.ruleDsl.locateError(error, parsed, definition));
+            await this.showRuleDslErrors(chatId, definition, errors);
+            return;
+        }
+
+        try {
+            let user = await this.db.getUserByTelegramId(telegramId);
+            if (!user) {
+                await this.db.createUser(telegramId);
+                user = await this.db.getUserByTelegramId(telegramId);
+            }
+
+            await this.createRule(user.id, parsed.ruleData);
+            await this.showRuleCreated(chatId, parsed.ruleData);
+        } catch (error) {
+            console.error('Error creating rule from text:', error);
+            await this.sendMessage(chatId, 'Sorry, there was an error creating your rule. Please try again.');
+        }
+    }
+
+    async showRuleDslErrors(chatId, definition, errors, title = 'Could not create the rule') {
+        // Backticks would end the code block early
+        const shown = definition.replace(/`/g, "'");
+        let message = `*❌ ${title}*\n`;
+        for (const error of errors) {
+            message += `\n${error.message.replace(/[_*`[]/g, '\\$&')}\n\`\`\`\n${this.ruleDsl.formatPointer(shown, error)}\n\`\`\`\n`;
+        }
+        message += '\nSend /rule for the syntax.';
+
+        await this.sendMessage(chatId, message, {
+            parse_mode: 'Markdown'
+        });
+    }
+
+    async showRuleDslHelp(chatId) {
+        const message = `
+*⌨️ Create a Rule in One Message*
+
+\`/rule add "Low cap momentum" mcap<2M liq>50k vol1h>+200% buy 0.2 tp 100% sl 25%\`
+
+*Filters:*
+- \`mcap\`, \`liq\`, \`vol\`, \`price\` with \`<2M\`, \`>50k\` or \`=100k-2M\`
+- \`cat defi\` - token category
+
+*Buy Signals:*
+- \`vol1h>+200%\`, \`price4h<-30%\` - change over 1h, 4h, 12h, 24h, 7d
+- \`spike1h>300%\` - volume spike
+
+*Trading:*
+- \`buy 0.2\` - buy amount in SOL
+- \`tp 100%\`, \`sl 25%\`, \`ts 10%\` - take profit, stop loss, trailing stop
+
+Filters or a buy amount make an autonomous strategy, which needs both \`tp\` and \`sl\`. Exit rules alone make manual trading rules.
+
+*Sharing:*
+- \`/rule import RULE1.…\` - import a rule shared with 📤 Share`;
+
+        await this.sendMessage(chatId, message, {
+            parse_mode: 'Markdown'
+        });
+    }
+
+    /**
+     * Show a rule's share code (see services/ruleShare.js)
+     */
+    async handleRuleShare(ctx, ruleId) {
+        const chatId = ctx.chat.id;
+
+        try {
+            const rule = await this.db.getRuleById(ruleId);
+            if (!rule) {
+                await this.sendMessage(chatId, 'Rule not found. Please try again.');
+                return;
+            }
+
+            const { payload, dropped } = await this.buildRuleSharePayload(rule);
+            const code = this.ruleShare.encode(payload);
+
+            let message = `
+*📤 Share Rule: ${rule.name.replace(/[_*`[]/g, '\\$&')}*
+
+Send this code to a teammate. They can import it with 📥 Import Rule in the Rules menu or with /rule import followed by the code.
+
+`;
+            // Codes of very large rules would not fit in one message
+            message += code.length <= 3500
+                ? `\`${code}\``
+                : 'This rule is too large for a share code, please share the JSON file instead.';
+            message += '\n\n_Wallet addresses and trader lists are never included. Imported rules start inactive._';
+            if (dropped > 0) {
+                message += `\n\n⚠️ ${dropped} copy trade condition${dropped !== 1 ? 's' : ''} following your own wallet ${dropped !== 1 ? 'were' : 'was'} left out.`;
             }
 
             const keyboard = {
                 inline_keyboard: [
                     [
-                        { text: '📊 View Stats', callback_data: 'rules_stats' },
-                        { text: '📋 All Rules', callback_data: 'rules_list' }
+                        { text: '📄 JSON File', callback_data: `rule_sharefile_${ruleId}` }
                     ],
                     [
-                        { text: '➕ Create Another', callback_data: 'rules_create' },
-                        { text: '⚙️ Settings', callback_data: 'rules_settings' }
+                        { text: '◀️ Back to Rule', callback_data: `rule_${ruleId}` }
                     ]
                 ]
             };
@@ -3373,60 +3731,485 @@ The rule is now active and will monitor tokens based on your criteria.
                 parse_mode: 'Markdown',
                 reply_markup: keyboard
             });
-
-            // Clear user state
-            this.userStates.delete(telegramId);
         } catch (error) {
-            console.error('Error creating rule:', error);
-            
-            // Check if it's a validation error
-            let errorMessage = 'Sorry, there was an error creating your rule. Please try again.';
-            if (error.message && error.message.includes('Rule validation failed:')) {
-                errorMessage = `❌ *Rule Validation Failed*\n\n${error.message.replace('Rule validation failed: ', '')}\n\nPlease fix these issues and try again.`;
+            console.error('Error sharing rule:', error);
+            await this.sendMessage(chatId, 'Sorry, there was an error creating the share code. Please try again.');
+        }
+    }
+
+    /**
+     * Send a rule's share payload as a JSON file
+     */
+    async handleRuleShareFile(ctx, ruleId) {
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+
+        try {
+            const rule = await this.db.getRuleById(ruleId);
+            const user = await this.db.getUserByTelegramId(telegramId);
+            if (!rule || !user) {
+                await this.sendMessage(chatId, 'Rule not found. Please try again.');
+                return;
             }
-            
-            await this.sendMessage(chatId, errorMessage, {
-                parse_mode: 'Markdown'
+
+            const { payload } = await this.buildRuleSharePayload(rule);
+            const exportResult = await this.fileExportService.exportRuleToJSON(user, rule, payload);
+            await this.bot.sendDocument(chatId, exportResult.filePath, {
+                caption: `📤 ${rule.name}: send this file to 📥 Import Rule to add the rule (inactive) to your rules`
             });
+        } catch (error) {
+            console.error('Error exporting rule file:', error);
+            await this.sendMessage(chatId, 'Sorry, there was an error generating the rule file. Please try again.');
         }
     }
 
-    async handleRuleSelection(ctx, ruleId) {
+    async buildRuleSharePayload(rule) {
+        const conditions = await this.db.getRuleConditions(rule.id);
+        const groups = await this.db.getConditionGroups(rule.id);
+        const settings = await this.db.getRuleSettings(rule.id);
+        return this.ruleShare.buildPayload(rule, conditions, groups, settings, this.getRuleClassification(rule));
+    }
+
+    async startRuleImport(ctx) {
         const chatId = ctx.chat.id;
         const userId = ctx.from.id.toString();
 
-        // Get rule details
-        const rule = await this.db.getRuleById(ruleId);
-        if (!rule) {
-            await this.sendMessage(chatId, 'Rule not found. Please try again.');
-            return;
-        }
-
-        // Get rule conditions
-        const conditions = await this.db.getRuleConditions(ruleId);
-        
-        // Get rule settings
-        const settings = await this.db.getRuleSettings(ruleId);
+        this.userStates.set(userId, { waitingFor: 'rule_import' });
 
-        // Format rule details
         const message = `
-*📋 Rule Details: ${rule.name}*
+*📥 Import Rule*
 
-*Status:* ${rule.is_active ? '✅ Active' : '⏸️ Paused'}
-*Type:* ${rule.type === 'filter' ? '🔍 Filter' : '📊 Strategy'}
-*Created:* ${new Date(rule.created_at).toLocaleDateString()}
+Paste a rule share code (it starts with RULE1.) or upload an exported rule JSON file.
 
-*Conditions:*
-${this.formatRuleConditions(conditions)}
+Imported rules are created *inactive* so you can review them before they trade.`;
 
-*Settings:*
-- Notifications: ${settings?.notifications_enabled ? '✅' : '❌'}
-- Alerts: ${settings?.alerts_enabled ? '✅' : '❌'}
-- Frequency: ${settings?.notification_frequency || 'immediate'}
-- Threshold: ${settings?.alert_threshold || 100}%
+        await this.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'rules_import_cancel' }]]
+            }
+        });
+    }
 
-*Performance:*
-- Success Rate: ${this.calculateRuleSuccessRate(rule)}%
+    /**
+     * Text of an uploaded rule file, or null after telling the user why not
+     */
+    async downloadRuleDocument(chatId, document) {
+        const maxSize = this.ruleShare.maxPayloadLength;
+        if (document.file_size > maxSize) {
+            await this.sendMessage(chatId, '❌ This file is too large to be a rule export.');
+            return null;
+        }
+
+        try {
+            const stream = this.bot.getFileStream(document.file_id);
+            return await new Promise((resolve, reject) => {
+                const chunks = [];
+                let size = 0;
+                stream.on('data', chunk => {
+                    size += chunk.length;
+                    if (size > maxSize) {
+                        stream.destroy();
+                        reject(new Error('Rule file too large'));
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+                stream.on('error', reject);
+            });
+        } catch (error) {
+            console.error('Error downloading rule file:', error);
+            await this.sendMessage(chatId, '❌ Could not read this file. Please upload the JSON file from 📤 Share again.');
+            return null;
+        }
+    }
+
+    /**
+     * Import a rule from a share code or exported JSON file. Wallet-specific
+     * data is stripped by RuleShare, the rule is checked with validateRuleConfig
+     * and created inactive for the user to review.
+     */
+    async importRule(ctx, input) {
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+        const retryKeyboard = {
+            inline_keyboard: [
+                [{ text: '🔄 Try Again', callback_data: 'rules_import' }],
+                [{ text: '◀️ Back to Rules', callback_data: 'rules' }]
+            ]
+        };
+
+        const result = this.ruleShare.read(input);
+        if (result.error) {
+            await this.sendMessage(chatId, `❌ ${result.error}`, {
+                reply_markup: retryKeyboard
+            });
+            return;
+        }
+
+        const { payload, dropped } = result;
+        const ruleData = this.ruleShare.toRuleData(payload);
+        const validation = this.validateRuleConfig(ruleData);
+        if (!validation.isValid) {
+            const errors = validation.errors.map(error => `• ${error.replace(/[_*`[]/g, '\\$&')}`).join('\n');
+            await this.sendMessage(chatId, `*❌ Could not import the rule*\n\n${errors}`, {
+                parse_mode: 'Markdown',
+                reply_markup: retryKeyboard
+            });
+            return;
+        }
+
+        try {
+            let user = await this.db.getUserByTelegramId(telegramId);
+            if (!user) {
+                await this.db.createUser(telegramId);
+                user = await this.db.getUserByTelegramId(telegramId);
+            }
+
+            const sanitizedData = this.sanitizeRuleData(ruleData);
+            const ruleId = await this.db.importRule(user.id, {
+                name: sanitizedData.name,
+                type: payload.type,
+                description: payload.description || this.generateRuleDescription(sanitizedData),
+                settings: payload.settings,
+                groups: payload.groups,
+                conditions: payload.conditions.map(condition => ({ ...condition, value: this.ruleShare.storedValue(condition) }))
+            });
+
+            const classification = this.getRuleClassification({ type: payload.type });
+            let message = `
+*📥 Rule Imported*
+
+*Name:* ${sanitizedData.name.replace(/[_*`[]/g, '\\$&')}
+*Type:* ${classification.emoji} ${classification.text}
+*Conditions:* ${payload.conditions.length}${payload.groups.length > 0 ? ` in ${payload.groups.length} group${payload.groups.length !== 1 ? 's' : ''}` : ''}
+
+The rule is *inactive*. Review its conditions and activate it when you are happy with it.`;
+            if (dropped > 0) {
+                message += `\n\n⚠️ ${dropped} copy trade condition${dropped !== 1 ? 's' : ''} following a specific wallet ${dropped !== 1 ? 'were' : 'was'} left out.`;
+            }
+
+            await this.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '📋 Review Rule', callback_data: `rule_${ruleId}` }],
+                        [{ text: '◀️ Back to Rules', callback_data: 'rules' }]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error importing rule:', error);
+            await this.sendMessage(chatId, 'Sorry, there was an error importing the rule. Please try again.');
+        }
+    }
+
+    isAdmin(telegramId) {
+        return ((this.config && this.config.adminTelegramIds) || []).includes(String(telegramId));
+    }
+
+    /**
+     * Rule data of a strategy_templates row. JSON turns open-ended ranges
+     * (max Infinity) into null, the wizard's rule data uses Infinity.
+     */
+    getTemplateRuleData(template) {
+        const ruleData = JSON.parse(template.rule_data);
+        for (const field of ['marketCap', 'price', 'volume', 'liquidity']) {
+            if (ruleData[field] && ruleData[field].value && ruleData[field].value.max === null) {
+                ruleData[field].value.max = Infinity;
+            }
+        }
+        return ruleData;
+    }
+
+    formatTemplateRisk(template) {
+        return { low: '🟢 Low', medium: '🟡 Medium', high: '🔴 High' }[template.risk_level] || null;
+    }
+
+    async showStrategyTemplates(ctx) {
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+
+        try {
+            const templates = await this.db.getStrategyTemplates();
+            const escape = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+
+            let message = `
+*📚 Strategy Templates*
+
+Ready-made autonomous strategies, each with discovery filters, a buy size and exits. Pick one to preview it and use it as a new rule.
+`;
+            if (templates.length === 0) {
+                message += '\nNo templates yet.';
+            }
+            templates.forEach((template, index) => {
+                const risk = this.formatTemplateRisk(template);
+                message += `\n*${index + 1}. ${escape(template.name)}*${risk ? ` (${risk} risk)` : ''}\n${escape(template.description || '')}\n`;
+            });
+            if (this.isAdmin(telegramId)) {
+                message += '\n_Admins: /template add "Name" <rule terms> | description, /template delete <id>_';
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...templates.map(template => [{ text: `📚 ${template.name}`, callback_data: `rules_tpl_${template.id}` }]),
+                    [{ text: '◀️ Back to Rules', callback_data: 'rules' }]
+                ]
+            };
+
+            await this.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error showing strategy templates:', error);
+            await this.sendMessage(chatId, 'Sorry, there was an error loading the strategy templates.');
+        }
+    }
+
+    async showStrategyTemplate(ctx, templateId) {
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+
+        try {
+            const template = await this.db.getStrategyTemplate(templateId);
+            if (!template) {
+                await this.sendMessage(chatId, 'Template not found. Please try again.');
+                return;
+            }
+
+            const escape = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+            const risk = this.formatTemplateRisk(template);
+            const details = [
+                risk ? `*Risk:* ${risk}` : null,
+                template.max_daily_trades ? `*Max Trades per Day:* ${template.max_daily_trades}` : null
+            ].filter(Boolean);
+            const selections = this.getCurrentSelections(this.getTemplateRuleData(template))
+                .replace(/^\*Current Selections:\*\n/, '');
+
+            let message = `
+*📚 ${escape(template.name)}*
+
+${escape(template.description || '')}
+${details.length > 0 ? `\n${details.join('\n')}\n` : ''}
+*Strategy:*
+${selections}
+Using a template creates an *inactive* rule you can preview, backtest and edit before activating it.`;
+            if (this.isAdmin(telegramId) && !template.is_builtin) {
+                message += `\n\n_Admin: /template delete ${template.id}_`;
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    [{ text: '✅ Use Template', callback_data: `rules_tplapply_${template.id}` }],
+                    [{ text: '◀️ Back to Templates', callback_data: 'rules_templates' }]
+                ]
+            };
+
+            await this.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error showing strategy template:', error);
+            await this.sendMessage(chatId, 'Sorry, there was an error loading the template.');
+        }
+    }
+
+    /**
+     * Create an inactive rule from a strategy template and remember the
+     * template's defaults as the user's strategy preferences
+     */
+    async applyStrategyTemplate(ctx, templateId) {
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+
+        try {
+            const template = await this.db.getStrategyTemplate(templateId);
+            if (!template) {
+                await this.sendMessage(chatId, 'Template not found. Please try again.');
+                return;
+            }
+
+            let user = await this.db.getUserByTelegramId(telegramId);
+            if (!user) {
+                await this.db.createUser(telegramId);
+                user = await this.db.getUserByTelegramId(telegramId);
+            }
+
+            const ruleData = {
+                ...this.getTemplateRuleData(template),
+                name: await this.getUniqueRuleName(user.id, template.name)
+            };
+            // Created inactive in the same insert: the user reviews the template before it trades
+            const ruleId = await this.createRule(user.id, ruleData, { active: false });
+
+            await this.db.updateUserStrategyPreferences(user.id, {
+                template_id: template.id,
+                custom_tp_percentage: template.default_tp_percentage,
+                custom_sl_percentage: template.default_sl_percentage,
+                max_position_size: template.max_position_size,
+                max_daily_trades: template.max_daily_trades
+            });
+
+            const message = `
+*✅ Template Applied*
+
+*Rule:* ${ruleData.name.replace(/[_*`[]/g, '\\$&')}
+
+The rule was created *inactive*. Review it, try 🔍 Preview or 📈 Backtest, and activate it when you are ready.`;
+
+            await this.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '📋 Review Rule', callback_data: `rule_${ruleId}` }],
+                        [{ text: '◀️ Back to Templates', callback_data: 'rules_templates' }]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error applying strategy template:', error);
+            await this.sendMessage(chatId, 'Sorry, there was an error creating a rule from the template. Please try again.');
+        }
+    }
+
+    /**
+     * name, or name with a number appended when the user already has a rule called name
+     */
+    async getUniqueRuleName(userId, name) {
+        const names = new Set((await this.db.getRulesByUserId(userId)).map(rule => rule.name.toLowerCase()));
+        let candidate = name;
+        for (let n = 2; names.has(candidate.toLowerCase()); n++) {
+            candidate = `${name.slice(0, 45)} ${n}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * /template: list the strategy templates.
+     * /template add "<name>" <rule terms> [| description]: add a template (admins), in the /rule add syntax.
+     * /template delete <id>: delete a template added by an admin (admins).
+     */
+    async handleTemplateCommand(ctx, text) {
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+
+        const match = (text || '').match(/^\/template(?:@\w+)?(?:\s+(\S+))?/i);
+        const subcommand = match && match[1] ? match[1].toLowerCase() : null;
+        if (subcommand !== 'add' && subcommand !== 'delete') {
+            await this.showStrategyTemplates(ctx);
+            return;
+        }
+        if (!this.isAdmin(telegramId)) {
+            await this.sendMessage(chatId, '❌ Only admins can add or delete strategy templates.');
+            return;
+        }
+
+        const rest = text.slice(match[0].length).trim();
+        if (subcommand === 'delete') {
+            const template = await this.db.getStrategyTemplate(parseInt(rest));
+            if (!template) {
+                await this.sendMessage(chatId, '❌ Template not found. Use /template delete <id>, the id is shown in the template preview.');
+            } else if (template.is_builtin) {
+                await this.sendMessage(chatId, '❌ Built-in templates cannot be deleted.');
+            } else {
+                await this.db.deleteStrategyTemplate(template.id);
+                await this.sendMessage(chatId, `✅ Template "${template.name}" deleted.`);
+            }
+            return;
+        }
+
+        // The description follows the rule terms after a |
+        const separator = rest.indexOf('|');
+        const definition = (separator === -1 ? rest : rest.slice(0, separator)).trim();
+        const description = separator === -1 ? '' : rest.slice(separator + 1).trim();
+        if (!definition) {
+            await this.sendMessage(chatId, 'Usage: /template add "Name" <rule terms> | description\n\nThe rule terms are those of /rule add and must include a buy size, take profit and stop loss.');
+            return;
+        }
+
+        const parsed = this.ruleDsl.parse(definition);
+        if (parsed.error) {
+            await this.showRuleDslErrors(chatId, definition, [parsed.error], 'Could not add the template');
+            return;
+        }
+
+        const validation = this.validateRuleConfig(parsed.ruleData);
+        const errors = validation.errors.map(error => this.ruleDsl.locateError(error, parsed, definition));
+        if (!parsed.ruleData.buyAmount) {
+            errors.push(this.ruleDsl.errorAt(definition.length, definition.length, 'Templates need a buy size, e.g. buy 0.1'));
+        }
+        if (errors.length > 0) {
+            await this.showRuleDslErrors(chatId, definition, errors, 'Could not add the template');
+            return;
+        }
+
+        try {
+            const { name, ...ruleData } = this.sanitizeRuleData(parsed.ruleData);
+            if (await this.db.getStrategyTemplate(name)) {
+                await this.sendMessage(chatId, `❌ A template called "${name}" already exists.`);
+                return;
+            }
+
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const result = await this.db.createStrategyTemplate({
+                name,
+                description: description.slice(0, 300),
+                ruleData
+            }, user ? user.id : null);
+
+            await this.sendMessage(chatId, `✅ Template "${name}" added.`, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '📚 Preview Template', callback_data: `rules_tpl_${result.lastInsertRowid}` }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error adding strategy template:', error);
+            await this.sendMessage(chatId, 'Sorry, there was an error adding the template. Please try again.');
+        }
+    }
+
+    async handleRuleSelection(ctx, ruleId) {
+        const chatId = ctx.chat.id;
+        const userId = ctx.from.id.toString();
+
+        // Get rule details
+        const rule = await this.db.getRuleById(ruleId);
+        if (!rule) {
+            await this.sendMessage(chatId, 'Rule not found. Please try again.');
+            return;
+        }
+
+        // Get rule conditions
+        const conditions = await this.db.getRuleConditions(ruleId);
+        
+        // Get rule settings
+        const settings = await this.db.getRuleSettings(ruleId);
+        const schedule = await this.db.getRuleSchedule(ruleId);
+
+        // Format rule details
+        const message = `
+*📋 Rule Details: ${rule.name}*
+
+*Status:* ${rule.is_active ? '✅ Active' : '⏸️ Paused'}
+*Type:* ${rule.type === 'filter' ? '🔍 Filter' : '📊 Strategy'}
+*Created:* ${new Date(rule.created_at).toLocaleDateString()}
+*Schedule:* ${this.ruleSchedule.describe(schedule).replace(/_/g, '\\_')}${schedule ? `
+*Next Active:* ${this.ruleSchedule.describeNextActive(schedule).replace(/_/g, '\\_')}` : ''}
+
+*Conditions:*
+${this.formatRuleConditions(conditions)}
+
+*Settings:*
+- Notifications: ${settings?.notifications_enabled ? '✅' : '❌'}
+- Alerts: ${settings?.alerts_enabled ? '✅' : '❌'}
+- Frequency: ${settings?.notification_frequency || 'immediate'}
+- Threshold: ${settings?.alert_threshold || 100}%
+
+*Performance:*
+- Success Rate: ${this.calculateRuleSuccessRate(rule)}%
 - Total Triggers: ${rule.success_count + rule.failure_count}
 - Last Check: ${rule.last_check ? this.formatTimeAgo(rule.last_check) : 'Never'}`;
 
@@ -3440,7 +4223,16 @@ ${this.formatRuleConditions(conditions)}
                 ],
                 [
                     { text: '⚙️ Settings', callback_data: `settings_rule_${ruleId}` },
-                    { text: '📊 Stats', callback_data: `rule_stats_${ruleId}` }
+                    { text: '📊 Stats', callback_data: `rule_stats_${ruleId}` },
+                    { text: '🕘 History', callback_data: `rule_history_${ruleId}` }
+                ],
+                [
+                    { text: '🗓️ Schedule', callback_data: `rule_schedule_${ruleId}` }
+                ],
+                [
+                    { text: '🔍 Preview', callback_data: `rule_preview_${ruleId}` },
+                    { text: '📈 Backtest', callback_data: `rule_backtest_${ruleId}` },
+                    { text: '📤 Share', callback_data: `rule_share_${ruleId}` }
                 ],
                 [
                     { text: '✏️ Edit', callback_data: `rule_edit_${ruleId}` },
@@ -3951,16 +4743,55 @@ Your rule creation progress has been cleared. You can now start creating a new r
      */
     validateManualManagementConfig(ruleData, errors) {
         // At least one management rule should be present
-        const hasManagementRules = ruleData.takeProfit || ruleData.stopLoss || ruleData.trailingStop;
+        const hasManagementRules = ruleData.takeProfit || ruleData.stopLoss || ruleData.trailingStop ||
+                                  ruleData.takeProfitLadder || ruleData.breakEven || ruleData.maxHold;
 
         if (!hasManagementRules) {
-            errors.push('Manual management rules must have at least one management rule (take profit, stop loss, or trailing stop)');
+            errors.push('Manual management rules must have at least one management rule (take profit, take profit ladder, stop loss, trailing stop, break-even stop or max hold time)');
+        }
+
+        if (ruleData.breakEven && ruleData.breakEven.afterTakeProfit && !ruleData.breakEven.percentage && !ruleData.takeProfitLadder) {
+            errors.push('A break-even stop after the first take profit needs a take profit ladder');
         }
 
         // Validate management rules
         if (ruleData.takeProfit) this.validatePercentageRule(ruleData.takeProfit, 'Take profit', errors);
         if (ruleData.stopLoss) this.validatePercentageRule(ruleData.stopLoss, 'Stop loss', errors);
         if (ruleData.trailingStop) this.validatePercentageRule(ruleData.trailingStop, 'Trailing stop', errors);
+        if (ruleData.takeProfitLadder) this.validateTakeProfitLadder(ruleData.takeProfitLadder, errors);
+    }
+
+    /**
+     * Validate a take profit ladder: ascending gains, each rung selling part of
+     * the position and all rungs together selling at most 100%
+     * @param {Object} ladder - The ladder ({ rungs: [{ percentage, sellPercent }] })
+     * @param {Array} errors - Errors array to populate
+     */
+    validateTakeProfitLadder(ladder, errors) {
+        const rungs = ladder.rungs || [];
+        if (rungs.length === 0 || rungs.length > this.maxLadderRungs) {
+            errors.push(`Take profit ladder must have between 1 and ${this.maxLadderRungs} rungs`);
+            return;
+        }
+
+        let previousGain = 0;
+        let totalSell = 0;
+        for (const rung of rungs) {
+            if (!(rung.percentage > previousGain) || rung.percentage > 1000) {
+                errors.push('Take profit ladder gains must be between 1% and 1000% and increase from rung to rung');
+                return;
+            }
+            if (!(rung.sellPercent > 0) || rung.sellPercent > 100) {
+                errors.push('Each take profit ladder rung must sell between 1% and 100% of the position');
+                return;
+            }
+            previousGain = rung.percentage;
+            totalSell += rung.sellPercent;
+        }
+
+        if (totalSell > 100) {
+            errors.push(`Take profit ladder rungs sell ${totalSell}% in total; the most is 100%`);
+        }
     }
 
     /**
@@ -5398,6 +6229,334 @@ Configure your stop loss parameters:`;
         });
     }
 
+    async showTakeProfitLadderOptions(ctx) {
+        const chatId = ctx.chat.id;
+        const userState = this.userStates.get(ctx.from.id.toString());
+        const current = userState?.data?.takeProfitLadder;
+
+        const message = `
+*🪜 Take Profit Ladder*
+
+Sell the position in steps as the price rises. Each rung sells a share of the original position once, the first time its gain is reached. Whatever the ladder does not sell stays on your stop loss and trailing stop.
+
+${current ? `*Current:* ${this.formatTakeProfitLadder(current.rungs)}\n\n` : ''}Pick a ladder:`;
+
+        const keyboard = {
+            inline_keyboard: [
+                ...this.takeProfitLadderPresets.map((rungs, index) => [
+                    { text: this.formatTakeProfitLadder(rungs), callback_data: `tp_ladder_preset_${index}` }
+                ]),
+                [
+                    { text: '📝 Custom Ladder', callback_data: 'tp_ladder_custom' }
+                ],
+                ...(current ? [[{ text: '🗑 Remove Ladder', callback_data: 'tp_ladder_clear' }]] : []),
+                [
+                    { text: '◀️ Back', callback_data: 'rules_unified_options' }
+                ]
+            ]
+        };
+
+        await this.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+
+    async handleTakeProfitLadderSelection(ctx, action) {
+        const chatId = ctx.chat.id;
+        const userId = ctx.from.id.toString();
+        const userState = this.userStates.get(userId);
+
+        if (!userState) {
+            await this.sendMessage(chatId, 'Please start over with /rules command.');
+            return;
+        }
+
+        if (action === 'tp_ladder_custom') {
+            userState.waitingFor = 'custom_tp_ladder';
+            this.userStates.set(userId, userState);
+
+            const message = `
+*📝 Custom Take Profit Ladder*
+
+Send the rungs as \`sell%@gain%\`, separated by commas (up to ${this.maxLadderRungs} rungs):
+
+Examples:
+• \`25@50, 25@100\` = sell 25% at +50%, then 25% at +100%
+• \`50@100, 50@300\` = sell half at 2x, the rest at 4x
+
+The rungs may sell at most 100% in total.`;
+
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: '❌ Cancel', callback_data: 'tp_ladder_select' }
+                    ]
+                ]
+            };
+
+            await this.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+            return;
+        }
+
+        if (action === 'tp_ladder_clear') {
+            userState.data.takeProfitLadder = null;
+            await this.sendMessage(chatId, '✅ Take profit ladder removed');
+            await this.showUnifiedRuleOptions(ctx);
+            return;
+        }
+
+        const rungs = this.takeProfitLadderPresets[parseInt(action.replace('tp_ladder_preset_', ''))];
+        if (rungs) {
+            userState.data.takeProfitLadder = {
+                rungs: rungs.map(rung => ({ ...rung })),
+                enabled: true
+            };
+
+            await this.sendMessage(chatId, `✅ Take profit ladder set: ${this.formatTakeProfitLadder(rungs)}`);
+            await this.showUnifiedRuleOptions(ctx);
+        }
+    }
+
+    /**
+     * Parse "25@50, 25@100" (sell% at gain%) into ladder rungs.
+     * Returns { rungs } or { error } with a message for the user.
+     */
+    parseTakeProfitLadder(text) {
+        const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) {
+            return { error: 'Please send at least one rung, like 25@50.' };
+        }
+
+        const rungs = [];
+        for (const part of parts) {
+            const match = part.replace(/%/g, '').match(/^(\d+(?:\.\d+)?)\s*@\s*\+?(\d+(?:\.\d+)?)$/);
+            if (!match) {
+                return { error: `Could not read "${part}". Use sell%@gain%, like 25@50.` };
+            }
+            rungs.push({ percentage: parseFloat(match[2]), sellPercent: parseFloat(match[1]) });
+        }
+        rungs.sort((a, b) => a.percentage - b.percentage);
+
+        const errors = [];
+        this.validateTakeProfitLadder({ rungs }, errors);
+        if (errors.length > 0) {
+            return { error: errors[0] };
+        }
+        return { rungs };
+    }
+
+    formatTakeProfitLadder(rungs) {
+        return (rungs || []).map(rung => `${rung.sellPercent}% at +${rung.percentage}%`).join(', ');
+    }
+
+    async showBreakEvenOptions(ctx) {
+        const chatId = ctx.chat.id;
+        const userState = this.userStates.get(ctx.from.id.toString());
+        const current = userState?.data?.breakEven;
+
+        const message = `
+*⚖️ Break-Even Stop*
+
+Once the position is up by the chosen gain, or has sold its first take profit ladder rung, the stop loss moves to your entry price. If the price then falls back to where you bought, the rest of the position is sold.
+
+${current ? `*Current:* ${this.formatBreakEven(current)}\n\n` : ''}Move the stop to entry:`;
+
+        const keyboard = {
+            inline_keyboard: [
+                [
+                    { text: 'After +20%', callback_data: 'break_even_20' },
+                    { text: 'After +50%', callback_data: 'break_even_50' }
+                ],
+                [
+                    { text: 'After first take profit', callback_data: 'break_even_tp' }
+                ],
+                [
+                    { text: '📝 Custom %', callback_data: 'break_even_custom' }
+                ],
+                ...(current ? [[{ text: '🗑 Remove Break-Even Stop', callback_data: 'break_even_clear' }]] : []),
+                [
+                    { text: '◀️ Back', callback_data: 'rules_unified_options' }
+                ]
+            ]
+        };
+
+        await this.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+
+    async handleBreakEvenSelection(ctx, action) {
+        const chatId = ctx.chat.id;
+        const userId = ctx.from.id.toString();
+        const userState = this.userStates.get(userId);
+
+        if (!userState) {
+            await this.sendMessage(chatId, 'Please start over with /rules command.');
+            return;
+        }
+
+        if (action === 'break_even_custom') {
+            userState.waitingFor = 'custom_break_even';
+            this.userStates.set(userId, userState);
+
+            const message = `
+*📝 Custom Break-Even Trigger*
+
+Please enter the gain percentage after which the stop moves to your entry price (1-1000):
+
+Examples:
+• 30 = after +30%
+• 100 = after the price doubles`;
+
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: '❌ Cancel', callback_data: 'break_even_select' }
+                    ]
+                ]
+            };
+
+            await this.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+            return;
+        }
+
+        if (action === 'break_even_clear') {
+            userState.data.breakEven = null;
+            await this.sendMessage(chatId, '✅ Break-even stop removed');
+            await this.showUnifiedRuleOptions(ctx);
+            return;
+        }
+
+        let breakEven = null;
+        if (action === 'break_even_tp') {
+            breakEven = { percentage: null, afterTakeProfit: true, enabled: true };
+        } else {
+            const percentage = parseInt(action.replace('break_even_', ''));
+            if (percentage) {
+                breakEven = { percentage, afterTakeProfit: false, enabled: true };
+            }
+        }
+
+        if (breakEven) {
+            userState.data.breakEven = breakEven;
+            await this.sendMessage(chatId, `✅ Break-even stop set: ${this.formatBreakEven(breakEven)}`);
+            await this.showUnifiedRuleOptions(ctx);
+        }
+    }
+
+    async showMaxHoldOptions(ctx) {
+        const chatId = ctx.chat.id;
+        const userState = this.userStates.get(ctx.from.id.toString());
+        const current = userState?.data?.maxHold;
+
+        const message = `
+*⏰ Max Holding Time*
+
+Set how long a position may be held without reaching a take profit. When the time is up, the bot either sells what is left or sends you an alert and keeps monitoring.
+
+${current ? `*Current:* ${this.formatMaxHold(current)}\n\n` : ''}Choose the time and what happens then:`;
+
+        const hours = [6, 12, 24, 72];
+        const keyboard = {
+            inline_keyboard: [
+                hours.map(h => ({ text: `Sell after ${h}h`, callback_data: `max_hold_sell_${h}` })),
+                hours.map(h => ({ text: `Alert after ${h}h`, callback_data: `max_hold_alert_${h}` })),
+                [
+                    { text: '📝 Custom (Sell)', callback_data: 'max_hold_custom_sell' },
+                    { text: '📝 Custom (Alert)', callback_data: 'max_hold_custom_alert' }
+                ],
+                ...(current ? [[{ text: '🗑 Remove Max Hold Time', callback_data: 'max_hold_clear' }]] : []),
+                [
+                    { text: '◀️ Back', callback_data: 'rules_unified_options' }
+                ]
+            ]
+        };
+
+        await this.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+
+    async handleMaxHoldSelection(ctx, action) {
+        const chatId = ctx.chat.id;
+        const userId = ctx.from.id.toString();
+        const userState = this.userStates.get(userId);
+
+        if (!userState) {
+            await this.sendMessage(chatId, 'Please start over with /rules command.');
+            return;
+        }
+
+        if (action === 'max_hold_custom_sell' || action === 'max_hold_custom_alert') {
+            userState.waitingFor = 'custom_max_hold';
+            userState.maxHoldAction = action.replace('max_hold_custom_', '');
+            this.userStates.set(userId, userState);
+
+            const message = `
+*📝 Custom Max Holding Time*
+
+Please enter the number of hours a position may be held (1-720):
+
+Examples:
+• 4 = 4 hours
+• 48 = 2 days
+• 168 = 1 week`;
+
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: '❌ Cancel', callback_data: 'max_hold_select' }
+                    ]
+                ]
+            };
+
+            await this.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+            return;
+        }
+
+        if (action === 'max_hold_clear') {
+            userState.data.maxHold = null;
+            await this.sendMessage(chatId, '✅ Max holding time removed');
+            await this.showUnifiedRuleOptions(ctx);
+            return;
+        }
+
+        const match = action.match(/^max_hold_(sell|alert)_(\d+)$/);
+        if (match) {
+            userState.data.maxHold = {
+                hours: parseInt(match[2]),
+                action: match[1],
+                enabled: true
+            };
+
+            await this.sendMessage(chatId, `✅ Max holding time set: ${this.formatMaxHold(userState.data.maxHold)}`);
+            await this.showUnifiedRuleOptions(ctx);
+        }
+    }
+
+    formatBreakEven(breakEven) {
+        const triggers = [];
+        if (breakEven.percentage) triggers.push(`after +${breakEven.percentage}%`);
+        if (breakEven.afterTakeProfit) triggers.push('after the first take profit');
+        return triggers.join(' or ');
+    }
+
+    formatMaxHold(maxHold) {
+        return `${maxHold.action === 'alert' ? 'alert' : 'sell'} after ${maxHold.hours}h`;
+    }
+
     async handleTakeProfitSelection(ctx, action) {
         const chatId = ctx.chat.id;
         const userId = ctx.from.id.toString();
@@ -5819,7 +6978,12 @@ Configure your universal trading rules:`;
                     { text: '🛑 Stop Loss %', callback_data: 'stop_loss_select' }
                 ],
                 [
-                    { text: '📉 Trailing Stop %', callback_data: 'trailing_stop_select' }
+                    { text: '📉 Trailing Stop %', callback_data: 'trailing_stop_select' },
+                    { text: '🪜 Take Profit Ladder', callback_data: 'tp_ladder_select' }
+                ],
+                [
+                    { text: '⚖️ Break-Even Stop', callback_data: 'break_even_select' },
+                    { text: '⏰ Max Hold Time', callback_data: 'max_hold_select' }
                 ],
                 [
                     { text: '✅ Save Manual Rules', callback_data: 'confirm_rule' }
@@ -35,9 +35,9 @@ const config = {
         minLiquidity: 10000, // $10,000
         maxGasPrice: 100, // GWEI
         defaultTimeout: 30000, // 30 seconds
-        // Trading provider: 'raydium' or 'jupiter'
-        tradingProvider: process.env.TRADING_PROVIDER || 'raydium',
-        // Enable fallback to other provider if primary fails
+        // Default swap provider order, e.g. 'jupiter,raydium' (users can override it)
+        swapProviderOrder: (process.env.SWAP_PROVIDER_ORDER || 'jupiter,raydium').split(',').map(name => name.trim()),
+        // Enable fallback to the next provider if one fails
         enableFallback: process.env.ENABLE_TRADING_FALLBACK !== 'false',
         // Raydium specific settings
         raydium: {
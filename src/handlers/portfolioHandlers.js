@@ -434,7 +434,7 @@ ${holdingsList}
 
 
 *Wallets:*\n${wallets.map(w => `\`${w.public_key.slice(0, 8)}...${w.public_key.slice(-8)}\``).join(' | ')}
-`;
+${await this.buildPaperSection(user.id)}`;
 
             const keyboard = {
                 inline_keyboard: [
@@ -715,7 +715,8 @@ Please create or import a wallet first to view your trade history.`;
 - Win Rate: ${winRate}%
 - Total P&L: $${stats.total_pnl ? stats.total_pnl.toFixed(2) : '0.00'}
 
-*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\``;
+*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\`
+${await this.buildPaperSection(user.id)}`;
 
             const keyboard = {
                 inline_keyboard: [
@@ -825,6 +826,35 @@ Choose your preferred export format:
         }
     }
 
+    /**
+     * Paper trading summary shown below the live figures.
+     * Empty when the user has neither paper mode on nor any paper trades.
+     */
+    async buildPaperSection(userId) {
+        try {
+            const settings = await this.db.getUserSettings(userId);
+            const stats = this.db.getPaperTradeStatsByUser(userId) || { total_trades: 0 };
+            if (!settings?.paper_trading && !stats.total_trades) {
+                return '';
+            }
+
+            const account = await this.db.getPaperAccount(userId);
+            const positions = await this.db.getPaperPositions(userId);
+            const solPnl = account.sol_balance - account.starting_balance;
+
+            return `
+*📝 Paper Trading${settings?.paper_trading ? ' (active)' : ''}:*
+- Paper Balance: ${account.sol_balance.toFixed(4)} SOL
+- Open Paper Positions: ${positions.length}
+- Paper Trades: ${stats.total_trades} (${stats.buy_trades || 0} buys / ${stats.sell_trades || 0} sells)
+- SOL P&L vs Start: ${solPnl >= 0 ? '+' : ''}${solPnl.toFixed(4)} SOL
+`;
+        } catch (error) {
+            console.error('Error building paper trading section:', error);
+            return '';
+        }
+    }
+
     async handlePortfolioAnalytics(chatId, telegramId) {
         try {
             const user = await this.db.getUserByTelegramId(telegramId);
@@ -950,7 +980,7 @@ Please create or import a wallet first to view portfolio analytics.`;
 
 *Wallet:* \
 \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\`
-`;
+${await this.buildPaperSection(user.id)}`;
 
             const keyboard = {
                 inline_keyboard: [
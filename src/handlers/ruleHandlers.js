@@ -1,3 +1,9 @@
+const ConditionEvaluator = require('../services/conditionEvaluator');
+const TokenDataService = require('../services/tokenDataService');
+const Backtester = require('../services/backtester');
+const FileExportService = require('../services/fileExportService');
+const RuleSchedule = require('../services/ruleSchedule');
+
 class RuleHandlers {
     constructor(bot, db, config) {
         this.bot = bot;
@@ -7,6 +13,16 @@ class RuleHandlers {
         this.lastMessageIds = new Map();
         this.ruleCreationStates = new Map();
         this.activeRules = new Map();
+        this.tokenDataService = new TokenDataService(config);
+        this.previewTokenLimit = 10;
+        this.backtester = new Backtester(db);
+        this.fileExportService = new FileExportService(config, db);
+        // Backtest periods in days, never past the snapshots MarketSnapshotService keeps
+        this.snapshotRetentionDays = (config && config.snapshotRetentionDays) || 14;
+        this.backtestPeriods = [...new Set([1, 3, 7, 30].filter(days => days < this.snapshotRetentionDays).concat(this.snapshotRetentionDays))];
+        this.versionHistoryLimit = 12;
+        this.ruleSchedule = new RuleSchedule();
+        this.pauseOptions = [1, 4, 24]; // Hours
     }
 
     async handleRules(chatId, telegramId) {
@@ -56,6 +72,10 @@ Choose an option:`;
                     [
                         { text: '💾 Save Strategy', callback_data: 'rule_save_strategy' },
                         { text: '🔄 Reset', callback_data: 'rule_reset' }
+                    ],
+                    [
+                        { text: '📚 Templates', callback_data: 'rules_templates' },
+                        { text: '📥 Import Rule', callback_data: 'rules_import' }
                     ]
                 ]
             };
@@ -611,6 +631,7 @@ Create your first automated trading rule to start earning while you sleep!`;
 
             const conditions = await this.db.getRuleConditions(ruleId);
             const settings = await this.db.getRuleSettings(ruleId);
+            const schedule = await this.db.getRuleSchedule(ruleId);
 
             let conditionsText = '';
             if (conditions && conditions.length > 0) {
@@ -630,6 +651,8 @@ Create your first automated trading rule to start earning while you sleep!`;
 *Type:* ${(rule.rule_type || 'General').replace(/_/g, '\\_')}
 *Created:* ${new Date(rule.created_at).toLocaleDateString()}
 *Last Check:* ${rule.last_check ? new Date(rule.last_check).toLocaleString() : 'Never'}
+*Schedule:* ${this.ruleSchedule.describe(schedule).replace(/_/g, '\\_')}${schedule ? `
+*Next Active:* ${this.ruleSchedule.describeNextActive(schedule).replace(/_/g, '\\_')}` : ''}
 
 *Performance:*
 • Total Trades: ${rule.trade_count || 0}
@@ -651,10 +674,19 @@ ${conditionsText}
                         { text: '✏️ Edit', callback_data: `rule_edit_${ruleId}` },
                         { text: '📊 Stats', callback_data: `rule_stats_${ruleId}` }
                     ],
+                    [
+                        { text: '🔍 Preview', callback_data: `rule_preview_${ruleId}` },
+                        { text: '📈 Backtest', callback_data: `rule_backtest_${ruleId}` },
+                        { text: '📤 Share', callback_data: `rule_share_${ruleId}` }
+                    ],
                     [
                         { text: '⚙️ Settings', callback_data: `settings_rule_${ruleId}` },
+                        { text: '🕘 History', callback_data: `rule_history_${ruleId}` },
                         { text: '🗑️ Delete', callback_data: `rule_delete_${ruleId}` }
                     ],
+                    [
+                        { text: '🗓️ Schedule', callback_data: `rule_schedule_${ruleId}` }
+                    ],
                     [
                         { text: '◀️ Back to Rules', callback_data: 'rules_list' }
                     ]
@@ -671,6 +703,605 @@ ${conditionsText}
         }
     }
 
+    /**
+     * Dry run of a rule: which tokens it would buy right now and how many
+     * candidates each condition rejected. Nothing is traded.
+     */
+    async handleRulePreview(chatId, telegramId, ruleId) {
+        try {
+            const rule = await this.db.getRuleById(ruleId);
+            if (!rule) {
+                await this.sendAndStoreMessage(chatId, 'Rule not found.');
+                return;
+            }
+
+            await this.sendAndStoreMessage(chatId, '🔍 Checking current tokens against this rule...');
+
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const report = { candidates: 0, matched: 0, conditions: [] };
+            const tokens = await this.tokenDataService.getTokensByCriteria(
+                rule, this.previewTokenLimit, this.db, this.config, user ? user.id : null, report
+            );
+
+            const escape = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+            let message = `*🔍 Rule Preview: ${escape(rule.name)}*\n\n`;
+
+            if (report.candidates === 0) {
+                message += 'Could not load candidate tokens right now. Please try again in a moment.';
+            } else {
+                message += `_Dry run against ${report.candidates} top traded tokens. Nothing is bought._\n\n`;
+                message += `*Would buy now (${report.matched}):*\n`;
+                if (tokens.length === 0) {
+                    message += 'No token matches all conditions.\n';
+                }
+                tokens.forEach((token, index) => {
+                    message += `${index + 1}. *${escape(token.symbol || 'Unknown')}* - ${this.formatPreviewMetrics(token)}\n`;
+                });
+                if (report.matched > tokens.length) {
+                    message += `_...and ${report.matched - tokens.length} more_\n`;
+                }
+
+                // Conditions with no data for any candidate (buy amount, exits, ...) do not filter
+                const filters = report.conditions.filter(entry => entry.unknown < report.candidates);
+                if (filters.length > 0) {
+                    message += '\n*Rejected by condition:*\n';
+                    for (const entry of filters) {
+                        const c = entry.condition;
+                        let line = `• ${c.condition_type.replace(/_/g, '\\_')} (${this.formatConditionValueSafe(c.condition_type, c.condition_value)}): ${entry.failed} rejected`;
+                        if (entry.unknown > 0) {
+                            line += `, ${entry.unknown} without data`;
+                        }
+                        message += `${line}\n`;
+                    }
+                    if (report.conditions.some(entry => entry.condition.group_id)) {
+                        message += '\n_Counts are per condition; inside ANY (OR) groups a rejected condition can be made up for by another._';
+                    }
+                }
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: '🔄 Refresh', callback_data: `rule_preview_${ruleId}` },
+                        { text: '✏️ Edit Conditions', callback_data: `rule_edit_conditions_${ruleId}` }
+                    ],
+                    [
+                        { text: '◀️ Back to Rule', callback_data: `rule_${ruleId}` }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error previewing rule:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error previewing the rule.');
+        }
+    }
+
+    /**
+     * Replay a rule over the recorded market snapshots of the last `days` days
+     * and show the trades it would have made
+     */
+    async handleRuleBacktest(chatId, telegramId, ruleId, days = 7) {
+        days = Math.min(days, this.snapshotRetentionDays);
+        try {
+            const rule = await this.db.getRuleById(ruleId);
+            if (!rule) {
+                await this.sendAndStoreMessage(chatId, 'Rule not found.');
+                return;
+            }
+
+            const result = await this.runBacktest(chatId, rule, days);
+            if (!result) {
+                return;
+            }
+
+            const { summary } = result;
+            const escape = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+            const signed = (value, digits) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+            const exit = (percentage) => percentage ? `${percentage}%` : 'off';
+            const reasons = { take_profit: 'take profit', stop_loss: 'stop loss', trailing_stop: 'trailing stop', end_of_data: 'still open', unpriced: 'no price, left snapshots' };
+            const unpricedNote = summary.unpriced > 0
+                ? `\n• Unpriced: ${summary.unpriced} position${summary.unpriced !== 1 ? 's' : ''} (${summary.unpricedSol.toFixed(4)} SOL) dropped out of the snapshots and could have gone to zero; they are not in the figures above`
+                : '';
+
+            let message = `
+*📈 Backtest: ${escape(rule.name)}*
+
+_Last ${days} day${days !== 1 ? 's' : ''}, ${result.frames} market snapshots. Fills at snapshot prices, fees and slippage not included._
+
+*Results:*
+• Trades: ${summary.trades} (${summary.wins} wins, ${summary.losses} losses${summary.unpriced > 0 ? `, ${summary.unpriced} unpriced` : ''})
+• Win Rate: ${summary.winRate.toFixed(1)}%
+• Total PnL: ${signed(summary.totalPnlSol, 4)} SOL (${signed(summary.totalPnlPct, 1)}%)
+• Max Drawdown: ${summary.maxDrawdownSol.toFixed(4)} SOL${unpricedNote}
+
+*Replayed With:*
+• Buy Amount: ${result.buyAmount} SOL
+• Take Profit: ${exit(result.exits.takeProfit)} | Stop Loss: ${exit(result.exits.stopLoss)} | Trailing Stop: ${exit(result.exits.trailingStop)}`;
+
+            if (result.trades.length > 0) {
+                message += '\n\n*Latest Trades:*\n';
+                message += result.trades.slice(-5).reverse().map(trade =>
+                    `• *${escape(trade.symbol || trade.address.slice(0, 6))}* ${signed(trade.pnlPct, 1)}% (${reasons[trade.reason]})`
+                ).join('\n');
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    this.backtestPeriods.map(period => ({
+                        text: period === days ? `• ${period}d •` : `${period}d`,
+                        callback_data: `rule_backtest_${ruleId}_${period}`
+                    })),
+                    [
+                        { text: '📄 Export CSV', callback_data: `rule_btexport_${ruleId}_${days}` }
+                    ],
+                    [
+                        { text: '◀️ Back to Rule', callback_data: `rule_${ruleId}` }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error backtesting rule:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error backtesting the rule.');
+        }
+    }
+
+    /**
+     * Send a rule backtest as a CSV file
+     */
+    async handleRuleBacktestExport(chatId, telegramId, ruleId, days = 7) {
+        days = Math.min(days, this.snapshotRetentionDays);
+        try {
+            const rule = await this.db.getRuleById(ruleId);
+            const user = await this.db.getUserByTelegramId(telegramId);
+            if (!rule || !user) {
+                await this.sendAndStoreMessage(chatId, 'Rule not found.');
+                return;
+            }
+
+            const result = await this.runBacktest(chatId, rule, days);
+            if (!result) {
+                return;
+            }
+
+            const exportResult = await this.fileExportService.exportBacktestToCSV(user, result);
+            await this.bot.sendDocument(chatId, exportResult.filePath, {
+                caption: `📈 Backtest of ${rule.name} over the last ${days} day${days !== 1 ? 's' : ''} (${result.summary.trades} trades)`
+            });
+        } catch (error) {
+            console.error('Error exporting backtest:', error);
+            await this.sendAndStoreMessage(chatId, '❌ *Export Failed*\n\nSorry, there was an error generating the backtest file. Please try again later.', {
+                parse_mode: 'Markdown'
+            });
+        }
+    }
+
+    /**
+     * Version history of a rule: every change to its name, type and conditions
+     */
+    async handleRuleVersions(chatId, telegramId, ruleId) {
+        try {
+            const rule = await this.db.getRuleById(ruleId);
+            if (!rule) {
+                await this.sendAndStoreMessage(chatId, 'Rule not found.');
+                return;
+            }
+
+            // Records edits made before version history existed as a version of their own
+            const current = await this.db.getCurrentRuleVersion(ruleId);
+            const versions = await this.db.getRuleVersions(ruleId);
+            const shown = versions.slice(0, this.versionHistoryLimit);
+            const escape = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+
+            let message = `*🕘 Rule History: ${escape(rule.name)}*\n\n`;
+            message += shown.map(version => {
+                const triggers = version.trigger_count > 0 ? `, fired ${version.trigger_count}x` : '';
+                const marker = version.version === current ? ' (current)' : '';
+                return `*v${version.version}*${marker} - ${escape(version.summary || 'Changed')}\n_${new Date(version.created_at).toLocaleString()}${triggers}_`;
+            }).join('\n');
+            if (versions.length > shown.length) {
+                message += `\n_...and ${versions.length - shown.length} older versions_`;
+            }
+            message += '\n\nPick a version to see what changed and to roll back to it.';
+
+            // Three version buttons per row
+            const rows = [];
+            for (let i = 0; i < shown.length; i += 3) {
+                rows.push(shown.slice(i, i + 3).map(version => ({
+                    text: `v${version.version}`,
+                    callback_data: `rule_version_${ruleId}_${version.version}`
+                })));
+            }
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        ...rows,
+                        [{ text: '◀️ Back to Rule', callback_data: `rule_${ruleId}` }]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error showing rule history:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error loading the rule history.');
+        }
+    }
+
+    /**
+     * One version of a rule with its changes against the version before it
+     */
+    async handleRuleVersion(chatId, telegramId, ruleId, versionNumber) {
+        try {
+            const rule = await this.db.getRuleById(ruleId);
+            const version = rule ? await this.db.getRuleVersion(ruleId, versionNumber) : null;
+            if (!version) {
+                await this.sendAndStoreMessage(chatId, 'Rule version not found.');
+                return;
+            }
+
+            const current = await this.db.getCurrentRuleVersion(ruleId);
+            const previous = await this.db.getRuleVersion(ruleId, version.version - 1);
+            const snapshot = JSON.parse(version.snapshot);
+            const escape = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+
+            let message = `*🕘 ${escape(rule.name)} v${version.version}*${version.version === current ? ' (current)' : ''}\n\n`;
+            message += `${escape(version.summary || 'Changed')}\n_${new Date(version.created_at).toLocaleString()}_\n\n`;
+
+            if (previous) {
+                const changes = this.diffRuleVersions(JSON.parse(previous.snapshot), snapshot);
+                message += `*Changes since v${previous.version}:*\n`;
+                message += changes.length > 0 ? changes.join('\n') : 'No changes';
+            } else {
+                message += '*Conditions:*\n';
+                message += snapshot.conditions.length > 0
+                    ? snapshot.conditions.map(c => `• ${c.type.replace(/_/g, '\\_')}: ${this.formatConditionValueSafe(c.type, c.value)}`).join('\n')
+                    : 'No conditions set';
+            }
+
+            const keyboard = [];
+            if (version.version !== current) {
+                keyboard.push([{ text: `↩️ Roll back to v${version.version}`, callback_data: `rule_rollback_${ruleId}_${version.version}` }]);
+            }
+            keyboard.push([
+                { text: '◀️ History', callback_data: `rule_history_${ruleId}` },
+                { text: '◀️ Back to Rule', callback_data: `rule_${ruleId}` }
+            ]);
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: { inline_keyboard: keyboard }
+            });
+        } catch (error) {
+            console.error('Error showing rule version:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error loading the rule version.');
+        }
+    }
+
+    /**
+     * Restore a rule to an earlier version. The rollback is itself a new
+     * version, so it can be undone from the history.
+     */
+    async handleRuleRollback(chatId, telegramId, ruleId, versionNumber) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const rule = await this.db.getRuleById(ruleId);
+            if (!rule || !user || rule.user_id !== user.id) {
+                await this.sendAndStoreMessage(chatId, 'Rule not found.');
+                return;
+            }
+
+            const newVersion = await this.db.rollbackRule(ruleId, versionNumber);
+            if (!newVersion) {
+                await this.sendAndStoreMessage(chatId, 'Rule version not found.');
+                return;
+            }
+
+            await this.sendAndStoreMessage(chatId, `↩️ *Rolled back to v${versionNumber}*\n\nThe restored rule is saved as v${newVersion}.`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '🕘 History', callback_data: `rule_history_${ruleId}` },
+                            { text: '◀️ Back to Rule', callback_data: `rule_${ruleId}` }
+                        ]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error rolling back rule:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error rolling back the rule.');
+        }
+    }
+
+    /**
+     * Schedule screen of a rule: days and hours it runs, and pausing it
+     */
+    async handleRuleSchedule(chatId, telegramId, ruleId) {
+        try {
+            const rule = await this.db.getRuleById(ruleId);
+            if (!rule) {
+                await this.sendAndStoreMessage(chatId, 'Rule not found.');
+                return;
+            }
+
+            const schedule = await this.db.getRuleSchedule(ruleId);
+            const escape = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+            const days = schedule ? schedule.days : this.ruleSchedule.allDays;
+
+            let message = `*🗓️ Schedule: ${escape(rule.name)}*\n\n`;
+            message += `*Runs:* ${escape(this.ruleSchedule.describe(schedule))}\n`;
+            if (this.ruleSchedule.isPaused(schedule)) {
+                const until = new Date(schedule.paused_until);
+                message += `*Paused Until:* ${escape(this.ruleSchedule.formatLocal(until, schedule.timezone))} ${escape(schedule.timezone)}\n`;
+            }
+            if (schedule) {
+                message += `*Next Active:* ${escape(this.ruleSchedule.describeNextActive(schedule))}\n`;
+            }
+            if (!rule.is_active) {
+                message += '\n_The rule is deactivated, so it does not run at any time until it is activated again._\n';
+            }
+            message += '\nOutside its schedule the rule buys nothing and its take profits wait until the next window; stop losses, trailing and break-even stops and max hold time still sell. Tap a day to switch it on or off.';
+
+            // Monday first
+            const dayButton = (day) => ({
+                text: `${days & (1 << day) ? '✅' : '▫️'} ${this.ruleSchedule.dayNames[day]}`,
+                callback_data: `rule_schedule_${ruleId}_day_${day}`
+            });
+            const keyboard = [
+                [1, 2, 3, 4].map(dayButton),
+                [5, 6, 0].map(dayButton),
+                [
+                    { text: 'Every Day', callback_data: `rule_schedule_${ruleId}_days_${this.ruleSchedule.allDays}` },
+                    { text: 'Weekdays', callback_data: `rule_schedule_${ruleId}_days_${this.ruleSchedule.weekdays}` },
+                    { text: 'Weekends', callback_data: `rule_schedule_${ruleId}_days_${this.ruleSchedule.weekends}` }
+                ],
+                [
+                    { text: '🕘 Set Hours & Timezone', callback_data: `rule_schedule_${ruleId}_hours` }
+                ],
+                this.pauseOptions.map(hours => ({
+                    text: `⏸️ ${hours}h`,
+                    callback_data: `rule_schedule_${ruleId}_pause_${hours}`
+                })).concat({ text: '⏸️ Until...', callback_data: `rule_schedule_${ruleId}_pauseuntil` })
+            ];
+            if (this.ruleSchedule.isPaused(schedule)) {
+                keyboard.push([{ text: '▶️ Resume Now', callback_data: `rule_schedule_${ruleId}_resume` }]);
+            }
+            if (schedule) {
+                keyboard.push([{ text: '🗑️ Clear Schedule', callback_data: `rule_schedule_${ruleId}_clear` }]);
+            }
+            keyboard.push([{ text: '◀️ Back to Rule', callback_data: `rule_${ruleId}` }]);
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: { inline_keyboard: keyboard }
+            });
+        } catch (error) {
+            console.error('Error showing rule schedule:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error loading the rule schedule.');
+        }
+    }
+
+    /**
+     * Schedule buttons: rule_schedule_<ruleId>_<action>[_<value>]
+     */
+    async handleRuleScheduleAction(chatId, telegramId, callbackData) {
+        try {
+            const [ruleId, action, value] = callbackData.replace('rule_schedule_', '').split('_');
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const rule = await this.db.getRuleById(ruleId);
+            if (!rule || !user || rule.user_id !== user.id) {
+                await this.sendAndStoreMessage(chatId, 'Rule not found.');
+                return;
+            }
+
+            const schedule = await this.db.getRuleSchedule(ruleId);
+            const timezone = schedule ? schedule.timezone : 'UTC';
+
+            switch (action) {
+                case undefined:
+                    break;
+                case 'day':
+                    await this.db.updateRuleSchedule(ruleId, {
+                        days: (schedule ? schedule.days : this.ruleSchedule.allDays) ^ (1 << parseInt(value))
+                    });
+                    break;
+                case 'days':
+                    await this.db.updateRuleSchedule(ruleId, { days: parseInt(value) & this.ruleSchedule.allDays });
+                    break;
+                case 'pause':
+                    await this.db.updateRuleSchedule(ruleId, {
+                        paused_until: new Date(Date.now() + parseInt(value) * 3600000).toISOString()
+                    });
+                    break;
+                case 'resume':
+                    await this.db.updateRuleSchedule(ruleId, { paused_until: null });
+                    break;
+                case 'clear':
+                    await this.db.deleteRuleSchedule(ruleId);
+                    break;
+                case 'hours':
+                    this.userStates.set(telegramId, { editingRule: ruleId, waitingFor: 'scheduleHours' });
+                    await this.sendAndStoreMessage(chatId, `
+*🕘 Trading Hours*
+
+Send the hours this rule may run, optionally followed by a timezone (currently ${timezone.replace(/_/g, '\\_')}):
+
+• \`09:00-17:00\`
+• \`22:00-06:00 Europe/Berlin\` (overnight, counted on the day it starts)
+• \`all day America/New_York\``, {
+                        parse_mode: 'Markdown',
+                        reply_markup: { inline_keyboard: [[{ text: '❌ Cancel', callback_data: `rule_schedule_${ruleId}` }]] }
+                    });
+                    return;
+                case 'pauseuntil':
+                    this.userStates.set(telegramId, { editingRule: ruleId, waitingFor: 'schedulePause' });
+                    await this.sendAndStoreMessage(chatId, `
+*⏸️ Pause Until*
+
+Send how long to pause this rule, or when it should resume (${timezone.replace(/_/g, '\\_')} time):
+
+• \`30m\`, \`12h\` or \`3d\`
+• \`YYYY-MM-DD HH:MM\``, {
+                        parse_mode: 'Markdown',
+                        reply_markup: { inline_keyboard: [[{ text: '❌ Cancel', callback_data: `rule_schedule_${ruleId}` }]] }
+                    });
+                    return;
+                default:
+                    await this.sendAndStoreMessage(chatId, 'Unknown schedule action.');
+                    return;
+            }
+
+            // Leaving a typed entry through the buttons cancels it
+            this.userStates.delete(telegramId);
+            await this.handleRuleSchedule(chatId, telegramId, ruleId);
+        } catch (error) {
+            console.error('Error updating rule schedule:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error updating the rule schedule.');
+        }
+    }
+
+    /**
+     * Typed trading hours or pause end for the rule schedule
+     */
+    async handleScheduleInput(chatId, telegramId, ruleId, waitingFor, text) {
+        const schedule = await this.db.getRuleSchedule(ruleId);
+        const retry = {
+            reply_markup: { inline_keyboard: [[{ text: '❌ Cancel', callback_data: `rule_schedule_${ruleId}` }]] }
+        };
+
+        if (waitingFor === 'scheduleHours') {
+            const result = this.ruleSchedule.parseWindow(text);
+            if (result.error) {
+                await this.sendAndStoreMessage(chatId, `❌ ${result.error}`, retry);
+                return;
+            }
+            await this.db.updateRuleSchedule(ruleId, {
+                start_minute: result.startMinute,
+                end_minute: result.endMinute,
+                ...(result.timezone ? { timezone: result.timezone } : {})
+            });
+        } else {
+            const result = this.ruleSchedule.parsePauseUntil(text, schedule ? schedule.timezone : 'UTC');
+            if (result.error) {
+                await this.sendAndStoreMessage(chatId, `❌ ${result.error}`, retry);
+                return;
+            }
+            await this.db.updateRuleSchedule(ruleId, { paused_until: result.until.toISOString() });
+        }
+
+        this.userStates.delete(telegramId);
+        await this.handleRuleSchedule(chatId, telegramId, ruleId);
+    }
+
+    /**
+     * Changes between two rule version snapshots, as Markdown lines
+     * (+ added, - removed, ~ changed). Conditions are matched by type.
+     */
+    diffRuleVersions(before, after) {
+        const escape = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+        const changes = [];
+
+        if (before.name !== after.name) {
+            changes.push(`~ Name: ${escape(before.name)} → ${escape(after.name)}`);
+        }
+        if (before.type !== after.type) {
+            changes.push(`~ Type: ${escape(before.type)} → ${escape(after.type)}`);
+        }
+
+        const remaining = [...before.conditions];
+        for (const condition of after.conditions) {
+            const type = condition.type.replace(/_/g, '\\_');
+            const index = remaining.findIndex(old => old.type === condition.type);
+            if (index === -1) {
+                changes.push(`+ ${type}: ${this.formatConditionValueSafe(condition.type, condition.value)}`);
+                continue;
+            }
+
+            const [old] = remaining.splice(index, 1);
+            if (old.value !== condition.value || old.operator !== condition.operator) {
+                changes.push(`~ ${type}: ${this.formatConditionValueSafe(old.type, old.value)} → ${this.formatConditionValueSafe(condition.type, condition.value)}`);
+            }
+        }
+        for (const old of remaining) {
+            changes.push(`- ${old.type.replace(/_/g, '\\_')}: ${this.formatConditionValueSafe(old.type, old.value)}`);
+        }
+
+        const structure = (snapshot) => JSON.stringify({
+            groups: snapshot.groups,
+            conditions: snapshot.conditions.map(condition => [condition.type, condition.group])
+        });
+        if (structure(before) !== structure(after)) {
+            changes.push('~ Condition groups (AND/OR/NOT) changed');
+        }
+
+        return changes;
+    }
+
+    /**
+     * Run the backtester, telling the user when there is nothing to replay
+     * @returns {Promise<Object|null>} The backtest result, or null when a message was sent instead
+     */
+    async runBacktest(chatId, rule, days) {
+        const keyboard = {
+            inline_keyboard: [[{ text: '◀️ Back to Rule', callback_data: `rule_${rule.id}` }]]
+        };
+
+        let result;
+        try {
+            result = await this.backtester.run(rule, { since: Date.now() - days * 24 * 60 * 60 * 1000 });
+        } catch (error) {
+            if (error.message && error.message.includes('no buy conditions')) {
+                await this.sendAndStoreMessage(chatId, `📈 ${error.message}. Backtests replay the conditions an autonomous strategy buys on.`, {
+                    reply_markup: keyboard
+                });
+                return null;
+            }
+            throw error;
+        }
+
+        if (result.frames === 0) {
+            await this.sendAndStoreMessage(chatId, `📈 No market snapshots recorded in the last ${days} day${days !== 1 ? 's' : ''} yet. Snapshots are taken every 5 minutes, please try again later.`, {
+                reply_markup: keyboard
+            });
+            return null;
+        }
+        return result;
+    }
+
+    /**
+     * One line of market metrics for a Jupiter token
+     */
+    formatPreviewMetrics(token) {
+        const evaluator = new ConditionEvaluator();
+        const parts = [];
+        const marketCap = evaluator.getMarketCap(token);
+        if (marketCap !== undefined && marketCap !== null) {
+            parts.push(`MC $${this.formatNumber(Math.round(marketCap))}`);
+        }
+        if (token.liquidity !== undefined && token.liquidity !== null) {
+            parts.push(`Liq $${this.formatNumber(Math.round(token.liquidity))}`);
+        }
+        const volume = evaluator.getVolume(token);
+        if (volume !== undefined && volume !== null) {
+            parts.push(`Vol 24h $${this.formatNumber(Math.round(volume))}`);
+        }
+        const change = evaluator.getChange(token, 'priceChange', '1h');
+        if (change !== null) {
+            parts.push(`1h ${change >= 0 ? '+' : ''}${change.toFixed(1)}%`);
+        }
+        return parts.length > 0 ? parts.join(' | ') : 'No market data';
+    }
+
     async handleRuleValueSelection(chatId, telegramId, ruleId) {
         try {
             const userState = this.ruleCreationStates.get(telegramId) || {};
@@ -1330,6 +1961,10 @@ Rule "${rule.name}" has been deactivated successfully.
 • Total Profit: $${rule.total_profit || 0}
 • Average Profit: $${rule.avg_profit || 0}
 
+*📝 Paper Executions:*
+• Successful: ${rule.paper_success_count || 0}
+• Failed: ${rule.paper_failure_count || 0}
+
 *Rule Activity:*
 • Status: ${rule.is_active ? '✅ Active' : '❌ Inactive'}
 • Last Triggered: ${rule.last_check ? new Date(rule.last_check).toLocaleString() : 'Never'}
@@ -1456,21 +2091,11 @@ Please enter the new name for this rule:
             }
 
             const conditions = await this.db.getRuleConditions(ruleId);
+            const groups = await this.db.getConditionGroups(ruleId);
             
             let conditionsText = '';
             if (conditions && conditions.length > 0) {
-                conditionsText = conditions.map((c, index) => {
-                    let value;
-                    try {
-                        // Try to parse as JSON first
-                        value = typeof c.condition_value === 'string' && c.condition_value.startsWith('{') ? 
-                            JSON.parse(c.condition_value) : c.condition_value;
-                    } catch (e) {
-                        // If parsing fails, use the raw value
-                        value = c.condition_value;
-                    }
-                    return `${index + 1}. ${c.condition_type.replace(/_/g, '\\_')}: ${this.formatConditionValue(c.condition_type, value).replace(/_/g, '\\_')}`;
-                }).join('\n');
+                conditionsText = this.formatConditionTree(conditions, groups);
             } else {
                 conditionsText = 'No conditions set';
             }
@@ -1491,6 +2116,9 @@ Choose what you want to modify:`;
                     [
                         { text: '🗑️ Remove Condition', callback_data: `rule_remove_condition_${ruleId}` }
                     ],
+                    [
+                        { text: '🧩 AND / OR / NOT Groups', callback_data: `cgroup_menu_${ruleId}` }
+                    ],
                     [
                         { text: '◀️ Back to Edit Menu', callback_data: `rule_edit_${ruleId}` }
                     ]
@@ -1612,6 +2240,236 @@ Select the condition to remove:
         }
     }
 
+    /**
+     * Rule conditions as an indented tree of their AND/OR/NOT groups, numbered in
+     * the same order as the edit and remove lists
+     */
+    formatConditionTree(conditions, groups) {
+        const numbers = new Map(conditions.map((c, index) => [c.id, index + 1]));
+        const tree = new ConditionEvaluator().buildTree(conditions, groups);
+
+        const lines = [];
+        const walk = (node, depth) => {
+            const indent = '    '.repeat(depth);
+            for (const child of node.children) {
+                if (child.type === 'condition') {
+                    const c = child.condition;
+                    lines.push(`${indent}${numbers.get(c.id)}. ${c.condition_type.replace(/_/g, '\\_')}: ${this.formatConditionValueSafe(c.condition_type, c.condition_value)}`);
+                } else {
+                    lines.push(`${indent}*${this.describeConditionGroup(child)}* (group #${child.id})`);
+                    walk(child, depth + 1);
+                }
+            }
+        };
+        walk(tree, 0);
+
+        if (groups.length > 0) {
+            lines.unshift('_All of:_');
+        }
+        return lines.join('\n');
+    }
+
+    describeConditionGroup(group) {
+        if (group.operator === 'OR') {
+            return group.negate ? 'NONE of' : 'ANY of';
+        }
+        return group.negate ? 'NOT ALL of' : 'ALL of';
+    }
+
+    /**
+     * Route cgroup_* callbacks:
+     * cgroup_menu_<ruleId>, cgroup_new_<and|or>_<ruleId>, cgroup_view_<groupId>_<ruleId>,
+     * cgroup_op_/cgroup_not_/cgroup_sub_/cgroup_del_/cgroup_pick_<groupId>_<ruleId>,
+     * cgroup_move_<conditionId>_<groupId>_<ruleId>
+     */
+    async handleConditionGroupAction(chatId, telegramId, callbackData) {
+        try {
+            const [, action, ...args] = callbackData.split('_');
+            const ruleId = parseInt(args[args.length - 1]);
+            const rule = await this.db.getRuleById(ruleId);
+            if (!rule) {
+                await this.sendAndStoreMessage(chatId, 'Rule not found.');
+                return;
+            }
+
+            if (action === 'menu') {
+                await this.handleConditionGroups(chatId, telegramId, rule);
+                return;
+            }
+            if (action === 'new') {
+                const result = await this.db.createConditionGroup(ruleId, args[0] === 'or' ? 'OR' : 'AND');
+                await this.handleConditionGroupView(chatId, telegramId, rule, result.lastInsertRowid);
+                return;
+            }
+
+            const groupId = parseInt(action === 'move' ? args[1] : args[0]);
+            const group = await this.db.getConditionGroupById(groupId);
+            if (!group || group.rule_id !== ruleId) {
+                await this.sendAndStoreMessage(chatId, 'Condition group not found.');
+                return;
+            }
+
+            switch (action) {
+                case 'view':
+                    break;
+                case 'op':
+                    await this.db.updateConditionGroup(groupId, { operator: group.operator === 'OR' ? 'AND' : 'OR' });
+                    break;
+                case 'not':
+                    await this.db.updateConditionGroup(groupId, { negate: !group.negate });
+                    break;
+                case 'sub': {
+                    const result = await this.db.createConditionGroup(ruleId, 'AND', groupId);
+                    await this.handleConditionGroupView(chatId, telegramId, rule, result.lastInsertRowid);
+                    return;
+                }
+                case 'del':
+                    await this.db.deleteConditionGroup(groupId);
+                    await this.handleConditionGroups(chatId, telegramId, rule);
+                    return;
+                case 'pick':
+                    await this.handleConditionGroupPick(chatId, telegramId, rule, group);
+                    return;
+                case 'move': {
+                    const condition = await this.db.getRuleConditionById(parseInt(args[0]));
+                    if (!condition || condition.rule_id !== ruleId) {
+                        await this.sendAndStoreMessage(chatId, 'Condition not found.');
+                        return;
+                    }
+                    // Tapping a member moves it back out to the group's parent
+                    await this.db.setConditionGroup(condition.id, condition.group_id === groupId ? group.parent_id : groupId);
+                    await this.handleConditionGroupPick(chatId, telegramId, rule, group);
+                    return;
+                }
+                default:
+                    await this.handleRuleCallback(chatId, telegramId, callbackData);
+                    return;
+            }
+
+            await this.handleConditionGroupView(chatId, telegramId, rule, groupId);
+        } catch (error) {
+            console.error('Error handling condition group action:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating condition groups.');
+        }
+    }
+
+    async handleConditionGroups(chatId, telegramId, rule) {
+        const conditions = await this.db.getRuleConditions(rule.id);
+        const groups = await this.db.getConditionGroups(rule.id);
+
+        const message = `
+*🧩 Condition Groups: ${rule.name}*
+
+${conditions.length > 0 ? this.formatConditionTree(conditions, groups) : 'No conditions set'}
+
+A token must match every top-level line. Groups combine their conditions with *ALL* (AND) or *ANY* (OR), can be negated (NOT) and can hold subgroups.
+
+_Example: ANY of (market cap, volume spike) plus NOT ALL of (category) gives (mcap OR volume spike) AND NOT category._`;
+
+        const keyboard = {
+            inline_keyboard: [
+                ...groups.map(group => [{
+                    text: `✏️ Group #${group.id}: ${this.describeConditionGroup(group)}`,
+                    callback_data: `cgroup_view_${group.id}_${rule.id}`
+                }]),
+                [
+                    { text: '➕ New ALL (AND) Group', callback_data: `cgroup_new_and_${rule.id}` },
+                    { text: '➕ New ANY (OR) Group', callback_data: `cgroup_new_or_${rule.id}` }
+                ],
+                [
+                    { text: '◀️ Back to Conditions', callback_data: `rule_edit_conditions_${rule.id}` }
+                ]
+            ]
+        };
+
+        await this.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+
+    async handleConditionGroupView(chatId, telegramId, rule, groupId) {
+        const group = await this.db.getConditionGroupById(groupId);
+        const conditions = await this.db.getRuleConditions(rule.id);
+        const groups = await this.db.getConditionGroups(rule.id);
+        const members = conditions.filter(c => c.group_id === group.id);
+        const subgroups = groups.filter(g => g.parent_id === group.id);
+
+        let contents = '';
+        if (members.length === 0 && subgroups.length === 0) {
+            contents = 'Empty. An empty group is ignored.';
+        } else {
+            const numbers = new Map(conditions.map((c, index) => [c.id, index + 1]));
+            contents = [
+                ...members.map(c => `${numbers.get(c.id)}. ${c.condition_type.replace(/_/g, '\\_')}: ${this.formatConditionValueSafe(c.condition_type, c.condition_value)}`),
+                ...subgroups.map(g => `*${this.describeConditionGroup(g)}* (group #${g.id})`)
+            ].join('\n');
+        }
+
+        const message = `
+*🧩 Group #${group.id}: ${this.describeConditionGroup(group)}*
+${group.parent_id ? `Inside group #${group.parent_id}` : 'At the top level of the rule'}
+
+${contents}`;
+
+        const keyboard = {
+            inline_keyboard: [
+                [
+                    { text: group.operator === 'OR' ? '🔀 Switch to ALL (AND)' : '🔀 Switch to ANY (OR)', callback_data: `cgroup_op_${group.id}_${rule.id}` },
+                    { text: group.negate ? '✅ Remove NOT' : '🚫 Negate (NOT)', callback_data: `cgroup_not_${group.id}_${rule.id}` }
+                ],
+                [
+                    { text: '📥 Choose Conditions', callback_data: `cgroup_pick_${group.id}_${rule.id}` },
+                    { text: '➕ Add Subgroup', callback_data: `cgroup_sub_${group.id}_${rule.id}` }
+                ],
+                [
+                    { text: '🗑️ Delete Group', callback_data: `cgroup_del_${group.id}_${rule.id}` }
+                ],
+                [
+                    { text: '◀️ Back to Groups', callback_data: `cgroup_menu_${rule.id}` }
+                ]
+            ]
+        };
+
+        await this.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+
+    async handleConditionGroupPick(chatId, telegramId, rule, group) {
+        const conditions = await this.db.getRuleConditions(rule.id);
+        if (conditions.length === 0) {
+            await this.sendAndStoreMessage(chatId, 'This rule has no conditions to group yet.');
+            return;
+        }
+
+        const message = `
+*📥 Conditions in Group #${group.id}*
+
+Tap a condition to move it into this group. Tapping a ✅ condition moves it back ${group.parent_id ? `to group #${group.parent_id}` : 'to the top level'}.`;
+
+        const keyboard = {
+            inline_keyboard: [
+                ...conditions.map((condition, index) => {
+                    const where = condition.group_id === group.id ? '✅ ' : (condition.group_id ? `#${condition.group_id} ` : '');
+                    return [{
+                        text: `${where}${index + 1}. ${condition.condition_type}`,
+                        callback_data: `cgroup_move_${condition.id}_${group.id}_${rule.id}`
+                    }];
+                }),
+                [
+                    { text: '◀️ Back to Group', callback_data: `cgroup_view_${group.id}_${rule.id}` }
+                ]
+            ]
+        };
+
+        await this.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+
     async handleTextInput(chatId, telegramId, text) {
         try {
             const userState = this.userStates.get(telegramId);
@@ -1627,6 +2485,11 @@ Select the condition to remove:
                 return true;
             }
 
+            if (userState.waitingFor === 'scheduleHours' || userState.waitingFor === 'schedulePause') {
+                await this.handleScheduleInput(chatId, telegramId, userState.editingRule, userState.waitingFor, text);
+                return true;
+            }
+
             return false; // Input not handled
         } catch (error) {
             console.error('Error handling text input:', error);
@@ -3253,7 +4116,7 @@ The condition has been successfully removed from rule "${rule.name}".`;
             }
 
             // Add condition to database
-            await this.db.createRuleCondition(ruleId, conditionTypeName, conditionValue);
+            await this.db.addRuleCondition(ruleId, conditionTypeName, conditionValue);
 
             const formattedConditionValue = this.formatConditionValue(conditionTypeName, 
                 typeof conditionValue === 'string' && conditionValue.startsWith('{') ? 
@@ -3670,9 +4533,20 @@ Successfully updated ${conditionTypeName.replace(/_/g, '\\_')} condition in rule
                     return `${value.threshold}% ${value.operator === 'gte' ? 'increase' : 'change'} in ${value.timeframe || 'unspecified time'}`;
                 }
                 return String(value);
+
+            case 'discovery_price_change':
+            case 'discovery_volume_change':
+                if (value && typeof value === 'object') {
+                    return `${value.direction === 'decrease' ? '-' : '+'}${value.threshold}% in ${value.timeframe || '24h'}`;
+                }
+                return String(value);
                 
             case 'volume_spike':
+            case 'discovery_volume_spike':
                 if (value && typeof value === 'object') {
+                    if (value.threshold !== undefined) {
+                        return `${value.threshold}% volume increase in ${value.timeWindow || '24h'}`;
+                    }
                     return `${value.multiplier}x volume spike`;
                 }
                 return String(value);
@@ -3715,6 +4589,28 @@ Successfully updated ${conditionTypeName.replace(/_/g, '\\_')} condition in rule
                     return `Trailing stop at ${value.percentage}%`;
                 }
                 return String(value);
+
+            case 'management_break_even':
+                if (value && typeof value === 'object') {
+                    const triggers = [];
+                    if (value.percentage) triggers.push(`+${value.percentage}%`);
+                    if (value.afterTakeProfit) triggers.push('first take profit');
+                    return `Stop to entry after ${triggers.join(' or ')}`;
+                }
+                return String(value);
+
+            case 'management_max_hold':
+                if (value && typeof value === 'object') {
+                    return `${value.action === 'alert' ? 'Alert' : 'Sell'} after ${value.hours}h`;
+                }
+                return String(value);
+
+            case 'manual_take_profit_ladder':
+            case 'management_take_profit_ladder':
+                if (value && Array.isArray(value.rungs)) {
+                    return value.rungs.map(rung => `${rung.sellPercent}% at +${rung.percentage}%`).join(', ');
+                }
+                return String(value);
                 
             case 'management_momentum':
                 if (value && typeof value === 'object') {
@@ -3747,7 +4643,7 @@ Successfully updated ${conditionTypeName.replace(/_/g, '\\_')} condition in rule
                 return String(value);
 
             default:
-                return String(value);
+                return value && typeof value === 'object' ? JSON.stringify(value) : String(value);
         }
     }
 
@@ -1,4 +1,5 @@
 const TelegramErrorHandler = require('../utils/telegramErrorHandler');
+const { getAvailableProviderNames } = require('../services/swapProviders');
 
 class SettingsHandlers {
     constructor(bot, db, config, telegramBotManager = null, autonomousService = null) {
@@ -336,6 +337,9 @@ Configure your default trading parameters:
 • Min Trade Amount: ${settings?.min_trade_amount || '$10'}
 • Max Daily Trades: ${settings?.max_daily_trades || 10}
 • Auto-confirm Trades: ${settings?.auto_confirm ? 'On' : 'Off'}
+• Paper Trading: ${settings?.paper_trading ? 'On 📝' : 'Off'}
+• Swap Providers: ${this.formatProviderOrder(this.getProviderOrder(settings))}
+• Trade Guards: ${this.formatTradeGuards(settings)}
 
 Select a setting to modify:`;
 
@@ -353,6 +357,14 @@ Select a setting to modify:`;
                         { text: '⚡️ Auto-confirm Toggle', callback_data: 'toggle_auto_confirm' },
                         { text: '🔔 Notification Settings', callback_data: 'notification_settings' }
                     ],
+                    [
+                        { text: `📝 Paper Trading: ${settings?.paper_trading ? 'On' : 'Off'}`, callback_data: 'toggle_paper_trading' },
+                        { text: '🔄 Reset Paper Balance', callback_data: 'paper_reset_account' }
+                    ],
+                    [
+                        { text: '🔀 Swap Providers', callback_data: 'swap_providers_menu' },
+                        { text: '🛡 Trade Guards', callback_data: 'guard_menu' }
+                    ],
                     [
                         { text: '◀️ Back to Settings', callback_data: 'settings' }
                     ]
@@ -780,6 +792,218 @@ Select an option to customize:`;
         }
     }
 
+    async handlePaperTradingToggle(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const settings = await this.db.getUserSettings(user.id);
+            const newStatus = !settings?.paper_trading;
+            await this.db.updateUserSettings(user.id, { paper_trading: newStatus });
+            const account = await this.db.getPaperAccount(user.id);
+            const message = `\n*📝 Paper Trading ${newStatus ? 'Enabled' : 'Disabled'}*\n\n${newStatus ? `✅ Buys and sells now fill at live quotes against a virtual balance. Nothing is sent on-chain.\n\n*Paper Balance:* ${account.sol_balance.toFixed(4)} SOL` : '❌ Trades will now execute on-chain with your real wallet.'}`;
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: '◀️ Back to Trade Settings', callback_data: 'trade_settings' }
+                    ]
+                ]
+            };
+            await this.sendAndStoreMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+        } catch (error) {
+            console.error('Error toggling paper trading:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating paper trading settings.');
+        }
+    }
+
+    async handlePaperAccountReset(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const account = await this.db.resetPaperAccount(user.id);
+            const message = `\n*🔄 Paper Account Reset*\n\nAll paper positions were cleared.\n\n*Paper Balance:* ${account.sol_balance.toFixed(4)} SOL`;
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: '◀️ Back to Trade Settings', callback_data: 'trade_settings' }
+                    ]
+                ]
+            };
+            await this.sendAndStoreMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+        } catch (error) {
+            console.error('Error resetting paper account:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while resetting your paper account.');
+        }
+    }
+
+    // Swap provider order
+    getProviderOrder(settings) {
+        const available = getAvailableProviderNames(this.config);
+        const saved = (settings?.swap_provider_order || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(name => available.includes(name));
+        if (saved.length > 0) {
+            return saved;
+        }
+        const defaults = (this.config.swapProviderOrder || ['jupiter', 'raydium']).filter(name => available.includes(name));
+        return defaults.length > 0 ? defaults : available;
+    }
+
+    formatProviderOrder(order) {
+        return order.map(name => name.charAt(0).toUpperCase() + name.slice(1)).join(' → ');
+    }
+
+    async handleSwapProvidersMenu(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const settings = await this.db.getUserSettings(user.id);
+            const current = this.getProviderOrder(settings);
+            const available = getAvailableProviderNames(this.config);
+
+            // Offer each provider as primary with the rest as fallbacks, plus each provider alone
+            const options = [];
+            available.forEach(name => {
+                options.push([name, ...available.filter(other => other !== name)]);
+            });
+            available.forEach(name => options.push([name]));
+
+            // Swaps refuse to fall back to real providers when the saved order names mock or nothing enabled here
+            const savedNames = (settings?.swap_provider_order || '')
+                .split(',')
+                .map(name => name.trim())
+                .filter(Boolean);
+            const unavailable = savedNames.filter(name => !available.includes(name));
+            const blocked = unavailable.includes('mock') || (savedNames.length > 0 && unavailable.length === savedNames.length);
+            const warning = blocked
+                ? `\n\n⚠️ Your saved order uses ${this.formatProviderOrder(unavailable)}, which is not available here, so trades fail until you choose a new order.`
+                : '';
+
+            const message = `*🔀 Swap Providers*\n\nSwaps are tried with each provider in order until one succeeds.\n\n*Current Order:* ${this.formatProviderOrder(current)}${warning}\n\nChoose a provider order:`;
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...options.map(order => [{
+                        text: `${order.join(',') === current.join(',') ? '✅ ' : ''}${order.length === 1 ? `${this.formatProviderOrder(order)} only` : this.formatProviderOrder(order)}`,
+                        callback_data: `swap_provider_order_${order.join(',')}`
+                    }]),
+                    [
+                        { text: '◀️ Back to Trade Settings', callback_data: 'trade_settings' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+        } catch (error) {
+            console.error('Error showing swap providers:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading swap providers.');
+        }
+    }
+
+    async handleSwapProviderOrder(chatId, telegramId, orderValue) {
+        try {
+            const available = getAvailableProviderNames(this.config);
+            const order = orderValue.split(',').filter(name => available.includes(name));
+            if (order.length === 0) {
+                await this.sendAndStoreMessage(chatId, '❌ Unknown swap provider.');
+                return;
+            }
+
+            const user = await this.db.getUserByTelegramId(telegramId);
+            await this.db.updateUserSettings(user.id, { swap_provider_order: order.join(',') });
+
+            await this.sendAndStoreMessage(chatId, `✅ Swap provider order set to: *${this.formatProviderOrder(order)}*`, { parse_mode: 'Markdown' });
+
+            // Return to trade settings after 2 seconds
+            setTimeout(async () => {
+                await this.handleTradeSettings(chatId, telegramId);
+            }, 2000);
+        } catch (error) {
+            console.error('Error setting swap provider order:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating swap providers.');
+        }
+    }
+
+    // Trade guards: price impact and pool liquidity caps
+    getTradeGuards(settings) {
+        return {
+            maxPriceImpact: settings?.max_price_impact ?? 5,
+            maxLiquidityPct: settings?.max_liquidity_pct ?? 2,
+            resize: settings?.resize_oversized_trades === undefined || settings?.resize_oversized_trades === null
+                ? true
+                : !!settings.resize_oversized_trades
+        };
+    }
+
+    formatTradeGuards(settings) {
+        const guards = this.getTradeGuards(settings);
+        return `${guards.maxPriceImpact}% impact, ${guards.maxLiquidityPct}% of pool, ${guards.resize ? 'resize' : 'reject'}`;
+    }
+
+    async handleTradeGuardsMenu(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const settings = await this.db.getUserSettings(user.id);
+            const guards = this.getTradeGuards(settings);
+
+            const message = `*🛡 Trade Guards*
+
+Every buy and sell is checked before it is sent:
+
+• *Max Price Impact:* ${guards.maxPriceImpact}%
+• *Max Pool Share:* ${guards.maxLiquidityPct}% of the pool's liquidity
+• *Oversized Buys:* ${guards.resize ? 'Resized to fit' : 'Rejected'}
+
+Sells that would break a cap are split into smaller chunks.`;
+
+            const mark = (current, value) => (current === value ? '✅ ' : '');
+            const keyboard = {
+                inline_keyboard: [
+                    [1, 3, 5, 10].map(value => ({
+                        text: `${mark(guards.maxPriceImpact, value)}${value}% impact`,
+                        callback_data: `guard_impact_${value}`
+                    })),
+                    [0.5, 1, 2, 5].map(value => ({
+                        text: `${mark(guards.maxLiquidityPct, value)}${value}% pool`,
+                        callback_data: `guard_pool_${value}`
+                    })),
+                    [
+                        { text: guards.resize ? '✂️ Oversized: Resize' : '⛔ Oversized: Reject', callback_data: 'guard_resize_toggle' }
+                    ],
+                    [
+                        { text: '◀️ Back to Trade Settings', callback_data: 'trade_settings' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+        } catch (error) {
+            console.error('Error showing trade guards:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading trade guards.');
+        }
+    }
+
+    async handleTradeGuardUpdate(chatId, telegramId, callbackData) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const settings = await this.db.getUserSettings(user.id);
+
+            if (callbackData === 'guard_resize_toggle') {
+                await this.db.updateUserSettings(user.id, { resize_oversized_trades: !this.getTradeGuards(settings).resize });
+            } else {
+                const value = parseFloat(callbackData.replace(/^guard_(impact|pool)_/, ''));
+                if (isNaN(value) || value <= 0 || value > 100) {
+                    await this.sendAndStoreMessage(chatId, '❌ Invalid trade guard value.');
+                    return;
+                }
+                const column = callbackData.startsWith('guard_impact_') ? 'max_price_impact' : 'max_liquidity_pct';
+                await this.db.updateUserSettings(user.id, { [column]: value });
+            }
+
+            await this.handleTradeGuardsMenu(chatId, telegramId);
+        } catch (error) {
+            console.error('Error updating trade guards:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating trade guards.');
+        }
+    }
+
     // Quick slippage presets
     async handleSlippagePresets(chatId, telegramId) {
         try {
@@ -1,3 +1,4 @@
+const { NATIVE_MINT } = require('@solana/spl-token');
 const TelegramErrorHandler = require('../utils/telegramErrorHandler');
 
 class TradingHandlers {
@@ -11,9 +12,11 @@ class TradingHandlers {
         this.tokenAnalysis = new TokenAnalysis();
         const TradingExecution = require('../modules/tradingExecution');
         this.tradingExecution = new TradingExecution(config);
+        this.tradingExecution.setDatabase(db);
         const BuyManager = require('../modules/buyManager');
         this.buyManager = new BuyManager(config, this.tradingExecution, db);
         this.sellManager = sellManager; // Use the shared instance!
+        this.orderRetryService = null; // Set by TelegramBotManager
         this.userStates = new Map();
         this.lastMessageIds = new Map();
         this.pendingTokenCheck = null;
@@ -51,6 +54,13 @@ class TradingHandlers {
                 return { handled: true, clearState: true };
             }
 
+            // Replies to Sell for Exact SOL / Swap to Token, which may start with a token address
+            const pendingSell = this.sellManager && this.sellManager.pendingSell.get(telegramId);
+            if (pendingSell && (pendingSell.status === 'waiting_for_sol_target' || pendingSell.status === 'waiting_for_swap_target')) {
+                await this.sellManager.handleSwapInput(chatId, telegramId, message);
+                return { handled: true, clearState: false };
+            }
+
             // Check if message looks like a token address and automatically analyze it
             if (this.isTokenAddress(message)) {
                 const tokenAddress = message.trim();
@@ -82,19 +92,24 @@ class TradingHandlers {
                             return { handled: true, clearState: false };
                         }
                         const tokenAddress = userState.data.tokenAddress;
-                        // Show confirmation message before executing
-                        const confirmMsg = `\n*🛒 Confirm Buy Order*\n\n*Token:* \`${tokenAddress}\`\n*Amount:* ${amount} SOL\n\nPlease confirm your buy order:`;
-                        const keyboard = {
-                            inline_keyboard: [
-                                [
-                                    { text: '✅ Confirm Buy', callback_data: `confirm_buy_${tokenAddress}_${amount}` },
-                                    { text: '❌ Cancel', callback_data: 'trade' }
-                                ]
-                            ]
-                        };
-                        await this.sendAndStoreMessage(chatId, confirmMsg, {
-                            parse_mode: 'Markdown',
-                            reply_markup: keyboard
+                        // Compare routes before executing
+                        await this.buyManager.showBuyQuotes(chatId, telegramId, tokenAddress, amount, this);
+                        return { handled: true, clearState: true };
+                    }
+                    case 'awaiting_limit_order':
+                        return await this.handleLimitOrderInput(chatId, telegramId, message, userState.data);
+                    case 'awaiting_exact_buy': {
+                        const tokenAmount = parseFloat(message.trim());
+                        if (isNaN(tokenAmount) || tokenAmount <= 0) {
+                            await this.sendAndStoreMessage(chatId, 'Please enter a valid positive number of tokens.');
+                            return { handled: true, clearState: false };
+                        }
+                        this.bot.userStates.delete(telegramId);
+                        await this.sellManager.confirmSwap(chatId, telegramId, {
+                            inputMint: NATIVE_MINT.toString(),
+                            outputMint: userState.data.tokenAddress,
+                            amount: tokenAmount,
+                            swapMode: 'ExactOut'
                         });
                         return { handled: true, clearState: true };
                     }
@@ -185,6 +200,10 @@ Choose your trading action:`;
                         { text: '🔄 Refresh Holdings', callback_data: 'refresh_holdings' },
                         { text: '📈 Trade History', callback_data: 'trade_history' }
                     ],
+                    [
+                        { text: '📋 Limit Orders', callback_data: 'limit_orders_list' },
+                        { text: '🔁 Retry Queue', callback_data: 'retry_queue' }
+                    ],
                     [
                         { text: '◀️ Back to Main Menu', callback_data: 'main_menu' }
                     ]
@@ -290,7 +309,11 @@ Select buy amount:`;
                                 { text: '5 SOL', callback_data: `buy_amount_5_${tokenAddress}` }
                             ],
                             [
-                                { text: 'Custom Amount', callback_data: `custom_buy_${tokenAddress}` }
+                                { text: 'Custom Amount', callback_data: `custom_buy_${tokenAddress}` },
+                                { text: '🎯 Limit Buy', callback_data: `limit_buy_${tokenAddress}` }
+                            ],
+                            [
+                                { text: '🔢 Buy Exact Tokens', callback_data: `buy_exact_${tokenAddress}` }
                             ],
                             [
                                 { text: '◀️ Back to Trade', callback_data: 'trade' }
@@ -327,7 +350,11 @@ Select buy amount:`;
                                 { text: '5 SOL', callback_data: `buy_amount_5_${tokenAddress}` }
                             ],
                             [
-                                { text: 'Custom Amount', callback_data: `custom_buy_${tokenAddress}` }
+                                { text: 'Custom Amount', callback_data: `custom_buy_${tokenAddress}` },
+                                { text: '🎯 Limit Buy', callback_data: `limit_buy_${tokenAddress}` }
+                            ],
+                            [
+                                { text: '🔢 Buy Exact Tokens', callback_data: `buy_exact_${tokenAddress}` }
                             ],
                             [
                                 { text: '◀️ Back to Trade', callback_data: 'trade' }
@@ -381,27 +408,8 @@ Please enter the token address you want to buy:`;
                 throw new Error('Invalid amount');
             }
 
-            const message = `
-*🛒 Confirm Buy Order*
-
-*Token:* \`${tokenAddress}\`
-*Amount:* ${numericAmount} SOL
-
-Please confirm your buy order:`;
-
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: '✅ Confirm Buy', callback_data: `confirm_buy_${tokenAddress}_${numericAmount}` },
-                        { text: '❌ Cancel', callback_data: 'trade' }
-                    ]
-                ]
-            };
-
-            await this.sendAndStoreMessage(chatId, message, {
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
+            // Quote every route side by side; the user confirms by picking one
+            await this.buyManager.showBuyQuotes(chatId, telegramId, tokenAddress, numericAmount, this);
         } catch (error) {
             console.error('Error handling buy amount:', error);
             await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while processing your buy amount.');
@@ -582,9 +590,13 @@ Please enter the token address you want to analyze:`;
     }
 
     async handleExecuteBuy(chatId, telegramId, params) {
+        let user;
+        let activeWallet;
+        // Set once a swap transaction went out; from then on the buy must never be queued again
+        let sentSignature = null;
         try {
-            const user = await this.db.getUserByTelegramId(telegramId);
-            const activeWallet = await this.db.getActiveWallet(user.id);
+            user = await this.db.getUserByTelegramId(telegramId);
+            activeWallet = await this.db.getActiveWallet(user.id);
 
             if (!activeWallet) {
                 await this.sendAndStoreMessage(chatId, 'No active wallet found. Please create or import a wallet first.');
@@ -632,14 +644,37 @@ Please enter the token address you want to analyze:`;
             );
 
             if (result.success) {
-                // Additional verification: Double-check transaction success
-                await this.verifyBuyTransaction(result.signature, params.tokenAddress, user.id);
+                // Additional verification: Double-check transaction success (skipped for paper and offline fills).
+                // The swap has landed at this point, so bookkeeping failures are logged rather than failing the buy
+                if (!result.paper && !result.offline) {
+                    sentSignature = result.signature;
+                    try {
+                        await this.verifyBuyTransaction(result.signature, params.tokenAddress, user.id);
+                    } catch (verifyError) {
+                        console.error('Error verifying landed buy:', verifyError);
+                    }
+
+                    try {
+                        // Record the trade at its on-chain fill
+                        const trade = await this.db.createTrade(
+                            user.id,
+                            params.tokenAddress,
+                            result.tokensReceived,
+                            result.tokensReceived > 0 ? (result.solAmount || params.amount) / result.tokensReceived : 0,
+                            'buy',
+                            result.fill
+                        );
+                        await this.db.linkTradeTransactions(trade.lastInsertRowid, result);
+                    } catch (recordError) {
+                        console.error('Error recording landed buy:', recordError);
+                    }
+                }
 
                 const message = `
-*✅ Buy Order Executed*
+*✅ ${result.paper ? '📝 Paper ' : ''}Buy Order Executed*
 
 *Token:* \`${params.tokenAddress}\`
-*Amount:* ${params.amount} SOL
+*Amount:* ${result.solAmount || params.amount} SOL${result.guardNote ? `\n*🛡 Trade Guard:* ${result.guardNote}` : ''}
 *Transaction:* \`${result.signature}\`
 *Tokens Received:* ${result.tokensReceived || 'Calculating...'}
 
@@ -666,21 +701,29 @@ Your buy order has been successfully executed!`;
                     reply_markup: keyboard
                 });
             } else {
+                sentSignature = result.sentSignature || null;
                 throw new Error(result.error || 'Buy execution failed');
             }
 
         } catch (error) {
             console.error('Error executing buy:', error);
             
-            // Check if user has a recent failed order for smart retry option
-            const hasRecentOrder = this.buyManager && this.buyManager.hasRecentFailedOrder(telegramId);
-            
-            const message = `\n*❌ Buy Order Failed*\n\n*Error:* ${error.message}\n\nYour buy order could not be completed. Please try again.`;
+            // Queue the order for automatic retries when the failure may be temporary,
+            // but never once a swap was sent: it may have landed and a retry would buy twice
+            const queuedId = user && activeWallet && params.tokenAddress && !sentSignature
+                ? await this.buyManager.queueFailedBuy(user.id, activeWallet.id, params.tokenAddress, parseFloat(params.amount), error.message)
+                : null;
+
+            const message = sentSignature
+                ? `\n*⚠️ Buy Sent — Not Retried*\n\n*Error:* ${error.message.replace(/[_*`[]/g, '\\$&')}\n\nThe transaction \`${sentSignature}\` was sent, so it was not retried. Check it and your wallet before buying again.`
+                : `\n*❌ Buy Order Failed*\n\n*Error:* ${error.message}\n\n${queuedId !== null
+                    ? `*🔁 Queued for automatic retry as #${queuedId}.* You'll be notified when it goes through.`
+                    : 'Your buy order could not be completed. Please try again.'}`;
             const keyboard = {
                 inline_keyboard: [
-                    hasRecentOrder ? [
-                        { text: '🔄 Try Again', callback_data: 'retry_last_buy' },
-                        { text: '🛒 New Order', callback_data: 'buy_token' }
+                    queuedId !== null ? [
+                        { text: '🔄 Retry Now', callback_data: 'retry_last_buy' },
+                        { text: '🔁 Retry Queue', callback_data: 'retry_queue' }
                     ] : [
                         { text: '🔄 Try Again', callback_data: 'buy_token' }
                     ],
@@ -738,6 +781,292 @@ Choose your preferred order type for buying tokens:
         }
     }
 
+    async handleLimitOrders(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const orders = await this.db.getOrdersByUser(user.id, 'open');
+
+            let message = `
+*📋 Limit Orders*
+
+`;
+            if (orders.length === 0) {
+                message += `You have no open limit orders.
+
+To place one, open a token from *Buy Token* or *Sell Token* and tap *🎯 Limit Buy* / *🎯 Limit Sell*.`;
+            } else {
+                for (const order of orders) {
+                    const amountLabel = order.side === 'buy' ? `${order.amount} SOL` : `${order.amount} tokens`;
+                    message += `*#${order.id}* ${order.side.toUpperCase()} \`${order.token_address.slice(0, 8)}...${order.token_address.slice(-4)}\`\n`;
+                    message += `• Amount: ${amountLabel}\n`;
+                    message += `• Trigger: $${order.trigger_price} (${order.side === 'buy' ? 'at or below' : 'at or above'})\n`;
+                    message += `• Expires: ${order.expires_at} UTC\n`;
+                    if (order.last_error) {
+                        message += `• Last attempt: ${order.last_error}\n`;
+                    }
+                    message += '\n';
+                }
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...orders.map(order => ([
+                        { text: `❌ Cancel #${order.id}`, callback_data: `limit_order_cancel_${order.id}` }
+                    ])),
+                    [
+                        { text: '🔄 Refresh', callback_data: 'limit_orders_list' },
+                        { text: '◀️ Back to Trade', callback_data: 'trade' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleLimitOrders:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading your limit orders.');
+        }
+    }
+
+    async handleLimitOrderPrompt(chatId, telegramId, side, tokenAddress) {
+        const amountHint = side === 'buy'
+            ? 'the SOL amount to spend'
+            : 'the token amount to sell (or a percentage of your balance, e.g. `50%`)';
+        const message = `
+*🎯 Limit ${side === 'buy' ? 'Buy' : 'Sell'}*
+
+*Token:* \`${tokenAddress}\`
+
+Send ${amountHint}, the trigger price in USD and optionally the expiry in hours (default 24):
+
+\`<amount> <price> [hours]\`
+
+Example: \`${side === 'buy' ? '0.5 0.00012 48' : '50% 0.0003'}\``;
+
+        const keyboard = {
+            inline_keyboard: [
+                [
+                    { text: '❌ Cancel', callback_data: 'trade' }
+                ]
+            ]
+        };
+
+        await this.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+
+        this.bot.userStates.set(telegramId, {
+            state: 'awaiting_limit_order',
+            data: { side, tokenAddress }
+        });
+    }
+
+    async handleExactBuyPrompt(chatId, telegramId, tokenAddress) {
+        const message = `
+*🔢 Buy Exact Tokens*
+
+*Token:* \`${tokenAddress}\`
+
+How many tokens do you want to receive? Send the amount (e.g. 1000). You'll see the SOL it costs before confirming.`;
+
+        await this.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '❌ Cancel', callback_data: 'trade' }
+                    ]
+                ]
+            }
+        });
+
+        this.bot.userStates.set(telegramId, {
+            state: 'awaiting_exact_buy',
+            data: { tokenAddress }
+        });
+    }
+
+    async handleLimitOrderInput(chatId, telegramId, text, data) {
+        const { side, tokenAddress } = data;
+        const parts = text.trim().split(/\s+/);
+        const price = parseFloat(parts[1]);
+        const expiresInHours = parts[2] ? parseFloat(parts[2]) : 24;
+
+        if (parts.length < 2 || isNaN(price) || price <= 0 || isNaN(expiresInHours) || expiresInHours <= 0) {
+            await this.sendAndStoreMessage(chatId, 'Please use the format `<amount> <price> [hours]`, e.g. `0.5 0.00012 24`.', {
+                parse_mode: 'Markdown'
+            });
+            return { handled: true, clearState: false };
+        }
+
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = await this.db.getActiveWallet(user.id);
+            if (!activeWallet) {
+                await this.sendAndStoreMessage(chatId, 'Please create or import a wallet first.');
+                return { handled: true, clearState: true };
+            }
+
+            let amount;
+            if (side === 'sell' && parts[0].endsWith('%')) {
+                const percentage = parseFloat(parts[0]);
+                if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+                    await this.sendAndStoreMessage(chatId, 'Percentage must be between 0 and 100.');
+                    return { handled: true, clearState: false };
+                }
+                const { PublicKey } = require('@solana/web3.js');
+                const balance = await this.tradingExecution.getTokenBalance(new PublicKey(activeWallet.public_key), tokenAddress);
+                amount = (balance * percentage) / 100;
+            } else {
+                amount = parseFloat(parts[0]);
+            }
+
+            if (isNaN(amount) || amount <= 0) {
+                await this.sendAndStoreMessage(chatId, side === 'sell'
+                    ? 'You have no balance of this token to sell.'
+                    : 'Please enter a valid positive SOL amount.');
+                return { handled: true, clearState: false };
+            }
+
+            const settings = await this.db.getUserSettings(user.id);
+            const slippageBps = Math.round((settings?.default_slippage || 1.0) * 100);
+
+            const order = await this.tradingExecution.executeLimitOrder({
+                user,
+                wallet: activeWallet,
+                tokenAddress,
+                amount,
+                side,
+                price,
+                slippageBps,
+                expiresInHours
+            });
+
+            const message = `
+*✅ Limit Order Placed*
+
+*Order:* #${order.id}
+*Side:* ${side.toUpperCase()}
+*Token:* \`${tokenAddress}\`
+*Amount:* ${side === 'buy' ? `${amount} SOL` : `${amount.toFixed(6)} tokens`}
+*Trigger:* $${price} (${side === 'buy' ? 'at or below' : 'at or above'})
+*Expires:* ${order.expires_at} UTC
+
+You'll be notified when the order fills.`;
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '📋 My Limit Orders', callback_data: 'limit_orders_list' },
+                            { text: '◀️ Back to Trade', callback_data: 'trade' }
+                        ]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error placing limit order:', error);
+            await this.sendAndStoreMessage(chatId, `❌ Could not place limit order: ${error.message}`);
+        }
+        return { handled: true, clearState: true };
+    }
+
+    async handleCancelLimitOrder(chatId, telegramId, orderId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const cancelled = await this.db.cancelOrder(orderId, user.id);
+            await this.sendAndStoreMessage(chatId, cancelled
+                ? `✅ Limit order #${orderId} cancelled.`
+                : `⚠️ Limit order #${orderId} is no longer open.`);
+            await this.handleLimitOrders(chatId, telegramId);
+        } catch (error) {
+            console.error('Error cancelling limit order:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while cancelling the order.');
+        }
+    }
+
+    async handleRetryQueue(chatId, telegramId) {
+        try {
+            if (!this.orderRetryService) {
+                await this.sendAndStoreMessage(chatId, 'The retry queue is not available right now.');
+                return;
+            }
+
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const orders = await this.orderRetryService.listOrders(user.id);
+
+            let message = `
+*🔁 Retry Queue*
+
+`;
+            if (orders.length === 0) {
+                message += 'No failed orders are waiting for a retry.';
+            } else {
+                for (const order of orders) {
+                    const amountLabel = order.side === 'buy' ? `${order.amount} SOL` : `${order.amount} tokens`;
+                    const statusLabel = order.status === 'running'
+                        ? 'retrying now'
+                        : order.status === 'failed'
+                            ? 'gave up'
+                            : order.nextAttemptAt ? `next attempt ${order.nextAttemptAt.toISOString().slice(11, 19)} UTC` : 'waiting';
+                    message += `*#${order.id}* ${order.side.toUpperCase()} \`${order.tokenAddress.slice(0, 8)}...${order.tokenAddress.slice(-4)}\`\n`;
+                    message += `• Amount: ${amountLabel}\n`;
+                    message += `• Attempts: ${order.attempts}/${order.maxAttempts} (${statusLabel})\n`;
+                    if (order.lastError) {
+                        message += `• Last error: ${order.lastError.slice(0, 120).replace(/([_*`\[])/g, '\\$1')}\n`;
+                    }
+                    message += '\n';
+                }
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...orders.filter(order => order.status !== 'running').map(order => ([
+                        { text: `🔄 Retry #${order.id}`, callback_data: `retry_order_now_${order.id}` },
+                        { text: `🗑 Discard #${order.id}`, callback_data: `retry_order_discard_${order.id}` }
+                    ])),
+                    [
+                        { text: '🔄 Refresh', callback_data: 'retry_queue' },
+                        { text: '◀️ Back to Trade', callback_data: 'trade' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleRetryQueue:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading your retry queue.');
+        }
+    }
+
+    async handleRetryQueueAction(chatId, telegramId, action, orderId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            if (action === 'retry') {
+                const retried = this.orderRetryService && await this.orderRetryService.retryNow(user.id, orderId);
+                await this.sendAndStoreMessage(chatId, retried
+                    ? `🔄 Order #${orderId} will be retried right away. You'll be notified of the result.`
+                    : `⚠️ Order #${orderId} can't be retried right now.`);
+            } else {
+                const discarded = this.orderRetryService && await this.orderRetryService.discard(user.id, orderId);
+                await this.sendAndStoreMessage(chatId, discarded
+                    ? `🗑 Order #${orderId} discarded.`
+                    : `⚠️ Order #${orderId} can't be discarded right now.`);
+            }
+            await this.handleRetryQueue(chatId, telegramId);
+        } catch (error) {
+            console.error('Error updating retry queue:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating the order.');
+        }
+    }
+
     async handleTradingSettings(chatId, telegramId, callbackData) {
         try {
             if (callbackData === 'trading_setting_stop_loss') {
@@ -968,6 +1297,17 @@ Choose your preferred trail threshold:`;
                 return;
             }
 
+            if (action.startsWith('buy_route_')) {
+                const providerName = action.replace('buy_route_', '');
+                await this.buyManager.executeQuotedBuy(chatId, telegramId, providerName, this);
+                return;
+            }
+
+            if (action === 'buy_quotes_refresh') {
+                await this.buyManager.refreshBuyQuotes(chatId, telegramId, this);
+                return;
+            }
+
             if (action.startsWith('confirm_buy_execute_')) {
                 // Handle confirm_buy_execute_ pattern
                 const paramString = action.replace('confirm_buy_execute_', '');
@@ -1071,6 +1411,31 @@ Choose your preferred trail threshold:`;
                 return;
             }
 
+            if (action.startsWith('sell_for_sol_')) {
+                await this.sellManager.handleSellForSol(chatId, telegramId, action.replace('sell_for_sol_', ''));
+                return;
+            }
+
+            if (action.startsWith('swap_to_token_')) {
+                await this.sellManager.handleSwapToToken(chatId, telegramId, action.replace('swap_to_token_', ''));
+                return;
+            }
+
+            if (action.startsWith('confirm_swap_')) {
+                const pending = this.sellManager.getAndClearPendingSellByKey(action.replace('confirm_swap_', ''));
+                if (pending && pending.swap) {
+                    await this.sellManager.executeSwap(chatId, telegramId, pending.swap, this.bot);
+                } else {
+                    await this.bot.sendMessage(chatId, 'Swap session expired or invalid. Please try again.');
+                }
+                return;
+            }
+
+            if (action.startsWith('buy_exact_')) {
+                await this.handleExactBuyPrompt(chatId, telegramId, action.replace('buy_exact_', ''));
+                return;
+            }
+
             if (action === 'cancel_sell') {
                 // Clear pending sell state
                 if (this.sellManager && typeof this.sellManager.clearPendingSell === 'function') {
@@ -1080,6 +1445,16 @@ Choose your preferred trail threshold:`;
                 return;
             }
 
+            if (action === 'panic_sell') {
+                await this.sellManager.showPanicSellConfirmation(chatId, telegramId);
+                return;
+            }
+
+            if (action === 'panic_sell_confirm') {
+                await this.sellManager.panicSellAll(chatId, telegramId, this.bot);
+                return;
+            }
+
             if (action === 'refresh_holdings') {
                 await this.handleSellToken(chatId, telegramId);
                 return;
@@ -1119,6 +1494,44 @@ Choose your preferred trail threshold:`;
                 return;
             }
 
+            // Limit order callbacks
+            if (action === 'limit_orders_list' || action === 'set_default_limit_orders') {
+                await this.handleLimitOrders(chatId, telegramId);
+                return;
+            }
+
+            if (action.startsWith('limit_buy_')) {
+                await this.handleLimitOrderPrompt(chatId, telegramId, 'buy', action.replace('limit_buy_', ''));
+                return;
+            }
+
+            if (action.startsWith('limit_sell_')) {
+                await this.handleLimitOrderPrompt(chatId, telegramId, 'sell', action.replace('limit_sell_', ''));
+                return;
+            }
+
+            if (action.startsWith('limit_order_cancel_')) {
+                const orderId = parseInt(action.replace('limit_order_cancel_', ''), 10);
+                await this.handleCancelLimitOrder(chatId, telegramId, orderId);
+                return;
+            }
+
+            // Retry queue callbacks
+            if (action === 'retry_queue') {
+                await this.handleRetryQueue(chatId, telegramId);
+                return;
+            }
+
+            if (action.startsWith('retry_order_now_')) {
+                await this.handleRetryQueueAction(chatId, telegramId, 'retry', action.replace('retry_order_now_', ''));
+                return;
+            }
+
+            if (action.startsWith('retry_order_discard_')) {
+                await this.handleRetryQueueAction(chatId, telegramId, 'discard', action.replace('retry_order_discard_', ''));
+                return;
+            }
+
             // Handle other trade-related actions
             console.warn('Unhandled trade action:', action);
             await this.bot.sendMessage(chatId, 'Sorry, this trade action is not supported. Please try again.');
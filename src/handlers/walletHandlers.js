@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const bs58Module = require('bs58');
 const bs58 = bs58Module.default || bs58Module;
+const { Keypair, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const TelegramErrorHandler = require('../utils/telegramErrorHandler');
 
 class WalletHandlers {
@@ -10,6 +11,7 @@ class WalletHandlers {
         this.config = config;
         this.lastMessageIds = new Map();
         this.lastWalletMessageId = null;
+        this.tradingExecution = null; // Set by the bot manager, closes empty token accounts
     }
 
     // Handle input messages for wallet-related waiting states
@@ -514,27 +516,7 @@ Are you sure you want to proceed?`;
         }
 
         // Decrypt the private key
-        const privateKeyStr = this.decryptPrivateKey(wallet.encrypted_private_key, telegramId);
-        let privateKeyArray;
-
-        try {
-            privateKeyArray = JSON.parse(privateKeyStr);
-        } catch (e) {
-            const Buffer = require('buffer').Buffer;
-            let buf = null;
-            if (/^[A-Za-z0-9+/=]+$/.test(privateKeyStr) && privateKeyStr.length === 88) {
-                buf = Buffer.from(privateKeyStr, 'base64');
-            } else if (/^\d+(,\d+)*$/.test(privateKeyStr)) {
-                buf = Buffer.from(privateKeyStr.split(',').map(n => parseInt(n.trim())));
-            } else {
-                throw new Error("Unknown private key format! Contact support.");
-            }
-            privateKeyArray = Array.from(buf);
-        }
-
-        if (!privateKeyArray || privateKeyArray.length !== 64) {
-            throw new Error("Private key is not 64 bytes long. Cannot export.");
-        }
+        const privateKeyArray = this.parsePrivateKey(this.decryptPrivateKey(wallet.encrypted_private_key, telegramId));
 
         const privateKeyBase58 = bs58.encode(Uint8Array.from(privateKeyArray));
 
@@ -705,6 +687,16 @@ You can now use this wallet for trading.`;
                 return true;
             }
 
+            if (callbackData === 'wallet_reclaim_rent') {
+                await this.handleReclaimRent(chatId, telegramId);
+                return true;
+            }
+
+            if (callbackData === 'wallet_reclaim_rent_confirm') {
+                await this.handleConfirmReclaimRent(chatId, telegramId);
+                return true;
+            }
+
             // --- Logic for selecting a specific wallet to switch to or export ---
             
             if (callbackData.startsWith('export_wallet_')) {
@@ -849,6 +841,143 @@ Select a wallet to activate:`;
     }
 }
 
+    /**
+     * Show how many empty token accounts the active wallet has and the rent they hold
+     */
+    async handleReclaimRent(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const wallet = user ? await this.db.getActiveWallet(user.id) : null;
+            if (!wallet) {
+                await this.sendAndStoreMessage(chatId, 'Please create or import a wallet first.');
+                return;
+            }
+            if (!this.tradingExecution) {
+                await this.sendAndStoreMessage(chatId, 'Rent reclaim is not available right now. Please try again later.');
+                return;
+            }
+
+            const accounts = await this.tradingExecution.raydiumService.getEmptyTokenAccounts(new PublicKey(wallet.public_key));
+            const backKeyboard = {
+                inline_keyboard: [
+                    [{ text: '◀️ Back', callback_data: 'wallet_management' }]
+                ]
+            };
+
+            if (accounts.length === 0) {
+                await this.sendAndStoreMessage(chatId, `
+*🧹 Reclaim Rent*
+
+Your active wallet has no empty token accounts to close.`, {
+                    parse_mode: 'Markdown',
+                    reply_markup: backKeyboard
+                });
+                return;
+            }
+
+            const rentSol = accounts.reduce((sum, account) => sum + account.lamports, 0) / LAMPORTS_PER_SOL;
+            const transactions = Math.ceil(accounts.length / this.tradingExecution.maxCloseAccountsPerTx);
+            const feeSol = transactions * 5000 / LAMPORTS_PER_SOL;
+
+            const message = `
+*🧹 Reclaim Rent*
+
+Your active wallet has *${accounts.length}* empty token account${accounts.length === 1 ? '' : 's'} holding *${rentSol.toFixed(6)} SOL* of rent.
+
+Closing them sends the rent back to your wallet in ${transactions} transaction${transactions === 1 ? '' : 's'} (about ${feeSol.toFixed(6)} SOL in network fees). You can still buy these tokens later; a new account is opened when needed.`;
+
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: `✅ Close ${accounts.length} Account${accounts.length === 1 ? '' : 's'}`, callback_data: 'wallet_reclaim_rent_confirm' },
+                        { text: '❌ Cancel', callback_data: 'wallet_management' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleReclaimRent:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while looking up your token accounts.');
+        }
+    }
+
+    /**
+     * Close the active wallet's empty token accounts and report the SOL recovered
+     */
+    async handleConfirmReclaimRent(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const wallet = user ? await this.db.getActiveWallet(user.id) : null;
+            if (!wallet) {
+                await this.sendAndStoreMessage(chatId, 'Please create or import a wallet first.');
+                return;
+            }
+            if (wallet.is_locked) {
+                await this.sendAndStoreMessage(chatId, 'Please unlock your wallet first to reclaim rent.');
+                return;
+            }
+            if (!this.tradingExecution) {
+                await this.sendAndStoreMessage(chatId, 'Rent reclaim is not available right now. Please try again later.');
+                return;
+            }
+
+            const keypair = Keypair.fromSecretKey(Uint8Array.from(
+                this.parsePrivateKey(this.decryptPrivateKey(wallet.encrypted_private_key, telegramId))
+            ));
+
+            await this.sendAndStoreMessage(chatId, '⏳ Closing empty token accounts...');
+            const result = await this.tradingExecution.reclaimRent(user.id, keypair);
+
+            const backKeyboard = {
+                inline_keyboard: [
+                    [{ text: '◀️ Back to Wallets', callback_data: 'wallet_management' }]
+                ]
+            };
+
+            if (!result.success) {
+                await this.sendAndStoreMessage(chatId, `❌ Rent reclaim failed: ${result.error || result.errors.join('; ')}`, {
+                    reply_markup: backKeyboard
+                });
+                return;
+            }
+
+            if (result.found === 0) {
+                await this.sendAndStoreMessage(chatId, 'Your active wallet has no empty token accounts to close.', {
+                    reply_markup: backKeyboard
+                });
+                return;
+            }
+
+            const reclaimedSol = result.reclaimedLamports / LAMPORTS_PER_SOL;
+            const netSol = (result.reclaimedLamports - result.feeLamports) / LAMPORTS_PER_SOL;
+            let message = `
+*✅ Rent Reclaimed*
+
+Closed *${result.closed}* token account${result.closed === 1 ? '' : 's'}
+Recovered: *${reclaimedSol.toFixed(6)} SOL*
+After network fees: *${netSol.toFixed(6)} SOL*
+
+Transactions: ${result.signatures.map((signature, index) => `[${index + 1}](https://solscan.io/tx/${signature})`).join(' ')}`;
+
+            if (result.failed > 0) {
+                message += `\n\n⚠️ ${result.failed} account${result.failed === 1 ? '' : 's'} could not be closed. Try again in a moment.`;
+            }
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                reply_markup: backKeyboard
+            });
+        } catch (error) {
+            console.error('Error in handleConfirmReclaimRent:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while reclaiming rent.');
+        }
+    }
+
     encryptPrivateKey(privateKey, userId) {
         const algorithm = 'aes-256-cbc';
         const key = crypto.scryptSync(userId, 'salt', 32);
@@ -859,6 +988,33 @@ Select a wallet to activate:`;
         return iv.toString('hex') + ':' + encrypted;
     }
 
+    /**
+     * Secret key bytes from a decrypted private key, stored as a JSON array,
+     * base64 or comma-separated bytes depending on how the wallet was added
+     */
+    parsePrivateKey(privateKeyStr) {
+        let privateKeyArray;
+
+        try {
+            privateKeyArray = JSON.parse(privateKeyStr);
+        } catch (e) {
+            let buf = null;
+            if (/^[A-Za-z0-9+/=]+$/.test(privateKeyStr) && privateKeyStr.length === 88) {
+                buf = Buffer.from(privateKeyStr, 'base64');
+            } else if (/^\d+(,\d+)*$/.test(privateKeyStr)) {
+                buf = Buffer.from(privateKeyStr.split(',').map(n => parseInt(n.trim())));
+            } else {
+                throw new Error("Unknown private key format! Contact support.");
+            }
+            privateKeyArray = Array.from(buf);
+        }
+
+        if (!privateKeyArray || privateKeyArray.length !== 64) {
+            throw new Error("Private key is not 64 bytes long.");
+        }
+        return privateKeyArray;
+    }
+
     decryptPrivateKey(encryptedKey, userId) {
         const algorithm = 'aes-256-cbc';
         const key = crypto.scryptSync(userId, 'salt', 32);
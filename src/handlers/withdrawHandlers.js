@@ -1,6 +1,8 @@
 const { PublicKey, Connection, LAMPORTS_PER_SOL, Keypair, SystemProgram, Transaction } = require('@solana/web3.js');
 const { getAssociatedTokenAddress, createAssociatedTokenAccountInstruction, createTransferInstruction, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const axios = require('axios');
+const TransactionTracker = require('../services/transactionTracker');
+const { walletLock } = require('../services/walletLock');
 
 // --- Helper: Fetch and cache Solana token list
 let solanaTokenList = null;
@@ -271,62 +273,80 @@ class WithdrawHandlers {
         // ... (rest of your transaction logic)
 
         let signature;
+        let pending = false;
         try {
-            if (token.symbol === 'SOL') {
-                // SOL transfer
-                const lamports = Math.floor(amount * LAMPORTS_PER_SOL);
-                const tx = new Transaction().add(
-                    SystemProgram.transfer({
-                        fromPubkey: senderKeypair.publicKey,
-                        toPubkey,
-                        lamports
-                    })
-                );
-                signature = await connection.sendTransaction(tx, [senderKeypair]);
-                await connection.confirmTransaction(signature, 'confirmed');
-            } else {
-                // SPL transfer with ATA creation if needed
-                const mint = new PublicKey(token.mint);
-                const fromTokenAccount = await getAssociatedTokenAddress(mint, senderKeypair.publicKey);
-                const toTokenAccount = await getAssociatedTokenAddress(mint, toPubkey);
-                const decimals = token.decimals || 6;
+            // Queue behind any trade signing for this wallet, then re-check the balance it left
+            await walletLock.run(senderKeypair.publicKey, 'a withdrawal', async () => {
+                if (token.symbol === 'SOL') {
+                    // SOL transfer
+                    const lamports = Math.floor(amount * LAMPORTS_PER_SOL);
+                    const balance = await connection.getBalance(senderKeypair.publicKey);
+                    if (balance < lamports + 5000) {
+                        throw new Error(`Insufficient SOL balance: ${(balance / LAMPORTS_PER_SOL).toFixed(6)} SOL available`);
+                    }
+                    const tx = new Transaction().add(
+                        SystemProgram.transfer({
+                            fromPubkey: senderKeypair.publicKey,
+                            toPubkey,
+                            lamports
+                        })
+                    );
+                    signature = await connection.sendTransaction(tx, [senderKeypair]);
+                    await TransactionTracker.record(this.db, tx, { signature, walletPublicKey: senderKeypair.publicKey, kind: 'withdrawal', userId: user.id });
+                } else {
+                    // SPL transfer with ATA creation if needed
+                    const mint = new PublicKey(token.mint);
+                    const fromTokenAccount = await getAssociatedTokenAddress(mint, senderKeypair.publicKey);
+                    const toTokenAccount = await getAssociatedTokenAddress(mint, toPubkey);
+                    const decimals = token.decimals || 6;
+                    const tokenBalance = await connection.getTokenAccountBalance(fromTokenAccount).catch(() => null);
+                    const available = tokenBalance ? Number(tokenBalance.value.uiAmount || 0) : 0;
+                    if (available < amount) {
+                        throw new Error(`Insufficient ${token.symbol} balance: ${available} available`);
+                    }
 
-                const tx = new Transaction();
-                // Create destination ATA if it doesn't exist
-                const toTokenAccountInfo = await connection.getAccountInfo(toTokenAccount);
-                if (!toTokenAccountInfo) {
+                    const tx = new Transaction();
+                    // Create destination ATA if it doesn't exist
+                    const toTokenAccountInfo = await connection.getAccountInfo(toTokenAccount);
+                    if (!toTokenAccountInfo) {
+                        tx.add(
+                            createAssociatedTokenAccountInstruction(
+                                senderKeypair.publicKey,
+                                toTokenAccount,
+                                toPubkey,
+                                mint
+                            )
+                        );
+                    }
                     tx.add(
-                        createAssociatedTokenAccountInstruction(
-                            senderKeypair.publicKey,
+                        createTransferInstruction(
+                            fromTokenAccount,
                             toTokenAccount,
-                            toPubkey,
-                            mint
+                            senderKeypair.publicKey,
+                            Math.floor(amount * Math.pow(10, decimals))
                         )
                     );
+                    signature = await connection.sendTransaction(tx, [senderKeypair]);
+                    await TransactionTracker.record(this.db, tx, { signature, walletPublicKey: senderKeypair.publicKey, kind: 'withdrawal', userId: user.id });
                 }
-                tx.add(
-                    createTransferInstruction(
-                        fromTokenAccount,
-                        toTokenAccount,
-                        senderKeypair.publicKey,
-                        Math.floor(amount * Math.pow(10, decimals))
-                    )
-                );
-                signature = await connection.sendTransaction(tx, [senderKeypair]);
                 await connection.confirmTransaction(signature, 'confirmed');
-            }
+            });
         } catch (err) {
             console.error("SPL Withdrawal error:", err);
-            await this.messageManager.sendAndStoreMessage(
-                chatId,
-                `❌ Withdrawal failed: ${err.message}`
-            );
-            this.bot.userStates.delete(telegramId);
-            return;
+            if (!signature) {
+                await this.messageManager.sendAndStoreMessage(
+                    chatId,
+                    `❌ Withdrawal failed: ${err.message}`
+                );
+                this.bot.userStates.delete(telegramId);
+                return;
+            }
+            // Sent but not confirmed in time: the transaction tracker keeps following it
+            pending = true;
         }
 
         // Log withdrawal in DB (optional)
-        await this.db.insertWithdrawal({
+        const withdrawal = await this.db.insertWithdrawal({
             user_id: user.id,
             from_address: senderKeypair.publicKey.toString(),
             to_address: toPubkey.toString(),
@@ -334,14 +354,18 @@ class WithdrawHandlers {
             token: token.symbol,
             token_mint: token.mint,
             tx_signature: signature,
-            status: 'success',
+            status: pending ? 'pending' : 'success',
             created_at: new Date()
         });
+        await this.db.linkTransactionReference(signature, 'withdrawal', withdrawal.lastInsertRowid);
 
         // Notify user
+        const withdrawalMessage = pending
+            ? `⏳ Withdrawal submitted but not yet confirmed.\n\n*${amount} ${token.symbol}* to \`${address}\`\n\nThe transaction is being tracked and will be resent automatically if it expires.\n\n[View on Solana Explorer](https://solscan.io/tx/${signature})`
+            : `✅ Withdrawal successful!\n\n*${amount} ${token.symbol}* sent to \`${address}\`\n\n[View on Solana Explorer](https://solscan.io/tx/${signature})`;
         await this.messageManager.sendAndStoreMessage(
             chatId,
-            `✅ Withdrawal successful!\n\n*${amount} ${token.symbol}* sent to \`${address}\`\n\n[View on Solana Explorer](https://solscan.io/tx/${signature})`,
+            withdrawalMessage,
             { parse_mode: 'Markdown', disable_web_page_preview: true }
         );
 
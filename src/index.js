@@ -6,6 +6,10 @@ const DatabaseManager = require('./modules/database');
 const FeeManagement = require('./modules/feeManagement');
 const TradingExecution = require('./modules/tradingExecution');
 const ManualManagementService = require('./services/manualManagementService');
+const LimitOrderService = require('./services/limitOrderService');
+const OrderRetryService = require('./services/orderRetryService');
+const TransactionTracker = require('./services/transactionTracker');
+const MarketSnapshotService = require('./services/marketSnapshotService');
 const winston = require('winston');
 const cron = require('node-cron');
 
@@ -49,16 +53,28 @@ const config = {
     jupiterApiKey: process.env.JUPITER_API_KEY,
     birdEyeApiKey: process.env.BIRDEYE_API_KEY,
     dexscreenerApiKey: process.env.DEXSCREENER_API_KEY,
-    // Trading configuration - Jupiter ONLY with Raydium fallback
-    tradingProvider: 'jupiter', // Force Jupiter as primary
-    enableFallback: true, // Keep Raydium as fallback only
-    preferJupiter: true // New flag to strongly prefer Jupiter
+    // Swap providers - default order, users can override it in Trade Settings
+    swapProviderOrder: (process.env.SWAP_PROVIDER_ORDER || 'jupiter,raydium').split(',').map(name => name.trim()),
+    enableFallback: process.env.ENABLE_TRADING_FALLBACK !== 'false', // Try the next provider when one fails
+    enableMockProvider: process.env.ENABLE_MOCK_SWAP_PROVIDER === 'true', // Deterministic offline provider for testing flows
+    // Failed buys and sells are queued and retried with capped exponential backoff
+    orderRetry: {
+        maxAttempts: parseInt(process.env.ORDER_RETRY_MAX_ATTEMPTS) || 5,
+        backoffMs: parseInt(process.env.ORDER_RETRY_BACKOFF_MS) || 30000,
+        maxBackoffMs: parseInt(process.env.ORDER_RETRY_MAX_BACKOFF_MS) || 10 * 60 * 1000,
+        maxQuoteDriftPct: parseFloat(process.env.ORDER_RETRY_MAX_QUOTE_DRIFT_PCT) || 5
+    },
+    // Market snapshots for rule backtesting are kept this many days
+    snapshotRetentionDays: parseInt(process.env.SNAPSHOT_RETENTION_DAYS) || 14,
+    // Telegram user ids allowed to add strategy templates, comma separated
+    adminTelegramIds: (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
 };
 
 // Initialize components
 const db = new DatabaseManager();
 const feeManager = new FeeManagement(config);
 const tradingExecution = new TradingExecution(config);
+tradingExecution.setDatabase(db);
 const strategyEngine = new StrategyEngine(config);
 
 // Initialize Telegram bot manager (webhook-only)
@@ -70,6 +86,8 @@ async function initializeBot() {
     try {
         await webhookServer.waitForBotInitialization();
         telegramBotManager.setBot(webhookServer.getBot());
+        limitOrderService.telegramBot = telegramBotManager.bot;
+        orderRetryService.telegramBot = telegramBotManager.bot;
         console.log('Telegram bot manager initialized successfully');
     } catch (error) {
         console.error('Failed to initialize telegram bot manager:', error);
@@ -84,6 +102,15 @@ initializeBot();
 const manualManagementService = new ManualManagementService(config, db, tradingExecution, telegramBotManager.bot);
 // Step 3: set manualManagementService on telegramBot
 telegramBotManager.manualManagementService = manualManagementService;
+// Step 4: create limitOrderService to watch and fill open limit orders
+const limitOrderService = new LimitOrderService(config, db, tradingExecution, telegramBotManager.bot);
+// Step 5: create transactionTracker to follow sent transactions until they settle
+const transactionTracker = new TransactionTracker(config, db);
+// Step 6: create orderRetryService to retry failed buys and sells
+const orderRetryService = new OrderRetryService(config, db, tradingExecution, telegramBotManager.bot);
+telegramBotManager.orderRetryService = orderRetryService;
+// Step 7: create marketSnapshotService to record market history for rule backtests
+const marketSnapshotService = new MarketSnapshotService(config, db);
 
 // Background jobs
 function initializeBackgroundJobs() {
@@ -91,7 +118,7 @@ function initializeBackgroundJobs() {
     cron.schedule('*/5 * * * *', async () => {
         try {
             logger.info('Running market data update job');
-            // TODO: Implement market data update logic
+            await marketSnapshotService.recordSnapshot();
         } catch (error) {
             logger.error(`Error in market data update job: ${error.message}`);
         }
@@ -156,6 +183,12 @@ async function start() {
         initializeBackgroundJobs();
         // Start manual management monitoring
         manualManagementService.startMonitoring();
+        // Start limit order monitoring
+        limitOrderService.startMonitoring();
+        // Start transaction lifecycle tracking
+        transactionTracker.startMonitoring();
+        // Start retrying queued failed orders (Redis when available, SQLite otherwise)
+        await orderRetryService.start();
         
         logger.info('4T-Bot application started successfully');
     } catch (error) {
@@ -1,8 +1,15 @@
 const { LAMPORTS_PER_SOL, Keypair } = require('@solana/web3.js');
+const { NATIVE_MINT } = require('@solana/spl-token');
 const bs58 = require('bs58');
 const crypto = require('crypto');
 const TokenAnalysis = require('./tokenAnalysis');
 
+// Escape the characters that are special in Telegram's legacy Markdown
+function escapeMarkdown(text) {
+    if (!text) return '';
+    return text.toString().replace(/([_*`\[])/g, '\\$1');
+}
+
 class BuyManager {
     constructor(config, tradingExecution, db, manualManagementService) {
         this.config = config;
@@ -10,8 +17,10 @@ class BuyManager {
         this.db = db;
         this.manualManagementService = manualManagementService;
         this.pendingBuyAmount = new Map(); // Store pending buy amounts for users
-        this.lastFailedOrder = new Map(); // Store last failed order details for retry
+        this.orderRetryService = null; // Failed buys are queued here for retry; set by TelegramBotManager
         this.tokenAnalysis = new TokenAnalysis();
+        this.quoteTtlMs = 30000; // Quotes older than this are re-fetched before executing
+        this.quoteSlippageBps = 50;
     }
 
     async initiateBuy(chatId, telegramId, bot) {
@@ -91,25 +100,83 @@ Please enter the amount of SOL you want to spend:
                 throw new Error('Invalid amount. Please enter a positive number.');
             }
 
-            // Store the amount for execution
+            // Compare routes before confirming
+            await this.showBuyQuotes(chatId, telegramId, pendingBuy.tokenAddress, solAmount, bot);
+        } catch (error) {
+            console.error('Error processing buy amount:', error);
+            await bot.sendAndStoreMessage(chatId, `Sorry, couldn't process the buy: ${error.message}`);
+            this.clearPendingBuy(telegramId);
+        }
+    }
+
+    /**
+     * Quote the buy with every swap provider in parallel and show them side by
+     * side, one button per route. The quotes are kept on the pending buy until
+     * they expire after quoteTtlMs.
+     */
+    async showBuyQuotes(chatId, telegramId, tokenAddress, solAmount, bot, notice = '') {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const [tokenInfo, comparison] = await Promise.all([
+                this.tradingExecution.getTokenInfo(tokenAddress),
+                this.tradingExecution.getQuoteComparison(
+                    user.id,
+                    NATIVE_MINT.toString(),
+                    tokenAddress,
+                    Math.floor(solAmount * LAMPORTS_PER_SOL),
+                    this.quoteSlippageBps
+                )
+            ]);
+
+            const available = comparison.filter(entry => entry.quote);
+            const best = available.reduce((top, entry) => (!top || entry.quote.outAmount > top.quote.outAmount ? entry : top), null);
+            const expiresAt = Date.now() + this.quoteTtlMs;
+
             this.pendingBuyAmount.set(telegramId, {
-                ...pendingBuy,
                 status: 'ready_to_execute',
-                amount: solAmount
+                tokenAddress,
+                amount: solAmount,
+                quotes: Object.fromEntries(available.map(entry => [entry.provider, entry.quote])),
+                quotesExpireAt: expiresAt
+            });
+
+            const decimals = tokenInfo.decimals || 9;
+            const symbol = escapeMarkdown(tokenInfo.symbol || 'tokens');
+            const sections = comparison.map(entry => {
+                if (!entry.quote) {
+                    return `*${entry.label}* — ❌ No quote\n• ${escapeMarkdown((entry.error || 'Unavailable').slice(0, 120))}`;
+                }
+                const { outAmount, priceImpactPct, routeHops = [], feeLamports = 0 } = entry.quote;
+                const hops = routeHops.length || 1;
+                const route = routeHops.length ? ` (${escapeMarkdown(routeHops.join(' → '))})` : '';
+                return [
+                    `*${entry.label}*${entry === best ? ' ⭐ Best' : ''}`,
+                    `• Output: ${(outAmount / Math.pow(10, decimals)).toFixed(6)} ${symbol}`,
+                    `• Price Impact: ${Number(priceImpactPct || 0).toFixed(2)}%`,
+                    `• Route: ${hops} hop${hops === 1 ? '' : 's'}${route}`,
+                    `• Pool Fees: ~${(feeLamports / LAMPORTS_PER_SOL).toFixed(6)} SOL`
+                ].join('\n');
             });
 
+            const expiryTime = new Date(expiresAt).toISOString().substring(11, 19);
             const message = `
-*🛒 Confirm Buy Order*
+${notice ? `${notice}\n` : ''}*🛒 Compare Buy Routes*
 
-*Token:* \`${pendingBuy.tokenAddress}\`
+*Token:* ${escapeMarkdown(tokenInfo.name || '')} (\`${tokenAddress}\`)
 *Amount:* ${solAmount} SOL
+*Bot Fee:* ${(solAmount * 0.01).toFixed(4)} SOL (1%)
 
-Please confirm your order:`;
+${sections.join('\n\n')}
+
+⏱ Quotes valid for ${this.quoteTtlMs / 1000}s (until ${expiryTime} UTC). Expired quotes are re-fetched when you pick a route.`;
 
             const keyboard = {
                 inline_keyboard: [
+                    ...available.map(entry => [
+                        { text: `✅ Buy via ${entry.label}${entry === best ? ' ⭐' : ''}`, callback_data: `buy_route_${entry.provider}` }
+                    ]),
                     [
-                        { text: '✅ Confirm Buy', callback_data: `confirm_buy_execute_${solAmount}` },
+                        { text: '🔄 Refresh Quotes', callback_data: 'buy_quotes_refresh' },
                         { text: '❌ Cancel', callback_data: 'cancel_buy' }
                     ]
                 ]
@@ -120,15 +187,63 @@ Please confirm your order:`;
                 reply_markup: keyboard
             });
         } catch (error) {
-            console.error('Error processing buy amount:', error);
-            await bot.sendAndStoreMessage(chatId, `Sorry, couldn't process the buy: ${error.message}`);
+            console.error('Error showing buy quotes:', error);
+            await bot.sendAndStoreMessage(chatId, `Sorry, couldn't fetch quotes: ${error.message}`);
             this.clearPendingBuy(telegramId);
         }
     }
 
+    /**
+     * Re-fetch the quotes of the pending buy
+     */
+    async refreshBuyQuotes(chatId, telegramId, bot) {
+        const pendingBuy = this.pendingBuyAmount.get(telegramId);
+        if (!pendingBuy || !pendingBuy.tokenAddress || !pendingBuy.amount) {
+            await bot.sendAndStoreMessage(chatId, 'No pending buy found. Please start a new buy order.');
+            return;
+        }
+        await this.showBuyQuotes(chatId, telegramId, pendingBuy.tokenAddress, pendingBuy.amount, bot);
+    }
+
+    /**
+     * Execute the pending buy through the route the user picked, re-quoting
+     * first when the shown quotes have expired
+     */
+    async executeQuotedBuy(chatId, telegramId, providerName, bot) {
+        const pendingBuy = this.pendingBuyAmount.get(telegramId);
+        if (!pendingBuy || pendingBuy.status !== 'ready_to_execute' || !pendingBuy.quotes) {
+            await bot.sendAndStoreMessage(chatId, 'No pending buy found. Please start a new buy order.');
+            return;
+        }
+
+        if (Date.now() > pendingBuy.quotesExpireAt) {
+            await this.showBuyQuotes(
+                chatId,
+                telegramId,
+                pendingBuy.tokenAddress,
+                pendingBuy.amount,
+                bot,
+                '*⏱ Quotes expired* — here are fresh ones, pick your route again.'
+            );
+            return;
+        }
+
+        if (!pendingBuy.quotes[providerName]) {
+            await bot.sendAndStoreMessage(chatId, 'That route has no quote. Please pick another route or refresh the quotes.');
+            return;
+        }
+
+        this.pendingBuyAmount.set(telegramId, { ...pendingBuy, route: providerName });
+        await this.executeBuy(chatId, telegramId, pendingBuy.amount, bot);
+    }
+
     async executeBuy(chatId, telegramId, amount, bot) {
         const pendingBuy = this.pendingBuyAmount.get(telegramId);
         let solAmount;
+        let user;
+        let activeWallet;
+        // Set once a swap transaction went out; from then on the buy must never be queued again
+        let sentSignature = null;
         
         try {
             if (!pendingBuy || pendingBuy.status !== 'ready_to_execute') {
@@ -141,8 +256,8 @@ Please confirm your order:`;
                 throw new Error('Invalid amount. Please enter a positive number.');
             }
 
-            const user = await this.db.getUserByTelegramId(telegramId);
-            const activeWallet = await this.db.getActiveWallet(user.id);
+            user = await this.db.getUserByTelegramId(telegramId);
+            activeWallet = await this.db.getActiveWallet(user.id);
 
             if (!activeWallet) {
                 const message = `
@@ -197,19 +312,46 @@ Please wait while we process your order...`, {
                 parse_mode: 'Markdown'
             });
 
-            // Execute the buy
+            // Execute the buy, through the picked route and quote when there is one
             const result = await this.tradingExecution.executeBuy(
                 user.id,
                 pendingBuy.tokenAddress,
-                solAmount
+                solAmount,
+                pendingBuy.route
+                    ? { provider: pendingBuy.route, quote: pendingBuy.quotes[pendingBuy.route] }
+                    : {}
             );
 
             if (!result.success) {
+                sentSignature = result.sentSignature || null;
                 throw new Error(result.error || 'Failed to execute buy');
             }
 
-            // Additional verification: Double-check transaction success
-            await this.verifyBuySuccess(result.signature, pendingBuy.tokenAddress, user.id);
+            // Additional verification: Double-check transaction success (paper and offline fills never hit the chain).
+            // The swap has landed at this point, so bookkeeping failures are logged rather than failing the buy
+            if (!result.paper && !result.offline) {
+                sentSignature = result.signature;
+                try {
+                    await this.verifyBuySuccess(result.signature, pendingBuy.tokenAddress, user.id);
+                } catch (verifyError) {
+                    console.error('Error verifying landed buy:', verifyError);
+                }
+
+                try {
+                    // Record the trade at its on-chain fill
+                    const trade = await this.db.createTrade(
+                        user.id,
+                        pendingBuy.tokenAddress,
+                        result.tokensReceived,
+                        result.tokensReceived > 0 ? (result.solAmount || solAmount) / result.tokensReceived : 0,
+                        'buy',
+                        result.fill
+                    );
+                    await this.db.linkTradeTransactions(trade.lastInsertRowid, result);
+                } catch (recordError) {
+                    console.error('Error recording landed buy:', recordError);
+                }
+            }
 
             // Trigger manual management monitoring for this token
             if (this.manualManagementService) {
@@ -226,19 +368,23 @@ Please wait while we process your order...`, {
             }
 
             // Format success message
+            const transactionLine = result.paper
+                ? '*📝 Paper trade* — simulated fill, no transaction sent'
+                : `*Transaction:* [View on Solscan](https://solscan.io/tx/${result.signature})`;
+
             const message = `
-*✅ Buy Order Executed Successfully!*
+*✅ ${result.paper ? 'Paper ' : ''}Buy Order Executed Successfully!*
 
-*Token:* ${result.name} (${result.symbol})
-*Amount:* ${result.tokensReceived.toFixed(6)} ${result.symbol}
+*Token:* ${escapeMarkdown(result.name)} (${escapeMarkdown(result.symbol)})
+*Amount:* ${result.tokensReceived.toFixed(6)} ${escapeMarkdown(result.symbol)}
 *Price:* ${result.tokenPrice.toFixed(6)} SOL
-*Total Cost:* ${solAmount} SOL
+*Total Cost:* ${result.solAmount || solAmount} SOL${result.guardNote ? `\n*🛡 Trade Guard:* ${result.guardNote}` : ''}
 
 *Fees:*
 • Bot Fee: ${result.botFee.toFixed(4)} SOL
 • Network Fee: ${result.networkFee.toFixed(4)} SOL
 
-*Transaction:* [View on Solscan](https://solscan.io/tx/${result.signature})
+${transactionLine}
 
 *Price Impact:* ${result.priceImpact.toFixed(2)}%`;
 
@@ -252,19 +398,26 @@ Please wait while we process your order...`, {
         } catch (error) {
             console.error('Error executing buy:', error);
             
-            // Store failed order details for retry functionality if we have the order details
-            if (pendingBuy && solAmount) {
-                this.lastFailedOrder.set(telegramId, {
-                    tokenAddress: pendingBuy.tokenAddress,
-                    amount: solAmount,
-                    timestamp: Date.now()
-                });
-                console.log(`Stored failed order for retry: ${pendingBuy.tokenAddress}, ${solAmount} SOL`);
+            // Queue the order for automatic retries when the failure may be temporary,
+            // but never once a swap was sent: it may have landed and a retry would buy twice
+            let queuedId = null;
+            if (pendingBuy && solAmount && user && activeWallet && !sentSignature) {
+                // The picked route's quote is the reference the retries are held to
+                const quote = pendingBuy.route && pendingBuy.quotes ? pendingBuy.quotes[pendingBuy.route] : null;
+                queuedId = await this.queueFailedBuy(user.id, activeWallet.id, pendingBuy.tokenAddress, solAmount, error.message, quote ? quote.outAmount : null);
             }
             
             // Format error message based on error type
             let errorMessage;
-            if (error.message.includes('Transaction expired')) {
+            if (sentSignature) {
+                errorMessage = `
+*⚠️ Buy Sent — Not Retried*
+
+The buy transaction was sent, but it did not complete cleanly:
+${escapeMarkdown(error.message)}
+
+Check the [transaction on Solscan](https://solscan.io/tx/${sentSignature}) and your wallet before buying again.`;
+            } else if (error.message.includes('Transaction expired')) {
                 errorMessage = `
 *⚠️ Transaction Expired*
 
@@ -311,13 +464,20 @@ ${raydiumLine ? `*Raydium:* \`${raydiumLine}\`` : 'We could not complete your bu
 You can retry with the same details or start a new order.`;
             }
 
-            // Add retry keyboard if order details were stored
+            if (queuedId !== null) {
+                errorMessage += `\n\n*🔁 Queued for automatic retry as #${queuedId}.* You'll be notified when it goes through.`;
+            }
+
+            // Add retry buttons if the order was queued
             const keyboard = {
                 inline_keyboard: [
-                    [
-                        { text: '🔄 Retry Same Order', callback_data: 'retry_last_buy' },
+                    queuedId !== null ? [
+                        { text: '🔄 Retry Now', callback_data: 'retry_last_buy' },
+                        { text: '🛒 New Order', callback_data: 'buy_token' }
+                    ] : [
                         { text: '🛒 New Order', callback_data: 'buy_token' }
                     ],
+                    ...(queuedId !== null ? [[{ text: '🔁 Retry Queue', callback_data: 'retry_queue' }]] : []),
                     [
                         { text: '◀️ Back to Trade', callback_data: 'trade' }
                     ]
@@ -379,26 +539,8 @@ You can retry with the same details or start a new order.`;
                 throw new Error('Invalid amount. Please enter a positive number.');
             }
 
-            // Store the amount for execution
-            this.pendingBuyAmount.set(telegramId, {
-                ...pendingBuy,
-                status: 'ready_to_execute',
-                amount: solAmount
-            });
-
-            const message = `\n*🛒 Confirm Buy Order*\n\n*Token:* \`${pendingBuy.tokenAddress}\`\n*Amount:* ${solAmount} SOL\n\nPlease confirm your order:`;
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: '✅ Confirm Buy', callback_data: `confirm_buy_execute_${pendingBuy.tokenAddress}_${solAmount}` },
-                        { text: '❌ Cancel', callback_data: 'cancel_buy' }
-                    ]
-                ]
-            };
-            await bot.sendAndStoreMessage(chatId, message, {
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
+            // Compare routes before confirming
+            await this.showBuyQuotes(chatId, telegramId, pendingBuy.tokenAddress, solAmount, bot);
         } catch (error) {
             console.error('Error processing custom buy amount:', error);
             await bot.sendAndStoreMessage(chatId, `Sorry, couldn't process the custom buy: ${error.message}`);
@@ -502,79 +644,58 @@ You can retry with the same details or start a new order.`;
     }
 
     /**
-     * Retry the last failed buy order without asking for token address or amount again
+     * Put a failed buy in the retry queue. quotedOutAmount is the quote the buy
+     * was made at, when known. Resolves to the queued order id, or null when there
+     * is no queue or the failure is not worth retrying.
+     */
+    async queueFailedBuy(userId, walletId, tokenAddress, solAmount, errorMessage, quotedOutAmount = null) {
+        if (!this.orderRetryService) {
+            return null;
+        }
+        try {
+            return await this.orderRetryService.enqueueFailedOrder({
+                userId,
+                walletId,
+                side: 'buy',
+                tokenAddress,
+                amount: solAmount,
+                slippageBps: this.quoteSlippageBps,
+                quotedOutAmount
+            }, errorMessage);
+        } catch (error) {
+            console.error('Error queueing failed buy:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Run the user's most recently queued buy now instead of waiting for its backoff
      */
     async retryLastFailedOrder(chatId, telegramId, bot) {
         try {
-            const lastOrder = this.lastFailedOrder.get(telegramId);
-            
-            if (!lastOrder) {
-                await bot.sendAndStoreMessage(chatId, 'No previous order found to retry.');
+            if (!this.orderRetryService) {
+                await bot.sendAndStoreMessage(chatId, 'The retry queue is not available right now.');
                 return;
             }
 
-            // Check if the order is not too old (e.g., 1 hour)
-            const oneHour = 60 * 60 * 1000; // 1 hour in milliseconds
-            if (Date.now() - lastOrder.timestamp > oneHour) {
-                this.lastFailedOrder.delete(telegramId);
-                await bot.sendAndStoreMessage(chatId, 'Previous order expired. Please start a new buy order.');
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const orders = await this.orderRetryService.listOrders(user.id);
+            const lastOrder = orders.find(order => order.side === 'buy' && order.status !== 'running');
+
+            if (!lastOrder) {
+                await bot.sendAndStoreMessage(chatId, 'No queued buy order found to retry.');
                 return;
             }
 
-            // Set up the pending buy with the same parameters
-            this.pendingBuyAmount.set(telegramId, {
-                status: 'ready_to_execute',
-                tokenAddress: lastOrder.tokenAddress,
-                amount: lastOrder.amount
-            });
-
-            // Show confirmation with the same parameters
-            const message = `
-*🔄 Retry Buy Order*
-
-*Token:* \`${lastOrder.tokenAddress}\`
-*Amount:* ${lastOrder.amount} SOL
-
-Retrying your previous order. Please confirm:`;
-
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: '✅ Confirm Retry', callback_data: `confirm_buy_execute_${lastOrder.amount}` },
-                        { text: '❌ Cancel', callback_data: 'cancel_buy' }
-                    ]
-                ]
-            };
-
-            await bot.sendAndStoreMessage(chatId, message, {
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
-
+            const retried = await this.orderRetryService.retryNow(user.id, lastOrder.id);
+            await bot.sendAndStoreMessage(chatId, retried
+                ? `🔄 Retrying order #${lastOrder.id} (${lastOrder.amount} SOL) now. You'll be notified of the result.`
+                : `⚠️ Order #${lastOrder.id} can't be retried right now.`);
         } catch (error) {
             console.error('Error retrying last failed order:', error);
             await bot.sendAndStoreMessage(chatId, 'Sorry, there was an error retrying your order. Please try again.');
         }
     }
-
-    /**
-     * Check if user has a recent failed order that can be retried
-     */
-    hasRecentFailedOrder(telegramId) {
-        const lastOrder = this.lastFailedOrder.get(telegramId);
-        if (!lastOrder) return false;
-
-        // Check if order is not older than 1 hour
-        const oneHour = 60 * 60 * 1000;
-        return (Date.now() - lastOrder.timestamp) <= oneHour;
-    }
-
-    /**
-     * Get the last failed order details
-     */
-    getLastFailedOrder(telegramId) {
-        return this.lastFailedOrder.get(telegramId);
-    }
 }
 
 module.exports = BuyManager;
\ No newline at end of file
@@ -102,6 +102,49 @@ class CallbackRouter {
                 return;
             }
 
+            // Rule condition groups (AND/OR/NOT) in the rule edit flow
+            if (callbackData.startsWith('cgroup_')) {
+                await this.handlers.ruleHandlers.handleConditionGroupAction(chatId, telegramId, callbackData);
+                return;
+            }
+
+            // Rule dry-run preview
+            if (callbackData.startsWith('rule_preview_')) {
+                const ruleId = callbackData.replace('rule_preview_', '');
+                await this.handlers.ruleHandlers.handleRulePreview(chatId, telegramId, ruleId);
+                return;
+            }
+
+            // Rule backtests: rule_backtest_<ruleId>[_<days>], rule_btexport_<ruleId>_<days>
+            if (callbackData.startsWith('rule_backtest_') || callbackData.startsWith('rule_btexport_')) {
+                const [, action, ruleId, days] = callbackData.split('_');
+                if (action === 'btexport') {
+                    await this.handlers.ruleHandlers.handleRuleBacktestExport(chatId, telegramId, ruleId, parseInt(days) || 7);
+                } else {
+                    await this.handlers.ruleHandlers.handleRuleBacktest(chatId, telegramId, ruleId, parseInt(days) || 7);
+                }
+                return;
+            }
+
+            // Rule schedules: rule_schedule_<ruleId>[_<action>[_<value>]]
+            if (callbackData.startsWith('rule_schedule_')) {
+                await this.handlers.ruleHandlers.handleRuleScheduleAction(chatId, telegramId, callbackData);
+                return;
+            }
+
+            // Rule version history: rule_history_<ruleId>, rule_version_<ruleId>_<version>, rule_rollback_<ruleId>_<version>
+            if (callbackData.startsWith('rule_history_') || callbackData.startsWith('rule_version_') || callbackData.startsWith('rule_rollback_')) {
+                const [, action, ruleId, version] = callbackData.split('_');
+                if (action === 'history') {
+                    await this.handlers.ruleHandlers.handleRuleVersions(chatId, telegramId, ruleId);
+                } else if (action === 'version') {
+                    await this.handlers.ruleHandlers.handleRuleVersion(chatId, telegramId, ruleId, parseInt(version));
+                } else {
+                    await this.handlers.ruleHandlers.handleRuleRollback(chatId, telegramId, ruleId, parseInt(version));
+                }
+                return;
+            }
+
             // Handle rules-related callbacks (check these BEFORE strategy callbacks to avoid conflicts)
             // Exclude rule edit callbacks as they are handled separately below
             if (
@@ -156,6 +199,9 @@ class CallbackRouter {
                 callbackData.startsWith('take_profit_') ||
                 callbackData.startsWith('trailing_stop_') ||
                 callbackData.startsWith('stop_loss_') ||
+                callbackData.startsWith('tp_ladder_') ||
+                callbackData.startsWith('break_even_') ||
+                callbackData.startsWith('max_hold_') ||
                 callbackData === 'price_change_increase' ||
                 callbackData === 'price_change_decrease' ||
                 callbackData === 'volume_change_increase' ||
@@ -411,6 +457,8 @@ class CallbackRouter {
                 callbackData === 'check_token' ||
                 callbackData === 'token_report' ||
                 callbackData === 'refresh_holdings' ||
+                callbackData === 'panic_sell' ||
+                callbackData === 'panic_sell_confirm' ||
                 callbackData.startsWith('trade_') ||
                 callbackData.startsWith('buy_token_') ||
                 (callbackData.startsWith('buy_amount_') && 
@@ -418,9 +466,15 @@ class CallbackRouter {
                  !callbackData.startsWith('rule_buy_amount_')) ||
                 callbackData.startsWith('confirm_buy_execute_') ||
                 callbackData.startsWith('confirm_buy_') ||
+                callbackData.startsWith('buy_route_') || // Pick a quoted buy route
+                callbackData === 'buy_quotes_refresh' ||
                 callbackData.startsWith('sell_token_') ||
                 callbackData.startsWith('sell_percent_') || // e.g., sell_percent_25_<tokenAddress>
                 callbackData.startsWith('sell_custom_') ||  // e.g., sell_custom_<tokenAddress>
+                callbackData.startsWith('sell_for_sol_') || // Exact-out sell for a SOL amount
+                callbackData.startsWith('swap_to_token_') || // Token to token swap
+                callbackData.startsWith('confirm_swap_') ||
+                callbackData.startsWith('buy_exact_') || // Exact-out buy of a token amount
                 callbackData.startsWith('custom_buy_') || // Use only 'custom_buy_' for custom buy amount
                 callbackData.startsWith('confirm_sell_execute_') ||
                 callbackData.startsWith('confirm_sell_') ||
@@ -428,6 +482,14 @@ class CallbackRouter {
                 callbackData.startsWith('token_info_') || // Token info callbacks
                 callbackData.startsWith('rug_check_') || // Rug check callbacks
                 callbackData.startsWith('price_chart_') || // Price chart callbacks
+                callbackData === 'limit_orders_list' ||
+                callbackData === 'set_default_limit_orders' ||
+                callbackData.startsWith('limit_buy_') || // Limit order callbacks
+                callbackData.startsWith('limit_sell_') ||
+                callbackData.startsWith('limit_order_cancel_') ||
+                callbackData === 'retry_queue' || // Queued failed orders
+                callbackData.startsWith('retry_order_now_') ||
+                callbackData.startsWith('retry_order_discard_') ||
                 callbackData === 'cancel_buy' ||
                 callbackData === 'cancel_sell') {
                 // sell_percent_ and sell_custom_ are routed to tradingHandlers.handleTradeActions
@@ -554,6 +616,37 @@ class CallbackRouter {
                 return;
             }
             
+            if (callbackData === 'toggle_paper_trading') {
+                await this.handlers.settingsHandlers.handlePaperTradingToggle(chatId, telegramId);
+                return;
+            }
+            
+            if (callbackData === 'paper_reset_account') {
+                await this.handlers.settingsHandlers.handlePaperAccountReset(chatId, telegramId);
+                return;
+            }
+            
+            if (callbackData === 'swap_providers_menu') {
+                await this.handlers.settingsHandlers.handleSwapProvidersMenu(chatId, telegramId);
+                return;
+            }
+            
+            if (callbackData.startsWith('swap_provider_order_')) {
+                const orderValue = callbackData.replace('swap_provider_order_', '');
+                await this.handlers.settingsHandlers.handleSwapProviderOrder(chatId, telegramId, orderValue);
+                return;
+            }
+            
+            if (callbackData === 'guard_menu') {
+                await this.handlers.settingsHandlers.handleTradeGuardsMenu(chatId, telegramId);
+                return;
+            }
+            
+            if (callbackData.startsWith('guard_')) {
+                await this.handlers.settingsHandlers.handleTradeGuardUpdate(chatId, telegramId, callbackData);
+                return;
+            }
+            
             if (callbackData.startsWith('set_') ||
                 callbackData.startsWith('toggle_') ||
                 callbackData.includes('trade_amount') ||
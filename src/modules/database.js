@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const crypto = require('crypto');
+const builtInStrategyTemplates = require('../services/strategyTemplates');
 
 class DatabaseManager {
     constructor() {
@@ -141,6 +142,21 @@ class DatabaseManager {
             )
         `);
 
+        // Rule condition groups: combine their conditions (rule_conditions.group_id) and
+        // subgroups with AND or OR, optionally negated. NULL parent_id is the rule's top level.
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rule_condition_groups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_id INTEGER NOT NULL,
+                parent_id INTEGER,
+                operator TEXT NOT NULL DEFAULT 'AND' CHECK (operator IN ('AND', 'OR')),
+                negate BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (rule_id) REFERENCES rules(id),
+                FOREIGN KEY (parent_id) REFERENCES rule_condition_groups(id)
+            )
+        `);
+
         // Rule settings table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS rule_settings (
@@ -173,6 +189,34 @@ class DatabaseManager {
             )
         `);
 
+        // When each rule may run (see services/ruleSchedule.js); rules without a row always run
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rule_schedules (
+                rule_id INTEGER PRIMARY KEY,
+                timezone TEXT NOT NULL DEFAULT 'UTC',
+                days INTEGER NOT NULL DEFAULT 127,
+                start_minute INTEGER,
+                end_minute INTEGER,
+                paused_until DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (rule_id) REFERENCES rules(id)
+            )
+        `);
+
+        // Append-only version history of each rule's name, type, conditions and condition groups
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rule_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_id INTEGER NOT NULL,
+                version INTEGER NOT NULL,
+                snapshot TEXT NOT NULL,
+                summary TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(rule_id, version),
+                FOREIGN KEY (rule_id) REFERENCES rules(id)
+            )
+        `);
+
         // Rule criteria table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS rule_criteria (
@@ -258,6 +302,220 @@ class DatabaseManager {
             )
         `);
 
+        // Limit orders table
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                wallet_id INTEGER NOT NULL,
+                token_address TEXT NOT NULL,
+                side TEXT NOT NULL,
+                amount REAL NOT NULL,
+                trigger_price REAL NOT NULL,
+                slippage_bps INTEGER DEFAULT 100,
+                status TEXT DEFAULT 'open',
+                fill_signature TEXT,
+                fill_price REAL,
+                fill_price_usd REAL,
+                last_error TEXT,
+                expires_at DATETIME,
+                filled_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+            )
+        `);
+
+        // Failed buys and sells waiting for another attempt (used when Redis is unavailable)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS order_retries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                wallet_id INTEGER NOT NULL,
+                side TEXT NOT NULL,
+                token_address TEXT NOT NULL,
+                amount REAL NOT NULL,
+                slippage_bps INTEGER DEFAULT 50,
+                quoted_out_amount INTEGER,
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER NOT NULL,
+                status TEXT DEFAULT 'queued',
+                last_error TEXT,
+                next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+            )
+        `);
+
+        // Positions watched by manual management, so stops and ladder progress survive restarts.
+        // Only runtime state is kept: the sell conditions are re-read from the rule, and ladder is
+        // the take-profit ladder the fired rungs index into, to carry them over when it is edited
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS monitored_positions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                rule_id INTEGER,
+                token_address TEXT NOT NULL,
+                wallet_address TEXT NOT NULL,
+                symbol TEXT,
+                buy_price REAL NOT NULL,
+                highest_price REAL NOT NULL,
+                token_amount REAL NOT NULL,
+                initial_amount REAL NOT NULL,
+                fired_rungs TEXT DEFAULT '[]',
+                ladder TEXT DEFAULT '[]',
+                opened_at INTEGER NOT NULL,
+                break_even_armed BOOLEAN DEFAULT 0,
+                hold_alert_sent BOOLEAN DEFAULT 0,
+                sell_pending BOOLEAN DEFAULT 0,
+                pending_rungs TEXT DEFAULT '[]',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, token_address),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        // Periodic market snapshots of top traded tokens, replayed by the rule backtester
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS token_snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token_address TEXT NOT NULL,
+                symbol TEXT,
+                price REAL,
+                market_cap REAL,
+                liquidity REAL,
+                volume_24h REAL,
+                category TEXT,
+                stats TEXT,
+                recorded_at INTEGER NOT NULL
+            )
+        `);
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_token_snapshots_recorded_at ON token_snapshots(recorded_at)');
+
+        // Strategy template catalogue: built-in presets plus templates added by admins
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS strategy_templates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                description TEXT,
+                risk_level TEXT,
+                rule_data TEXT NOT NULL,
+                default_tp_percentage REAL,
+                default_sl_percentage REAL,
+                max_position_size REAL,
+                max_daily_trades INTEGER,
+                is_builtin BOOLEAN DEFAULT 0,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (created_by) REFERENCES users(id)
+            )
+        `);
+
+        // Strategy template a user last applied, with its defaults
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS user_strategy_preferences (
+                user_id INTEGER PRIMARY KEY,
+                template_id INTEGER,
+                custom_tp_percentage REAL,
+                custom_sl_percentage REAL,
+                max_position_size REAL,
+                max_daily_trades INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (template_id) REFERENCES strategy_templates(id)
+            )
+        `);
+        this.seedStrategyTemplates();
+
+        // Paper trading virtual account (SOL balance)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS paper_accounts (
+                user_id INTEGER PRIMARY KEY,
+                sol_balance REAL NOT NULL,
+                starting_balance REAL NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        // Paper trading virtual token positions
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS paper_positions (
+                user_id INTEGER NOT NULL,
+                token_address TEXT NOT NULL,
+                amount REAL NOT NULL DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, token_address),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        // Paper trading ledger
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS paper_trades (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_address TEXT NOT NULL,
+                side TEXT NOT NULL,
+                token_amount REAL NOT NULL,
+                sol_amount REAL NOT NULL,
+                price REAL NOT NULL,
+                provider TEXT,
+                signature TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        // Transactions table (on-chain transaction lifecycle)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                signature TEXT UNIQUE NOT NULL,
+                user_id INTEGER,
+                wallet_public_key TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                serialized_tx TEXT,
+                tx_version TEXT DEFAULT 'legacy',
+                last_valid_block_height INTEGER,
+                attempts INTEGER DEFAULT 1,
+                previous_signatures TEXT DEFAULT '[]',
+                reference_type TEXT,
+                reference_id INTEGER,
+                last_error TEXT,
+                confirmed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        // Withdrawals and the transaction carrying each; the transaction tracker keeps status and signature current
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS withdrawals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                trade_id INTEGER,
+                from_address TEXT NOT NULL,
+                to_address TEXT NOT NULL,
+                amount REAL NOT NULL,
+                token TEXT,
+                token_mint TEXT,
+                tx_signature TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (trade_id) REFERENCES trades(id)
+            )
+        `);
+
         // Run migrations
         this.runMigrations();
     }
@@ -328,6 +586,75 @@ class DatabaseManager {
             }
         }
 
+        // Paper trading flag and per-rule paper stats
+        const paperTradingColumns = [
+            'ALTER TABLE user_settings ADD COLUMN paper_trading BOOLEAN DEFAULT false',
+            'ALTER TABLE rules ADD COLUMN paper_success_count INTEGER DEFAULT 0',
+            'ALTER TABLE rules ADD COLUMN paper_failure_count INTEGER DEFAULT 0'
+        ];
+
+        paperTradingColumns.forEach(statement => {
+            try {
+                this.db.exec(`${statement};`);
+            } catch (error) {
+                // Column might already exist, which is fine
+                if (!error.message.includes('duplicate column name')) {
+                    console.error('Migration error:', error);
+                }
+            }
+        });
+
+        // Per-user swap provider order (comma-separated provider names)
+        try {
+            this.db.exec('ALTER TABLE user_settings ADD COLUMN swap_provider_order TEXT;');
+        } catch (error) {
+            // Column might already exist, which is fine
+            if (!error.message.includes('duplicate column name')) {
+                console.error('Migration error:', error);
+            }
+        }
+
+        // Trade guard limits: max price impact (%), max share of pool liquidity (%) and
+        // whether oversized buys are shrunk instead of rejected
+        const tradeGuardColumns = [
+            'max_price_impact REAL DEFAULT 5',
+            'max_liquidity_pct REAL DEFAULT 2',
+            'resize_oversized_trades BOOLEAN DEFAULT true'
+        ];
+
+        tradeGuardColumns.forEach(column => {
+            try {
+                this.db.exec(`ALTER TABLE user_settings ADD COLUMN ${column};`);
+            } catch (error) {
+                // Column might already exist, which is fine
+                if (!error.message.includes('duplicate column name')) {
+                    console.error('Migration error:', error);
+                }
+            }
+        });
+
+        // Actual on-chain fill details for trades
+        const tradeFillColumns = [
+            'requested_amount REAL',
+            'signature TEXT',
+            'sol_amount REAL',
+            'network_fee REAL',
+            'priority_fee REAL',
+            'quoted_amount REAL',
+            'slippage_pct REAL'
+        ];
+
+        tradeFillColumns.forEach(column => {
+            try {
+                this.db.exec(`ALTER TABLE trades ADD COLUMN ${column};`);
+            } catch (error) {
+                // Column might already exist, which is fine
+                if (!error.message.includes('duplicate column name')) {
+                    console.error('Migration error:', error);
+                }
+            }
+        });
+
         // Add notification columns
         const notificationColumns = [
             'notify_on_pnl BOOLEAN DEFAULT true',
@@ -347,6 +674,58 @@ class DatabaseManager {
                 }
             }
         });
+
+        // Limit order fills keep the USD price that met the trigger next to fill_price in SOL per token, as in trades
+        try {
+            this.db.exec('ALTER TABLE orders ADD COLUMN fill_price_usd REAL;');
+        } catch (error) {
+            // Column might already exist, which is fine
+            if (!error.message.includes('duplicate column name')) {
+                console.error('Migration error:', error);
+            }
+        }
+
+        // Ladder rungs a monitored position's in-flight sell is for, reconciled on restore
+        try {
+            this.db.exec("ALTER TABLE monitored_positions ADD COLUMN pending_rungs TEXT DEFAULT '[]';");
+        } catch (error) {
+            // Column might already exist, which is fine
+            if (!error.message.includes('duplicate column name')) {
+                console.error('Migration error:', error);
+            }
+        }
+
+        // Monitored positions stopped saving a copy of their rule's conditions; keep the ladder their fired rungs refer to
+        try {
+            this.db.exec("ALTER TABLE monitored_positions ADD COLUMN ladder TEXT DEFAULT '[]';");
+            this.db.exec("UPDATE monitored_positions SET ladder = COALESCE(json_extract(conditions, '$.takeProfitLadder'), '[]');");
+            this.db.exec('ALTER TABLE monitored_positions DROP COLUMN conditions;');
+        } catch (error) {
+            // Column might already exist, which is fine
+            if (!error.message.includes('duplicate column name')) {
+                console.error('Migration error:', error);
+            }
+        }
+
+        // Condition group a rule condition belongs to (NULL is the rule's top-level AND)
+        try {
+            this.db.exec('ALTER TABLE rule_conditions ADD COLUMN group_id INTEGER REFERENCES rule_condition_groups(id);');
+        } catch (error) {
+            // Column might already exist, which is fine
+            if (!error.message.includes('duplicate column name')) {
+                console.error('Migration error:', error);
+            }
+        }
+
+        // Rule version (rule_versions.version) that fired a rule trigger
+        try {
+            this.db.exec('ALTER TABLE rule_history ADD COLUMN rule_version INTEGER;');
+        } catch (error) {
+            // Column might already exist, which is fine
+            if (!error.message.includes('duplicate column name')) {
+                console.error('Migration error:', error);
+            }
+        }
     }
 
     // User operations
@@ -391,6 +770,18 @@ class DatabaseManager {
         return stmt.get(userId);
     }
 
+    async getWalletByPublicKey(publicKey) {
+        const stmt = this.db.prepare(`
+            SELECT w.*, u.telegram_id
+            FROM wallets w
+            JOIN users u ON u.id = w.user_id
+            WHERE w.public_key = ?
+            ORDER BY w.is_active DESC
+            LIMIT 1
+        `);
+        return stmt.get(publicKey);
+    }
+
     async getUserById(userId) {
         const stmt = this.db.prepare('SELECT * FROM users WHERE id = ?');
         return stmt.get(userId);
@@ -449,6 +840,7 @@ class DatabaseManager {
     }
 
     // Withdrawal operation: Logs a withdrawal transaction into the trades table
+    // and records its transaction and status in withdrawals. Resolves to the withdrawals insert.
     async insertWithdrawal(withdrawalData) {
         // We log withdrawal as a distinct 'WITHDRAW' side in the trades table for tracking.
         
@@ -456,15 +848,45 @@ class DatabaseManager {
             `INSERT INTO trades (user_id, token_address, amount, price, side, timestamp) 
              VALUES (?, ?, ?, ?, 'WITHDRAW', ?)`
         );
+        const withdrawalStmt = this.db.prepare(`
+            INSERT INTO withdrawals (user_id, trade_id, from_address, to_address, amount, token, token_mint, tx_signature, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
         
-        const result = stmt.run(
-            withdrawalData.user_id, 
-            withdrawalData.token_mint, // Using mint as the token address
-            withdrawalData.amount, 
-            0, // Price is 0 as it's a transfer, not a trade execution
-            new Date().toISOString()
-        );
-        return result;
+        const transaction = this.db.transaction(() => {
+            const trade = stmt.run(
+                withdrawalData.user_id, 
+                withdrawalData.token_mint, // Using mint as the token address
+                withdrawalData.amount, 
+                0, // Price is 0 as it's a transfer, not a trade execution
+                new Date().toISOString()
+            );
+            return withdrawalStmt.run(
+                withdrawalData.user_id,
+                trade.lastInsertRowid,
+                withdrawalData.from_address,
+                withdrawalData.to_address,
+                withdrawalData.amount,
+                withdrawalData.token || null,
+                withdrawalData.token_mint || null,
+                withdrawalData.tx_signature || null,
+                withdrawalData.status || 'pending'
+            );
+        });
+        return transaction();
+    }
+
+    /**
+     * Follow a withdrawal's transaction: set its status and, after a resubmission,
+     * the signature that replaced `signature`
+     */
+    async updateWithdrawalTransaction(signature, status, newSignature = null) {
+        const stmt = this.db.prepare(`
+            UPDATE withdrawals
+            SET status = ?, tx_signature = COALESCE(?, tx_signature), updated_at = CURRENT_TIMESTAMP
+            WHERE tx_signature = ?
+        `);
+        return stmt.run(status, newSignature, signature).changes > 0;
     }
 
 
@@ -529,11 +951,36 @@ class DatabaseManager {
     }
 
     // Trade operations
-    createTrade(userId, tokenAddress, amount, price, side) {
-        const stmt = this.db.prepare(
-            'INSERT INTO trades (user_id, token_address, amount, price, side) VALUES (?, ?, ?, ?, ?)'
+    // When an on-chain fill (TradingExecution.getSwapFill) is given, its token amount
+    // and SOL-per-token price replace the requested amount and estimated price.
+    createTrade(userId, tokenAddress, amount, price, side, fill = null) {
+        if (!fill) {
+            const stmt = this.db.prepare(
+                'INSERT INTO trades (user_id, token_address, amount, price, side) VALUES (?, ?, ?, ?, ?)'
+            );
+            return stmt.run(userId, tokenAddress, amount, price, side);
+        }
+
+        const stmt = this.db.prepare(`
+            INSERT INTO trades (
+                user_id, token_address, amount, price, side, requested_amount, signature,
+                sol_amount, network_fee, priority_fee, quoted_amount, slippage_pct
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(
+            userId,
+            tokenAddress,
+            fill.tokenAmount,
+            fill.price,
+            side,
+            amount,
+            fill.signature,
+            fill.solAmount,
+            fill.networkFee,
+            fill.priorityFee,
+            fill.quotedAmount,
+            fill.slippagePct
         );
-        return stmt.run(userId, tokenAddress, amount, price, side);
     }
 
     // Fee operations
@@ -622,13 +1069,14 @@ class DatabaseManager {
         // Handle new rule types properly
         const ruleType = ruleData.type || 'filter';
         
+        // Rules start active unless asked otherwise (isActive: false)
         const stmt = this.db.prepare(`
-            INSERT INTO rules (user_id, name, type, description)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO rules (user_id, name, type, description, is_active)
+            VALUES (?, ?, ?, ?, ?)
         `);
         
         const description = ruleData.description || `Rule: ${ruleData.name}`;
-        const result = stmt.run(userId, ruleData.name, ruleType, description);
+        const result = stmt.run(userId, ruleData.name, ruleType, description, ruleData.isActive === false ? 0 : 1);
         const ruleId = result.lastInsertRowid;
 
         // Return the expected structure that RulesCommand expects
@@ -701,6 +1149,44 @@ class DatabaseManager {
         return stmt.get(ruleId);
     }
 
+    async getRuleSchedule(ruleId) {
+        const stmt = this.db.prepare('SELECT * FROM rule_schedules WHERE rule_id = ?');
+        return stmt.get(ruleId);
+    }
+
+    /**
+     * Create or change a rule's schedule. Fields left out keep their current
+     * value, or the default (every day, all day, UTC) for a new schedule.
+     */
+    async updateRuleSchedule(ruleId, schedule) {
+        const current = await this.getRuleSchedule(ruleId) || {
+            timezone: 'UTC',
+            days: 127,
+            start_minute: null,
+            end_minute: null,
+            paused_until: null
+        };
+        const merged = { ...current, ...schedule };
+
+        const stmt = this.db.prepare(`
+            INSERT INTO rule_schedules (rule_id, timezone, days, start_minute, end_minute, paused_until)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(rule_id) DO UPDATE SET
+                timezone = excluded.timezone,
+                days = excluded.days,
+                start_minute = excluded.start_minute,
+                end_minute = excluded.end_minute,
+                paused_until = excluded.paused_until,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        return stmt.run(ruleId, merged.timezone, merged.days, merged.start_minute, merged.end_minute, merged.paused_until);
+    }
+
+    async deleteRuleSchedule(ruleId) {
+        const stmt = this.db.prepare('DELETE FROM rule_schedules WHERE rule_id = ?');
+        return stmt.run(ruleId);
+    }
+
     async createRuleSettings(ruleId, settings = {}) {
         const defaultSettings = {
             notifications_enabled: true,
@@ -795,34 +1281,142 @@ class DatabaseManager {
         return stmt.run(ruleId);
     }
 
-    async createRuleCondition(ruleId, conditionType, conditionValue) {
+    async createRuleCondition(ruleId, conditionType, conditionValue, groupId = null) {
         const stmt = this.db.prepare(`
-            INSERT INTO rule_conditions (rule_id, condition_type, condition_value)
-            VALUES (?, ?, ?)
+            INSERT INTO rule_conditions (rule_id, condition_type, condition_value, group_id)
+            VALUES (?, ?, ?, ?)
         `);
-        return stmt.run(ruleId, conditionType, conditionValue);
+        return stmt.run(ruleId, conditionType, conditionValue, groupId);
     }
 
-    async getRuleConditions(ruleId) {
+    /**
+     * Add a condition to an existing rule, recording a new rule version.
+     * createRuleCondition is for building new rules, whose first version is
+     * recorded once all their conditions are in (see createRuleVersion).
+     */
+    async addRuleCondition(ruleId, conditionType, conditionValue, groupId = null) {
+        return this.withRuleVersion(ruleId, `Added ${conditionType}`,
+            () => this.db.prepare(`
+                INSERT INTO rule_conditions (rule_id, condition_type, condition_value, group_id)
+                VALUES (?, ?, ?, ?)
+            `).run(ruleId, conditionType, conditionValue, groupId));
+    }
+
+    // Rule condition group operations
+    async createConditionGroup(ruleId, operator = 'AND', parentId = null, negate = false) {
         const stmt = this.db.prepare(`
-            SELECT * FROM rule_conditions 
-            WHERE rule_id = ?
+            INSERT INTO rule_condition_groups (rule_id, parent_id, operator, negate)
+            VALUES (?, ?, ?, ?)
         `);
+        return this.withRuleVersion(ruleId, `Added ${operator} group`, () => stmt.run(ruleId, parentId, operator, negate ? 1 : 0));
+    }
+
+    async getConditionGroups(ruleId) {
+        const stmt = this.db.prepare('SELECT * FROM rule_condition_groups WHERE rule_id = ? ORDER BY id');
         return stmt.all(ruleId);
     }
 
-    async updateRule(ruleId, updateData) {
-        const fields = [];
-        const values = [];
-        
-        if (updateData.name !== undefined) {
-            fields.push('name = ?');
-            values.push(updateData.name);
-        }
-        
-        if (updateData.type !== undefined) {
-            fields.push('type = ?');
-            values.push(updateData.type);
+    async getConditionGroupById(groupId) {
+        const stmt = this.db.prepare('SELECT * FROM rule_condition_groups WHERE id = ?');
+        return stmt.get(groupId);
+    }
+
+    async updateConditionGroup(groupId, { operator, negate }) {
+        const stmt = this.db.prepare(`
+            UPDATE rule_condition_groups
+            SET operator = COALESCE(?, operator), negate = COALESCE(?, negate)
+            WHERE id = ?
+        `);
+        const group = this.db.prepare('SELECT rule_id FROM rule_condition_groups WHERE id = ?').get(groupId);
+        return this.withRuleVersion(group ? group.rule_id : null, 'Changed condition group',
+            () => stmt.run(operator ?? null, negate === undefined ? null : (negate ? 1 : 0), groupId));
+    }
+
+    async setConditionGroup(conditionId, groupId) {
+        const stmt = this.db.prepare('UPDATE rule_conditions SET group_id = ? WHERE id = ?');
+        return this.withRuleVersion(this.getConditionRuleId(conditionId), 'Regrouped conditions', () => stmt.run(groupId, conditionId));
+    }
+
+    /**
+     * Delete a condition group. Its conditions and subgroups move up to its parent.
+     */
+    async deleteConditionGroup(groupId) {
+        const group = this.db.prepare('SELECT * FROM rule_condition_groups WHERE id = ?').get(groupId);
+        if (!group) {
+            return;
+        }
+
+        this.withRuleVersion(group.rule_id, 'Removed condition group', () => {
+            this.db.prepare('UPDATE rule_conditions SET group_id = ? WHERE group_id = ?').run(group.parent_id, groupId);
+            this.db.prepare('UPDATE rule_condition_groups SET parent_id = ? WHERE parent_id = ?').run(group.parent_id, groupId);
+            this.db.prepare('DELETE FROM rule_condition_groups WHERE id = ?').run(groupId);
+        });
+    }
+
+    /**
+     * Create an imported rule (see RuleShare) in one go: the rule, its settings,
+     * its condition groups and its conditions. Imported rules start inactive.
+     * Groups reference their parent and conditions their group by index into
+     * rule.groups, which must list parents before their subgroups.
+     * @returns {number} The new rule id
+     */
+    async importRule(userId, rule) {
+        const transaction = this.db.transaction(() => {
+            const ruleId = this.db.prepare(`
+                INSERT INTO rules (user_id, name, type, description, is_active)
+                VALUES (?, ?, ?, ?, 0)
+            `).run(userId, rule.name, rule.type, rule.description).lastInsertRowid;
+
+            const settings = rule.settings;
+            this.db.prepare(`
+                INSERT INTO rule_settings (rule_id, notifications_enabled, alerts_enabled, notification_frequency, alert_threshold)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(ruleId, settings.notifications_enabled, settings.alerts_enabled, settings.notification_frequency, settings.alert_threshold);
+
+            const groupIds = [];
+            const insertGroup = this.db.prepare(`
+                INSERT INTO rule_condition_groups (rule_id, parent_id, operator, negate)
+                VALUES (?, ?, ?, ?)
+            `);
+            for (const group of rule.groups) {
+                groupIds.push(insertGroup.run(ruleId, groupIds[group.parent] ?? null, group.operator, group.negate ? 1 : 0).lastInsertRowid);
+            }
+
+            const insertCondition = this.db.prepare(`
+                INSERT INTO rule_conditions (rule_id, condition_type, condition_value, operator, group_id)
+                VALUES (?, ?, ?, ?, ?)
+            `);
+            for (const condition of rule.conditions) {
+                insertCondition.run(ruleId, condition.type, condition.value, condition.operator, groupIds[condition.group] ?? null);
+            }
+
+            this.recordRuleVersion(ruleId, 'Imported');
+            return ruleId;
+        });
+
+        return transaction();
+    }
+
+    async getRuleConditions(ruleId) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM rule_conditions 
+            WHERE rule_id = ?
+        `);
+        return stmt.all(ruleId);
+    }
+
+    async updateRule(ruleId, updateData) {
+        const fields = [];
+        const values = [];
+        
+        if (updateData.name !== undefined) {
+            fields.push('name = ?');
+            values.push(updateData.name);
+        }
+        
+        if (updateData.type !== undefined) {
+            fields.push('type = ?');
+            values.push(updateData.type);
         }
         
         if (updateData.is_active !== undefined) {
@@ -838,7 +1432,8 @@ class DatabaseManager {
         
         const query = `UPDATE rules SET ${fields.join(', ')} WHERE id = ?`;
         const stmt = this.db.prepare(query);
-        return stmt.run(...values);
+        const summary = updateData.name !== undefined ? `Renamed to "${updateData.name}"` : 'Changed rule type';
+        return this.withRuleVersion(ruleId, summary, () => stmt.run(...values));
     }
 
     async updateRuleCondition(conditionId, conditionType, conditionValue, operator = 'equals') {
@@ -847,7 +1442,8 @@ class DatabaseManager {
             SET condition_type = ?, condition_value = ?, operator = ?
             WHERE id = ?
         `);
-        return stmt.run(conditionType, conditionValue, operator, conditionId);
+        return this.withRuleVersion(this.getConditionRuleId(conditionId), `Changed ${conditionType}`,
+            () => stmt.run(conditionType, conditionValue, operator, conditionId));
     }
 
     async getRuleConditionById(conditionId) {
@@ -856,8 +1452,12 @@ class DatabaseManager {
     }
 
     async deleteRuleCondition(conditionId) {
+        const condition = this.db.prepare('SELECT * FROM rule_conditions WHERE id = ?').get(conditionId);
         const stmt = this.db.prepare('DELETE FROM rule_conditions WHERE id = ?');
-        return stmt.run(conditionId);
+        if (!condition) {
+            return stmt.run(conditionId);
+        }
+        return this.withRuleVersion(condition.rule_id, `Removed ${condition.condition_type}`, () => stmt.run(conditionId));
     }
 
     async deleteRule(ruleId) {
@@ -867,6 +1467,10 @@ class DatabaseManager {
             const deleteConditions = this.db.prepare('DELETE FROM rule_conditions WHERE rule_id = ?');
             deleteConditions.run(ruleId);
 
+                // Delete rule condition groups
+                const deleteGroups = this.db.prepare('DELETE FROM rule_condition_groups WHERE rule_id = ?');
+                deleteGroups.run(ruleId);
+
                 // Delete rule settings (this table exists)
                 const deleteSettings = this.db.prepare('DELETE FROM rule_settings WHERE rule_id = ?');
                 deleteSettings.run(ruleId);
@@ -883,6 +1487,14 @@ class DatabaseManager {
                 const deleteHistory = this.db.prepare('DELETE FROM rule_history WHERE rule_id = ?');
                 deleteHistory.run(ruleId);
 
+                // Delete the rule's version history
+                const deleteVersions = this.db.prepare('DELETE FROM rule_versions WHERE rule_id = ?');
+                deleteVersions.run(ruleId);
+
+                // Delete the rule's schedule
+                const deleteSchedule = this.db.prepare('DELETE FROM rule_schedules WHERE rule_id = ?');
+                deleteSchedule.run(ruleId);
+
             // Delete the rule
             const deleteRule = this.db.prepare('DELETE FROM rules WHERE id = ?');
             deleteRule.run(ruleId);
@@ -956,10 +1568,172 @@ class DatabaseManager {
         const stmt = this.db.prepare(`
             INSERT INTO rule_history (
                 rule_id, token_address, token_name, trigger_price, trigger_volume, 
-                trigger_market_cap, trigger_liquidity, status
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                trigger_market_cap, trigger_liquidity, status, rule_version
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
-        return stmt.run(ruleId, tokenAddress, tokenName, triggerPrice, triggerVolume, triggerMarketCap, triggerLiquidity, status);
+        const ruleVersion = await this.getCurrentRuleVersion(ruleId);
+        return stmt.run(ruleId, tokenAddress, tokenName, triggerPrice, triggerVolume, triggerMarketCap, triggerLiquidity, status, ruleVersion);
+    }
+
+    // Rule version operations
+    /**
+     * The versioned parts of a rule as stored in rule_versions.snapshot:
+     * { name, type, conditions: [{ type, value, operator, group }], groups: [{ parent, operator, negate }] }
+     * with conditions and groups in creation order. Groups are referred to by
+     * their index in groups rather than by id, so a restored rule has the same
+     * snapshot as the version it was restored from.
+     */
+    getRuleSnapshot(ruleId) {
+        const rule = this.db.prepare('SELECT name, type FROM rules WHERE id = ?').get(ruleId);
+        if (!rule) {
+            return null;
+        }
+
+        const conditions = this.db.prepare('SELECT * FROM rule_conditions WHERE rule_id = ? ORDER BY id').all(ruleId);
+        const groups = this.db.prepare('SELECT * FROM rule_condition_groups WHERE rule_id = ? ORDER BY id').all(ruleId);
+        const groupIndex = new Map(groups.map((group, index) => [group.id, index]));
+        return {
+            name: rule.name,
+            type: rule.type,
+            conditions: conditions.map(condition => ({
+                type: condition.condition_type,
+                value: condition.condition_value,
+                operator: condition.operator,
+                group: groupIndex.get(condition.group_id) ?? null
+            })),
+            groups: groups.map(group => ({
+                parent: groupIndex.get(group.parent_id) ?? null,
+                operator: group.operator,
+                negate: !!group.negate
+            }))
+        };
+    }
+
+    /**
+     * Append the rule's current state as a new version, unless it matches the
+     * latest version already
+     * @returns {number|null} The rule's current version, null when the rule does not exist
+     */
+    recordRuleVersion(ruleId, summary) {
+        const snapshot = this.getRuleSnapshot(ruleId);
+        if (!snapshot) {
+            return null;
+        }
+
+        const json = JSON.stringify(snapshot);
+        const latest = this.db.prepare('SELECT * FROM rule_versions WHERE rule_id = ? ORDER BY version DESC LIMIT 1').get(ruleId);
+        if (latest && latest.snapshot === json) {
+            return latest.version;
+        }
+
+        const version = latest ? latest.version + 1 : 1;
+        this.db.prepare('INSERT INTO rule_versions (rule_id, version, snapshot, summary) VALUES (?, ?, ?, ?)')
+            .run(ruleId, version, json, summary);
+        return version;
+    }
+
+    /**
+     * Run a change to a rule and record the result as a new version. Changes
+     * made without versioning (rules from before version history, direct
+     * writes) are recorded as their own version first, so every version is a
+     * state the rule was really in.
+     */
+    withRuleVersion(ruleId, summary, change) {
+        const transaction = this.db.transaction(() => {
+            if (!ruleId) {
+                return change();
+            }
+            this.recordRuleVersion(ruleId, this.hasRuleVersions(ruleId) ? 'Unrecorded changes' : 'Initial version');
+            const result = change();
+            this.recordRuleVersion(ruleId, summary);
+            return result;
+        });
+
+        return transaction();
+    }
+
+    hasRuleVersions(ruleId) {
+        return !!this.db.prepare('SELECT 1 FROM rule_versions WHERE rule_id = ? LIMIT 1').get(ruleId);
+    }
+
+    getConditionRuleId(conditionId) {
+        const condition = this.db.prepare('SELECT rule_id FROM rule_conditions WHERE id = ?').get(conditionId);
+        return condition ? condition.rule_id : null;
+    }
+
+    async createRuleVersion(ruleId, summary) {
+        const transaction = this.db.transaction(() => this.recordRuleVersion(ruleId, summary));
+        return transaction();
+    }
+
+    /**
+     * The rule's current version number, recording its current state first if needed
+     */
+    async getCurrentRuleVersion(ruleId) {
+        return this.createRuleVersion(ruleId, this.hasRuleVersions(ruleId) ? 'Unrecorded changes' : 'Initial version');
+    }
+
+    /**
+     * Versions of a rule, newest first, with how often each fired
+     */
+    async getRuleVersions(ruleId) {
+        const stmt = this.db.prepare(`
+            SELECT v.*, (
+                SELECT COUNT(*) FROM rule_history h
+                WHERE h.rule_id = v.rule_id AND h.rule_version = v.version
+            ) AS trigger_count
+            FROM rule_versions v
+            WHERE v.rule_id = ?
+            ORDER BY v.version DESC
+        `);
+        return stmt.all(ruleId);
+    }
+
+    async getRuleVersion(ruleId, version) {
+        const stmt = this.db.prepare('SELECT * FROM rule_versions WHERE rule_id = ? AND version = ?');
+        return stmt.get(ruleId, version);
+    }
+
+    /**
+     * Restore a rule's name, type, conditions and condition groups to an
+     * earlier version. History is kept: the restored state becomes a new version.
+     * @returns {number|null} The new version, null when the version does not exist
+     */
+    async rollbackRule(ruleId, version) {
+        const transaction = this.db.transaction(() => {
+            const target = this.db.prepare('SELECT * FROM rule_versions WHERE rule_id = ? AND version = ?').get(ruleId, version);
+            if (!target) {
+                return null;
+            }
+            this.recordRuleVersion(ruleId, 'Unrecorded changes');
+
+            const snapshot = JSON.parse(target.snapshot);
+            this.db.prepare('UPDATE rules SET name = ?, type = ? WHERE id = ?').run(snapshot.name, snapshot.type, ruleId);
+            this.db.prepare('DELETE FROM rule_conditions WHERE rule_id = ?').run(ruleId);
+            this.db.prepare('DELETE FROM rule_condition_groups WHERE rule_id = ?').run(ruleId);
+
+            // Parents are created before their subgroups, so they are recreated first
+            const groupIds = [];
+            const insertGroup = this.db.prepare(`
+                INSERT INTO rule_condition_groups (rule_id, parent_id, operator, negate)
+                VALUES (?, ?, ?, ?)
+            `);
+            for (const group of snapshot.groups) {
+                groupIds.push(insertGroup.run(ruleId, groupIds[group.parent] ?? null, group.operator, group.negate ? 1 : 0).lastInsertRowid);
+            }
+
+            const insertCondition = this.db.prepare(`
+                INSERT INTO rule_conditions (rule_id, condition_type, condition_value, operator, group_id)
+                VALUES (?, ?, ?, ?, ?)
+            `);
+            for (const condition of snapshot.conditions) {
+                insertCondition.run(ruleId, condition.type, condition.value, condition.operator, groupIds[condition.group] ?? null);
+            }
+
+            return this.recordRuleVersion(ruleId, `Rolled back to v${version}`);
+        });
+
+        return transaction();
     }
 
     async getRuleHistory(ruleId, limit = 50) {
@@ -1362,6 +2136,634 @@ class DatabaseManager {
             return false;
         }
     }
+
+    // --- Paper trading operations ---
+    async getPaperAccount(userId, startingBalance = 10) {
+        this.db.prepare(
+            'INSERT OR IGNORE INTO paper_accounts (user_id, sol_balance, starting_balance) VALUES (?, ?, ?)'
+        ).run(userId, startingBalance, startingBalance);
+        return this.db.prepare('SELECT * FROM paper_accounts WHERE user_id = ?').get(userId);
+    }
+
+    async resetPaperAccount(userId, startingBalance = 10) {
+        const reset = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM paper_positions WHERE user_id = ?').run(userId);
+            this.db.prepare(`
+                INSERT INTO paper_accounts (user_id, sol_balance, starting_balance) VALUES (?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET
+                    sol_balance = excluded.sol_balance,
+                    starting_balance = excluded.starting_balance,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(userId, startingBalance, startingBalance);
+        });
+        reset();
+        return this.getPaperAccount(userId, startingBalance);
+    }
+
+    async getPaperPosition(userId, tokenAddress) {
+        const row = this.db.prepare(
+            'SELECT amount FROM paper_positions WHERE user_id = ? AND token_address = ?'
+        ).get(userId, tokenAddress);
+        return row ? row.amount : 0;
+    }
+
+    async getPaperPositions(userId) {
+        const stmt = this.db.prepare(
+            'SELECT * FROM paper_positions WHERE user_id = ? AND amount > 0 ORDER BY updated_at DESC'
+        );
+        return stmt.all(userId);
+    }
+
+    /**
+     * Apply a paper fill atomically: move the virtual SOL and token balances
+     * and append the fill to the paper ledger.
+     */
+    async recordPaperFill(userId, fill, startingBalance = 10) {
+        await this.getPaperAccount(userId, startingBalance);
+
+        const apply = this.db.transaction(() => {
+            const account = this.db.prepare('SELECT sol_balance FROM paper_accounts WHERE user_id = ?').get(userId);
+            const position = this.db.prepare(
+                'SELECT amount FROM paper_positions WHERE user_id = ? AND token_address = ?'
+            ).get(userId, fill.tokenAddress);
+            const tokenBalance = position ? position.amount : 0;
+
+            let solDelta, tokenDelta;
+            if (fill.side === 'buy') {
+                if (account.sol_balance < fill.solAmount) {
+                    throw new Error(`Insufficient paper SOL balance. You have ${account.sol_balance.toFixed(4)} SOL but need ${fill.solAmount.toFixed(4)} SOL.`);
+                }
+                solDelta = -fill.solAmount;
+                tokenDelta = fill.tokenAmount;
+            } else {
+                if (tokenBalance < fill.tokenAmount) {
+                    throw new Error(`Insufficient paper token balance. You have ${tokenBalance} tokens but tried to sell ${fill.tokenAmount}.`);
+                }
+                solDelta = fill.solAmount;
+                tokenDelta = -fill.tokenAmount;
+            }
+
+            this.db.prepare(
+                'UPDATE paper_accounts SET sol_balance = sol_balance + ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?'
+            ).run(solDelta, userId);
+            this.db.prepare(`
+                INSERT INTO paper_positions (user_id, token_address, amount) VALUES (?, ?, ?)
+                ON CONFLICT(user_id, token_address) DO UPDATE SET
+                    amount = amount + excluded.amount,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(userId, fill.tokenAddress, tokenDelta);
+
+            return this.db.prepare(`
+                INSERT INTO paper_trades (user_id, token_address, side, token_amount, sol_amount, price, provider, signature)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                userId,
+                fill.tokenAddress,
+                fill.side,
+                fill.tokenAmount,
+                fill.solAmount,
+                fill.price,
+                fill.provider || null,
+                fill.signature || null
+            );
+        });
+
+        return apply();
+    }
+
+    getPaperTradesByUser(userId, limit = 20) {
+        const stmt = this.db.prepare('SELECT * FROM paper_trades WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?');
+        return stmt.all(userId, limit);
+    }
+
+    getPaperTradeStatsByUser(userId) {
+        const stmt = this.db.prepare(`
+            SELECT 
+                COUNT(*) as total_trades,
+                SUM(CASE WHEN side = 'buy' THEN 1 ELSE 0 END) as buy_trades,
+                SUM(CASE WHEN side = 'sell' THEN 1 ELSE 0 END) as sell_trades,
+                SUM(CASE WHEN side = 'sell' THEN sol_amount ELSE 0 END) - SUM(CASE WHEN side = 'buy' THEN sol_amount ELSE 0 END) as total_pnl
+            FROM paper_trades WHERE user_id = ?
+        `);
+        return stmt.get(userId);
+    }
+
+    // --- Transaction lifecycle operations ---
+    async createTransactionRecord({ signature, userId = null, walletPublicKey, kind, serializedTx = null, txVersion = 'legacy', lastValidBlockHeight = null, referenceType = null, referenceId = null }) {
+        const stmt = this.db.prepare(`
+            INSERT OR IGNORE INTO transactions (
+                signature, user_id, wallet_public_key, kind, serialized_tx, tx_version,
+                last_valid_block_height, reference_type, reference_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run(signature, userId, walletPublicKey, kind, serializedTx, txVersion, lastValidBlockHeight, referenceType, referenceId);
+        return this.getTransactionBySignature(signature);
+    }
+
+    async getTransactionBySignature(signature) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM transactions
+            WHERE signature = ? OR EXISTS (SELECT 1 FROM json_each(previous_signatures) WHERE value = ?)
+        `);
+        return stmt.get(signature, signature);
+    }
+
+    /**
+     * Pending transactions not touched for at least `idleSeconds`, so the
+     * background tracker leaves transactions that are still being confirmed inline alone.
+     */
+    async getPendingTransactions(idleSeconds = 0, limit = 100) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM transactions
+            WHERE status = 'pending' AND updated_at <= datetime('now', ?)
+            ORDER BY created_at ASC
+            LIMIT ?
+        `);
+        return stmt.all(`-${idleSeconds} seconds`, limit);
+    }
+
+    /**
+     * Swap transactions a wallet sent at or after `since` (a SQLite timestamp)
+     */
+    async getSwapTransactionsSince(walletPublicKey, since) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM transactions
+            WHERE wallet_public_key = ? AND kind = 'swap' AND created_at >= ?
+            ORDER BY created_at ASC
+        `);
+        return stmt.all(walletPublicKey, since);
+    }
+
+    async updateTransactionStatus(signature, status, error = null) {
+        const stmt = this.db.prepare(`
+            UPDATE transactions
+            SET status = ?,
+                last_error = ?,
+                confirmed_at = CASE WHEN ? = 'confirmed' THEN CURRENT_TIMESTAMP ELSE confirmed_at END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE signature = ?
+        `);
+        return stmt.run(status, error, status, signature).changes > 0;
+    }
+
+    /**
+     * Swap in the signature of a rebuilt transaction, keeping the old one in history
+     */
+    async recordTransactionResubmission(transactionId, newSignature, lastValidBlockHeight, serializedTx) {
+        const stmt = this.db.prepare(`
+            UPDATE transactions
+            SET previous_signatures = json_insert(previous_signatures, '$[#]', signature),
+                signature = ?,
+                last_valid_block_height = ?,
+                serialized_tx = ?,
+                attempts = attempts + 1,
+                last_error = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        return stmt.run(newSignature, lastValidBlockHeight, serializedTx, transactionId);
+    }
+
+    async linkTransactionReference(signature, referenceType, referenceId) {
+        const stmt = this.db.prepare(`
+            UPDATE transactions
+            SET reference_type = ?, reference_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE signature = ? OR EXISTS (SELECT 1 FROM json_each(previous_signatures) WHERE value = ?)
+        `);
+        return stmt.run(referenceType, referenceId, signature, signature).changes > 0;
+    }
+
+    /**
+     * Link a trade's on-chain transactions to it: the swap itself and, when a bot
+     * fee was transferred, a fee row for that fee and its transfer transactions.
+     */
+    async linkTradeTransactions(tradeId, result) {
+        // Chunked sells carry one signature per chunk
+        const signatures = result.signatures || (result.signature ? [result.signature] : []);
+        for (const signature of signatures) {
+            await this.linkTransactionReference(signature, 'trade', tradeId);
+        }
+
+        const feeCollection = result.feeCollection;
+        if (feeCollection && feeCollection.signatures && feeCollection.signatures.length > 0) {
+            const fee = this.createFee(tradeId, feeCollection.totalFee, feeCollection.wallet1Amount, feeCollection.wallet2Amount);
+            for (const signature of feeCollection.signatures) {
+                await this.linkTransactionReference(signature, 'fee', fee.lastInsertRowid);
+            }
+        }
+    }
+
+    async getTransactionsByReference(referenceType, referenceId) {
+        const stmt = this.db.prepare('SELECT * FROM transactions WHERE reference_type = ? AND reference_id = ? ORDER BY created_at ASC');
+        return stmt.all(referenceType, referenceId);
+    }
+
+    // --- Limit order operations ---
+    async createOrder(orderData) {
+        const stmt = this.db.prepare(`
+            INSERT INTO orders (user_id, wallet_id, token_address, side, amount, trigger_price, slippage_bps, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+        `);
+        const result = stmt.run(
+            orderData.userId,
+            orderData.walletId,
+            orderData.tokenAddress,
+            orderData.side,
+            orderData.amount,
+            orderData.triggerPrice,
+            orderData.slippageBps || 100,
+            `+${orderData.expiresInHours || 24} hours`
+        );
+        return this.getOrderById(result.lastInsertRowid);
+    }
+
+    async getOrderById(orderId) {
+        const stmt = this.db.prepare('SELECT * FROM orders WHERE id = ?');
+        return stmt.get(orderId);
+    }
+
+    async getOrdersByUser(userId, status = null, limit = 20) {
+        if (status) {
+            const stmt = this.db.prepare('SELECT * FROM orders WHERE user_id = ? AND status = ? ORDER BY created_at DESC LIMIT ?');
+            return stmt.all(userId, status, limit);
+        }
+        const stmt = this.db.prepare('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC LIMIT ?');
+        return stmt.all(userId, limit);
+    }
+
+    async getOpenOrders() {
+        const stmt = this.db.prepare(`SELECT * FROM orders WHERE status = 'open' ORDER BY created_at ASC`);
+        return stmt.all();
+    }
+
+    /**
+     * @param {number} fillPrice - SOL per token, like trades.price
+     * @param {number} fillPriceUsd - USD price that met the trigger
+     */
+    async markOrderFilled(orderId, signature, fillPrice, fillPriceUsd) {
+        const stmt = this.db.prepare(`
+            UPDATE orders
+            SET status = 'filled', fill_signature = ?, fill_price = ?, fill_price_usd = ?, last_error = NULL,
+                filled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'open'
+        `);
+        return stmt.run(signature, fillPrice, fillPriceUsd, orderId);
+    }
+
+    async recordOrderError(orderId, errorMessage) {
+        const stmt = this.db.prepare('UPDATE orders SET last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+        return stmt.run(errorMessage, orderId);
+    }
+
+    async cancelOrder(orderId, userId) {
+        const stmt = this.db.prepare(`
+            UPDATE orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ? AND status = 'open'
+        `);
+        return stmt.run(orderId, userId).changes > 0;
+    }
+
+    async expireOrders() {
+        const stmt = this.db.prepare(`
+            UPDATE orders SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'open' AND expires_at IS NOT NULL AND expires_at <= datetime('now')
+            RETURNING *
+        `);
+        return stmt.all();
+    }
+
+    // --- Order retry queue operations (SQLite fallback for the retry queue) ---
+    async createOrderRetry(retryData) {
+        const stmt = this.db.prepare(`
+            INSERT INTO order_retries (
+                user_id, wallet_id, side, token_address, amount, slippage_bps,
+                quoted_out_amount, max_attempts, last_error, next_attempt_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+        `);
+        const result = stmt.run(
+            retryData.userId,
+            retryData.walletId,
+            retryData.side,
+            retryData.tokenAddress,
+            retryData.amount,
+            retryData.slippageBps || 50,
+            retryData.quotedOutAmount || null,
+            retryData.maxAttempts,
+            retryData.lastError || null,
+            `+${Math.round((retryData.delayMs || 0) / 1000)} seconds`
+        );
+        return this.getOrderRetryById(result.lastInsertRowid);
+    }
+
+    async getOrderRetryById(retryId) {
+        const stmt = this.db.prepare('SELECT * FROM order_retries WHERE id = ?');
+        return stmt.get(retryId);
+    }
+
+    async getOrderRetriesByUser(userId) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM order_retries
+            WHERE user_id = ? AND status IN ('queued', 'running', 'failed')
+            ORDER BY created_at DESC
+        `);
+        return stmt.all(userId);
+    }
+
+    /**
+     * Mark due retries as running and return them, so no retry is picked twice
+     */
+    async claimDueOrderRetries(limit = 5) {
+        const stmt = this.db.prepare(`
+            UPDATE order_retries SET status = 'running', updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id FROM order_retries
+                WHERE status = 'queued' AND next_attempt_at <= datetime('now')
+                ORDER BY next_attempt_at ASC
+                LIMIT ?
+            )
+            RETURNING *
+        `);
+        return stmt.all(limit);
+    }
+
+    async completeOrderRetry(retryId) {
+        const stmt = this.db.prepare(`
+            UPDATE order_retries SET status = 'done', attempts = attempts + 1, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        return stmt.run(retryId);
+    }
+
+    /**
+     * Record a failed attempt: queue the next one after delayMs, or give up when delayMs is null
+     */
+    async failOrderRetry(retryId, errorMessage, delayMs = null) {
+        if (delayMs === null) {
+            const stmt = this.db.prepare(`
+                UPDATE order_retries SET status = 'failed', attempts = attempts + 1, last_error = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `);
+            return stmt.run(errorMessage, retryId);
+        }
+        const stmt = this.db.prepare(`
+            UPDATE order_retries
+            SET status = 'queued', attempts = attempts + 1, last_error = ?,
+                next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        return stmt.run(errorMessage, `+${Math.round(delayMs / 1000)} seconds`, retryId);
+    }
+
+    async setOrderRetryQuote(retryId, quotedOutAmount) {
+        const stmt = this.db.prepare('UPDATE order_retries SET quoted_out_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+        return stmt.run(quotedOutAmount, retryId);
+    }
+
+    /**
+     * Run a queued or given-up retry as soon as possible
+     */
+    async retryOrderRetryNow(retryId, userId) {
+        const stmt = this.db.prepare(`
+            UPDATE order_retries SET status = 'queued', next_attempt_at = datetime('now'), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ? AND status IN ('queued', 'failed')
+        `);
+        return stmt.run(retryId, userId).changes > 0;
+    }
+
+    async discardOrderRetry(retryId, userId) {
+        const stmt = this.db.prepare(`
+            UPDATE order_retries SET status = 'discarded', updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ? AND status IN ('queued', 'failed')
+        `);
+        return stmt.run(retryId, userId).changes > 0;
+    }
+
+    /**
+     * Retries that were running when the process stopped, with their wallet's public key.
+     * updated_at is when the interrupted attempt started.
+     */
+    async getRunningOrderRetries() {
+        const stmt = this.db.prepare(`
+            SELECT r.*, w.public_key AS wallet_public_key
+            FROM order_retries r
+            LEFT JOIN wallets w ON w.id = r.wallet_id
+            WHERE r.status = 'running'
+            ORDER BY r.id ASC
+        `);
+        return stmt.all();
+    }
+
+    async requeueOrderRetry(retryId) {
+        const stmt = this.db.prepare(`
+            UPDATE order_retries SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'running'
+        `);
+        return stmt.run(retryId).changes > 0;
+    }
+
+    /**
+     * Insert or update the stored state of a monitored position
+     */
+    async saveMonitoredPosition(position) {
+        const stmt = this.db.prepare(`
+            INSERT INTO monitored_positions (
+                user_id, rule_id, token_address, wallet_address, symbol, buy_price, highest_price,
+                token_amount, initial_amount, fired_rungs, ladder, opened_at,
+                break_even_armed, hold_alert_sent, sell_pending
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(user_id, token_address) DO UPDATE SET
+                rule_id = excluded.rule_id,
+                wallet_address = excluded.wallet_address,
+                symbol = excluded.symbol,
+                buy_price = excluded.buy_price,
+                highest_price = excluded.highest_price,
+                token_amount = excluded.token_amount,
+                initial_amount = excluded.initial_amount,
+                fired_rungs = excluded.fired_rungs,
+                ladder = excluded.ladder,
+                opened_at = excluded.opened_at,
+                break_even_armed = excluded.break_even_armed,
+                hold_alert_sent = excluded.hold_alert_sent,
+                sell_pending = excluded.sell_pending,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        return stmt.run(
+            position.userId,
+            position.ruleId || null,
+            position.tokenAddress,
+            position.walletAddress,
+            position.symbol || null,
+            position.buyPrice,
+            position.highestPrice,
+            position.tokenAmount,
+            position.initialAmount,
+            JSON.stringify(position.firedRungs || []),
+            JSON.stringify((position.conditions && position.conditions.takeProfitLadder) || []),
+            position.openedAt,
+            position.breakEvenArmed ? 1 : 0,
+            position.holdAlertSent ? 1 : 0,
+            position.sellPending ? 1 : 0
+        );
+    }
+
+    async getMonitoredPositions() {
+        const stmt = this.db.prepare('SELECT * FROM monitored_positions ORDER BY created_at ASC');
+        return stmt.all();
+    }
+
+    /**
+     * Flag a position as selling, with the ladder rungs the sell is for
+     */
+    async setMonitoredPositionSellPending(userId, tokenAddress, pending, pendingRungs = []) {
+        const stmt = this.db.prepare(`
+            UPDATE monitored_positions SET sell_pending = ?, pending_rungs = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND token_address = ?
+        `);
+        return stmt.run(pending ? 1 : 0, JSON.stringify(pending ? pendingRungs : []), userId, tokenAddress);
+    }
+
+    async deleteMonitoredPosition(userId, tokenAddress) {
+        const stmt = this.db.prepare('DELETE FROM monitored_positions WHERE user_id = ? AND token_address = ?');
+        return stmt.run(userId, tokenAddress);
+    }
+
+    /**
+     * Store one market snapshot; all rows share the same recorded_at so a
+     * snapshot can be read back as one frame
+     */
+    async saveTokenSnapshots(snapshots, recordedAt = Date.now()) {
+        const stmt = this.db.prepare(`
+            INSERT INTO token_snapshots (
+                token_address, symbol, price, market_cap, liquidity, volume_24h, category, stats, recorded_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const transaction = this.db.transaction(() => {
+            for (const snapshot of snapshots) {
+                stmt.run(
+                    snapshot.address,
+                    snapshot.symbol || null,
+                    snapshot.price ?? null,
+                    snapshot.marketCap ?? null,
+                    snapshot.liquidity ?? null,
+                    snapshot.volume ?? null,
+                    snapshot.category || null,
+                    JSON.stringify(snapshot.stats || {}),
+                    recordedAt
+                );
+            }
+        });
+
+        transaction();
+    }
+
+    // Strategy template operations
+    /**
+     * Add the built-in templates missing from strategy_templates. Existing
+     * templates are left alone, so presets are only ever added.
+     */
+    seedStrategyTemplates() {
+        const transaction = this.db.transaction(() => {
+            for (const template of builtInStrategyTemplates) {
+                this.insertStrategyTemplate(template, null, true, 'INSERT OR IGNORE');
+            }
+        });
+
+        transaction();
+    }
+
+    insertStrategyTemplate(template, createdBy, isBuiltin, insert = 'INSERT') {
+        const ruleData = template.ruleData;
+        const stmt = this.db.prepare(`
+            ${insert} INTO strategy_templates (
+                name, description, risk_level, rule_data, default_tp_percentage, default_sl_percentage,
+                max_position_size, max_daily_trades, is_builtin, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(
+            template.name,
+            template.description || null,
+            template.riskLevel || null,
+            JSON.stringify(ruleData),
+            ruleData.takeProfit ? ruleData.takeProfit.percentage : null,
+            ruleData.stopLoss ? ruleData.stopLoss.percentage : null,
+            ruleData.buyAmount ? ruleData.buyAmount.value : null,
+            template.maxDailyTrades ?? null,
+            isBuiltin ? 1 : 0,
+            createdBy
+        );
+    }
+
+    async createStrategyTemplate(template, createdBy) {
+        return this.insertStrategyTemplate(template, createdBy, false);
+    }
+
+    async getStrategyTemplates() {
+        const stmt = this.db.prepare('SELECT * FROM strategy_templates ORDER BY is_builtin DESC, id ASC');
+        return stmt.all();
+    }
+
+    /**
+     * Template by id or by name
+     */
+    async getStrategyTemplate(idOrName) {
+        const stmt = this.db.prepare('SELECT * FROM strategy_templates WHERE id = ? OR name = ? COLLATE NOCASE');
+        return stmt.get(idOrName, String(idOrName));
+    }
+
+    /**
+     * Delete a template added by an admin. Built-in templates cannot be deleted.
+     */
+    async deleteStrategyTemplate(templateId) {
+        const transaction = this.db.transaction(() => {
+            this.db.prepare('UPDATE user_strategy_preferences SET template_id = NULL WHERE template_id = ?').run(templateId);
+            return this.db.prepare('DELETE FROM strategy_templates WHERE id = ? AND is_builtin = 0').run(templateId);
+        });
+
+        return transaction();
+    }
+
+    async updateUserStrategyPreferences(userId, preferences) {
+        const stmt = this.db.prepare(`
+            INSERT INTO user_strategy_preferences (
+                user_id, template_id, custom_tp_percentage, custom_sl_percentage, max_position_size, max_daily_trades
+            ) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+                template_id = excluded.template_id,
+                custom_tp_percentage = excluded.custom_tp_percentage,
+                custom_sl_percentage = excluded.custom_sl_percentage,
+                max_position_size = excluded.max_position_size,
+                max_daily_trades = excluded.max_daily_trades,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        return stmt.run(
+            userId,
+            preferences.template_id ?? null,
+            preferences.custom_tp_percentage ?? null,
+            preferences.custom_sl_percentage ?? null,
+            preferences.max_position_size ?? null,
+            preferences.max_daily_trades ?? null
+        );
+    }
+
+    /**
+     * One page of the token snapshots recorded between since and until, oldest first
+     * @param {Object|null} after - last row of the previous page, null for the first page
+     */
+    async getTokenSnapshotPage(since, until = Date.now(), after = null, limit = 5000) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM token_snapshots
+            WHERE recorded_at <= ? AND (recorded_at > ? OR (recorded_at = ? AND id > ?))
+            ORDER BY recorded_at ASC, id ASC
+            LIMIT ?
+        `);
+        const time = after ? after.recorded_at : since;
+        return stmt.all(until, time, time, after ? after.id : 0, limit);
+    }
+
+    async deleteTokenSnapshotsBefore(timestamp) {
+        const stmt = this.db.prepare('DELETE FROM token_snapshots WHERE recorded_at < ?');
+        return stmt.run(timestamp);
+    }
 }
 
 module.exports = DatabaseManager;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const winston = require('winston');
 const cron = require('node-cron');
+const TransactionTracker = require('../services/transactionTracker');
 
 class FeeManagement {
     constructor(config) {
@@ -21,10 +22,15 @@ class FeeManagement {
         this.wallet1Share = 0.6; // 60%
         this.wallet2Share = 0.4; // 40%
         this.minimumTokenHoldings = config.minimumTokenHoldings || 1000;
+        this.db = null; // Set via setDatabase() to track fee transfer transactions
         
         this.initializeScheduler();
     }
 
+    setDatabase(db) {
+        this.db = db;
+    }
+
     initializeScheduler() {
         // Schedule fee distribution
         cron.schedule('0 0 * * 0', () => {
@@ -44,8 +50,10 @@ class FeeManagement {
             const wallet2Amount = feeAmount * this.wallet2Share;
 
             // Deduct and transfer fees
-            await this.transferFee(payerKeypair, this.wallet1, wallet1Amount);
-            await this.transferFee(payerKeypair, this.wallet2, wallet2Amount);
+            const signatures = [
+                await this.transferFee(payerKeypair, this.wallet1, wallet1Amount),
+                await this.transferFee(payerKeypair, this.wallet2, wallet2Amount)
+            ];
 
             // Record fee collection
             this.logger.info(`Fee collected: ${feeAmount} SOL (Wallet1: ${wallet1Amount} SOL, Wallet2: ${wallet2Amount} SOL)`);
@@ -53,7 +61,8 @@ class FeeManagement {
             return {
                 totalFee: feeAmount,
                 wallet1Amount,
-                wallet2Amount
+                wallet2Amount,
+                signatures
             };
         } catch (error) {
             this.logger.error(`Error collecting fee: ${error.message}`);
@@ -73,6 +82,13 @@ class FeeManagement {
             );
             const signature = await this.connection.sendTransaction(transaction, [payerKeypair]);
             this.logger.info(`Transferred ${amount} SOL to ${destinationWallet.toBase58()} (Signature: ${signature})`);
+
+            // Fee transfers are not confirmed inline; the transaction tracker follows them
+            await TransactionTracker.record(this.db, transaction, {
+                signature,
+                walletPublicKey: payerKeypair.publicKey,
+                kind: 'fee'
+            });
             return signature;
         } catch (error) {
             this.logger.error(`Error transferring fee: ${error.message}`);
@@ -1,4 +1,5 @@
 const { Keypair } = require('@solana/web3.js');
+const { NATIVE_MINT } = require('@solana/spl-token');
 const crypto = require('crypto');
 const TokenAnalysis = require('./tokenAnalysis');
 
@@ -13,6 +14,28 @@ function escapeMarkdownV2(text) {
         .replace(/([_\*\[\]()~`>#+\-=|{}\.!])/g, '\\$1'); 
 }
 
+// Escape the characters legacy Markdown treats as entity markers
+function escapeLegacyMarkdown(text) {
+    if (!text) return '';
+    return text.toString().replace(/([_*`\[])/g, '\\$1');
+}
+
+/**
+ * Run worker over items with at most `limit` calls in flight, keeping result order
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
 function formatSellConfirmation(orderData) {
     const liquidity = orderData.liquidity ? orderData.liquidity.toLocaleString() : 'Unknown';
     const volume24h = orderData.volume24h ? orderData.volume24h.toLocaleString() : 'Unknown';
@@ -57,6 +80,13 @@ class SellManager {
         this.pendingSellByKey = {}; 
         this.sellMessageIds = new Map(); 
         this.tokenAnalysis = new TokenAnalysis();
+        // Monitors a panic sell stops for every token it sells; set by TelegramBotManager
+        this.manualManagementService = null;
+        this.autonomousService = null;
+        this.panicConcurrency = 3;         // Holdings checked for dust and liquidity at a time
+        this.panicDustUsd = 0.5;           // Skip holdings worth less than this
+        this.panicMinLiquidityUsd = 1000;  // Skip tokens whose deepest pool is shallower than this
+        this.orderRetryService = null;     // Failed sells are queued here for retry; set by TelegramBotManager
     }
 
     generateShortKey(length = 8) {
@@ -97,7 +127,10 @@ class SellManager {
                 return;
             }
 
-            const tokenHoldings = await this.getUserTokenHoldings(activeWallet.public_key);
+            const paper = await this.tradingExecution.isPaperTrading(user.id);
+            const tokenHoldings = paper
+                ? await this.getPaperTokenHoldings(user.id)
+                : await this.getUserTokenHoldings(activeWallet.public_key);
 
             if (tokenHoldings.length === 0) {
                 await this.safeSendMessage(chatId, 'No tokens found in your wallet to sell.', {}, 3, telegramId);
@@ -140,6 +173,9 @@ Select a token to sell:
                 }
             });
 
+            keyboard.inline_keyboard.push([
+                { text: '🚨 Panic Sell All', callback_data: 'panic_sell' }
+            ]);
             keyboard.inline_keyboard.push([
                 { text: '🔄 Refresh Holdings', callback_data: 'refresh_holdings' },
                 { text: '◀️ Back to Trade', callback_data: 'trade' }
@@ -159,7 +195,8 @@ Select a token to sell:
             const user = await this.db.getUserByTelegramId(telegramId);
             const activeWallet = await this.db.getActiveWallet(user.id);
 
-            const balance = await this.tradingExecution.getTokenBalance(
+            const balance = await this.tradingExecution.getAvailableTokenBalance(
+                user.id,
                 new (require('@solana/web3.js').PublicKey)(activeWallet.public_key), 
                 tokenAddress
             );
@@ -192,7 +229,12 @@ Select a token to sell:
                         { text: '100%', callback_data: `sell_percent_100_${tokenAddress}` }
                     ],
                     [
-                        { text: 'Custom Amount', callback_data: `sell_custom_${tokenAddress}` }
+                        { text: 'Custom Amount', callback_data: `sell_custom_${tokenAddress}` },
+                        { text: '🎯 Limit Sell', callback_data: `limit_sell_${tokenAddress}` }
+                    ],
+                    [
+                        { text: '💰 Sell for Exact SOL', callback_data: `sell_for_sol_${tokenAddress}` },
+                        { text: '🔄 Swap to Token', callback_data: `swap_to_token_${tokenAddress}` }
                     ],
                     [
                         { text: '◀️ Back to Holdings', callback_data: 'sell_token' }
@@ -309,9 +351,13 @@ Send the amount as a number (e.g., 100.5)`;
     }
 
     async executeSell(chatId, telegramId, tokenAddress, amount, bot) {
+        let user;
+        let activeWallet;
+        // Set once a swap transaction went out; from then on the sell must never be queued again
+        let sentSignature = null;
         try {
-            const user = await this.db.getUserByTelegramId(telegramId);
-            const activeWallet = await this.db.getActiveWallet(user.id);
+            user = await this.db.getUserByTelegramId(telegramId);
+            activeWallet = await this.db.getActiveWallet(user.id);
 
             if (!activeWallet) {
                 throw new Error('No active wallet found');
@@ -330,27 +376,42 @@ Send the amount as a number (e.g., 100.5)`;
             const result = await this.tradingExecution.executeSell(user.id, tokenAddress, amount, keypair);
 
             if (result.success) {
-                await this.db.createTrade(
-                    user.id,
-                    tokenAddress,
-                    amount,
-                    result.tokenPrice,
-                    'sell'
-                );
+                // Paper fills are already recorded in the paper ledger. The swap has landed at
+                // this point, so bookkeeping failures are logged rather than failing the sell
+                if (!result.paper) {
+                    sentSignature = result.offline ? null : result.signature;
+                    try {
+                        const trade = await this.db.createTrade(
+                            user.id,
+                            tokenAddress,
+                            result.tokensSold || amount,
+                            result.tokenPrice,
+                            'sell',
+                            result.fill
+                        );
+                        await this.db.linkTradeTransactions(trade.lastInsertRowid, result);
+                    } catch (recordError) {
+                        console.error('Error recording landed sell:', recordError);
+                    }
+                }
 
                 // Get token info for display
                 const tokenInfo = result.symbol ? 
                     { symbol: result.symbol, name: result.name } : 
-                    await this.tradingExecution.getTokenInfo(tokenAddress);
+                    await this.tradingExecution.getTokenInfo(tokenAddress).catch(() => ({}));
+
+                const transactionLink = result.paper
+                    ? '*📝 Paper trade* — simulated fill, no transaction sent'
+                    : `[View on Solscan](https://solscan.io/tx/${result.signature})`;
 
                 const successMessage = `
-*✅ Sell Order Executed Successfully!*
+*✅ ${result.paper ? 'Paper ' : ''}Sell Order Executed Successfully!*
 
 *Transaction Details:*
-• **Tokens Sold:** ${amount.toFixed(6)} ${tokenInfo.symbol || 'tokens'}
+• **Tokens Sold:** ${(result.tokensSold || amount).toFixed(6)} ${escapeLegacyMarkdown(tokenInfo.symbol || 'tokens')}
 • **SOL Received:** ${result.solReceived.toFixed(4)} SOL
 • **Token Price:** ${result.tokenPrice.toFixed(8)} SOL per token
-• **Price Impact:** ${result.priceImpact.toFixed(2)}%
+• **Price Impact:** ${result.priceImpact.toFixed(2)}%${result.guardNote ? `\n• **Trade Guard:** ${result.guardNote}` : ''}
 
 *Fees:*
 • **Bot Fee:** ${result.botFee.toFixed(4)} SOL
@@ -363,7 +424,7 @@ Send the amount as a number (e.g., 100.5)`;
 *Performance:*
 • **Net SOL Received:** ${(result.solReceived - result.botFee - result.networkFee).toFixed(4)} SOL
 
-[View on Solscan](https://solscan.io/tx/${result.signature})
+${transactionLink}
 
 Thank you for using 4TOOL Trading Bot! 🚀`;
 
@@ -374,6 +435,7 @@ Thank you for using 4TOOL Trading Bot! 🚀`;
                 }
 
             } else {
+                sentSignature = result.sentSignature || null;
                 throw new Error(result.error || 'Sell execution failed');
             }
 
@@ -382,11 +444,565 @@ Thank you for using 4TOOL Trading Bot! 🚀`;
 
         } catch (error) {
             console.error('Error executing sell:', error);
-            await this.safeSendMessage(chatId, `❌ Sell failed: ${error.message}`);
+            // Never queue once a swap was sent: it may have landed and a retry would sell twice
+            const queuedId = user && activeWallet && !sentSignature
+                ? await this.queueFailedSell(user.id, activeWallet.id, tokenAddress, parseFloat(amount), error.message)
+                : null;
+            if (sentSignature) {
+                await this.safeSendMessage(chatId, `⚠️ Sell sent, but it did not complete cleanly: ${error.message}\n\nTransaction ${sentSignature} was not retried. Check it and your wallet before selling again.`);
+            } else if (queuedId !== null) {
+                await this.safeSendMessage(chatId, `❌ Sell failed: ${error.message}\n\n🔁 Queued for automatic retry as #${queuedId}. You'll be notified when it goes through.`, {
+                    reply_markup: {
+                        inline_keyboard: [
+                            [
+                                { text: '🔁 Retry Queue', callback_data: 'retry_queue' }
+                            ]
+                        ]
+                    }
+                });
+            } else {
+                await this.safeSendMessage(chatId, `❌ Sell failed: ${error.message}`);
+            }
             throw error;
         }
     }
 
+    /**
+     * Put a failed sell in the retry queue. Resolves to the queued order id, or
+     * null when there is no queue or the failure is not worth retrying.
+     */
+    async queueFailedSell(userId, walletId, tokenAddress, tokenAmount, errorMessage) {
+        if (!this.orderRetryService || !(tokenAmount > 0)) {
+            return null;
+        }
+        try {
+            return await this.orderRetryService.enqueueFailedOrder({
+                userId,
+                walletId,
+                side: 'sell',
+                tokenAddress,
+                amount: tokenAmount
+            }, errorMessage);
+        } catch (queueError) {
+            console.error('Error queueing failed sell:', queueError);
+            return null;
+        }
+    }
+
+    /**
+     * Ask how much SOL the user wants out of the token; the sell spends
+     * whatever amount of the token that takes
+     */
+    async handleSellForSol(chatId, telegramId, tokenAddress) {
+        try {
+            const pendingSell = this.pendingSell.get(telegramId);
+            if (!pendingSell || pendingSell.tokenAddress !== tokenAddress) {
+                await this.safeSendMessage(chatId, 'Sell session expired. Please start over.', {}, 3, telegramId);
+                return;
+            }
+
+            pendingSell.status = 'waiting_for_sol_target';
+            const message = `\n*💰 Sell for Exact SOL*\n\n*Token:* ${escapeLegacyMarkdown(pendingSell.tokenInfo.displayName)}\n*Your Balance:* ${pendingSell.balance.toFixed(6)} tokens\n\nHow much SOL do you want to receive? Send the amount (e.g. 0.5):`;
+
+            await this.safeSendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '❌ Cancel', callback_data: 'cancel_sell' }
+                        ]
+                    ]
+                }
+            }, 3, telegramId);
+        } catch (error) {
+            console.error('Error setting up sell for SOL:', error);
+            await this.safeSendMessage(chatId, 'Sorry, something went wrong. Please try again.', {}, 3, telegramId);
+        }
+    }
+
+    /**
+     * Ask which token to swap the held token into, and how much of it to swap
+     */
+    async handleSwapToToken(chatId, telegramId, tokenAddress) {
+        try {
+            const pendingSell = this.pendingSell.get(telegramId);
+            if (!pendingSell || pendingSell.tokenAddress !== tokenAddress) {
+                await this.safeSendMessage(chatId, 'Sell session expired. Please start over.', {}, 3, telegramId);
+                return;
+            }
+
+            pendingSell.status = 'waiting_for_swap_target';
+            const message = `
+*🔄 Swap to Token*
+
+*From:* ${escapeLegacyMarkdown(pendingSell.tokenInfo.displayName)}
+*Your Balance:* ${pendingSell.balance.toFixed(6)} tokens
+
+Send the address of the token to receive and optionally how much to swap (a token amount or a percentage, default 100%):
+
+\`<token address> [amount|%]\`
+
+To receive an exact amount of the new token instead, prefix the amount with \`=\`, e.g. \`<token address> =1000\``;
+
+            await this.safeSendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '❌ Cancel', callback_data: 'cancel_sell' }
+                        ]
+                    ]
+                }
+            }, 3, telegramId);
+        } catch (error) {
+            console.error('Error setting up token swap:', error);
+            await this.safeSendMessage(chatId, 'Sorry, something went wrong. Please try again.', {}, 3, telegramId);
+        }
+    }
+
+    /**
+     * Text reply to handleSellForSol or handleSwapToToken
+     */
+    async handleSwapInput(chatId, telegramId, text) {
+        const pendingSell = this.pendingSell.get(telegramId);
+        if (!pendingSell) {
+            await this.safeSendMessage(chatId, 'No pending sell found. Please start again.', {}, 3, telegramId);
+            return;
+        }
+
+        if (pendingSell.status === 'waiting_for_sol_target') {
+            const solAmount = parseFloat(text.trim());
+            if (isNaN(solAmount) || solAmount <= 0) {
+                await this.safeSendMessage(chatId, 'Please enter a valid positive SOL amount.', {}, 3, telegramId);
+                return;
+            }
+            await this.confirmSwap(chatId, telegramId, {
+                inputMint: pendingSell.tokenAddress,
+                outputMint: NATIVE_MINT.toString(),
+                amount: solAmount,
+                swapMode: 'ExactOut'
+            });
+            return;
+        }
+
+        const [outputMint, amountText = '100%'] = text.trim().split(/\s+/);
+        if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(outputMint || '')) {
+            await this.safeSendMessage(chatId, 'Please send a valid token address, optionally followed by an amount, e.g. `<token address> 50%`.', {
+                parse_mode: 'Markdown'
+            }, 3, telegramId);
+            return;
+        }
+
+        let amount;
+        let swapMode = 'ExactIn';
+        if (amountText.startsWith('=')) {
+            amount = parseFloat(amountText.slice(1));
+            swapMode = 'ExactOut';
+        } else if (amountText.endsWith('%')) {
+            const percentage = parseFloat(amountText);
+            amount = percentage > 0 && percentage <= 100 ? (pendingSell.balance * percentage) / 100 : NaN;
+        } else {
+            amount = parseFloat(amountText);
+        }
+
+        if (isNaN(amount) || amount <= 0) {
+            await this.safeSendMessage(chatId, 'Please enter a positive amount or a percentage between 0 and 100.', {}, 3, telegramId);
+            return;
+        }
+        if (swapMode === 'ExactIn' && amount > pendingSell.balance) {
+            await this.safeSendMessage(chatId, `You don't have enough tokens. Your balance is ${pendingSell.balance.toFixed(6)} tokens.`, {}, 3, telegramId);
+            return;
+        }
+
+        await this.confirmSwap(chatId, telegramId, {
+            inputMint: pendingSell.tokenAddress,
+            outputMint,
+            amount,
+            swapMode
+        });
+    }
+
+    /**
+     * Quote a swap and ask the user to confirm it. request is
+     * { inputMint, outputMint, amount, swapMode } with amount in UI units of
+     * the input for 'ExactIn' and of the output for 'ExactOut'.
+     */
+    async confirmSwap(chatId, telegramId, request) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const settings = await this.db.getUserSettings(user.id);
+            const slippageBps = Math.round((settings?.default_slippage || 1.0) * 100);
+
+            const swap = await this.tradingExecution.quoteSwap(
+                user.id,
+                request.inputMint,
+                request.outputMint,
+                request.amount,
+                request.swapMode,
+                slippageBps
+            );
+
+            const exactOut = swap.swapMode === 'ExactOut';
+            const inputSymbol = escapeLegacyMarkdown(swap.inputInfo.symbol);
+            const outputSymbol = escapeLegacyMarkdown(swap.outputInfo.symbol);
+            const maxIn = swap.inAmount * (1 + slippageBps / 10000);
+            const minOut = swap.outAmount * (1 - slippageBps / 10000);
+
+            const message = `
+*🔄 Confirm Swap*
+
+*From:* ${inputSymbol} \`${swap.inputMint}\`
+*To:* ${outputSymbol} \`${swap.outputMint}\`
+
+*You pay:* ${exactOut ? `~${swap.inAmount.toFixed(6)} (at most ${maxIn.toFixed(6)})` : swap.inAmount.toFixed(6)} ${inputSymbol}
+*You receive:* ${exactOut ? `exactly ${swap.outAmount.toFixed(6)}` : `~${swap.outAmount.toFixed(6)} (at least ${minOut.toFixed(6)})`} ${outputSymbol}
+*Price Impact:* ${swap.priceImpactPct.toFixed(2)}%
+*Route:* ${escapeLegacyMarkdown(swap.label)} (${escapeLegacyMarkdown(swap.quote.routeHops.join(' → ') || 'direct')})
+*Slippage:* ${(slippageBps / 100).toFixed(2)}%`;
+
+            // The quote answers the pending prompt; further messages go back to the normal handlers
+            const pendingSell = this.pendingSell.get(telegramId);
+            if (pendingSell && (pendingSell.status === 'waiting_for_sol_target' || pendingSell.status === 'waiting_for_swap_target')) {
+                pendingSell.status = 'waiting_for_amount';
+            }
+
+            const shortKey = this.generateShortKey();
+            this.pendingSellByKey[shortKey] = { telegramId, swap };
+
+            await this.safeSendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '✅ Confirm Swap', callback_data: `confirm_swap_${shortKey}` },
+                            { text: '❌ Cancel', callback_data: 'cancel_sell' }
+                        ]
+                    ]
+                }
+            }, 3, telegramId);
+        } catch (error) {
+            console.error('Error quoting swap:', error);
+            await this.safeSendMessage(chatId, `❌ Could not quote swap: ${error.message}`, {}, 3, telegramId);
+        }
+    }
+
+    /**
+     * Execute a swap the user confirmed in confirmSwap
+     */
+    async executeSwap(chatId, telegramId, swap, bot) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = await this.db.getActiveWallet(user.id);
+
+            if (!activeWallet) {
+                throw new Error('No active wallet found');
+            }
+
+            if (activeWallet.is_locked) {
+                throw new Error('Wallet is locked');
+            }
+
+            const decryptedKey = this.decryptPrivateKey(activeWallet.encrypted_private_key, telegramId);
+            const keypair = Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+
+            await this.safeSendMessage(chatId, '⏳ *Processing swap...*', { parse_mode: 'Markdown' }, 3, telegramId);
+
+            const result = await this.tradingExecution.executeTokenSwap(user.id, keypair, swap);
+            if (!result.success) {
+                throw new Error(result.error || 'Swap execution failed');
+            }
+
+            // Paper fills are already recorded in the paper ledger
+            if (!result.paper) {
+                if (result.side === 'swap') {
+                    // No SOL leg to price either side at
+                    const sellTrade = await this.db.createTrade(user.id, result.inputMint, result.inAmount, 0, 'sell');
+                    await this.db.linkTradeTransactions(sellTrade.lastInsertRowid, result);
+                    await this.db.createTrade(user.id, result.outputMint, result.outAmount, 0, 'buy');
+                } else {
+                    const tokenAddress = result.side === 'buy' ? result.outputMint : result.inputMint;
+                    const tokenAmount = result.side === 'buy' ? result.outAmount : result.inAmount;
+                    const trade = await this.db.createTrade(user.id, tokenAddress, tokenAmount, result.tokenPrice, result.side, result.fill);
+                    await this.db.linkTradeTransactions(trade.lastInsertRowid, result);
+                }
+            }
+
+            const transactionLink = result.paper
+                ? '*📝 Paper trade* — simulated fill, no transaction sent'
+                : `[View on Solscan](https://solscan.io/tx/${result.signature})`;
+
+            const message = `
+*✅ ${result.paper ? 'Paper ' : ''}Swap Executed*
+
+*Paid:* ${result.inAmount.toFixed(6)} ${escapeLegacyMarkdown(result.inputSymbol)}
+*Received:* ${result.outAmount.toFixed(6)} ${escapeLegacyMarkdown(result.outputSymbol)}
+*Price Impact:* ${result.priceImpact.toFixed(2)}%
+*Bot Fee:* ${result.botFee.toFixed(4)} SOL
+*Network Fee:* ${result.networkFee.toFixed(6)} SOL
+*Signature:* \`${result.signature}\`
+
+${transactionLink}`;
+
+            await this.safeSendMessage(chatId, message, { parse_mode: 'Markdown' }, 3, telegramId);
+
+            if (bot) {
+                await this.deleteSellMessages(chatId, telegramId, bot);
+            }
+            this.clearPendingSellAndUserState(telegramId);
+        } catch (error) {
+            console.error('Error executing swap:', error);
+            await this.safeSendMessage(chatId, `❌ Swap failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ask the user to confirm selling every token in the active wallet
+     */
+    async showPanicSellConfirmation(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = user ? await this.db.getActiveWallet(user.id) : null;
+
+            if (!activeWallet) {
+                await this.safeSendMessage(chatId, 'Please create or import a wallet first to sell tokens.', {}, 3, telegramId);
+                return;
+            }
+
+            if (activeWallet.is_locked) {
+                await this.safeSendMessage(chatId, 'Please unlock your wallet first to start selling.', {}, 3, telegramId);
+                return;
+            }
+
+            const paper = await this.tradingExecution.isPaperTrading(user.id);
+            const holdings = paper
+                ? await this.getPaperTokenHoldings(user.id)
+                : await this.getUserTokenHoldings(activeWallet.public_key);
+            const sellable = holdings.filter(holding => holding.mint !== NATIVE_MINT.toString());
+
+            if (sellable.length === 0) {
+                await this.safeSendMessage(chatId, 'No tokens found in your wallet to sell.', {}, 3, telegramId);
+                return;
+            }
+
+            const message = `
+*🚨 Panic Sell All${paper ? ' (Paper)' : ''}*
+
+This sells *100%* of all ${sellable.length} token${sellable.length === 1 ? '' : 's'} in your active wallet for SOL.
+
+• Dust worth under $${this.panicDustUsd} and tokens with under $${this.panicMinLiquidityUsd.toLocaleString()} pool liquidity are skipped
+• Manual management and autonomous monitors for the sold tokens are stopped
+• Sells are split to respect your price impact and liquidity guards; a token that cannot be split or quoted is sold in one piece
+
+Are you sure?`;
+
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: '🚨 Sell Everything', callback_data: 'panic_sell_confirm' },
+                        { text: '❌ Cancel', callback_data: 'cancel_sell' }
+                    ]
+                ]
+            };
+
+            await this.safeSendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            }, 3, telegramId);
+        } catch (error) {
+            console.error('Error showing panic sell confirmation:', error);
+            await this.safeSendMessage(chatId, 'Sorry, something went wrong while preparing the panic sell.', {}, 3, telegramId);
+        }
+    }
+
+    /**
+     * Sell every non-SOL holding in the active wallet and report a per-token summary.
+     * Holdings are checked a few at a time; the sells themselves run one after another,
+     * since the wallet lock lets only one sell sign for the wallet at a time.
+     */
+    async panicSellAll(chatId, telegramId, bot) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = user ? await this.db.getActiveWallet(user.id) : null;
+
+            if (!activeWallet) {
+                throw new Error('No active wallet found');
+            }
+
+            if (activeWallet.is_locked) {
+                throw new Error('Wallet is locked');
+            }
+
+            const decryptedKey = this.decryptPrivateKey(activeWallet.encrypted_private_key, telegramId);
+            const keypair = Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+
+            const paper = await this.tradingExecution.isPaperTrading(user.id);
+            const holdings = (paper
+                ? await this.getPaperTokenHoldings(user.id)
+                : await this.getUserTokenHoldings(activeWallet.public_key)
+            ).filter(holding => holding.mint !== NATIVE_MINT.toString());
+
+            if (holdings.length === 0) {
+                await this.safeSendMessage(chatId, 'No tokens found in your wallet to sell.', {}, 3, telegramId);
+                return;
+            }
+
+            const toSell = [];
+            const skipped = [];
+            const skipReasons = await runWithConcurrency(holdings, this.panicConcurrency, holding => this.getPanicSkipReason(holding));
+            holdings.forEach((holding, index) => {
+                if (skipReasons[index]) {
+                    skipped.push({ holding, reason: skipReasons[index] });
+                } else {
+                    toSell.push(holding);
+                }
+            });
+
+            console.log(`[panicSellAll] User ${user.id}: selling ${toSell.length} token(s), skipping ${skipped.length}`);
+
+            if (toSell.length > 0) {
+                await this.safeSendMessage(chatId, `🚨 Selling ${toSell.length} token${toSell.length === 1 ? '' : 's'}...`, {}, 3, telegramId);
+            }
+
+            const results = [];
+            for (const holding of toSell) {
+                // The keypair is passed along: the shared wallet of tradingExecution may belong to another user by now
+                const result = await this.tradingExecution.executeSellPercent(user.id, holding.mint, 100, undefined, keypair, { protective: true });
+
+                if (result.success) {
+                    // Monitors are stopped only once the token is gone, so a failed sell leaves its stop-loss in place
+                    if (!result.partial) {
+                        this.stopTokenMonitors(user.id, [holding.mint]);
+                    }
+                    try {
+                        if (!result.paper) {
+                            const trade = await this.db.createTrade(
+                                user.id,
+                                holding.mint,
+                                result.tokensSold,
+                                result.tokenPrice,
+                                'sell',
+                                result.fill
+                            );
+                            await this.db.linkTradeTransactions(trade.lastInsertRowid, result);
+                        }
+                        if (!result.partial) {
+                            await this.markPanicSold(user.id, holding.mint);
+                        }
+                    } catch (error) {
+                        console.error(`[panicSellAll] Error recording sell of ${holding.mint}:`, error);
+                    }
+                } else {
+                    console.error(`[panicSellAll] Sell of ${holding.mint} failed:`, result.error);
+                }
+
+                results.push({ holding, result });
+            }
+
+            await this.safeSendMessage(chatId, this.formatPanicSellSummary(results, skipped, paper), {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            }, 3, telegramId);
+
+            this.clearPendingSellAndUserState(telegramId);
+        } catch (error) {
+            console.error('Error executing panic sell:', error);
+            await this.safeSendMessage(chatId, `❌ Panic sell failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Why a holding is left out of a panic sell, or null to sell it
+     */
+    async getPanicSkipReason(holding) {
+        if (!holding.balance || holding.balance <= 0) {
+            return 'empty balance';
+        }
+
+        const valueUsd = holding.balance * (holding.price || 0);
+        if (holding.price > 0 && valueUsd < this.panicDustUsd) {
+            return `dust ($${valueUsd.toFixed(4)})`;
+        }
+
+        // Only skip on known liquidity; tokens without a SOL pool are still tried
+        const pool = await this.tradingExecution.tradeGuard.getPoolLiquidity(holding.mint);
+        if (pool && pool.liquidityUsd < this.panicMinLiquidityUsd) {
+            return `illiquid ($${Math.round(pool.liquidityUsd).toLocaleString()} pool liquidity)`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Stop manual management and autonomous monitoring of tokens
+     */
+    stopTokenMonitors(userId, tokenAddresses) {
+        if (this.manualManagementService) {
+            for (const tokenAddress of tokenAddresses) {
+                this.manualManagementService.removeTokenFromMonitoring(userId, tokenAddress);
+            }
+        }
+        if (this.autonomousService) {
+            this.autonomousService.stopMonitoringTokens(userId, tokenAddresses);
+        }
+    }
+
+    /**
+     * Mark a panic-sold token as sold so manual management does not pick it up again
+     */
+    async markPanicSold(userId, tokenAddress) {
+        if (this.manualManagementService) {
+            await this.manualManagementService.markTokenAsSold(userId, tokenAddress);
+        } else {
+            this.db.markTokenAsSold(userId, tokenAddress);
+        }
+    }
+
+    formatPanicSellSummary(results, skipped, paper) {
+        const succeeded = results.filter(({ result }) => result.success);
+        const failed = results.filter(({ result }) => !result.success);
+        const solReceived = succeeded.reduce((sum, { result }) => sum + (result.solReceived || 0), 0);
+        const label = (holding) => escapeLegacyMarkdown(holding.symbol || holding.mint.slice(0, 4) + '...');
+
+        let message = `*🚨 ${paper ? 'Paper ' : ''}Panic Sell Summary*\n\n`;
+        message += `✅ Sold: ${succeeded.length}   ❌ Failed: ${failed.length}   ⏭ Skipped: ${skipped.length}\n`;
+        message += `💰 Total SOL Received: ${solReceived.toFixed(4)} SOL\n`;
+
+        if (succeeded.length > 0) {
+            message += `\n*Sold:*\n`;
+            for (const { holding, result } of succeeded) {
+                message += `✅ ${label(holding)}: ${(result.tokensSold || 0).toFixed(6)} → ${(result.solReceived || 0).toFixed(4)} SOL\n`;
+                if (result.partial) {
+                    message += `   ⚠️ ${escapeLegacyMarkdown(result.guardNote)}; still monitored\n`;
+                } else if (result.guardNote) {
+                    message += `   🛡 ${escapeLegacyMarkdown(result.guardNote)}\n`;
+                }
+                if (result.paper) {
+                    message += `   📝 Simulated fill\n`;
+                } else {
+                    for (const signature of result.signatures || [result.signature]) {
+                        message += `   [${signature.slice(0, 8)}...](https://solscan.io/tx/${signature})\n`;
+                    }
+                }
+            }
+        }
+
+        if (failed.length > 0) {
+            message += `\n*Failed:*\n`;
+            for (const { holding, result } of failed) {
+                message += `❌ ${label(holding)}: ${escapeLegacyMarkdown(result.error || 'Unknown error')}\n`;
+            }
+        }
+
+        if (skipped.length > 0) {
+            message += `\n*Skipped:*\n`;
+            for (const { holding, reason } of skipped) {
+                message += `⏭ ${label(holding)}: ${reason}\n`;
+            }
+        }
+
+        return message;
+    }
+
     async getUserTokenHoldings(walletAddress) {
         try {
             const PortfolioService = require('../services/portfolioService');
@@ -425,6 +1041,22 @@ Thank you for using 4TOOL Trading Bot! 🚀`;
         }
     }
 
+    async getPaperTokenHoldings(userId) {
+        try {
+            const positions = await this.db.getPaperPositions(userId);
+            return positions.map(position => ({
+                address: position.token_address,
+                mint: position.token_address,
+                balance: position.amount,
+                symbol: position.token_address.slice(0, 4) + '...',
+                price: 0
+            }));
+        } catch (error) {
+            console.error('Error getting paper token holdings:', error);
+            return [];
+        }
+    }
+
     async getTokenSellReport(tokenAddress, amount) {
         try {
             // Get real SOL estimation using Raydium quote
@@ -46,6 +46,7 @@ class TelegramBotManager {
             this.db = new DatabaseManager();
             this.feeManager = new FeeManagement(config);
             this.tradingExecution = new TradingExecution(config);
+            this.tradingExecution.setDatabase(this.db);
             this.rugCheck = new RugCheck();
             this.tokenAnalysis = new TokenAnalysis();
             this.ruleEngine = new RuleEngine(this.db, config);
@@ -71,10 +72,18 @@ initializeWithBot(config) {
     this.rulesCommand = new RulesCommand(this.bot, this.db, config);
     this.rulesManager = new RulesManager(this.bot, this.db, this.messageManager, this.rulesCommand);
     this.sellManager = new SellManager(config, this.tradingExecution, this.db, this.messageManager);
+    // Panic sell stops these monitors for the tokens it sells
+    this.sellManager.manualManagementService = this.manualManagementService || null;
+    this.sellManager.autonomousService = this.autonomousService;
 
     this.walletHandlers = new WalletHandlers(this.bot, this.db, config);
+    this.walletHandlers.tradingExecution = this.tradingExecution; // Closes empty token accounts for Reclaim Rent
     this.portfolioHandlers = new PortfolioHandlers(this.bot, this.db, config);
     this.tradingHandlers = new TradingHandlers(this.bot, this.db, config, this.sellManager);
+    // Failed buys and sells go to the retry queue
+    this.sellManager.orderRetryService = this.orderRetryService || null;
+    this.tradingHandlers.orderRetryService = this.orderRetryService || null;
+    this.tradingHandlers.buyManager.orderRetryService = this.orderRetryService || null;
     this.strategyHandlers = new StrategyHandlers(this.bot, this.db, config);
     this.ruleHandlers = new RuleHandlers(this.bot, this.db, config);
     this.exportHandlers = new ExportHandlers(this.bot, this.db, config);
@@ -313,9 +322,18 @@ initializeWithBot(config) {
                         await this.bot.sendMessage(chatId, 'Sell command coming soon!');
                     }
                     break;
+                case '/panic':
+                    await this.sellManager.showPanicSellConfirmation(chatId, telegramId);
+                    break;
                 case '/set':
                     await this.showSettings(chatId, telegramId);
                     break;
+                case '/rule':
+                    await this.rulesCommand.handleRuleTextCommand(msg, msg.text);
+                    break;
+                case '/template':
+                    await this.rulesCommand.handleTemplateCommand(msg, msg.text);
+                    break;
                 default:
                     await this.bot.sendMessage(chatId, 'Unknown command. Use /start to begin.');
             }
@@ -628,6 +646,26 @@ I'm your automated trading assistant for Solana tokens. To get started, you'll n
             }
         });
 
+        // Rule DSL: /rule add "<name>" <terms...>
+        this.bot.onText(/^\/rule(?:@\w+)?(?:\s|$)/, async (msg) => {
+            try {
+                await this.rulesCommand.handleRuleTextCommand(msg, msg.text);
+            } catch (error) {
+                console.error('Error in /rule command:', error);
+                await this.bot.sendMessage(msg.chat.id, 'Sorry, something went wrong. Please try again later.');
+            }
+        });
+
+        // Strategy templates: /template lists them, admins add and delete them
+        this.bot.onText(/^\/template(?:@\w+)?(?:\s|$)/, async (msg) => {
+            try {
+                await this.rulesCommand.handleTemplateCommand(msg, msg.text);
+            } catch (error) {
+                console.error('Error in /template command:', error);
+                await this.bot.sendMessage(msg.chat.id, 'Sorry, something went wrong. Please try again later.');
+            }
+        });
+
         // Handle callback queries (inline button clicks)
         this.bot.on('callback_query', async (callbackQuery) => {
             try {
@@ -670,6 +708,10 @@ I'm your automated trading assistant for Solana tokens. To get started, you'll n
                         await this.tradingHandlers.handleCustomSellAmountInput(chatId, telegramId, text);
                         return;
                     }
+                    if (pendingSell && (pendingSell.status === 'waiting_for_sol_target' || pendingSell.status === 'waiting_for_swap_target')) {
+                        await this.sellManager.handleSwapInput(chatId, telegramId, text);
+                        return;
+                    }
                 }
 
                 // 3. All other handlers come AFTER
@@ -678,7 +720,7 @@ I'm your automated trading assistant for Solana tokens. To get started, you'll n
                     await this.rulesCommand.handleMessage({
                         chat: { id: chatId },
                         from: { id: telegramId },
-                        message: { text }
+                        message: { text, document: msg.document }
                     });
                     return;
                 }
@@ -777,6 +819,20 @@ I'm your automated trading assistant for Solana tokens. To get started, you'll n
                             await this.tradingHandlers.handleMessage(ctx, userState);
                             // Optionally clear state if needed (handled by tradingHandlers)
                             return;
+                        case 'awaiting_exact_buy':
+                        case 'awaiting_limit_order': {
+                            // Delegate to tradingHandlers for exact buy and limit order input
+                            const inputCtx = {
+                                chat: { id: chatId },
+                                from: { id: telegramId },
+                                message: { text }
+                            };
+                            const inputResult = await this.tradingHandlers.handleMessage(inputCtx, userState);
+                            if (inputResult && inputResult.clearState) {
+                                this.bot.userStates.delete(telegramId);
+                            }
+                            return;
+                        }
                     }
                 }
 
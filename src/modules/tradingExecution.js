@@ -1,9 +1,14 @@
 const { Connection, PublicKey, Transaction, VersionedTransaction } = require('@solana/web3.js');
 const { Program, AnchorProvider } = require('@project-serum/anchor');
 const winston = require('winston');
-const { TOKEN_PROGRAM_ID, NATIVE_MINT } = require('@solana/spl-token');
+const { TOKEN_PROGRAM_ID, NATIVE_MINT, createCloseAccountInstruction } = require('@solana/spl-token');
 const FeeManagement = require('./feeManagement');
 const RaydiumService = require('../services/raydiumService');
+const { createDefaultRegistry } = require('../services/swapProviders');
+const TransactionTracker = require('../services/transactionTracker');
+const TradeGuard = require('../services/tradeGuard');
+const { walletLock } = require('../services/walletLock');
+const { priceOracle } = require('../services/priceOracle');
 
 class TradingExecution {
     constructor(config) {
@@ -19,14 +24,18 @@ class TradingExecution {
         });
         this.activePositions = new Map();
         this.userWallet = null;
+        this.db = null; // Set via setDatabase() for order, paper and transaction persistence
         this.feeManager = new FeeManagement(config);
         
-        // Initialize Raydium service (for fallback only)
+        // Initialize Raydium service (used by the Raydium swap provider)
         this.raydiumService = new RaydiumService(this.connection, config);
         
-        // Trading provider: Jupiter PRIMARY, Raydium fallback only
-        this.tradingProvider = 'jupiter'; // Force Jupiter as primary
+        // Swap providers, tried in the user's configured order (default: Jupiter, then Raydium)
+        this.swapProviders = createDefaultRegistry(this, config);
         this.enableFallback = config.enableFallback !== false; // Default to true
+        this.maxSendAttempts = 3; // Sends per swap, rebuilding with a fresh blockhash after each expiry
+        this.maxCloseAccountsPerTx = 20; // Close-account instructions per rent reclaim transaction, well under the size limit
+        this.tradeGuard = new TradeGuard(this); // Per-user price impact and pool liquidity caps
         
         // Rate limiting for Jupiter API (primary provider)
         this.lastJupiterRequest = 0;
@@ -50,167 +59,320 @@ class TradingExecution {
      * @param {Object} wallet - Wallet keypair
      * @param {number} slippageBps - Slippage in basis points
      * @param {boolean} isSelling - Whether this is a sell operation
+     * @param {Object} options - { paper, userId, provider, quote, swapMode }; userId selects the user's provider order,
+     *   paper simulates the swap against the paper account, provider + quote execute a quote the
+     *   user picked through that provider only, swapMode 'ExactOut' makes amount the output amount
      * @returns {Promise<Object>} Swap result
      */
-    async executeSwapWithFallback(inputMint, outputMint, amount, wallet, slippageBps = 50, isSelling = false) {
-        console.log(`[executeSwapWithFallback] ${isSelling ? 'Selling' : 'Buying'} operation - Jupiter primary, Raydium fallback only`);
-        
-        // ALWAYS prioritize Jupiter first, Raydium as fallback only
-        const providers = ['jupiter', 'raydium'];
-        
-        let lastErrorMessage = null;
+    async executeSwapWithFallback(inputMint, outputMint, amount, wallet, slippageBps = 50, isSelling = false, options = {}) {
+        if (options.paper) {
+            return this.executePaperSwap(options.userId, inputMint, outputMint, amount, slippageBps, isSelling, options);
+        }
+
+        const providers = options.provider
+            ? [this.swapProviders.get(options.provider)].filter(Boolean)
+            : await this.resolveSwapProviders(options.userId);
+        console.log(`[executeSwapWithFallback] ${isSelling ? 'Selling' : 'Buying'} operation - provider order: ${providers.map(p => p.name).join(' → ')}`);
+
         const providerErrors = [];
-        
+
         for (const provider of providers) {
             try {
-                console.log(`[executeSwapWithFallback] Attempting swap with ${provider}`);
-                
-                if (provider === 'jupiter') {
-                    // Jupiter implementation for both buying and selling (PRIMARY)
-                    const swapResult = await this.buildJupiterSwap(
-                        inputMint,
-                        outputMint,
-                        amount,
-                        wallet.publicKey,
-                        slippageBps // Already in basis points, no need to divide
-                    );
-                    
-                    if (swapResult) {
-                        const signature = await this.executeTransaction(wallet, swapResult.transaction);
-                        
-                        if (signature && typeof signature === 'string') {
-                            console.log(`[executeSwapWithFallback] Jupiter swap successful`);
-                            return {
-                                success: true,
-                                signatures: [signature],
-                                swapResponse: swapResult,
-                                priorityFee: swapResult.prioritizationFeeLamports || 0,
-                                transactionCount: 1,
-                                provider: 'jupiter'
-                            };
-                        }
+                console.log(`[executeSwapWithFallback] Attempting swap with ${provider.name}`);
 
-                        // If executeTransaction returned a failure object, surface its details
-                        if (signature && typeof signature === 'object' && signature.success === false) {
-                            const errorWithLogs = new Error(`Jupiter transaction failed: ${signature.error || 'Unknown error'}`);
-                            if (signature.logs) {
-                                errorWithLogs.logs = signature.logs;
-                            }
-                            throw errorWithLogs;
-                        }
+                const built = await provider.build({ inputMint, outputMint, amount, wallet, slippageBps, isSelling, quote: options.quote, swapMode: options.swapMode });
+                const sent = await provider.send(wallet, built);
 
-                        // No signature produced. Surface detailed simulation error if available
-                        const simErr = swapResult.simulationError;
-                        const dynSlip = swapResult.dynamicSlippageReport;
-                        const detailParts = [];
-                        if (simErr) {
-                            if (simErr.errorCode) detailParts.push(`code=${simErr.errorCode}`);
-                            if (simErr.error) detailParts.push(`message=${simErr.error}`);
-                        }
-                        if (dynSlip && typeof dynSlip.slippageBps !== 'undefined') {
-                            detailParts.push(`slippageBps=${dynSlip.slippageBps}`);
-                        }
-                        const detail = detailParts.length ? detailParts.join(', ') : 'unknown reason';
-                        throw new Error(`Jupiter swap failed without signature: ${detail}`);
-                    }
-
-                    // If swapResult is falsy, throw explicit error to be caught below
-                    throw new Error('Jupiter returned empty swap result');
-                    
-                } else if (provider === 'raydium') {
-                    // Raydium fallback implementation - only used when Jupiter fails
-                    console.log(`[executeSwapWithFallback] Using Raydium as fallback (Jupiter failed)`);
-                    
-                    // Get input token account for selling operations with Raydium
-                    let inputTokenAccount = null;
-                    if (isSelling && inputMint !== NATIVE_MINT.toString()) {
-                        try {
-                            const tokenAccounts = await this.raydiumService.getTokenAccounts(wallet.publicKey);
-                            const inputAccount = tokenAccounts.find(acc => acc.mint === inputMint);
-                            
-                            if (inputAccount) {
-                                inputTokenAccount = inputAccount.address;
-                                console.log(`[executeSwapWithFallback] Found input token account for Raydium fallback: ${inputTokenAccount} with balance ${inputAccount.uiAmount}`);
-                            } else {
-                                console.log(`[executeSwapWithFallback] No input token account found for ${inputMint} with Raydium - skipping fallback`);
-                                throw new Error('No suitable token account found for Raydium fallback');
-                            }
-                        } catch (error) {
-                            console.error(`[executeSwapWithFallback] Error getting token accounts for Raydium fallback: ${error.message}`);
-                            throw new Error(`Raydium fallback preparation failed: ${error.message}`);
-                        }
-                    }
-                    
-                    const result = await this.raydiumService.executeSwap(
-                        inputMint,
-                        outputMint,
-                        amount,
-                        wallet,
-                        slippageBps,
-                        'h', // High priority
-                        inputTokenAccount // Pass the input token account string for selling
-                    );
-                    
-                    if (result.success) {
-                        console.log(`[executeSwapWithFallback] Raydium fallback swap successful`);
-                        return {
-                            ...result,
-                            provider: 'raydium'
-                        };
-                    } else {
-                        throw new Error(`Raydium fallback failed: ${result.error || 'Unknown error'}`);
-                    }
-                }
+                console.log(`[executeSwapWithFallback] ${provider.label} swap successful`);
+                return {
+                    success: true,
+                    ...sent,
+                    provider: provider.name
+                };
             } catch (error) {
-                console.error(`[executeSwapWithFallback] ${provider} failed:`, error.message);
-                lastErrorMessage = `${provider}: ${error.message}`;
+                console.error(`[executeSwapWithFallback] ${provider.name} failed:`, error.message);
+                if (error.sentSignature) {
+                    // The swap was sent and may have landed: another provider would trade a second time
+                    throw error;
+                }
                 providerErrors.push({ provider, message: error.message, logs: error.logs });
-                
-                // If this is the last provider and fallback is disabled, throw the error
-                if (!this.enableFallback || provider === providers[providers.length - 1]) {
-                    // Build aggregated error message
-                    const parts = [];
-                    const rayErr = providerErrors.find(e => e.provider === 'raydium');
-                    const jupErr = providerErrors.find(e => e.provider === 'jupiter');
-                    if (rayErr) parts.push(`Raydium error: ${rayErr.message}`);
-                    if (jupErr) {
-                        if (jupErr.logs && Array.isArray(jupErr.logs) && jupErr.logs.length) {
-                            parts.push(`Jupiter transaction simulation logs:\n${jupErr.logs.join('\n')}`);
-                        } else {
-                            parts.push(`Jupiter error: ${jupErr.message}`);
-                        }
-                    }
-                    const combined = parts.length ? parts.join('\n\n') : `All swap providers failed. Last error from ${provider}: ${error.message}`;
-                    throw new Error(combined);
+
+                if (!this.enableFallback) {
+                    break;
                 }
-                
                 console.log(`[executeSwapWithFallback] Trying next provider...`);
-                continue;
             }
         }
-        
-        // Build aggregated error message if available
-        if (providerErrors.length) {
-            const parts = [];
-            const rayErr = providerErrors.find(e => e.provider === 'raydium');
-            const jupErr = providerErrors.find(e => e.provider === 'jupiter');
-            if (rayErr) parts.push(`Raydium error: ${rayErr.message}`);
-            if (jupErr) {
-                if (jupErr.logs && Array.isArray(jupErr.logs) && jupErr.logs.length) {
-                    parts.push(`Jupiter transaction simulation logs:\n${jupErr.logs.join('\n')}`);
-                } else {
-                    parts.push(`Jupiter error: ${jupErr.message}`);
+
+        // Build aggregated error message
+        const parts = providerErrors.map(({ provider, message, logs }) => {
+            if (logs && Array.isArray(logs) && logs.length) {
+                return `${provider.label} transaction simulation logs:\n${logs.join('\n')}`;
+            }
+            return `${provider.label} error: ${message}`;
+        });
+        throw new Error(parts.length ? parts.join('\n\n') : 'All swap providers failed: no providers configured');
+    }
+
+    /**
+     * Ordered swap providers for a user: their saved order, else the configured default.
+     * With fallback disabled only the first provider is used.
+     */
+    async resolveSwapProviders(userId = null) {
+        let order = null;
+        if (this.db && userId) {
+            try {
+                const settings = await this.db.getUserSettings(userId);
+                order = settings?.swap_provider_order || null;
+            } catch (error) {
+                console.error('[resolveSwapProviders] Error reading provider order:', error.message);
+            }
+        }
+
+        const providers = this.swapProviders.resolve(order);
+        return this.enableFallback ? providers : providers.slice(0, 1);
+    }
+
+    /**
+     * Quote a swap with every registered provider in parallel, the user's
+     * preferred providers first. Failed quotes carry an error instead of a quote.
+     */
+    async getQuoteComparison(userId, inputMint, outputMint, amount, slippageBps = 50) {
+        const preferred = await this.resolveSwapProviders(userId);
+        const providers = [
+            ...preferred,
+            ...this.swapProviders.names()
+                .map(name => this.swapProviders.get(name))
+                .filter(provider => !preferred.includes(provider))
+        ];
+
+        const settled = await Promise.allSettled(
+            providers.map(provider => provider.quote({ inputMint, outputMint, amount, slippageBps }))
+        );
+
+        return providers.map((provider, index) => ({
+            provider: provider.name,
+            label: provider.label,
+            quote: settled[index].status === 'fulfilled' ? settled[index].value : null,
+            error: settled[index].status === 'rejected' ? settled[index].reason.message : null
+        }));
+    }
+
+    /**
+     * Whether every provider the user would swap through runs offline
+     */
+    async isOfflineSwap(userId = null) {
+        const providers = await this.resolveSwapProviders(userId);
+        return providers.length > 0 && providers.every(provider => provider.offline);
+    }
+
+    /**
+     * Confirm a swap landed using the provider that executed it
+     */
+    async verifySwap(swapResult, tokenAddress) {
+        const provider = this.swapProviders.get(swapResult.provider);
+        const signature = swapResult.signatures[0];
+        if (!provider) {
+            return this.verifyTransactionSuccess(signature, tokenAddress);
+        }
+        return provider.verify(signature, tokenAddress);
+    }
+
+    /**
+     * Actual fill of a confirmed swap, read from the pre/post balances in its
+     * transaction meta. Sums across every transaction of a multi-transaction swap.
+     *
+     * side is 'buy' (SOL in, tokens out) or 'sell' (tokens in, SOL out);
+     * quotedOutAmount is the provider's quoted output in raw units. Rent for a
+     * token account opened by a buy is part of the SOL it spent.
+     * Returns null when the swap never hit the chain or its meta is unavailable.
+     */
+    async getSwapFill(swapResult, walletPublicKey, tokenAddress, side, quotedOutAmount = 0) {
+        if (!swapResult || swapResult.offline || !Array.isArray(swapResult.signatures)) {
+            return null;
+        }
+
+        const owner = walletPublicKey.toString();
+        let tokenRaw = 0;
+        let lamportsDelta = 0;
+        let networkLamports = 0;
+        let priorityLamports = 0;
+        let decimals = null;
+
+        try {
+            for (const signature of swapResult.signatures) {
+                const transaction = await this.getConfirmedTransaction(signature);
+                if (!transaction || !transaction.meta || transaction.meta.err) {
+                    console.warn(`[getSwapFill] No usable transaction meta for ${signature}`);
+                    return null;
                 }
+
+                const { meta } = transaction;
+                const ownedBalance = balances => (balances || [])
+                    .filter(balance => balance.mint === tokenAddress && balance.owner === owner)
+                    .reduce((sum, balance) => {
+                        decimals = balance.uiTokenAmount.decimals;
+                        return sum + Number(balance.uiTokenAmount.amount);
+                    }, 0);
+
+                // The wallet pays the fee, so it is always account 0
+                const signerCount = transaction.transaction.message.header.numRequiredSignatures || 1;
+                tokenRaw += ownedBalance(meta.postTokenBalances) - ownedBalance(meta.preTokenBalances);
+                lamportsDelta += meta.postBalances[0] - meta.preBalances[0];
+                networkLamports += meta.fee;
+                priorityLamports += Math.max(0, meta.fee - signerCount * 5000);
+            }
+        } catch (error) {
+            console.error('[getSwapFill] Error reading transaction meta:', error.message);
+            return null;
+        }
+
+        if (decimals === null) {
+            return null;
+        }
+
+        const isBuy = side === 'buy';
+        // Balance deltas include the network fee; strip it so solAmount is the swap leg only
+        const solLamports = isBuy ? -lamportsDelta - networkLamports : lamportsDelta + networkLamports;
+        const tokenAmount = Math.abs(tokenRaw) / Math.pow(10, decimals);
+        const solAmount = solLamports / 1e9;
+        const actualOut = isBuy ? tokenRaw : solLamports;
+        const slippagePct = quotedOutAmount > 0 ? ((quotedOutAmount - actualOut) / quotedOutAmount) * 100 : null;
+
+        return {
+            signature: swapResult.signatures[0],
+            tokenAmount,
+            solAmount,
+            price: tokenAmount > 0 ? solAmount / tokenAmount : 0,
+            networkFee: networkLamports / 1e9,
+            priorityFee: priorityLamports / 1e9,
+            quotedAmount: quotedOutAmount > 0 ? quotedOutAmount / Math.pow(10, isBuy ? decimals : 9) : null,
+            slippagePct
+        };
+    }
+
+    /**
+     * Fetch a transaction, retrying briefly while the RPC node catches up
+     */
+    async getConfirmedTransaction(signature, retries = 3) {
+        for (let attempt = 1; attempt <= retries; attempt++) {
+            const transaction = await this.connection.getTransaction(signature, {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0
+            });
+            if (transaction) {
+                return transaction;
+            }
+            if (attempt < retries) {
+                await new Promise(resolve => setTimeout(resolve, 2000));
             }
-            throw new Error(parts.join('\n\n'));
         }
-        throw new Error(`All swap providers failed${lastErrorMessage ? `. Last error: ${lastErrorMessage}` : ''}`);
+        return null;
     }
 
     setUserWallet(keypair) {
         this.userWallet = keypair;
     }
 
+    setDatabase(db) {
+        this.db = db;
+        this.feeManager.setDatabase(db);
+    }
+
+    // ============ PAPER TRADING ============
+
+    /**
+     * Whether the user has paper trading enabled in their settings
+     */
+    async isPaperTrading(userId) {
+        if (!this.db || !userId) {
+            return false;
+        }
+        try {
+            const settings = await this.db.getUserSettings(userId);
+            return !!(settings && settings.paper_trading);
+        } catch (error) {
+            console.error('[isPaperTrading] Error reading user settings:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Token balance the user can sell: the paper position in paper mode,
+     * otherwise the on-chain balance of the wallet.
+     */
+    async getAvailableTokenBalance(userId, walletPublicKey, tokenAddress) {
+        if (await this.isPaperTrading(userId)) {
+            return this.db.getPaperPosition(userId, tokenAddress);
+        }
+        return this.getTokenBalance(walletPublicKey, tokenAddress);
+    }
+
+    /**
+     * Simulate a swap at a live quote and apply it to the user's paper account.
+     * Quotes come from the user's swap providers in order; nothing is sent on-chain.
+     * @returns {Promise<Object>} Result shaped like executeSwapWithFallback's
+     */
+    async executePaperSwap(userId, inputMint, outputMint, amount, slippageBps = 50, isSelling = false, options = {}) {
+        if (!this.db) {
+            throw new Error('Paper trading requires a database connection');
+        }
+        const solMint = NATIVE_MINT.toString();
+        if (inputMint !== solMint && outputMint !== solMint) {
+            throw new Error('Paper trading only supports swaps to or from SOL');
+        }
+
+        // A quote the user already picked fills as-is
+        let quote = options.quote || null;
+        let provider = options.quote ? options.provider : null;
+        const providerErrors = [];
+
+        for (const candidate of quote ? [] : await this.resolveSwapProviders(userId)) {
+            try {
+                quote = await candidate.quote({ inputMint, outputMint, amount, slippageBps, swapMode: options.swapMode });
+                provider = candidate.name;
+                break;
+            } catch (error) {
+                console.error(`[executePaperSwap] ${candidate.name} quote failed:`, error.message);
+                providerErrors.push(`${candidate.label} error: ${error.message}`);
+            }
+        }
+
+        if (!quote) {
+            throw new Error(providerErrors.join('\n\n') || 'No quote available for paper trade');
+        }
+
+        const tokenAddress = isSelling ? inputMint : outputMint;
+        const tokenInfo = await this.getTokenInfo(tokenAddress);
+        const tokenUnits = isSelling ? quote.inAmount : quote.outAmount;
+        const solLamports = isSelling ? quote.outAmount : quote.inAmount;
+        const tokenAmount = tokenUnits / Math.pow(10, tokenInfo.decimals);
+        const solAmount = solLamports / 1e9;
+        const signature = `paper-${require('crypto').randomBytes(16).toString('hex')}`;
+
+        await this.db.recordPaperFill(userId, {
+            tokenAddress,
+            side: isSelling ? 'sell' : 'buy',
+            tokenAmount,
+            solAmount,
+            price: tokenAmount > 0 ? solAmount / tokenAmount : 0,
+            provider,
+            signature
+        });
+
+        console.log(`[executePaperSwap] Paper ${isSelling ? 'sell' : 'buy'} filled via ${provider} quote: ${tokenAmount} ${tokenInfo.symbol} for ${solAmount} SOL`);
+
+        return {
+            success: true,
+            signatures: [signature],
+            swapResponse: quote,
+            priorityFee: 0,
+            transactionCount: 0,
+            provider,
+            paper: true
+        };
+    }
+
     async validateWalletBalance(requiredAmount) {
         try {
             if (!this.userWallet) {
@@ -306,9 +468,15 @@ class TradingExecution {
     }
 
     async checkStopLossTakeProfit() {
+        const quotes = await priceOracle.getQuotes([...this.activePositions.keys()]);
         for (const [tokenAddress, position] of this.activePositions) {
-            const currentPrice = await this.getCurrentPrice(tokenAddress);
-            
+            const quote = quotes.get(tokenAddress);
+            // Never sell on a missing or low-confidence price
+            if (!quote || quote.confidence !== 'high') {
+                continue;
+            }
+            const currentPrice = quote.price;
+
             if (this.shouldTriggerStopLoss(position, currentPrice) ||
                 this.shouldTriggerTakeProfit(position, currentPrice)) {
                 await this.executeOrder({
@@ -333,8 +501,7 @@ class TradingExecution {
     }
 
     async getCurrentPrice(tokenAddress) {
-        // Implementation for getting current token price
-        return 0;
+        return priceOracle.getPrice(tokenAddress);
     }
 
     // ============ JUPITER INTEGRATION ============
@@ -460,22 +627,24 @@ class TradingExecution {
         }
     }
     
-    async buildJupiterSwap(inputMint, outputMint, amount, userPublicKey, slippageBps = 100) {
+    async buildJupiterSwap(inputMint, outputMint, amount, userPublicKey, slippageBps = 100, quote = null, swapMode = 'ExactIn') {
         try {
             console.log('Building Jupiter swap with params:', {
                 inputMint,
                 outputMint,
                 amount,
                 userPublicKey: userPublicKey.toString(),
-                slippageBps
+                slippageBps,
+                swapMode
             });
 
-            // Get quote from Jupiter with retry logic
-            const quoteResponse = await this.makeJupiterRequest('quote', {
+            // Get quote from Jupiter with retry logic, unless the caller already chose one
+            const quoteResponse = quote || await this.makeJupiterRequest('quote', {
                 inputMint,
                 outputMint,
                 amount,
                 slippageBps: Math.floor(slippageBps),
+                swapMode,
                 restrictIntermediateTokens: true
             });
 
@@ -489,7 +658,8 @@ class TradingExecution {
                 quoteResponse,
                 userPublicKey: userPublicKey.toString(),
                 dynamicComputeUnitLimit: true,
-                dynamicSlippage: true,
+                // Dynamic slippage would loosen the fixed output an exact-out quote promises
+                dynamicSlippage: swapMode !== 'ExactOut',
                 prioritizationFeeLamports: 'auto'
             });
 
@@ -534,37 +704,85 @@ class TradingExecution {
     }
 
     async executeTransaction(wallet, transaction) {
+        // Set while a sent transaction has no known outcome: it may still land
+        let unconfirmedSignature = null;
         try {
             // Ensure we have a VersionedTransaction
             if (!(transaction instanceof VersionedTransaction)) {
                 throw new Error('Invalid transaction type: Expected VersionedTransaction');
             }
 
-            // Get a fresh blockhash
-            const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
-            transaction.message.recentBlockhash = blockhash;
-
-            // Sign and send the transaction
-            transaction.sign([wallet]);
-            const signature = await this.connection.sendRawTransaction(transaction.serialize());
-
-            // Wait for confirmation
-            const confirmation = await this.connection.confirmTransaction({
-                signature,
-                blockhash,
-                lastValidBlockHeight
-            }, "finalized");
+            let signature = null;
+            for (let attempt = 1; attempt <= this.maxSendAttempts; attempt++) {
+                unconfirmedSignature = null;
+                // Get a fresh blockhash (re-signing with it rebuilds the transaction after an expiry)
+                const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+                transaction.message.recentBlockhash = blockhash;
+
+                // Sign and send the transaction
+                transaction.sign([wallet]);
+                const previousSignature = signature;
+                signature = await this.connection.sendRawTransaction(transaction.serialize());
+                unconfirmedSignature = signature;
+                await this.trackSentTransaction(wallet, transaction, signature, previousSignature, lastValidBlockHeight);
+
+                try {
+                    // Wait for confirmation
+                    const confirmation = await this.connection.confirmTransaction({
+                        signature,
+                        blockhash,
+                        lastValidBlockHeight
+                    }, "finalized");
+                    unconfirmedSignature = null;
+
+                    if (confirmation.value.err) {
+                        await this.markTransaction(signature, 'failed', JSON.stringify(confirmation.value.err));
+                        throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}\nhttps://solscan.io/tx/${signature}/`);
+                    }
 
-            if (confirmation.value.err) {
-                throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}\nhttps://solscan.io/tx/${signature}/`);
+                    await this.markTransaction(signature, 'confirmed');
+                    return signature;
+                } catch (error) {
+                    if (!this.isBlockhashExpiredError(error)) {
+                        throw error;
+                    }
+                    // Expired only means confirmation was not seen in time: the send may still have landed,
+                    // so look it up before rebuilding. A failed lookup leaves it unconfirmed and nothing is resent
+                    const { value: status } = await this.connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+                    if (status && status.err) {
+                        unconfirmedSignature = null;
+                        await this.markTransaction(signature, 'failed', JSON.stringify(status.err));
+                        throw new Error(`Transaction failed: ${JSON.stringify(status.err)}\nhttps://solscan.io/tx/${signature}/`);
+                    }
+                    if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+                        unconfirmedSignature = null;
+                        await this.markTransaction(signature, 'confirmed');
+                        return signature;
+                    }
+                    if (status) {
+                        throw new Error(`Transaction ${signature} was processed but not yet confirmed`);
+                    }
+                    unconfirmedSignature = null;
+                    console.log(`[executeTransaction] Blockhash expired for ${signature} and it did not land, rebuilding (attempt ${attempt}/${this.maxSendAttempts})`);
+                }
             }
 
-            return signature;
+            await this.markTransaction(signature, 'expired', `Blockhash expired after ${this.maxSendAttempts} attempts`);
+            throw new Error(`Blockhash not found: transaction expired after ${this.maxSendAttempts} attempts`);
         } catch (error) {
             // Graceful handling for SendTransactionError (Jupiter swap errors)
             if (error && error.logs) {
                 console.error('Transaction simulation logs:', error.logs);
             }
+            // Confirming failed after the send: the transaction tracker settles it, nobody may send it again
+            if (unconfirmedSignature) {
+                console.error(`[executeTransaction] Could not confirm ${unconfirmedSignature}:`, error.message);
+                return {
+                    success: false,
+                    error: `Transaction sent but not confirmed (${error.message}). Check https://solscan.io/tx/${unconfirmedSignature} before trying again.`,
+                    sentSignature: unconfirmedSignature
+                };
+            }
             if (error.message && error.message.includes('custom program error: 0x1771')) {
                 return {
                     success: false,
@@ -604,6 +822,55 @@ class TradingExecution {
         }
     }
 
+    isBlockhashExpiredError(error) {
+        return error && (
+            error.name === 'TransactionExpiredBlockheightExceededError' ||
+            (error.message && error.message.includes('block height exceeded'))
+        );
+    }
+
+    /**
+     * Record a sent swap transaction, or its rebuilt replacement, in the transactions table
+     */
+    async trackSentTransaction(wallet, transaction, signature, previousSignature, lastValidBlockHeight) {
+        if (!this.db) {
+            return;
+        }
+        try {
+            if (previousSignature) {
+                const record = await this.db.getTransactionBySignature(previousSignature);
+                if (record) {
+                    await this.db.recordTransactionResubmission(
+                        record.id,
+                        signature,
+                        lastValidBlockHeight,
+                        Buffer.from(transaction.serialize()).toString('base64')
+                    );
+                    return;
+                }
+            }
+            await TransactionTracker.record(this.db, transaction, {
+                signature,
+                walletPublicKey: wallet.publicKey,
+                kind: 'swap',
+                lastValidBlockHeight
+            });
+        } catch (error) {
+            console.error(`[trackSentTransaction] Failed to track ${signature}:`, error.message);
+        }
+    }
+
+    async markTransaction(signature, status, error = null) {
+        if (!this.db || !signature) {
+            return;
+        }
+        try {
+            await this.db.updateTransactionStatus(signature, status, error);
+        } catch (err) {
+            console.error(`[markTransaction] Failed to mark ${signature} as ${status}:`, err.message);
+        }
+    }
+
     async verifyTransactionSuccess(signature, tokenAddress) {
         try {
             console.log(`[verifyTransactionSuccess] Verifying transaction: ${signature}`);
@@ -664,12 +931,45 @@ class TradingExecution {
         }
     }
 
-    async executeBuy(userId, tokenAddress, solAmount) {
+    /**
+     * Buy a token with SOL. options.provider and options.quote execute a quote
+     * the user picked from getQuoteComparison instead of walking the provider order.
+     * options.keypair signs the buy; without it the wallet set through setUserWallet is used.
+     * Buys queue behind any other operation signing for the same wallet.
+     */
+    async executeBuy(userId, tokenAddress, solAmount, options = {}) {
+        // Capture the wallet now: other callers may replace userWallet while this buy waits its turn
+        const wallet = options.keypair || this.userWallet;
         try {
-            if (!this.userWallet) {
+            if (!wallet) {
                 throw new Error('User wallet not set');
             }
-            
+            return await walletLock.run(wallet.publicKey, 'a buy', () =>
+                this.executeBuyLocked(wallet, userId, tokenAddress, solAmount, options)
+            );
+        } catch (error) {
+            console.error('Error executing buy:', error);
+            return {
+                success: false,
+                error: error.message,
+                originalError: error.message
+            };
+        } finally {
+            // Clear the user wallet after the transaction (a passed keypair leaves it alone)
+            if (!options.keypair && this.userWallet === wallet) {
+                this.userWallet = null;
+            }
+        }
+    }
+
+    /**
+     * Body of executeBuy, run while holding the wallet lock so the balance
+     * check sees the outcome of anything queued before it
+     */
+    async executeBuyLocked(wallet, userId, tokenAddress, solAmount, options = {}) {
+        // Set once the swap went out: from then on a failure must not lead to a second buy
+        let sentSignature = null;
+        try {
             if (!this.connection) {
                 throw new Error('Solana connection not initialized');
             }
@@ -682,12 +982,67 @@ class TradingExecution {
             }
             console.log(`[executeBuy] userId: ${userId}, tokenAddress: ${tokenAddress}, solAmount: ${solAmount}`);
 
+            // Price impact and liquidity caps: reject, or shrink the buy to fit
+            const requestedSolAmount = solAmount;
+            const guard = await this.tradeGuard.checkBuy(
+                userId,
+                tokenAddress,
+                solAmount,
+                options.quote ? Number(options.quote.priceImpactPct || 0) : null
+            );
+            if (!guard.allowed) {
+                throw new Error(`Trade guard: ${guard.reason}`);
+            }
+            let guardNote = null;
+            if (guard.resized) {
+                solAmount = guard.solAmount;
+                options = {}; // A picked quote was for the original amount
+                guardNote = `Resized from ${requestedSolAmount} SOL to ${solAmount.toFixed(4)} SOL: ${guard.reason}`;
+                console.log(`[executeBuy] ${guardNote}`);
+            }
+
             // Convert SOL amount to lamports
             const amountInLamports = Math.floor(solAmount * 1e9);
 
+            // Paper mode: fill against the virtual account, no fees and nothing on-chain
+            if (await this.isPaperTrading(userId)) {
+                const paperResult = await this.executeSwapWithFallback(
+                    NATIVE_MINT.toString(),
+                    tokenAddress,
+                    amountInLamports,
+                    wallet,
+                    50,
+                    false,
+                    { paper: true, userId, provider: options.provider, quote: options.quote }
+                );
+                const paperTokenInfo = await this.getTokenInfo(tokenAddress);
+                const { inAmount, outAmount, priceImpactPct } = paperResult.swapResponse;
+
+                return {
+                    success: true,
+                    paper: true,
+                    signature: paperResult.signatures[0],
+                    tokensReceived: outAmount / Math.pow(10, paperTokenInfo.decimals),
+                    tokenPrice: outAmount / inAmount,
+                    solPrice: 1,
+                    botFee: 0,
+                    networkFee: 0,
+                    name: paperTokenInfo.name,
+                    symbol: paperTokenInfo.symbol,
+                    priceImpact: priceImpactPct,
+                    provider: paperResult.provider,
+                    solAmount,
+                    guardNote
+                };
+            }
+
+            // Offline providers (mock) never touch the chain: skip balance checks and fee transfers
+            const chosenProvider = options.provider ? this.swapProviders.get(options.provider) : null;
+            const offline = chosenProvider ? chosenProvider.offline : await this.isOfflineSwap(userId);
+
             // Check wallet balance first
-            console.log(`[executeBuy] Checking balance for wallet: ${this.userWallet.publicKey.toString()}`);
-            const balance = await this.connection.getBalance(this.userWallet.publicKey);
+            console.log(`[executeBuy] Checking balance for wallet: ${wallet.publicKey.toString()}`);
+            const balance = offline ? Infinity : await this.connection.getBalance(wallet.publicKey);
             const balanceInSol = balance / 1e9;
             console.log(`[executeBuy] Wallet balance: ${balanceInSol} SOL (${balance} lamports)`);
             console.log(`[executeBuy] RPC endpoint: ${this.connection._rpcEndpoint}`);
@@ -716,8 +1071,10 @@ class TradingExecution {
                 NATIVE_MINT.toString(), // SOL mint
                 tokenAddress,           // Target token mint
                 amountInLamports,      // Amount in lamports
-                this.userWallet,       // Wallet keypair
-                50                     // 0.5% slippage (50 basis points)
+                wallet,       // Wallet keypair
+                50,                    // 0.5% slippage (50 basis points)
+                false,
+                { userId, provider: options.provider, quote: options.quote } // The picked quote, else the user's provider order
             );
 
             if (!swapResult.success || !swapResult.signatures || swapResult.signatures.length === 0) {
@@ -731,31 +1088,49 @@ class TradingExecution {
             if (typeof signature === 'object' && signature.success === false) {
                 throw new Error(signature.error || 'Transaction failed');
             }
+            sentSignature = offline ? null : signature;
 
             // Additional verification: Check if transaction was actually successful
-            await this.verifyTransactionSuccess(signature, tokenAddress);
-
-            // Calculate actual fees from the swap result
-            const priorityFee = (swapResult.priorityFee || 500000) / 1e9; // Convert to SOL
-            const networkFee = estimatedNetworkFee; // Use estimated network fee
-
-            // Deduct and transfer bot fee
-            await this.feeManager.collectFee(botFee, this.userWallet);
+            await this.verifySwap(swapResult, tokenAddress);
+
+            // Quoted amounts, normalized by every provider into swapResponse
+            const outAmount = parseInt(swapResult.swapResponse?.outAmount || swapResult.outputAmount || 0);
+            const inAmount = parseInt(swapResult.swapResponse?.inAmount || amountInLamports);
+
+            // Actual fill from the confirmed transaction meta
+            const fill = await this.getSwapFill(swapResult, wallet.publicKey, tokenAddress, 'buy', outAmount);
+            const networkFee = fill ? fill.networkFee : estimatedNetworkFee;
+
+            // Deduct and transfer bot fee; the buy has landed, so a failed transfer must not fail it
+            let feeCollection = null;
+            if (!offline) {
+                try {
+                    feeCollection = await this.feeManager.collectFee(botFee, wallet);
+                } catch (feeError) {
+                    console.warn(`[executeBuy] Warning: Could not collect bot fee: ${feeError.message}`);
+                }
+            }
 
             // Get token info
             const tokenInfo = await this.getTokenInfo(tokenAddress);
 
             return {
                 success: true,
+                offline,
                 signature,
-                tokensReceived: swapResult.outAmount / Math.pow(10, tokenInfo.decimals),
-                tokenPrice: swapResult.outAmount / swapResult.inAmount,
+                tokensReceived: outAmount / Math.pow(10, tokenInfo.decimals),
+                tokenPrice: inAmount > 0 ? outAmount / inAmount : 0,
                 solPrice: 1, // TODO: Get actual SOL price
                 botFee,
                 networkFee,
                 name: tokenInfo.name,
                 symbol: tokenInfo.symbol,
-                priceImpact: swapResult.priceImpactPct
+                priceImpact: parseFloat(swapResult.swapResponse?.priceImpactPct || 0),
+                provider: swapResult.provider,
+                feeCollection,
+                fill,
+                solAmount,
+                guardNote
             };
         } catch (error) {
             console.error('Error executing buy:', error);
@@ -776,15 +1151,153 @@ class TradingExecution {
             return {
                 success: false,
                 error: errorMessage,
-                originalError: error.message
+                originalError: error.message,
+                sentSignature: sentSignature || error.sentSignature || null
             };
-        } finally {
-            // Clear the user wallet after the transaction
-            this.userWallet = null;
         }
     }
 
-    async executeSell(userId, tokenAddress, tokenAmount, keypair, slippageBps = 50) {
+    /**
+     * Sell tokens for SOL. The trade guard splits sells that would break the
+     * user's price impact or liquidity caps into chunks, sold one after another.
+     * Sells queue behind any other operation signing for the same wallet.
+     * options.protective marks a stop-loss style exit the guard must not refuse.
+     */
+    async executeSell(userId, tokenAddress, tokenAmount, keypair, slippageBps = 50, options = {}) {
+        try {
+            if (!keypair) {
+                throw new Error('User wallet not set');
+            }
+            return await walletLock.run(keypair.publicKey, 'a sell', () =>
+                this.executeSellLocked(userId, tokenAddress, tokenAmount, keypair, slippageBps, options)
+            );
+        } catch (error) {
+            console.error('Error executing sell:', error);
+            return {
+                success: false,
+                error: error.message,
+                provider: 'raydium'
+            };
+        }
+    }
+
+    /**
+     * Body of executeSell, run while holding the wallet lock
+     */
+    async executeSellLocked(userId, tokenAddress, tokenAmount, keypair, slippageBps = 50, options = {}) {
+        try {
+            // Re-read the balance after the wait: an earlier sell may have left less, or nothing
+            const paper = await this.isPaperTrading(userId);
+            if (paper || !(await this.isOfflineSwap(userId))) {
+                const balance = await this.getAvailableTokenBalance(userId, keypair.publicKey, tokenAddress);
+                if (balance <= 0) {
+                    throw new Error('No tokens to sell');
+                }
+                if (balance < tokenAmount) {
+                    console.log(`[executeSell] Only ${balance} of ${tokenAmount} tokens left, selling the remaining balance`);
+                    tokenAmount = balance;
+                }
+            }
+
+            const tokenInfo = await this.getTokenInfo(tokenAddress);
+            const plan = await this.tradeGuard.planSell(userId, tokenAddress, tokenAmount, tokenInfo.decimals, { protective: options.protective });
+            if (!plan.allowed) {
+                throw new Error(`Trade guard: ${plan.reason}`);
+            }
+            if (plan.chunks.length === 1) {
+                const result = await this.executeSellChunk(userId, tokenAddress, tokenAmount, keypair, slippageBps);
+                if (result.success && plan.reason) {
+                    result.guardNote = `Sell ${plan.reason}`;
+                }
+                return result;
+            }
+
+            console.log(`[executeSell] Selling ${tokenAmount} ${tokenInfo.symbol} in ${plan.chunks.length} chunks`);
+            const results = [];
+            let stopError = null;
+            for (const chunk of plan.chunks) {
+                const result = await this.executeSellChunk(userId, tokenAddress, chunk, keypair, slippageBps);
+                if (!result.success) {
+                    if (results.length === 0) {
+                        return result;
+                    }
+                    stopError = result.error;
+                    console.warn(`[executeSell] Chunk ${results.length + 1}/${plan.chunks.length} failed, stopping: ${stopError}`);
+                    break;
+                }
+                results.push(result);
+            }
+
+            const combined = this.combineSellResults(results);
+            combined.partial = !!stopError;
+            combined.guardNote = stopError
+                ? `Sold ${results.length} of ${plan.chunks.length} chunks (${plan.reason}); the rest failed: ${stopError}`
+                : `Sell ${plan.reason}`;
+            return combined;
+        } catch (error) {
+            console.error('Error executing sell:', error);
+            return {
+                success: false,
+                error: error.message,
+                provider: 'raydium'
+            };
+        }
+    }
+
+    /**
+     * Merge the results of a chunked sell into one sell result
+     */
+    combineSellResults(results) {
+        const sum = (items, key) => items.reduce((total, item) => total + (item[key] || 0), 0);
+        const tokensSold = sum(results, 'tokensSold');
+
+        const feeCollections = results.map(result => result.feeCollection).filter(Boolean);
+        const fills = results.map(result => result.fill);
+        const fillsComplete = fills.every(Boolean);
+        const fillTokens = fillsComplete ? sum(fills, 'tokenAmount') : 0;
+        const fillSol = fillsComplete ? sum(fills, 'solAmount') : 0;
+
+        return {
+            ...results[0],
+            signatures: results.map(result => result.signature),
+            chunks: results.length,
+            tokensSold,
+            solReceived: sum(results, 'solReceived'),
+            tokenPrice: tokensSold > 0
+                ? results.reduce((total, result) => total + result.tokenPrice * result.tokensSold, 0) / tokensSold
+                : 0,
+            botFee: sum(results, 'botFee'),
+            networkFee: sum(results, 'networkFee'),
+            priceImpact: Math.max(...results.map(result => result.priceImpact || 0)),
+            transactionCount: sum(results, 'transactionCount'),
+            netSolReceived: sum(results, 'netSolReceived'),
+            feeCollection: feeCollections.length > 0 ? {
+                totalFee: sum(feeCollections, 'totalFee'),
+                wallet1Amount: sum(feeCollections, 'wallet1Amount'),
+                wallet2Amount: sum(feeCollections, 'wallet2Amount'),
+                signatures: feeCollections.flatMap(collection => collection.signatures || [])
+            } : null,
+            fill: fillsComplete ? {
+                signature: fills[0].signature,
+                tokenAmount: fillTokens,
+                solAmount: fillSol,
+                price: fillTokens > 0 ? fillSol / fillTokens : 0,
+                networkFee: sum(fills, 'networkFee'),
+                priorityFee: sum(fills, 'priorityFee'),
+                quotedAmount: sum(fills, 'quotedAmount'),
+                slippagePct: fillSol > 0
+                    ? fills.reduce((total, fill) => total + (fill.slippagePct || 0) * fill.solAmount, 0) / fillSol
+                    : null
+            } : null
+        };
+    }
+
+    /**
+     * Sell tokenAmount in a single swap
+     */
+    async executeSellChunk(userId, tokenAddress, tokenAmount, keypair, slippageBps = 50) {
+        // Set once the swap went out: from then on a failure must not lead to a second sell
+        let sentSignature = null;
         try {
             if (!keypair) {
                 throw new Error('User wallet not set');
@@ -797,6 +1310,8 @@ class TradingExecution {
 
             console.log(`[executeSell] Selling ${tokenAmount} ${tokenInfo.symbol} (${amountInTokenUnits} token units)`);
 
+            const paper = await this.isPaperTrading(userId);
+
             // Execute the swap with fallback (Token -> SOL) - mark as selling operation
             const swapResult = await this.executeSwapWithFallback(
                 tokenAddress,                           // Input token mint
@@ -804,7 +1319,8 @@ class TradingExecution {
                 amountInTokenUnits,                    // Amount in token units
                 keypair,                               // Wallet keypair
                 slippageBps,                           // Slippage in basis points
-                true                                   // isSelling flag - forces Raydium only
+                true,                                  // isSelling flag
+                { paper, userId }                      // Paper mode simulates against the virtual account
             );
 
             if (!swapResult.success || !swapResult.signatures || swapResult.signatures.length === 0) {
@@ -818,6 +1334,7 @@ class TradingExecution {
             if (typeof signature === 'object' && signature.success === false) {
                 throw new Error(signature.error || 'Sell transaction failed');
             }
+            sentSignature = paper || swapResult.offline ? null : signature;
 
             // Calculate received SOL and fees from swap response - Enhanced calculation
             let outAmount = 0;
@@ -838,16 +1355,23 @@ class TradingExecution {
                 outAmount = 0;
             }
 
+            const offline = !!swapResult.offline;
             const solReceived = outAmount / 1e9; // Convert lamports to SOL
-            const botFee = solReceived * 0.01; // 1% bot fee
-            const networkFee = (swapResult.priorityFee || 500000) / 1e9; // Convert to SOL
-
-            // Collect bot fee
-            try {
-                await this.feeManager.collectFee(botFee, keypair);
-                console.log(`[executeSell] Bot fee collected: ${botFee.toFixed(4)} SOL`);
-            } catch (feeError) {
-                console.warn(`[executeSell] Warning: Could not collect bot fee: ${feeError.message}`);
+            const botFee = paper ? 0 : solReceived * 0.01; // 1% bot fee, none on paper
+
+            // Actual fill from the confirmed transaction meta
+            const fill = paper ? null : await this.getSwapFill(swapResult, keypair.publicKey, tokenAddress, 'sell', outAmount);
+            const networkFee = paper ? 0 : fill ? fill.networkFee : (swapResult.priorityFee || 500000) / 1e9; // Convert to SOL
+
+            // Collect bot fee (nothing to transfer for paper or offline swaps)
+            let feeCollection = null;
+            if (!paper && !offline) {
+                try {
+                    feeCollection = await this.feeManager.collectFee(botFee, keypair);
+                    console.log(`[executeSell] Bot fee collected: ${botFee.toFixed(4)} SOL`);
+                } catch (feeError) {
+                    console.warn(`[executeSell] Warning: Could not collect bot fee: ${feeError.message}`);
+                }
             }
 
             // Calculate token price (SOL per token)
@@ -862,6 +1386,8 @@ class TradingExecution {
 
             return {
                 success: true,
+                paper,
+                offline,
                 signature,
                 tokensSold: tokenAmount,
                 solReceived,
@@ -874,21 +1400,30 @@ class TradingExecution {
                 priceImpact: priceImpact,
                 provider: swapResult.provider || 'raydium',
                 transactionCount: swapResult.transactionCount || 1,
-                netSolReceived: solReceived - botFee - networkFee
+                netSolReceived: solReceived - botFee - networkFee,
+                feeCollection,
+                fill
             };
         } catch (error) {
             console.error('Error executing sell:', error);
             return {
                 success: false,
                 error: error.message,
-                provider: 'raydium'
+                provider: 'raydium',
+                sentSignature: sentSignature || error.sentSignature || null
             };
         }
     }
 
-    async executeSellPercent(userId, tokenAddress, percentage, slippageBps = 50) {
+    /**
+     * Sell a percentage of the wallet's balance of a token. keypair signs the sell;
+     * without it the wallet set through setUserWallet is used. options are passed
+     * on to executeSell.
+     */
+    async executeSellPercent(userId, tokenAddress, percentage, slippageBps = 50, keypair = null, options = {}) {
         try {
-            if (!this.userWallet) {
+            const wallet = keypair || this.userWallet;
+            if (!wallet) {
                 throw new Error('User wallet not set');
             }
 
@@ -896,16 +1431,19 @@ class TradingExecution {
                 throw new Error('Percentage must be between 0 and 100');
             }
 
-            // Get token balance
-            const tokenBalance = await this.getTokenBalance(this.userWallet.publicKey, tokenAddress);
-            if (tokenBalance === 0) {
-                throw new Error('No tokens to sell');
-            }
+            // The balance is read once the wallet is ours, so the percentage applies to what is left
+            return await walletLock.run(wallet.publicKey, 'a percentage sell', async () => {
+                // Get token balance (paper position when paper trading)
+                const tokenBalance = await this.getAvailableTokenBalance(userId, wallet.publicKey, tokenAddress);
+                if (tokenBalance === 0) {
+                    throw new Error('No tokens to sell');
+                }
 
-            // Calculate amount to sell based on percentage
-            const amountToSell = (tokenBalance * percentage) / 100;
+                // Calculate amount to sell based on percentage
+                const amountToSell = (tokenBalance * percentage) / 100;
 
-            return await this.executeSell(userId, tokenAddress, amountToSell, this.userWallet, slippageBps);
+                return await this.executeSellLocked(userId, tokenAddress, amountToSell, wallet, slippageBps, options);
+            });
         } catch (error) {
             console.error('Error executing percentage sell:', error);
             return {
@@ -915,6 +1453,299 @@ class TradingExecution {
         }
     }
 
+    /**
+     * Name, symbol and decimals of a mint, without a lookup for SOL
+     */
+    async getMintInfo(mint) {
+        if (mint === NATIVE_MINT.toString()) {
+            return { name: 'Solana', symbol: 'SOL', decimals: 9 };
+        }
+        return this.getTokenInfo(mint);
+    }
+
+    /**
+     * Quote a swap between any two mints through the first of the user's
+     * providers that can route it. amount is in UI units of inputMint for
+     * 'ExactIn' and of outputMint for 'ExactOut'. The result is what
+     * executeTokenSwap takes, so a confirmed quote executes as shown.
+     */
+    async quoteSwap(userId, inputMint, outputMint, amount, swapMode = 'ExactIn', slippageBps = 50) {
+        if (inputMint === outputMint) {
+            throw new Error('Input and output tokens must differ');
+        }
+        if (isNaN(amount) || amount <= 0) {
+            throw new Error('Invalid amount');
+        }
+
+        const inputInfo = await this.getMintInfo(inputMint);
+        const outputInfo = await this.getMintInfo(outputMint);
+        const exactOut = swapMode === 'ExactOut';
+        const units = Math.floor(amount * Math.pow(10, exactOut ? outputInfo.decimals : inputInfo.decimals));
+        if (units <= 0) {
+            throw new Error('Amount is too small');
+        }
+
+        const errors = [];
+        for (const provider of await this.resolveSwapProviders(userId)) {
+            try {
+                const quote = await provider.quote({ inputMint, outputMint, amount: units, slippageBps, swapMode });
+                return {
+                    provider: provider.name,
+                    label: provider.label,
+                    swapMode,
+                    slippageBps,
+                    inputMint,
+                    outputMint,
+                    inputInfo,
+                    outputInfo,
+                    quote,
+                    inAmount: quote.inAmount / Math.pow(10, inputInfo.decimals),
+                    outAmount: quote.outAmount / Math.pow(10, outputInfo.decimals),
+                    priceImpactPct: Number(quote.priceImpactPct || 0)
+                };
+            } catch (error) {
+                console.error(`[quoteSwap] ${provider.name} quote failed:`, error.message);
+                errors.push(`${provider.label}: ${error.message}`);
+            }
+        }
+        throw new Error(`No route found: ${errors.join('; ') || 'no swap provider available'}`);
+    }
+
+    /**
+     * Execute a swap quoted by quoteSwap: token to token, an exact-out buy
+     * (exact tokens for SOL) or an exact-out sell (tokens for exact SOL).
+     * The bot fee is 1% of the SOL leg; token to token swaps have none.
+     * Swaps queue behind any other operation signing for the same wallet.
+     */
+    async executeTokenSwap(userId, keypair, swap) {
+        try {
+            if (!keypair) {
+                throw new Error('User wallet not set');
+            }
+            return await walletLock.run(keypair.publicKey, 'a swap', () =>
+                this.executeTokenSwapLocked(userId, keypair, swap)
+            );
+        } catch (error) {
+            console.error('Error executing swap:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Body of executeTokenSwap, run while holding the wallet lock
+     */
+    async executeTokenSwapLocked(userId, keypair, swap) {
+        try {
+            const solMint = NATIVE_MINT.toString();
+            const { inputMint, outputMint, swapMode, inputInfo, outputInfo, quote } = swap;
+            const slippageBps = swap.slippageBps || 50;
+            const side = inputMint === solMint ? 'buy' : outputMint === solMint ? 'sell' : 'swap';
+            const tokenAddress = side === 'buy' ? outputMint : side === 'sell' ? inputMint : null;
+
+            const paper = await this.isPaperTrading(userId);
+            if (paper && side === 'swap') {
+                throw new Error('Paper trading only supports swaps to or from SOL');
+            }
+            const provider = this.swapProviders.get(swap.provider);
+            const offline = !paper && !!provider?.offline;
+
+            // Exact amounts are the point of these swaps, so the guard rejects instead of resizing
+            const solLeg = side === 'buy' ? swap.inAmount : side === 'sell' ? swap.outAmount : 0;
+            const guard = await this.tradeGuard.checkSwap(userId, tokenAddress, solLeg, swap.priceImpactPct);
+            if (!guard.allowed) {
+                throw new Error(`Trade guard: ${guard.reason}`);
+            }
+
+            // An exact-out swap may spend up to the slippage tolerance more than quoted
+            const maxIn = swapMode === 'ExactOut' ? swap.inAmount * (1 + slippageBps / 10000) : swap.inAmount;
+            const botFee = paper ? 0 : solLeg * 0.01;
+
+            // Re-read balances after the wait; paper fills check the virtual account themselves
+            if (!paper && !offline) {
+                if (side === 'buy') {
+                    const balanceInSol = (await this.connection.getBalance(keypair.publicKey)) / 1e9;
+                    const required = maxIn + botFee + 0.0005 + 0.000005;
+                    if (balanceInSol < required) {
+                        throw new Error(`Insufficient SOL balance. You have ${balanceInSol.toFixed(6)} SOL but need at least ${required.toFixed(6)} SOL (including fees).`);
+                    }
+                } else {
+                    const balance = await this.getTokenBalance(keypair.publicKey, inputMint);
+                    if (balance < maxIn) {
+                        throw new Error(`Insufficient ${inputInfo.symbol} balance. You have ${balance} but the swap needs up to ${maxIn}.`);
+                    }
+                }
+            }
+
+            const swapResult = await this.executeSwapWithFallback(
+                inputMint,
+                outputMint,
+                swapMode === 'ExactOut' ? quote.outAmount : quote.inAmount,
+                keypair,
+                slippageBps,
+                outputMint === solMint,
+                { paper, userId, provider: swap.provider, quote, swapMode }
+            );
+
+            if (!swapResult.success || !swapResult.signatures || swapResult.signatures.length === 0) {
+                throw new Error(`${swapResult.provider || 'Swap'} failed: No transaction signatures returned`);
+            }
+            const signature = swapResult.signatures[0];
+
+            if (!paper && outputMint !== solMint) {
+                await this.verifySwap(swapResult, outputMint);
+            }
+
+            const inAmount = parseInt(swapResult.swapResponse?.inAmount || quote.inAmount) / Math.pow(10, inputInfo.decimals);
+            const outAmount = parseInt(swapResult.swapResponse?.outAmount || quote.outAmount) / Math.pow(10, outputInfo.decimals);
+
+            // Actual fill from the confirmed transaction meta, for swaps with a SOL leg
+            const fill = paper || side === 'swap'
+                ? null
+                : await this.getSwapFill(swapResult, keypair.publicKey, tokenAddress, side, quote.outAmount);
+            const networkFee = paper ? 0 : fill ? fill.networkFee : (swapResult.priorityFee || 0) / 1e9;
+
+            let feeCollection = null;
+            if (botFee > 0 && !offline) {
+                try {
+                    feeCollection = await this.feeManager.collectFee(botFee, keypair);
+                } catch (feeError) {
+                    console.warn(`[executeTokenSwap] Warning: Could not collect bot fee: ${feeError.message}`);
+                }
+            }
+
+            const tokenAmount = side === 'buy' ? outAmount : inAmount;
+            const solAmount = side === 'buy' ? inAmount : outAmount;
+            console.log(`[executeTokenSwap] ${swapMode} ${side}: ${inAmount} ${inputInfo.symbol} -> ${outAmount} ${outputInfo.symbol} via ${swapResult.provider}`);
+
+            return {
+                success: true,
+                paper,
+                offline,
+                side,
+                swapMode,
+                signature,
+                inputMint,
+                outputMint,
+                inputSymbol: inputInfo.symbol,
+                outputSymbol: outputInfo.symbol,
+                inAmount,
+                outAmount,
+                // SOL per token for swaps with a SOL leg
+                tokenPrice: side !== 'swap' && tokenAmount > 0 ? solAmount / tokenAmount : 0,
+                botFee,
+                networkFee,
+                priceImpact: swap.priceImpactPct,
+                provider: swapResult.provider,
+                feeCollection,
+                fill
+            };
+        } catch (error) {
+            console.error('Error executing swap:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Close the wallet's empty token accounts, returning their rent to the wallet.
+     * Close instructions are batched up to maxCloseAccountsPerTx per transaction;
+     * a failed batch is reported and the remaining batches still go out.
+     * Resolves to { success, found, closed, failed, reclaimedLamports, feeLamports, signatures, errors }.
+     */
+    async reclaimRent(userId, keypair) {
+        try {
+            if (!keypair) {
+                throw new Error('User wallet not set');
+            }
+            return await walletLock.run(keypair.publicKey, 'a rent reclaim', () =>
+                this.reclaimRentLocked(userId, keypair)
+            );
+        } catch (error) {
+            console.error('Error reclaiming rent:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Body of reclaimRent, run while holding the wallet lock
+     */
+    async reclaimRentLocked(userId, keypair) {
+        const owner = keypair.publicKey;
+        const accounts = await this.raydiumService.getEmptyTokenAccounts(owner);
+        const result = {
+            success: true,
+            found: accounts.length,
+            closed: 0,
+            failed: 0,
+            reclaimedLamports: 0,
+            feeLamports: 0,
+            signatures: [],
+            errors: []
+        };
+
+        for (let i = 0; i < accounts.length; i += this.maxCloseAccountsPerTx) {
+            const batch = accounts.slice(i, i + this.maxCloseAccountsPerTx);
+            const transaction = new Transaction();
+            for (const account of batch) {
+                transaction.add(createCloseAccountInstruction(
+                    new PublicKey(account.address),
+                    owner,
+                    owner,
+                    [],
+                    account.programId
+                ));
+            }
+
+            try {
+                const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+                transaction.recentBlockhash = blockhash;
+                transaction.feePayer = owner;
+                transaction.sign(keypair);
+
+                const signature = await this.connection.sendRawTransaction(transaction.serialize());
+                await TransactionTracker.record(this.db, transaction, {
+                    signature,
+                    walletPublicKey: owner,
+                    kind: 'rent_reclaim',
+                    userId,
+                    lastValidBlockHeight
+                });
+
+                const confirmation = await this.connection.confirmTransaction({
+                    signature,
+                    blockhash,
+                    lastValidBlockHeight
+                }, 'confirmed');
+                if (confirmation.value.err) {
+                    await this.markTransaction(signature, 'failed', JSON.stringify(confirmation.value.err));
+                    throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+                }
+                await this.markTransaction(signature, 'confirmed');
+
+                result.closed += batch.length;
+                result.reclaimedLamports += batch.reduce((sum, account) => sum + account.lamports, 0);
+                result.feeLamports += 5000; // One signature, no priority fee
+                result.signatures.push(signature);
+                console.log(`[reclaimRent] Closed ${batch.length} token accounts: ${signature}`);
+            } catch (error) {
+                console.error(`[reclaimRent] Batch of ${batch.length} accounts failed:`, error.message);
+                result.failed += batch.length;
+                result.errors.push(error.message);
+            }
+        }
+
+        result.success = result.failed === 0 || result.closed > 0;
+        return result;
+    }
+
     async getTokenBalance(walletPublicKey, tokenAddress) {
         try {
             const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(
@@ -1059,15 +1890,49 @@ class TradingExecution {
         }
     }
 
+    /**
+     * Place a limit order. The order is persisted as 'open' and filled by
+     * LimitOrderService once the live price crosses the trigger price.
+     * @param {Object} params - { user, wallet, tokenAddress, amount, side, price, slippageBps, expiresInHours }
+     * @returns {Promise<Object>} The created order row
+     */
     async executeLimitOrder(params) {
         try {
-            const { user, wallet, tokenAddress, amount, side, price } = params;
+            const { user, wallet, tokenAddress, amount, side, price, slippageBps, expiresInHours } = params;
+
+            if (!this.db) {
+                throw new Error('Database not configured for limit orders');
+            }
 
             const walletStatus = await this.db.getWalletSecurityStatus(wallet.id);
             if (walletStatus.is_locked) {
                 throw new Error('Wallet is locked. Please unlock it before trading.');
             }
 
+            const orderSide = side.toLowerCase();
+            if (orderSide !== 'buy' && orderSide !== 'sell') {
+                throw new Error('Limit order side must be buy or sell');
+            }
+            if (isNaN(amount) || amount <= 0) {
+                throw new Error('Invalid limit order amount');
+            }
+            if (isNaN(price) || price <= 0) {
+                throw new Error('Invalid limit order trigger price');
+            }
+
+            const order = await this.db.createOrder({
+                userId: user.id,
+                walletId: wallet.id,
+                tokenAddress,
+                side: orderSide,
+                amount,
+                triggerPrice: price,
+                slippageBps,
+                expiresInHours
+            });
+
+            console.log(`[executeLimitOrder] Created ${orderSide} order #${order.id} for ${tokenAddress} at ${price}`);
+            return order;
         } catch (error) {
             this.logger.error(`Limit order execution error: ${error.message}`);
             throw error;
@@ -176,6 +176,13 @@ class AutonomousService {
         }
     }
 
+    /**
+     * Stop autonomous position monitoring for tokens the user no longer holds
+     */
+    stopMonitoringTokens(userId, tokenAddresses) {
+        this.autonomousTrading.releasePositions(userId, tokenAddresses);
+    }
+
     async sendTelegramAlert(userId, alert) {
         try {
             const userSettings = await this.db.getUserSettings(userId);
@@ -3,9 +3,12 @@ const winston = require('winston');
 const TokenDataService = require('./tokenDataService');
 const TradingExecution = require('../modules/tradingExecution');
 const MarketDataService = require('./marketDataService');
+const { priceOracle } = require('./priceOracle');
 const crypto = require('crypto');
 const BuyManager = require('../modules/buyManager');
+const RuleSchedule = require('./ruleSchedule');
 const { Keypair } = require('@solana/web3.js');
+const TelegramUtils = require('../utils/telegramUtils');
 
 class AutonomousTrading {
     constructor(config, db, ruleEngine, telegramBot = null) {
@@ -13,8 +16,10 @@ class AutonomousTrading {
         this.db = db;
         this.ruleEngine = ruleEngine;
         this.telegramBot = telegramBot;
+        this.ruleSchedule = new RuleSchedule();
         this.tokenDataService = new TokenDataService(config);
         this.tradingExecution = new TradingExecution(config);
+        this.tradingExecution.setDatabase(db);
         this.isRunning = false;
         this.monitoringInterval = null;
         this.activePositions = new Map();
@@ -234,8 +239,8 @@ class AutonomousTrading {
                                 this.logger.error(`Invalid private key length for user ${user.id}`);
                                 continue;
                             }
+                            // Passed to executeBuy rather than set on the shared TradingExecution, which other users' trades also use
                             const keypair = Keypair.fromSecretKey(secretKey);
-                            this.tradingExecution.setUserWallet(keypair);
                             // --- BUY AMOUNT LOGIC ---
                             // Use the new method to get buy amount from rules with proper fallback
                             const autobuyAmount = await this.getBuyAmountFromRules(user.id);
@@ -260,13 +265,15 @@ class AutonomousTrading {
                                 continue;
                             }
                             // --- END ADDRESS EXTRACTION ---
-                            const buyResult = await this.tradingExecution.executeBuy(user.id, tokenAddress, autobuyAmount);
+                            const buyResult = await this.tradingExecution.executeBuy(user.id, tokenAddress, autobuyAmount, { keypair });
                             if (buyResult.success) {
                                 // Record the buy attempt for rate limiting
                                 this.recordBuyAttempt(user.id);
                                 
-                                // Additional verification for autonomous trading
-                                await this.verifyAutonomousBuySuccess(buyResult.signature, tokenAddress, user.id);
+                                // Additional verification for autonomous trading (paper and offline fills are simulated)
+                                if (!buyResult.paper && !buyResult.offline) {
+                                    await this.verifyAutonomousBuySuccess(buyResult.signature, tokenAddress, user.id);
+                                }
                                 
                                 this.logger.info(`Autobuy successful for user ${user.id}: ${tokenAddress}`);
                                 
@@ -276,7 +283,7 @@ class AutonomousTrading {
                                 // Notify user via Telegram
                                 try {
                                     await this.telegramBot.sendMessage(user.telegram_id, 
-                                        `✅ *Autobuy Success!*\n` +
+                                        `✅ *${buyResult.paper ? '📝 Paper ' : ''}Autobuy Success!*\n` +
                                         `Token: ${tokenAddress}\n` +
                                         `Amount: ${autobuyAmount} SOL\n\n` +
                                         `📊 Rate Limit: ${remainingBuys} buys remaining this hour`, 
@@ -483,6 +490,13 @@ class AutonomousTrading {
 
             // Evaluate rules and execute trades
             for (const rule of rules) {
+                // Rules outside their trading window or paused stay active but do not buy
+                const schedule = await this.db.getRuleSchedule(rule.id);
+                if (!this.ruleSchedule.isActive(schedule)) {
+                    this.logger.info(`Skipping rule ${rule.name} (ID: ${rule.id}): outside its schedule, next active ${this.ruleSchedule.describeNextActive(schedule)}`);
+                    continue;
+                }
+
                 this.logger.info(`Evaluating rule ${rule.name} (ID: ${rule.id}) for user ${userId}`);
                 const opportunities = await this.findTradingOpportunities(rule, userId);
                 this.logger.info(`Found ${opportunities.length} trading opportunities for rule ${rule.name}`);
@@ -491,25 +505,32 @@ class AutonomousTrading {
                     this.logger.info(`Validating opportunity for token ${opportunity.token.address} with rule ${rule.name}`);
                     if (await this.validateOpportunity(opportunity, portfolio, strategySettings.params, rule)) {
                         this.logger.info(`Executing trade for token ${opportunity.token.address} with rule ${rule.name}`);
-                        const tradeResult = await this.executeTrade(opportunity, rule, strategySettings.params);
+                        const tradeResult = await this.executeTrade(opportunity, rule, strategySettings.params, userId);
                         
                         if (tradeResult.success) {
-                            // Record the trade in database
-                            await this.db.createTrade(
-                                userId,
-                                opportunity.token.address,
-                                tradeResult.amount,
-                                tradeResult.price,
-                                'buy'
-                            );
+                            // Price in SOL per token like the other trades rows
+                            const solPerToken = tradeResult.tokensReceived > 0 ? tradeResult.solAmount / tradeResult.tokensReceived : 0;
+
+                            // Record the trade in database (paper fills are already in the paper ledger)
+                            if (!tradeResult.paper) {
+                                const trade = await this.db.createTrade(
+                                    userId,
+                                    opportunity.token.address,
+                                    tradeResult.tokensReceived,
+                                    solPerToken,
+                                    'buy',
+                                    tradeResult.fill
+                                );
+                                await this.db.linkTradeTransactions(trade.lastInsertRowid, tradeResult);
+                            }
 
                             // Send notification
                             await this.sendTradeNotification(userId, {
                                 type: 'AUTONOMOUS_TRADE',
                                 token: opportunity.token.address,
                                 action: 'buy',
-                                amount: tradeResult.amount,
-                                price: tradeResult.price,
+                                amount: tradeResult.tokensReceived,
+                                price: solPerToken,
                                 rule: rule.name
                             });
                         }
@@ -664,10 +685,21 @@ class AutonomousTrading {
     }
 
     async monitorPositions(riskLimits) {
+        // Price every open position in one batch
+        const quotes = await priceOracle.getQuotes([...this.activePositions.keys()]);
+
         for (const [tokenAddress, position] of this.activePositions) {
             try {
-                const currentPrice = await this.getTokenPrice(tokenAddress);
+                const quote = quotes.get(tokenAddress);
+                if (!quote || quote.confidence !== 'high') {
+                    this.logger.warn(`No trusted price for ${tokenAddress}, not checking its stop loss or take profit`);
+                    continue;
+                }
+                const currentPrice = quote.price;
                 const entryPrice = position.entryPrice;
+                if (!entryPrice) {
+                    continue;
+                }
                 const pnl = (currentPrice - entryPrice) / entryPrice;
 
                 // Check stop loss
@@ -762,7 +794,7 @@ class AutonomousTrading {
         }
     }
 
-    async executeTrade(opportunity, rule, strategyParams) {
+    async executeTrade(opportunity, rule, strategyParams, userId) {
         try {
             const { token } = opportunity;
             
@@ -783,18 +815,29 @@ class AutonomousTrading {
                 this.logger.info(`No rule buy amount set, using percentage-based: ${buyAmount} SOL`);
             }
 
-            // Execute the trade
+            // Sign with this user's own wallet, never whatever another trade left on the shared TradingExecution
+            const keypair = await this.getUserKeypair(userId);
+            if (!keypair) {
+                return { success: false, error: 'No active wallet' };
+            }
+
+            // Execute the trade (executeBuy applies the user's price impact and liquidity guards)
             const tradeResult = await this.tradingExecution.executeBuy(
+                userId,
                 token.address,
                 buyAmount,
-                strategyParams.maxSlippage || 1
+                { keypair }
             );
 
             if (tradeResult.success) {
-                // Record the position
+                // Record the position. monitorPositions compares entryPrice with priceOracle's USD
+                // price, so it is the token's USD price; tokenPrice is executeBuy's raw out/in fill ratio
                 this.activePositions.set(token.address, {
-                    entryPrice: tradeResult.price,
-                    size: buyAmount,
+                    userId,
+                    entryPrice: token.usdPrice ?? token.price,
+                    tokenPrice: tradeResult.tokenPrice,
+                    amount: tradeResult.tokensReceived,
+                    size: tradeResult.solAmount,
                     timestamp: Date.now(),
                     ruleId: rule.id
                 });
@@ -802,19 +845,38 @@ class AutonomousTrading {
                 // Log the trade
                 this.logger.info('Autonomous trade executed:', {
                     token: token.address,
-                    size: buyAmount,
-                    price: tradeResult.price,
+                    size: tradeResult.solAmount,
+                    amount: tradeResult.tokensReceived,
+                    price: tradeResult.tokenPrice,
                     ruleId: rule.id,
                     buyAmountSource: rule.conditions && rule.conditions.buy_amount ? 'rule_setting' : 'percentage_based'
                 });
 
                 return tradeResult;
             }
+
+            this.logger.warn(`Autonomous trade for ${token.address} not executed: ${tradeResult.error}`);
+            return tradeResult;
         } catch (error) {
             this.logger.error('Error executing trade:', error);
+            return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Keypair of the user's active wallet, or null when there is none
+     */
+    async getUserKeypair(userId) {
+        const user = await this.db.getUserById(userId);
+        const wallet = await this.db.getActiveWallet(userId);
+        if (!user || !wallet || !wallet.encrypted_private_key) {
+            this.logger.warn(`No active wallet for user ${userId}, not trading`);
+            return null;
+        }
+        const decryptedKey = TelegramUtils.decryptPrivateKey(wallet.encrypted_private_key, user.telegram_id.toString());
+        return Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+    }
+
     async closePosition(tokenAddress, reason) {
         try {
             const position = this.activePositions.get(tokenAddress);
@@ -843,9 +905,25 @@ class AutonomousTrading {
         }
     }
 
+    /**
+     * Stop watching positions in these tokens (e.g. after they were sold elsewhere)
+     */
+    releasePositions(userId, tokenAddresses) {
+        for (const tokenAddress of tokenAddresses) {
+            const position = this.activePositions.get(tokenAddress);
+            if (position && (!position.userId || position.userId === userId)) {
+                this.activePositions.delete(tokenAddress);
+                this.logger.info(`Released autonomous position ${tokenAddress} for user ${userId}`);
+            }
+        }
+    }
+
     async getTokenPrice(tokenAddress) {
-        // Implement token price fetching
-        return 0;
+        const price = await priceOracle.getPrice(tokenAddress);
+        if (!price) {
+            throw new Error(`No price available for ${tokenAddress}`);
+        }
+        return price;
     }
 
     async sendTradeNotification(userId, tradeData) {
@@ -0,0 +1,283 @@
+const ConditionEvaluator = require('./conditionEvaluator');
+
+/**
+ * Backtester
+ * Replays a rule over the recorded market snapshots (see MarketSnapshotService).
+ * At every snapshot, open positions are checked against the rule's take profit,
+ * stop loss and trailing stop in the order manual management checks them, then
+ * tokens matching the rule's buy conditions are bought at the snapshot price,
+ * one position per token and at most maxBuysPerHour buys an hour like
+ * autonomous mode. Positions still open at the end close at their last price.
+ *
+ * A token that drops out of the snapshots (delisted, rugged, or just out of the
+ * top list) can't be priced or stopped out any more. Such a position is closed
+ * as 'unpriced' at its last seen price, flagged, and left out of the win rate,
+ * PnL and drawdown, which would otherwise count a possible rug at its pre-rug price.
+ *
+ * Prices are only seen once per snapshot, so exits fill at the first snapshot
+ * past the trigger rather than at the trigger price itself.
+ */
+class Backtester {
+    constructor(db) {
+        this.db = db;
+        this.evaluator = new ConditionEvaluator();
+        this.defaultBuyAmount = 0.1; // SOL, for rules without a buy amount
+        this.maxBuysPerHour = 5;
+        this.hourMs = 60 * 60 * 1000;
+        this.pageSize = 5000; // Snapshot rows read at a time
+    }
+
+    /**
+     * Backtest a rule
+     * @param {Object} rule - rules row
+     * @param {Object} options - { since, until } as millisecond timestamps
+     * @returns {Promise<Object>} { rule, since, until, frames, buyAmount, exits, trades, summary }
+     */
+    async run(rule, { since, until = Date.now() }) {
+        const conditions = await this.db.getRuleConditions(rule.id);
+        const groups = await this.db.getConditionGroups(rule.id);
+
+        if (!conditions.some(condition => this.isBuyCondition(condition))) {
+            throw new Error('This rule has no buy conditions to replay');
+        }
+
+        const tree = this.evaluator.buildTree(conditions, groups);
+        const exits = this.getExitConditions(conditions);
+        const buyAmount = this.getBuyAmount(conditions);
+
+        const replay = { tree, exits, buyAmount, open: new Map(), trades: [], buyTimes: [] }; // open: token address -> position
+        const trades = replay.trades;
+        let frames = 0;
+        let lastFrameTime = null;
+        let frame = null;
+        const finishFrame = () => {
+            if (frame) {
+                this.replayFrame(frame, replay);
+                frames++;
+                lastFrameTime = frame.time;
+            }
+        };
+
+        // Read the snapshots a page at a time, grouping rows into frames (one per recording)
+        // and yielding between pages so a long window does not hold up the bot
+        let after = null;
+        for (;;) {
+            const rows = await this.db.getTokenSnapshotPage(since, until, after, this.pageSize);
+            for (const row of rows) {
+                if (!frame || frame.time !== row.recorded_at) {
+                    finishFrame();
+                    frame = { time: row.recorded_at, tokens: [] };
+                }
+                frame.tokens.push(this.toToken(row));
+            }
+            if (rows.length < this.pageSize) {
+                break;
+            }
+            after = rows[rows.length - 1];
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        finishFrame();
+
+        for (const position of replay.open.values()) {
+            const unpriced = position.lastTime !== lastFrameTime;
+            const trade = this.closePosition(position, position.lastPrice, position.lastTime, unpriced ? 'unpriced' : 'end_of_data');
+            trade.unpriced = unpriced;
+            trades.push(trade);
+        }
+        trades.sort((a, b) => a.exitTime - b.exitTime);
+
+        return {
+            rule: { id: rule.id, name: rule.name },
+            since,
+            until,
+            frames,
+            buyAmount,
+            exits,
+            trades,
+            summary: this.summarize(trades)
+        };
+    }
+
+    /**
+     * Check the open positions of a replay against one frame's prices, then buy what matches
+     * @param {Object} replay - { tree, exits, buyAmount, open, trades, buyTimes }, updated in place
+     */
+    replayFrame(frame, { tree, exits, buyAmount, open, trades, buyTimes }) {
+        for (const token of frame.tokens) {
+            const position = open.get(token.address);
+            if (!position) {
+                continue;
+            }
+            position.lastPrice = token.price;
+            position.lastTime = frame.time;
+            position.highestPrice = Math.max(position.highestPrice, token.price);
+
+            const reason = this.checkExit(position, token.price, exits);
+            if (reason) {
+                trades.push(this.closePosition(position, token.price, frame.time, reason));
+                open.delete(token.address);
+            }
+        }
+
+        for (const token of frame.tokens) {
+            if (open.has(token.address) || !this.evaluator.matches(tree, token)) {
+                continue;
+            }
+            while (buyTimes.length > 0 && frame.time - buyTimes[0] >= this.hourMs) {
+                buyTimes.shift();
+            }
+            if (buyTimes.length >= this.maxBuysPerHour) {
+                break;
+            }
+
+            buyTimes.push(frame.time);
+            open.set(token.address, {
+                address: token.address,
+                symbol: token.symbol,
+                entryPrice: token.price,
+                entryTime: frame.time,
+                highestPrice: token.price,
+                lastPrice: token.price,
+                lastTime: frame.time,
+                amount: buyAmount
+            });
+        }
+    }
+
+    /**
+     * Whether a condition filters tokens (as opposed to buy amount and exit rules)
+     */
+    isBuyCondition(condition) {
+        return !/^(management_|manual_|buy_amount)/.test(condition.condition_type);
+    }
+
+    /**
+     * Take profit, stop loss and trailing stop percentages of the rule
+     */
+    getExitConditions(conditions) {
+        const exits = { takeProfit: null, stopLoss: null, trailingStop: null };
+        const fields = { take_profit: 'takeProfit', stop_loss: 'stopLoss', trailing_stop: 'trailingStop' };
+
+        for (const condition of conditions) {
+            const match = condition.condition_type.match(/^(?:management|manual)_(take_profit|stop_loss|trailing_stop)$/);
+            if (!match) {
+                continue;
+            }
+            try {
+                const value = JSON.parse(condition.condition_value);
+                const percentage = Number(value.percentage ?? value);
+                if (percentage > 0 && value.enabled !== false) {
+                    exits[fields[match[1]]] = percentage;
+                }
+            } catch (error) {
+                console.error('[Backtester] Unreadable exit condition:', condition, error.message);
+            }
+        }
+        return exits;
+    }
+
+    getBuyAmount(conditions) {
+        const condition = conditions.find(c => c.condition_type === 'buy_amount');
+        if (condition) {
+            try {
+                const amount = parseFloat(JSON.parse(condition.condition_value).value);
+                if (amount > 0) {
+                    return amount;
+                }
+            } catch (error) {
+                console.error('[Backtester] Unreadable buy amount:', condition, error.message);
+            }
+        }
+        return this.defaultBuyAmount;
+    }
+
+    /**
+     * Exit reason for a position at price, or null to hold
+     */
+    checkExit(position, price, exits) {
+        const change = ((price - position.entryPrice) / position.entryPrice) * 100;
+        if (exits.takeProfit && change >= exits.takeProfit) {
+            return 'take_profit';
+        }
+        if (exits.stopLoss && change <= -exits.stopLoss) {
+            return 'stop_loss';
+        }
+        if (exits.trailingStop && price <= position.highestPrice * (1 - exits.trailingStop / 100)) {
+            return 'trailing_stop';
+        }
+        return null;
+    }
+
+    closePosition(position, exitPrice, exitTime, reason) {
+        const pnlPct = ((exitPrice - position.entryPrice) / position.entryPrice) * 100;
+        return {
+            address: position.address,
+            symbol: position.symbol,
+            entryTime: position.entryTime,
+            entryPrice: position.entryPrice,
+            exitTime,
+            exitPrice,
+            reason,
+            unpriced: false,
+            pnlPct,
+            pnlSol: position.amount * pnlPct / 100,
+            amount: position.amount
+        };
+    }
+
+    /**
+     * Win rate, total PnL and max drawdown of the cumulative PnL in exit order,
+     * over priced trades only; unpriced positions are counted separately
+     */
+    summarize(trades) {
+        const priced = trades.filter(trade => !trade.unpriced);
+        const wins = priced.filter(trade => trade.pnlSol > 0).length;
+        const invested = priced.reduce((sum, trade) => sum + trade.amount, 0);
+
+        let equity = 0;
+        let peak = 0;
+        let maxDrawdownSol = 0;
+        for (const trade of priced) {
+            equity += trade.pnlSol;
+            peak = Math.max(peak, equity);
+            maxDrawdownSol = Math.max(maxDrawdownSol, peak - equity);
+        }
+
+        return {
+            trades: trades.length,
+            wins,
+            losses: priced.length - wins,
+            unpriced: trades.length - priced.length,
+            unpricedSol: trades.filter(trade => trade.unpriced).reduce((sum, trade) => sum + trade.amount, 0),
+            winRate: priced.length > 0 ? (wins / priced.length) * 100 : 0,
+            totalPnlSol: equity,
+            totalPnlPct: invested > 0 ? (equity / invested) * 100 : 0,
+            maxDrawdownSol
+        };
+    }
+
+    /**
+     * token_snapshots row -> token object the ConditionEvaluator understands
+     */
+    toToken(row) {
+        const token = {
+            address: row.token_address,
+            symbol: row.symbol,
+            price: row.price,
+            marketCap: row.market_cap,
+            liquidity: row.liquidity,
+            volume: row.volume_24h,
+            category: row.category
+        };
+        try {
+            for (const [window, stats] of Object.entries(JSON.parse(row.stats || '{}'))) {
+                token[`stats${window}`] = stats;
+            }
+        } catch (error) {
+            // Snapshots without readable stats still carry the plain figures
+        }
+        return token;
+    }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,194 @@
+/**
+ * Condition Evaluator
+ * Evaluates a rule's conditions against a token. Conditions live in
+ * rule_conditions and may belong to a group in rule_condition_groups; groups
+ * combine their members with AND or OR, can be negated (NOT) and can nest.
+ * Conditions and groups without a parent sit in the rule's implicit top-level
+ * AND, so a rule without groups is the plain AND list it always was.
+ *
+ * Evaluation is three-valued: a condition is true, false, or null when it does
+ * not apply to token filtering (e.g. take profit) or the token has no data for
+ * it. Null members are left out of their group, a group with only null members
+ * is null itself, and NOT null stays null. A rule whose whole tree is null
+ * matches.
+ *
+ * Works with both Jupiter token objects (mcap, usdPrice, tags, stats24h) and
+ * the normalized token data of TokenDataService (marketCap, price, category).
+ */
+class ConditionEvaluator {
+    /**
+     * Build the condition tree of a rule.
+     * @param {Array} conditions - rule_conditions rows
+     * @param {Array} groups - rule_condition_groups rows
+     * @returns {Object} Root node: { type: 'group', id: null, operator: 'AND', negate: false, children }
+     */
+    buildTree(conditions, groups = []) {
+        const root = { type: 'group', id: null, operator: 'AND', negate: false, children: [] };
+        const nodes = new Map();
+        for (const group of groups) {
+            nodes.set(group.id, {
+                type: 'group',
+                id: group.id,
+                operator: group.operator === 'OR' ? 'OR' : 'AND',
+                negate: !!group.negate,
+                children: []
+            });
+        }
+
+        // Groups and conditions whose parent group is missing fall back to the root
+        for (const group of groups) {
+            (nodes.get(group.parent_id) || root).children.push(nodes.get(group.id));
+        }
+
+        for (const condition of conditions) {
+            const parent = nodes.get(condition.group_id) || root;
+            parent.children.push({ type: 'condition', condition });
+        }
+
+        return root;
+    }
+
+    /**
+     * Whether token matches the condition tree
+     */
+    matches(tree, token) {
+        return this.evaluateNode(tree, token) !== false;
+    }
+
+    /**
+     * true, false or null (see the class comment) for a node of the tree
+     */
+    evaluateNode(node, token) {
+        if (node.type === 'condition') {
+            return this.evaluateCondition(node.condition, token);
+        }
+
+        const results = node.children
+            .map(child => this.evaluateNode(child, token))
+            .filter(result => result !== null);
+
+        let result = null;
+        if (results.length > 0) {
+            result = node.operator === 'OR' ? results.some(Boolean) : results.every(Boolean);
+        }
+        return node.negate && result !== null ? !result : result;
+    }
+
+    /**
+     * true, false or null for one rule_conditions row
+     */
+    evaluateCondition(condition, token) {
+        const type = condition.condition_type.replace(/^discovery_/, '');
+
+        let value;
+        try {
+            // Category and timeframe values are plain strings, everything else is JSON
+            value = type === 'category' || type === 'timeframe'
+                ? condition.condition_value
+                : JSON.parse(condition.condition_value);
+        } catch (error) {
+            console.error('[ConditionEvaluator] Unreadable condition value:', condition, error.message);
+            return false;
+        }
+
+        switch (type) {
+            case 'category': {
+                const category = token.tags ? token.tags[0] : token.category;
+                return !!category && category.toLowerCase() === String(value).toLowerCase();
+            }
+            case 'market_cap':
+                // A bare market cap is a ceiling; the other figures are floors
+                return this.compare(this.getMarketCap(token), condition.operator, value, false, '<=');
+            case 'price':
+                return this.compare(token.usdPrice ?? token.price, condition.operator, value, false);
+            case 'volume':
+                return this.compare(this.getVolume(token), condition.operator, value, null);
+            case 'liquidity':
+                return this.compare(token.liquidity, condition.operator, value, null);
+            case 'num_buys':
+                return this.compare(token.numBuys ?? token.num_buys ?? token.stats24h?.numBuys, condition.operator, value, null);
+            case 'num_sells':
+                return this.compare(token.numSells ?? token.num_sells ?? token.stats24h?.numSells, condition.operator, value, null);
+            case 'volume_spike': {
+                // Rule wizard spikes are { threshold (%), timeWindow }, edit flow spikes are { multiplier }
+                const threshold = value.threshold !== undefined ? Number(value.threshold) : (Number(value.multiplier) - 1) * 100;
+                const change = this.getChange(token, 'volumeChange', value.timeWindow);
+                return change === null ? null : change >= threshold;
+            }
+            case 'price_change':
+            case 'volume_change': {
+                const change = this.getChange(token, type === 'price_change' ? 'priceChange' : 'volumeChange', value.timeframe);
+                if (change === null) {
+                    return null;
+                }
+                const threshold = Math.abs(Number(value.threshold));
+                return value.direction === 'decrease' ? change <= -threshold : change >= threshold;
+            }
+            default:
+                // Timeframes, buy amounts, exit rules and the like do not filter tokens
+                return null;
+        }
+    }
+
+    /**
+     * Compare a token figure with a condition value: either a { min, max } range
+     * or a single number with the condition's operator. missing is the result
+     * when the token has no figure, defaultOperator applies to a bare number
+     * saved without an operator, and an operator that isn't understood (such
+     * as the 'equals' conditions used to be saved with) never matches.
+     */
+    compare(actual, operator, value, missing, defaultOperator = '>=') {
+        if (actual === undefined || actual === null || Number.isNaN(Number(actual))) {
+            return missing;
+        }
+        actual = Number(actual);
+
+        if (typeof value === 'object' && value !== null) {
+            if (value.min !== undefined && value.min !== null && actual < Number(value.min)) {
+                return false;
+            }
+            if (value.max !== undefined && value.max !== null && actual > Number(value.max)) {
+                return false;
+            }
+            return true;
+        }
+
+        const expected = Number(value);
+        switch (operator || defaultOperator) {
+            case '>':
+                return actual > expected;
+            case '<':
+                return actual < expected;
+            case '=':
+                return actual === expected;
+            case '<=':
+                return actual <= expected;
+            case '>=':
+                return actual >= expected;
+            default:
+                return false;
+        }
+    }
+
+    getMarketCap(token) {
+        return token.mcap ?? token.marketCap ?? token.market_cap;
+    }
+
+    getVolume(token) {
+        return token.stats24h
+            ? (token.stats24h.buyVolume || 0) + (token.stats24h.sellVolume || 0)
+            : (token.volume24h ?? token.volume);
+    }
+
+    /**
+     * Percent change of a figure over a window such as '1h' or '24h', from
+     * Jupiter's stats5m/stats1h/stats6h/stats24h or the token's own figure
+     */
+    getChange(token, field, window = '24h') {
+        const stats = token[`stats${String(window || '24h').toLowerCase()}`];
+        const change = stats?.[field] ?? token[field];
+        return change === undefined || change === null || Number.isNaN(Number(change)) ? null : Number(change);
+    }
+}
+
+module.exports = ConditionEvaluator;
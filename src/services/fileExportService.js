@@ -714,6 +714,88 @@ class FileExportService {
         return html;
     }
 
+    /**
+     * Export a rule backtest (see Backtester.run) as CSV: summary rows followed by one row per trade
+     * @param {Object} user - User object
+     * @param {Object} result - Backtest result
+     * @returns {Object} Export result with file path
+     */
+    async exportBacktestToCSV(user, result) {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const fileName = `backtest_${user.id}_${result.rule.id}_${timestamp}.csv`;
+            const filePath = path.join(this.exportDir, fileName);
+            const { summary } = result;
+
+            const csvData = [
+                { Type: 'Summary', Item: 'Rule', Value: result.rule.name, Details: '' },
+                { Type: 'Summary', Item: 'Period', Value: `${new Date(result.since).toISOString()} - ${new Date(result.until).toISOString()}`, Details: `${result.frames} snapshots` },
+                { Type: 'Summary', Item: 'Buy Amount (SOL)', Value: result.buyAmount, Details: '' },
+                { Type: 'Summary', Item: 'Trades', Value: summary.trades, Details: `${summary.wins} wins, ${summary.losses} losses, ${summary.unpriced} unpriced` },
+                { Type: 'Summary', Item: 'Unpriced Positions', Value: summary.unpriced, Details: `${summary.unpricedSol.toFixed(6)} SOL; dropped out of the snapshots, not in win rate, P&L or drawdown` },
+                { Type: 'Summary', Item: 'Win Rate (%)', Value: summary.winRate.toFixed(2), Details: '' },
+                { Type: 'Summary', Item: 'Total P&L (SOL)', Value: summary.totalPnlSol.toFixed(6), Details: `${summary.totalPnlPct.toFixed(2)}% of SOL invested` },
+                { Type: 'Summary', Item: 'Max Drawdown (SOL)', Value: summary.maxDrawdownSol.toFixed(6), Details: '' }
+            ];
+
+            result.trades.forEach(trade => {
+                csvData.push({
+                    Type: 'Trade',
+                    Item: `${trade.symbol || trade.address} (${trade.address})`,
+                    Value: trade.pnlSol.toFixed(6),
+                    Details: `Entry: $${trade.entryPrice} at ${new Date(trade.entryTime).toISOString()}, Exit: $${trade.exitPrice} at ${new Date(trade.exitTime).toISOString()}, P&L: ${trade.pnlPct.toFixed(2)}%${trade.unpriced ? ' (unpriced, last seen price)' : ''}, Reason: ${trade.reason}`
+                });
+            });
+
+            const parser = new Parser({
+                fields: ['Type', 'Item', 'Value', 'Details']
+            });
+            const csv = parser.parse(csvData);
+
+            await fs.writeFile(filePath, csv);
+
+            return {
+                success: true,
+                filePath,
+                fileName,
+                size: (await fs.stat(filePath)).size,
+                rowCount: csvData.length
+            };
+
+        } catch (error) {
+            console.error('Error exporting backtest to CSV:', error);
+            throw new Error('Failed to generate backtest CSV export');
+        }
+    }
+
+    /**
+     * Export a rule share payload (see RuleShare) as JSON, importable with Import Rule
+     * @param {Object} user - User object
+     * @param {Object} rule - rules row
+     * @param {Object} payload - Share payload
+     * @returns {Object} Export result with file path
+     */
+    async exportRuleToJSON(user, rule, payload) {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const fileName = `rule_${user.id}_${rule.id}_${timestamp}.json`;
+            const filePath = path.join(this.exportDir, fileName);
+
+            await fs.writeFile(filePath, JSON.stringify(payload, null, 2));
+
+            return {
+                success: true,
+                filePath,
+                fileName,
+                size: (await fs.stat(filePath)).size
+            };
+
+        } catch (error) {
+            console.error('Error exporting rule to JSON:', error);
+            throw new Error('Failed to generate rule JSON export');
+        }
+    }
+
     /**
      * Get file download URL for Telegram
      * @param {String} filePath - Path to the exported file
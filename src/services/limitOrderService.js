@@ -0,0 +1,311 @@
+const { Keypair } = require('@solana/web3.js');
+const { NATIVE_MINT } = require('@solana/spl-token');
+const { walletLock } = require('./walletLock');
+const { priceOracle } = require('./priceOracle');
+const TelegramUtils = require('../utils/telegramUtils');
+
+/**
+ * Limit Order Service
+ * Watches open orders against live prices and fills them through
+ * TradingExecution.executeSwapWithFallback once the trigger price is hit.
+ * Buy orders fill when price <= trigger, sell orders when price >= trigger.
+ */
+class LimitOrderService {
+    constructor(config, db, tradingExecution, telegramBot) {
+        this.config = config;
+        this.db = db;
+        this.tradingExecution = tradingExecution;
+        this.telegramBot = telegramBot;
+        this.isMonitoring = false;
+        this.monitoringInterval = null;
+        this.logger = console;
+        this.pendingFills = new Set(); // Order IDs currently being filled
+        this.lastAttempt = new Map(); // orderId -> timestamp of last failed fill attempt
+        this.retryDelay = 30000; // Wait 30s before retrying a failed fill
+        this.checkIntervalMs = 5000;
+    }
+
+    /**
+     * Start watching open limit orders
+     */
+    async startMonitoring() {
+        if (this.isMonitoring) {
+            this.logger.info('Limit order monitoring already active');
+            return;
+        }
+
+        this.isMonitoring = true;
+        this.logger.info('Starting limit order monitoring...');
+
+        this.monitoringInterval = setInterval(async () => {
+            try {
+                await this.checkOpenOrders();
+            } catch (error) {
+                this.logger.error('Error in limit order monitoring interval:', error);
+            }
+        }, this.checkIntervalMs);
+
+        this.logger.info(`🚀 Limit order monitoring started with ${this.checkIntervalMs / 1000}s check interval`);
+    }
+
+    /**
+     * Stop watching open limit orders
+     */
+    stopMonitoring() {
+        if (this.monitoringInterval) {
+            clearInterval(this.monitoringInterval);
+            this.monitoringInterval = null;
+        }
+        this.isMonitoring = false;
+        this.logger.info('Limit order monitoring stopped');
+    }
+
+    /**
+     * Expire stale orders, then check every open order against the current price
+     */
+    async checkOpenOrders() {
+        const expiredOrders = await this.db.expireOrders();
+        for (const order of expiredOrders) {
+            this.lastAttempt.delete(order.id);
+            await this.sendOrderNotification(order, `⌛ Limit ${order.side} order #${order.id} expired without filling.`);
+        }
+
+        const openOrders = await this.db.getOpenOrders();
+        if (openOrders.length === 0) {
+            return;
+        }
+
+        // Group by token so each price is fetched once per cycle, all in one batch
+        const ordersByToken = new Map();
+        for (const order of openOrders) {
+            if (!ordersByToken.has(order.token_address)) {
+                ordersByToken.set(order.token_address, []);
+            }
+            ordersByToken.get(order.token_address).push(order);
+        }
+
+        const quotes = await priceOracle.getQuotes([...ordersByToken.keys()]);
+
+        for (const [tokenAddress, orders] of ordersByToken) {
+            const quote = quotes.get(tokenAddress);
+            if (!quote) {
+                this.logger.warn(`No price available for ${tokenAddress}, skipping ${orders.length} limit orders`);
+                continue;
+            }
+            if (quote.confidence !== 'high') {
+                this.logger.warn(`Low-confidence price for ${tokenAddress} ($${quote.price}), skipping ${orders.length} limit orders`);
+                continue;
+            }
+            const currentPrice = quote.price;
+
+            for (const order of orders) {
+                if (this.pendingFills.has(order.id) || !this.isTriggered(order, currentPrice)) {
+                    continue;
+                }
+
+                const lastAttempt = this.lastAttempt.get(order.id);
+                if (lastAttempt && Date.now() - lastAttempt < this.retryDelay) {
+                    continue;
+                }
+
+                this.pendingFills.add(order.id);
+                try {
+                    await this.fillOrder(order, currentPrice);
+                } finally {
+                    this.pendingFills.delete(order.id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check whether the current price crosses the order's trigger
+     */
+    isTriggered(order, currentPrice) {
+        if (order.side === 'buy') {
+            return currentPrice <= order.trigger_price;
+        }
+        return currentPrice >= order.trigger_price;
+    }
+
+    /**
+     * Fill a triggered order through executeSwapWithFallback
+     */
+    async fillOrder(order, currentPrice) {
+        try {
+            this.logger.info(`Limit ${order.side} order #${order.id} triggered for ${order.token_address} at ${currentPrice} (trigger ${order.trigger_price})`);
+
+            const wallet = await this.db.getWalletById(order.wallet_id, order.user_id);
+            if (!wallet) {
+                throw new Error('Order wallet no longer exists');
+            }
+            if (wallet.is_locked) {
+                throw new Error('Wallet is locked');
+            }
+
+            const user = await this.db.getUserById(order.user_id);
+            if (!user) {
+                throw new Error(`User not found for ID: ${order.user_id}`);
+            }
+
+            const decryptedKey = TelegramUtils.decryptPrivateKey(wallet.encrypted_private_key, user.telegram_id.toString());
+            const keypair = Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+
+            // Hold the wallet for the whole fill so balances are read after anything queued before it
+            return await walletLock.run(keypair.publicKey, `limit order #${order.id}`, async () => {
+                const tokenInfo = await this.tradingExecution.getTokenInfo(order.token_address);
+                const decimals = tokenInfo.decimals;
+                const solMint = NATIVE_MINT.toString();
+                const isSelling = order.side === 'sell';
+                const paper = await this.tradingExecution.isPaperTrading(order.user_id);
+
+                // Price impact and liquidity caps: buys may shrink, sells may be split into chunks
+                const tradeGuard = this.tradingExecution.tradeGuard;
+                let tokenAmount = order.amount;
+                let solAmount = order.amount;
+                let chunkAmounts;
+                let guardNote = '';
+                if (isSelling) {
+                    const balance = await this.tradingExecution.getAvailableTokenBalance(order.user_id, keypair.publicKey, order.token_address);
+                    tokenAmount = Math.min(order.amount, balance);
+                    if (tokenAmount <= 0) {
+                        throw new Error('No tokens available to sell');
+                    }
+                    const plan = await tradeGuard.planSell(order.user_id, order.token_address, tokenAmount, decimals);
+                    if (!plan.allowed) {
+                        throw new Error(`Trade guard: ${plan.reason}`);
+                    }
+                    chunkAmounts = plan.chunks.map(chunk => Math.floor(chunk * Math.pow(10, decimals)));
+                    guardNote = plan.reason;
+                } else {
+                    const guard = await tradeGuard.checkBuy(order.user_id, order.token_address, order.amount);
+                    if (!guard.allowed) {
+                        throw new Error(`Trade guard: ${guard.reason}`);
+                    }
+                    solAmount = guard.solAmount;
+                    chunkAmounts = [Math.floor(solAmount * 1e9)];
+                    if (guard.resized) {
+                        guardNote = `resized to ${solAmount.toFixed(4)} SOL: ${guard.reason}`;
+                    }
+                    if (!paper && !(await this.tradingExecution.isOfflineSwap(order.user_id))) {
+                        const lamports = await this.tradingExecution.connection.getBalance(keypair.publicKey);
+                        if (lamports < chunkAmounts[0]) {
+                            throw new Error(`Insufficient SOL balance: ${(lamports / 1e9).toFixed(4)} SOL available, ${solAmount.toFixed(4)} SOL needed`);
+                        }
+                    }
+                }
+
+                const swapResults = [];
+                for (const inputAmount of chunkAmounts) {
+                    try {
+                        const chunkResult = await this.tradingExecution.executeSwapWithFallback(
+                            isSelling ? order.token_address : solMint,
+                            isSelling ? solMint : order.token_address,
+                            inputAmount,
+                            keypair,
+                            order.slippage_bps,
+                            isSelling,
+                            { paper, userId: order.user_id }
+                        );
+                        if (!chunkResult.success || typeof (chunkResult.signatures && chunkResult.signatures[0]) !== 'string') {
+                            throw new Error('Swap returned no transaction signature');
+                        }
+                        swapResults.push(chunkResult);
+                    } catch (error) {
+                        // Chunks already sold stay sold; fill the order with what went through
+                        if (swapResults.length === 0) {
+                            throw error;
+                        }
+                        this.logger.warn(`Limit order #${order.id} stopped after ${swapResults.length}/${chunkAmounts.length} chunks: ${error.message}`);
+                        guardNote = [guardNote, `only ${swapResults.length} of ${chunkAmounts.length} chunks filled`].filter(Boolean).join('; ');
+                        break;
+                    }
+                }
+
+                const swapResult = {
+                    ...swapResults[0],
+                    signatures: swapResults.flatMap(result => result.signatures)
+                };
+                const signature = swapResult.signatures[0];
+                const outAmount = swapResults.reduce((total, result) => total + this.getSwapOutAmount(result), 0);
+                if (isSelling) {
+                    tokenAmount = swapResults.length < chunkAmounts.length
+                        ? chunkAmounts.slice(0, swapResults.length).reduce((total, amount) => total + amount, 0) / Math.pow(10, decimals)
+                        : tokenAmount;
+                } else {
+                    tokenAmount = outAmount / Math.pow(10, decimals);
+                }
+
+                // Actual fill from the confirmed transaction meta (none for paper fills)
+                const fill = paper ? null : await this.tradingExecution.getSwapFill(swapResult, keypair.publicKey, order.token_address, order.side, outAmount);
+                if (fill) {
+                    tokenAmount = fill.tokenAmount;
+                }
+
+                // Recorded in SOL per token like every trade; currentPrice is the USD price that met the trigger
+                const solPerToken = fill
+                    ? fill.price
+                    : (tokenAmount > 0 ? (isSelling ? outAmount / 1e9 : solAmount) / tokenAmount : 0);
+                await this.db.markOrderFilled(order.id, signature, solPerToken, currentPrice);
+                if (!paper) {
+                    const trade = await this.db.createTrade(order.user_id, order.token_address, tokenAmount, solPerToken, order.side, fill);
+                    await this.db.linkTradeTransactions(trade.lastInsertRowid, { signatures: swapResult.signatures });
+                }
+                this.lastAttempt.delete(order.id);
+
+                this.logger.info(`Limit order #${order.id} filled via ${swapResult.provider}: ${signature}`);
+
+                await this.sendOrderNotification(order, `
+*✅ ${paper ? 'Paper ' : ''}Limit ${order.side === 'buy' ? 'Buy' : 'Sell'} Filled*
+
+*Order:* #${order.id}
+*Token:* ${tokenInfo.symbol} (\`${order.token_address}\`)
+*Trigger:* $${order.trigger_price}
+*Fill Price:* $${currentPrice}
+*Amount:* ${isSelling ? `${tokenAmount.toFixed(6)} tokens` : `${solAmount} SOL`}
+*Provider:* ${swapResult.provider}${guardNote ? `\n*🛡 Trade Guard:* ${guardNote}` : ''}
+
+${paper ? '*📝 Paper trade* — simulated fill, no transaction sent' : `*Transaction:* [View on Solscan](https://solscan.io/tx/${signature})`}`);
+
+                return { success: true, signature };
+            });
+        } catch (error) {
+            this.logger.error(`Error filling limit order #${order.id}:`, error.message);
+            this.lastAttempt.set(order.id, Date.now());
+            await this.db.recordOrderError(order.id, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Extract the raw output amount from either provider's swap result
+     */
+    getSwapOutAmount(swapResult) {
+        return parseInt(
+            swapResult.outputAmount ||
+            swapResult.swapResponse?.outAmount ||
+            swapResult.swapResponse?.data?.outputAmount ||
+            0
+        );
+    }
+
+    /**
+     * Send a Telegram notification about an order to its owner
+     */
+    async sendOrderNotification(order, message) {
+        try {
+            const user = await this.db.getUserById(order.user_id);
+            if (!user || !this.telegramBot) {
+                return;
+            }
+            await this.telegramBot.sendMessage(user.telegram_id, message, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            this.logger.error('Error sending limit order notification:', error);
+        }
+    }
+}
+
+module.exports = LimitOrderService;
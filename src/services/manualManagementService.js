@@ -1,11 +1,8 @@
 const { PublicKey } = require('@solana/web3.js');
 const { Keypair } = require('@solana/web3.js');
 const bs58 = require('bs58');
-
-// Utility sleep function for throttling API calls
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+const { priceOracle } = require('./priceOracle');
+const RuleSchedule = require('./ruleSchedule');
 
 class ManualManagementService {
     constructor(config, db, tradingExecution, telegramBot) {
@@ -14,12 +11,19 @@ class ManualManagementService {
         this.tradingExecution = tradingExecution;
         this.telegramBot = telegramBot;
         this.isMonitoring = false;
-        this.monitoringInterval = null;
-        this.monitoredTokens = new Map(); // tokenAddress -> { userId, ruleId, conditions, buyPrice, highestPrice }
+        this.priceOracle = priceOracle;
+        this.ruleSchedule = new RuleSchedule();
+        this.onPriceUpdate = (prices) => this.checkAllMonitoredTokens(prices); // Price oracle subscriber
+        this.checkingPrices = false; // Set while a price update is being evaluated (sells run detached)
+        this.monitoredTokens = new Map(); // tokenAddress -> { userId, ruleId, conditions, buyPrice, highestPrice, tokenAmount, initialAmount, firedRungs, openedAt, breakEvenArmed }
         this.logger = console;
         this.lastBuyCheck = Date.now(); // Track last time we checked for new buys
         this.buyMonitorInterval = null;
         this.pendingSells = new Set(); // Track tokens currently being sold
+        // Exits that protect the position; the trade guard never refuses them
+        this.protectiveExits = new Set(['stop_loss', 'break_even_stop', 'trailing_stop', 'max_hold_time']);
+        // monitoredTokens' runtime state is mirrored in the monitored_positions table and restored on
+        // startMonitoring; conditions always come from the position's rule
     }
 
     /**
@@ -34,17 +38,13 @@ class ManualManagementService {
         this.isMonitoring = true;
         this.logger.info('Starting manual management monitoring...');
 
-        // Initial load of all active manual management rules
+        // Pick up positions from before the restart with their highs and ladder progress,
+        // then add anything new from the active manual management rules
+        await this.restoreMonitoredPositions();
         await this.loadActiveManualManagementRules();
 
-        // Start monitoring interval (check every second)
-        this.monitoringInterval = setInterval(async () => {
-            try {
-                await this.checkAllMonitoredTokens();
-            } catch (error) {
-                this.logger.error('Error in monitoring interval:', error);
-            }
-        }, 1000);
+        // Sell conditions are checked whenever the price oracle pushes fresh prices
+        this.priceOracle.subscribe(this.onPriceUpdate, this.getMonitoredMints());
 
         this.buyMonitorInterval = setInterval(async () => {
             try {
@@ -54,17 +54,14 @@ class ManualManagementService {
             }
         }, 10000);
 
-        this.logger.info('🚀 Manual management monitoring started with 1s sell check and 10s buy token discovery intervals');
+        this.logger.info(`🚀 Manual management monitoring started with ${this.priceOracle.pollIntervalMs / 1000}s price updates and 10s buy token discovery intervals`);
     }
 
     /**
      * Stop monitoring
      */
     stopMonitoring() {
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
-            this.monitoringInterval = null;
-        }
+        this.priceOracle.unsubscribe(this.onPriceUpdate);
         if (this.buyMonitorInterval) {
             clearInterval(this.buyMonitorInterval);
             this.buyMonitorInterval = null;
@@ -136,6 +133,167 @@ class ManualManagementService {
         }
     }
 
+    /**
+     * Restore the monitored positions saved before the last stop with their rule's
+     * current conditions. Positions whose rule was deleted, deactivated or left
+     * without management conditions since are dropped.
+     */
+    async restoreMonitoredPositions() {
+        try {
+            const rows = await this.db.getMonitoredPositions();
+            let restored = 0;
+
+            for (const row of rows) {
+                const rule = row.rule_id ? await this.db.getRuleById(row.rule_id) : null;
+                const conditions = rule && rule.is_active ? this.parseManualConditions(await this.db.getRuleConditions(rule.id)) : null;
+                if (!conditions) {
+                    await this.db.deleteMonitoredPosition(row.user_id, row.token_address);
+                    this.logger.info(`Dropped saved position ${row.token_address} for user ${row.user_id}: rule ${row.rule_id} is no longer active or has no management conditions`);
+                    continue;
+                }
+
+                let tokenAmount = row.token_amount;
+                let firedRungs = JSON.parse(row.fired_rungs || '[]');
+                if (row.sell_pending) {
+                    // A full exit re-reads the wallet balance before selling again, so it is not repeated.
+                    // A ladder rung sells a share of the initial amount, so check whether it landed
+                    this.logger.warn(`A sell of ${row.token_address} for user ${row.user_id} was in progress when monitoring stopped`);
+                    const pendingRungs = JSON.parse(row.pending_rungs || '[]');
+                    if (pendingRungs.length > 0) {
+                        ({ tokenAmount, firedRungs } = await this.reconcileInterruptedRungs(row, pendingRungs, firedRungs));
+                    }
+                    await this.db.setMonitoredPositionSellPending(row.user_id, row.token_address, false);
+                }
+
+                const tokenData = {
+                    userId: row.user_id,
+                    ruleId: row.rule_id,
+                    walletAddress: row.wallet_address,
+                    conditions: null,
+                    buyPrice: row.buy_price,
+                    highestPrice: row.highest_price,
+                    tokenAmount,
+                    initialAmount: row.initial_amount,
+                    firedRungs,
+                    openedAt: row.opened_at,
+                    breakEvenArmed: !!row.break_even_armed,
+                    holdAlertSent: !!row.hold_alert_sent,
+                    lastChecked: Date.now(),
+                    symbol: row.symbol || 'UNKNOWN',
+                    tokenAddress: row.token_address
+                };
+                // Fired rungs index into the ladder saved with them, which the rule may have changed since
+                const conditionsChanged = this.applyRuleConditions(tokenData, conditions, JSON.parse(row.ladder || '[]'));
+                this.trackPosition(`${row.user_id}-${row.token_address}`, tokenData);
+                if (conditionsChanged || tokenAmount !== row.token_amount || firedRungs.length !== JSON.parse(row.fired_rungs || '[]').length) {
+                    await this.persistPosition(tokenData);
+                }
+                restored++;
+            }
+
+            this.logger.info(`Restored ${restored} monitored positions from the database`);
+        } catch (error) {
+            this.logger.error('Error restoring monitored positions:', error);
+        }
+    }
+
+    /**
+     * Settle the ladder rungs of a sell interrupted by a restart against the wallet balance.
+     * When the balance dropped below the saved amount (or cannot be read) the sell is taken
+     * as landed and its rungs as fired, so they never sell a second share.
+     * @returns {Object} { tokenAmount, firedRungs }
+     */
+    async reconcileInterruptedRungs(row, pendingRungs, firedRungs) {
+        let balance = 0;
+        try {
+            balance = await this.tradingExecution.getAvailableTokenBalance(row.user_id, new PublicKey(row.wallet_address), row.token_address);
+        } catch (error) {
+            this.logger.error(`Error reading the balance of ${row.token_address} for user ${row.user_id}:`, error.message);
+        }
+
+        if (balance >= row.token_amount * 0.999) {
+            this.logger.info(`Ladder rung sell of ${row.token_address} for user ${row.user_id} did not land, rungs stay armed`);
+            return { tokenAmount: row.token_amount, firedRungs };
+        }
+
+        this.logger.info(`Ladder rung sell of ${row.token_address} for user ${row.user_id} landed before the restart, marking rungs ${pendingRungs.map(index => index + 1).join(', ')} fired`);
+        return {
+            // A zero balance may be a failed read; the next sell re-reads it anyway
+            tokenAmount: balance > 0 ? balance : row.token_amount,
+            firedRungs: [...new Set([...firedRungs, ...pendingRungs])]
+        };
+    }
+
+    /**
+     * Point a position at its rule's current conditions. Fired rungs carry over to the
+     * rungs of the new ladder with the same gain and sell share; any others re-arm.
+     * @param {Array} previousLadder - the ladder the position's firedRungs index into
+     * @returns {boolean} whether the ladder or fired rungs changed
+     */
+    applyRuleConditions(tokenData, conditions, previousLadder = (tokenData.conditions && tokenData.conditions.takeProfitLadder) || []) {
+        const ladder = conditions.takeProfitLadder || [];
+        const firedRungs = [];
+        for (const index of tokenData.firedRungs || []) {
+            const rung = previousLadder[index];
+            const match = rung ? ladder.findIndex((other, newIndex) =>
+                other.percentage === rung.percentage && other.sellPercent === rung.sellPercent && !firedRungs.includes(newIndex)
+            ) : -1;
+            if (match >= 0) {
+                firedRungs.push(match);
+            }
+        }
+
+        const changed = JSON.stringify(ladder) !== JSON.stringify(previousLadder) ||
+            JSON.stringify(firedRungs) !== JSON.stringify(tokenData.firedRungs || []);
+        tokenData.conditions = conditions;
+        tokenData.firedRungs = firedRungs;
+        return changed;
+    }
+
+    /**
+     * Start monitoring a position and subscribe to its price
+     */
+    trackPosition(tokenKey, tokenData) {
+        this.monitoredTokens.set(tokenKey, tokenData);
+        if (this.isMonitoring) {
+            this.priceOracle.subscribe(this.onPriceUpdate, [tokenData.tokenAddress]);
+        }
+    }
+
+    /**
+     * Mints of every monitored position, once each
+     */
+    getMonitoredMints() {
+        return [...new Set([...this.monitoredTokens.values()].map(tokenData => tokenData.tokenAddress))];
+    }
+
+    /**
+     * Save a monitored position's current state
+     */
+    async persistPosition(tokenData) {
+        try {
+            await this.db.saveMonitoredPosition(tokenData);
+        } catch (error) {
+            this.logger.error(`Error saving monitored position ${tokenData.tokenAddress}:`, error.message);
+        }
+    }
+
+    /**
+     * Flag a position as selling, with the ladder rungs the sell is for, so a restart mid-sell is noticed
+     */
+    async setSellPending(tokenKey, tokenData, pending, rungs = []) {
+        if (pending) {
+            this.pendingSells.add(tokenKey);
+        } else {
+            this.pendingSells.delete(tokenKey);
+        }
+        try {
+            await this.db.setMonitoredPositionSellPending(tokenData.userId, tokenData.tokenAddress, pending, rungs);
+        } catch (error) {
+            this.logger.error(`Error flagging sell of ${tokenData.tokenAddress}:`, error.message);
+        }
+    }
+
     /**
      * Get all users (helper method)
      */
@@ -190,6 +348,32 @@ class ManualManagementService {
                     case 'management_trailing_stop':
                         manualConditions.trailingStop = value.percentage;
                         break;
+                    case 'manual_take_profit_ladder':
+                    case 'management_take_profit_ladder':
+                        // Rungs of { percentage, sellPercent }, lowest gain first
+                        if (Array.isArray(value.rungs) && value.rungs.length > 0) {
+                            manualConditions.takeProfitLadder = [...value.rungs].sort((a, b) => a.percentage - b.percentage);
+                        }
+                        break;
+                    case 'manual_break_even':
+                    case 'management_break_even':
+                        // Stop moves to the entry price after a gain of `percentage` and/or the first take profit
+                        if (value.percentage > 0 || value.afterTakeProfit) {
+                            manualConditions.breakEven = {
+                                percentage: value.percentage > 0 ? value.percentage : null,
+                                afterTakeProfit: !!value.afterTakeProfit
+                            };
+                        }
+                        break;
+                    case 'manual_max_hold':
+                    case 'management_max_hold':
+                        if (value.hours > 0) {
+                            manualConditions.maxHold = {
+                                hours: value.hours,
+                                action: value.action === 'alert' ? 'alert' : 'sell'
+                            };
+                        }
+                        break;
                 }
             } catch (error) {
                 this.logger.warn(`Skipping condition ${condition.condition_type} due to parsing error:`, error.message);
@@ -264,6 +448,11 @@ class ManualManagementService {
                 return;
             }
 
+            // Price every held token in one batch
+            const currentQuotes = await this.priceOracle.getQuotes(
+                tokens.filter(token => token.amount > 0).map(token => token.mint || token.address)
+            );
+
             // Monitor all tokens with balance >0
             for (const token of tokens) {
                 if (token.amount > 0) {
@@ -274,12 +463,23 @@ class ManualManagementService {
                     }
                     
                     const tokenAddress = token.mint || token.address;
+                    const tokenKey = `${userId}-${tokenAddress}`;
+
+                    // Restored positions keep their saved highs and ladder progress, but follow the rule's current conditions
+                    const tracked = this.monitoredTokens.get(tokenKey);
+                    if (tracked) {
+                        if (tracked.ruleId === ruleId && this.applyRuleConditions(tracked, conditions)) {
+                            await this.persistPosition(tracked);
+                        }
+                        continue;
+                    }
                     
                     // Always fetch the most recent buy trade for this token and user
                     let buyPrice = null;
+                    let openedAt = Date.now();
                     try {
                         const stmt = this.db.db.prepare(`
-                            SELECT price FROM trades
+                            SELECT price, timestamp FROM trades
                             WHERE user_id = ? AND token_address = ? AND side = 'buy'
                             ORDER BY timestamp DESC LIMIT 1
                         `);
@@ -287,24 +487,16 @@ class ManualManagementService {
                         if (lastBuy && lastBuy.price) {
                             buyPrice = lastBuy.price;
                         }
+                        if (lastBuy && lastBuy.timestamp) {
+                            // SQLite CURRENT_TIMESTAMP is UTC without a zone
+                            openedAt = new Date(lastBuy.timestamp.replace(' ', 'T') + 'Z').getTime() || openedAt;
+                        }
                     } catch (e) {
                         this.logger.error(`Error fetching last buy price for ${tokenAddress}:`, e);
                     }
 
-                    // Always fetch the current price from DexScreener API
-                    let currentPrice = null;
-                    try {
-                        currentPrice = await this.getCurrentPriceFromDexScreener(tokenAddress);
-                        if (!currentPrice) {
-                            // Fallback to TokenDataService
-                            const TokenDataService = require('./tokenDataService');
-                            const tokenDataService = new TokenDataService(this.config);
-                            const tokenData = await tokenDataService.getTokenData(tokenAddress);
-                            currentPrice = tokenData?.price;
-                        }
-                    } catch (error) {
-                        this.logger.warn(`Error getting current price for ${tokenAddress}:`, error.message);
-                    }
+                    const currentQuote = currentQuotes.get(tokenAddress);
+                    const currentPrice = currentQuote ? currentQuote.price : null;
 
                     // Fallback: if no buy trade found, use current price (warn)
                     if (!buyPrice && currentPrice) {
@@ -314,25 +506,28 @@ class ManualManagementService {
 
                     // Only monitor if we have a buy price (from trade or fallback)
                     if (buyPrice && currentPrice) {
-                        const tokenKey = `${userId}-${tokenAddress}`;
-                        this.monitoredTokens.set(tokenKey, {
+                        this.trackPosition(tokenKey, {
                             userId,
                             ruleId,
                             walletAddress,
                             conditions,
                             buyPrice, // from trade or fallback
-                            highestPrice: Math.max(buyPrice, currentPrice),
+                            // Only a trusted price may raise the high the trailing stop measures from
+                            highestPrice: currentQuote.confidence === 'high' ? Math.max(buyPrice, currentPrice) : buyPrice,
                             tokenAmount: token.amount,
+                            initialAmount: token.amount, // Ladder rungs sell shares of this amount
+                            firedRungs: [],
+                            openedAt, // Entry time, for the max holding time
+                            breakEvenArmed: false,
                             lastChecked: Date.now(),
                             symbol: token.symbol || 'UNKNOWN',
                             tokenAddress
                         });
+                        await this.persistPosition(this.monitoredTokens.get(tokenKey));
                         this.logger.info(`Added token ${tokenAddress} (${token.symbol || 'UNKNOWN'}) to manual management monitoring (buy: ${buyPrice}, current: ${currentPrice})`);
                     } else {
                         this.logger.warn(`Skipping token ${tokenAddress}: missing buy price and/or current price`);
                     }
-                    // Throttle API calls to avoid rate limits
-                    await sleep(200);
                 }
             }
         } catch (error) {
@@ -341,106 +536,160 @@ class ManualManagementService {
     }
 
     /**
-     * Check all monitored tokens for sell conditions
+     * Check all monitored tokens for sell conditions.
+     * prices is the Map of mint -> quote pushed by the price oracle; when it is
+     * not given, every monitored mint is priced in one batch first. Sells are
+     * dispatched without waiting for them, so every position is checked on every update.
      */
-    async checkAllMonitoredTokens() {
+    async checkAllMonitoredTokens(prices = null) {
         if (this.monitoredTokens.size === 0) {
             return; // No tokens to monitor
         }
+        // An update arriving while the previous one is still being evaluated is skipped rather than checked twice
+        if (this.checkingPrices) {
+            return;
+        }
+        this.checkingPrices = true;
 
-        this.logger.info(`Checking ${this.monitoredTokens.size} monitored tokens for sell conditions...`);
-        
-        const TokenDataService = require('./tokenDataService');
-        const tokenDataService = new TokenDataService(this.config);
+        try {
+            if (!prices) {
+                prices = await this.priceOracle.getQuotes(this.getMonitoredMints());
+            }
+            this.logger.info(`Checking ${this.monitoredTokens.size} monitored tokens for sell conditions...`);
 
-        for (const [tokenKey, tokenData] of this.monitoredTokens) {
-            try {
-                const tokenAddress = tokenData.tokenAddress;
-                
-                // Prevent duplicate sell execution for the same token
-                if (this.pendingSells.has(tokenKey)) {
-                    this.logger.info(`Sell already pending for ${tokenAddress}, skipping this check.`);
-                    continue;
-                }
-                this.logger.info(`Checking token ${tokenAddress} for user ${tokenData.userId} with conditions:`, tokenData.conditions);
+            for (const [tokenKey, tokenData] of this.monitoredTokens) {
+                await this.checkMonitoredToken(tokenKey, tokenData, prices.get(tokenData.tokenAddress));
+            }
+        } finally {
+            this.checkingPrices = false;
+        }
+    }
 
-                // Get current token price using DexScreener API first, then fallback
-                let currentPrice = null;
-                try {
-                    currentPrice = await this.getCurrentPriceFromDexScreener(tokenAddress);
-                } catch (error) {
-                    this.logger.warn(`DexScreener API failed for ${tokenAddress}, trying TokenDataService:`, error.message);
-                }
+    /**
+     * Check one monitored token against its current price quote and sell when a
+     * condition is met. Low-confidence quotes are not acted on.
+     */
+    async checkMonitoredToken(tokenKey, tokenData, quote) {
+        const tokenAddress = tokenData.tokenAddress;
+        try {
+            // Prevent duplicate sell execution for the same token
+            if (this.pendingSells.has(tokenKey)) {
+                this.logger.info(`Sell already pending for ${tokenAddress}, skipping this check.`);
+                return;
+            }
+            this.logger.info(`Checking token ${tokenAddress} for user ${tokenData.userId} with conditions:`, tokenData.conditions);
 
-                // Fallback to TokenDataService if DexScreener fails
-                if (!currentPrice) {
-                    try {
-                        const TokenDataService = require('./tokenDataService');
-                        const tokenDataService = new TokenDataService(this.config);
-                        const currentTokenData = await tokenDataService.getTokenData(tokenAddress, true);
-                        currentPrice = currentTokenData?.price;
-                    } catch (error) {
-                        this.logger.warn(`TokenDataService also failed for ${tokenAddress}:`, error.message);
-                    }
-                }
+            if (!quote) {
+                this.logger.warn(`No price data available for token ${tokenAddress} from any source`);
+                return;
+            }
+            // A single bad print must not move the high or trigger a sell
+            if (quote.confidence !== 'high') {
+                this.logger.warn(`Low-confidence price for ${tokenAddress} ($${quote.price} from ${Object.keys(quote.sources).join(', ')}), not acting on it`);
+                return;
+            }
+            const currentPrice = quote.price;
 
-                if (!currentPrice) {
-                    this.logger.warn(`No price data available for token ${tokenAddress} from any source`);
-                    continue;
-                }
+            const buyPrice = tokenData.buyPrice;
+            const priceChange = ((currentPrice - buyPrice) / buyPrice) * 100;
 
-                const buyPrice = tokenData.buyPrice;
-                const priceChange = ((currentPrice - buyPrice) / buyPrice) * 100;
+            this.logger.info(`Token ${tokenAddress}: Current price: ${currentPrice}, Buy price: ${buyPrice}, Change: ${priceChange.toFixed(2)}%`);
 
-                this.logger.info(`Token ${tokenAddress}: Current price: ${currentPrice}, Buy price: ${buyPrice}, Change: ${priceChange.toFixed(2)}%`);
+            // Update highest price for trailing stop
+            if (currentPrice > tokenData.highestPrice) {
+                tokenData.highestPrice = currentPrice;
+                this.logger.info(`Updated highest price for ${tokenAddress}: ${currentPrice}`);
+                await this.persistPosition(tokenData);
+            }
 
-                // Update highest price for trailing stop
-                if (currentPrice > tokenData.highestPrice) {
-                    tokenData.highestPrice = currentPrice;
-                    this.logger.info(`Updated highest price for ${tokenAddress}: ${currentPrice}`);
-                }
+            // Outside the rule's schedule take profits wait, but stop losses and the other protective exits still fire
+            const schedule = tokenData.ruleId ? await this.db.getRuleSchedule(tokenData.ruleId) : null;
+            const protectiveOnly = !this.ruleSchedule.isActive(schedule);
+            if (protectiveOnly) {
+                this.logger.info(`Rule ${tokenData.ruleId} is outside its schedule, only checking protective exits for ${tokenAddress}`);
+            }
 
-                // Check sell conditions
-                const shouldSell = await this.checkSellConditions(tokenAddress, tokenData, currentPrice, priceChange);
-                if (shouldSell && shouldSell.shouldSell) {
-                    this.logger.info(`Sell condition met for ${tokenAddress}: ${shouldSell.reason} (${shouldSell.percentage ? shouldSell.percentage.toFixed(2) : ''}%)`);
-                    this.pendingSells.add(tokenKey); // Mark as pending
-                    const sellResult = await this.executeSell(tokenAddress, tokenData, currentPrice, shouldSell);
-                    // Only remove from monitoring if sell was successful
-                    if (sellResult && sellResult.success) {
-                        this.removeTokenFromMonitoring(tokenData.userId, tokenAddress);
-                    }
-                    this.pendingSells.delete(tokenKey); // Remove pending status regardless of result
-                }
-                // Throttle API calls to avoid rate limits
-                await sleep(200);
-            } catch (error) {
-                this.logger.error(`Error checking monitored token ${tokenAddress}:`, error);
-                // Remove from monitoring to avoid repeated errors
-                this.removeTokenFromMonitoring(tokenData.userId, tokenAddress);
-                this.pendingSells.delete(tokenKey); // Clean up pending status if error
+            // Check sell conditions
+            const shouldSell = await this.checkSellConditions(tokenAddress, tokenData, currentPrice, priceChange, { protectiveOnly });
+            if (shouldSell && shouldSell.shouldSell) {
+                this.logger.info(`Sell condition met for ${tokenAddress}: ${shouldSell.reason} (${shouldSell.percentage ? shouldSell.percentage.toFixed(2) : ''}%)`);
+                // Not awaited: a sell can take tens of seconds behind the wallet lock. It is marked
+                // pending before this returns, so later updates skip the position until it is done
+                this.sellPosition(tokenKey, tokenData, currentPrice, shouldSell)
+                    .catch(error => this.logger.error(`Error selling monitored token ${tokenAddress}:`, error));
             }
+        } catch (error) {
+            // Most errors here are a flaky RPC or price source: keep the position and its stops,
+            // it is only dropped once sold or found empty (see sellPosition)
+            this.logger.error(`Error checking monitored token ${tokenAddress}:`, error);
         }
     }
 
     /**
      * Check if sell conditions are met
+     * @param {Object} options - { protectiveOnly } skips take profits and the ladder (see protectiveExits)
      */
-    async checkSellConditions(tokenAddress, tokenData, currentPrice, priceChange) {
+    async checkSellConditions(tokenAddress, tokenData, currentPrice, priceChange, { protectiveOnly = false } = {}) {
         const { conditions, buyPrice, highestPrice } = tokenData;
 
         // Check take profit
-        if (conditions.takeProfit && priceChange >= conditions.takeProfit) {
+        if (!protectiveOnly && conditions.takeProfit && priceChange >= conditions.takeProfit) {
             this.logger.info(`Take profit triggered for ${tokenAddress}: ${priceChange.toFixed(2)}% >= ${conditions.takeProfit}%`);
             return { shouldSell: true, reason: 'take_profit', percentage: priceChange };
         }
 
+        // Check take-profit ladder: sell every rung the price has reached that has not fired yet
+        if (!protectiveOnly && conditions.takeProfitLadder) {
+            const firedRungs = tokenData.firedRungs || [];
+            const reached = conditions.takeProfitLadder
+                .map((rung, index) => ({ ...rung, index }))
+                .filter(rung => !firedRungs.includes(rung.index) && priceChange >= rung.percentage);
+
+            if (reached.length > 0) {
+                const sellPercent = reached.reduce((sum, rung) => sum + rung.sellPercent, 0);
+                const initialAmount = tokenData.initialAmount || tokenData.tokenAmount;
+                let sellAmount = Math.min(initialAmount * sellPercent / 100, tokenData.tokenAmount);
+                // Selling (nearly) everything left closes the position instead of leaving dust
+                const partial = sellAmount < tokenData.tokenAmount * 0.999;
+                if (!partial) {
+                    sellAmount = tokenData.tokenAmount;
+                }
+                this.logger.info(`Take profit ladder rung${reached.length > 1 ? 's' : ''} ${reached.map(rung => rung.index + 1).join(', ')} triggered for ${tokenAddress}: ${priceChange.toFixed(2)}%, selling ${sellAmount}`);
+                return {
+                    shouldSell: true,
+                    reason: 'take_profit_ladder',
+                    percentage: priceChange,
+                    rungs: reached.map(rung => rung.index),
+                    sellAmount,
+                    partial
+                };
+            }
+        }
+
         // Check stop loss
         if (conditions.stopLoss && priceChange <= -conditions.stopLoss) {
             this.logger.info(`Stop loss triggered for ${tokenAddress}: ${priceChange.toFixed(2)}% <= -${conditions.stopLoss}%`);
             return { shouldSell: true, reason: 'stop_loss', percentage: priceChange };
         }
 
+        // Check break-even stop: once armed, exit if the price falls back to the entry price
+        if (conditions.breakEven) {
+            if (tokenData.breakEvenArmed) {
+                if (priceChange <= 0) {
+                    this.logger.info(`Break-even stop triggered for ${tokenAddress}: ${priceChange.toFixed(2)}% <= 0%`);
+                    return { shouldSell: true, reason: 'break_even_stop', percentage: priceChange };
+                }
+            } else {
+                const gainReached = conditions.breakEven.percentage && priceChange >= conditions.breakEven.percentage;
+                const takeProfitHit = conditions.breakEven.afterTakeProfit && (tokenData.firedRungs || []).length > 0;
+                if (gainReached || takeProfitHit) {
+                    tokenData.breakEvenArmed = true;
+                    this.logger.info(`Break-even stop armed for ${tokenAddress} at entry price ${buyPrice}`);
+                    await this.persistPosition(tokenData);
+                }
+            }
+        }
+
         // Check trailing stop
         if (conditions.trailingStop) {
             const trailingStopPrice = highestPrice * (1 - conditions.trailingStop / 100);
@@ -451,15 +700,54 @@ class ManualManagementService {
             }
         }
 
+        // Check max holding time: a position that has not reached a take profit by then is sold, or the user alerted once
+        if (conditions.maxHold && tokenData.openedAt) {
+            const heldHours = (Date.now() - tokenData.openedAt) / (60 * 60 * 1000);
+            const reachedTarget = (tokenData.firedRungs || []).length > 0;
+            if (heldHours >= conditions.maxHold.hours && !reachedTarget) {
+                if (conditions.maxHold.action === 'sell') {
+                    this.logger.info(`Max holding time reached for ${tokenAddress}: ${heldHours.toFixed(1)}h >= ${conditions.maxHold.hours}h`);
+                    return { shouldSell: true, reason: 'max_hold_time', percentage: priceChange };
+                }
+                if (!tokenData.holdAlertSent) {
+                    tokenData.holdAlertSent = true;
+                    await this.persistPosition(tokenData);
+                    await this.sendHoldTimeAlert(tokenData, priceChange, heldHours);
+                }
+            }
+        }
+
         return { shouldSell: false };
     }
 
+    /**
+     * Sell a position whose sell condition was met and stop monitoring it once nothing is left
+     */
+    async sellPosition(tokenKey, tokenData, currentPrice, sellReason) {
+        const tokenAddress = tokenData.tokenAddress;
+        // setSellPending adds to pendingSells before its first await, so the caller need not wait
+        await this.setSellPending(tokenKey, tokenData, true, sellReason.rungs || []);
+        try {
+            const sellResult = await this.executeSell(tokenAddress, tokenData, currentPrice, sellReason);
+            // Only remove from monitoring once a successful sell has left nothing (ladder rungs sell part),
+            // or when the tokens are already gone from the wallet
+            const soldOut = sellResult && sellResult.success && !(sellResult.remainingAmount > 0);
+            const nothingLeft = sellResult && !sellResult.success && sellResult.error === 'No tokens to sell';
+            if (soldOut || nothingLeft) {
+                this.removeTokenFromMonitoring(tokenData.userId, tokenAddress);
+            }
+        } finally {
+            await this.setSellPending(tokenKey, tokenData, false); // Remove pending status regardless of result
+        }
+    }
+
     /**
      * Execute sell order when conditions are met
      */
     async executeSell(tokenAddress, tokenData, currentPrice, sellReason) {
         try {
             const { userId, walletAddress, tokenAmount, conditions, telegramId } = tokenData;
+            const sellAmount = sellReason.sellAmount || tokenAmount;
 
             // Get user's wallet (userId is already the user ID, not telegram ID)
             const activeWallet = await this.db.getActiveWallet(userId);
@@ -494,36 +782,62 @@ class ManualManagementService {
             const result = await this.tradingExecution.executeSell(
                 userId,
                 tokenAddress,
-                tokenAmount,
-                keypair
+                sellAmount,
+                keypair,
+                undefined,
+                { protective: this.protectiveExits.has(sellReason.reason) }
             );
 
             if (result.success) {
-                // Record the trade
-                await this.db.createTrade(
-                    userId,
-                    tokenAddress,
-                    tokenAmount,
-                    result.tokenPrice,
-                    'sell'
-                );
+                // A ladder rung, or a chunked sell that stopped early, leaves the rest of the position monitored
+                result.remainingAmount = sellReason.partial || result.partial
+                    ? Math.max(0, tokenAmount - (result.tokensSold || sellAmount))
+                    : 0;
+                if (result.partial && !sellReason.partial) {
+                    tokenData.tokenAmount = result.remainingAmount;
+                    await this.persistPosition(tokenData);
+                }
+                if (sellReason.partial) {
+                    tokenData.tokenAmount = result.remainingAmount;
+                    tokenData.firedRungs = [...(tokenData.firedRungs || []), ...sellReason.rungs];
+                    await this.persistPosition(tokenData);
+                }
+
+                // Record the trade (paper fills are already in the paper ledger)
+                if (!result.paper) {
+                    const trade = await this.db.createTrade(
+                        userId,
+                        tokenAddress,
+                        result.tokensSold || sellAmount,
+                        result.tokenPrice,
+                        'sell',
+                        result.fill
+                    );
+                    await this.db.linkTradeTransactions(trade.lastInsertRowid, result);
+                }
 
                 // Send notification
                 await this.sendSellNotification(userId, {
                     tokenAddress,
-                    tokenAmount,
+                    tokenAmount: result.tokensSold || sellAmount,
                     price: result.tokenPrice,
                     solReceived: result.solReceived,
                     reason: sellReason.reason,
+                    rungs: sellReason.rungs,
+                    remainingAmount: result.remainingAmount,
                     conditions,
-                    signature: result.signature
+                    signature: result.signature,
+                    paper: result.paper,
+                    guardNote: result.guardNote
                 });
 
                 // --- Mark as sold in DB to prevent re-monitoring ---
-                await this.markTokenAsSold(userId, tokenAddress);
+                if (!(result.remainingAmount > 0)) {
+                    await this.markTokenAsSold(userId, tokenAddress);
+                }
 
-                // --- Charge fees only on successful trade ---
-                if (this.feeService && typeof this.feeService.chargeFee === 'function') {
+                // --- Charge fees only on successful live trade ---
+                if (!result.paper && this.feeService && typeof this.feeService.chargeFee === 'function') {
                     try {
                         await this.feeService.chargeFee(userId, tokenAddress, result.tokenPrice, 'sell');
                         this.logger.info(`Fee charged for user ${userId}, token ${tokenAddress}`);
@@ -566,22 +880,34 @@ class ManualManagementService {
                 signatureStr = sellData.signature.signature;
             }
 
+            const transactionLine = sellData.paper
+                ? '*📝 Paper trade* — simulated fill, no transaction sent'
+                : `*Transaction:* [View on Solscan](https://solscan.io/tx/${signatureStr})`;
+
+            const ladder = sellData.conditions.takeProfitLadder;
+            const ladderLine = sellData.rungs && ladder
+                ? `\n*Ladder:* rung ${sellData.rungs.map(index => `${index + 1}/${ladder.length}`).join(', ')}${sellData.remainingAmount > 0 ? ` — ${sellData.remainingAmount.toFixed(6)} left, still monitored` : ''}`
+                : '';
+
             const message = `
-*🤖 Manual Management Sell Executed*
+*🤖 Manual Management ${sellData.paper ? 'Paper ' : ''}Sell Executed*
 
 *Token:* ${sellData.tokenAddress.slice(0, 8)}...${sellData.tokenAddress.slice(-8)}
 *Amount Sold:* ${sellData.tokenAmount.toFixed(6)}
 *Price:* ${sellData.price.toFixed(8)} SOL
-*SOL Received:* ${sellData.solReceived.toFixed(4)} SOL
+*SOL Received:* ${sellData.solReceived.toFixed(4)} SOL${sellData.guardNote ? `\n*🛡 Trade Guard:* ${sellData.guardNote}` : ''}
 
-*Reason:* ${sellData.reason.replace('_', ' ').toUpperCase()}
+*Reason:* ${sellData.reason.replace(/_/g, ' ').toUpperCase()}${ladderLine}
 
 *Conditions Applied:*
 ${sellData.conditions.takeProfit ? `• Take Profit: ${sellData.conditions.takeProfit}%` : ''}
+${ladder ? `• Take Profit Ladder: ${ladder.map(rung => `${rung.sellPercent}% at +${rung.percentage}%`).join(', ')}` : ''}
 ${sellData.conditions.stopLoss ? `• Stop Loss: ${sellData.conditions.stopLoss}%` : ''}
 ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.trailingStop}%` : ''}
+${sellData.conditions.breakEven ? `• Break-Even Stop: after ${this.describeBreakEven(sellData.conditions.breakEven)}` : ''}
+${sellData.conditions.maxHold ? `• Max Hold: ${sellData.conditions.maxHold.hours}h (${sellData.conditions.maxHold.action})` : ''}
 
-*Transaction:* [View on Solscan](https://solscan.io/tx/${signatureStr})`;
+${transactionLine}`;
             
             await this.telegramBot.sendMessage(user.telegram_id, message, {
                 parse_mode: 'Markdown',
@@ -593,6 +919,48 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
         }
     }
 
+    describeBreakEven(breakEven) {
+        const triggers = [];
+        if (breakEven.percentage) triggers.push(`+${breakEven.percentage}%`);
+        if (breakEven.afterTakeProfit) triggers.push('first take profit');
+        return triggers.join(' or ');
+    }
+
+    /**
+     * Tell the user a position has outlived its max holding time without reaching a take profit
+     */
+    async sendHoldTimeAlert(tokenData, priceChange, heldHours) {
+        try {
+            const stmt = this.db.db.prepare('SELECT telegram_id FROM users WHERE id = ?');
+            const user = stmt.get(tokenData.userId);
+            if (!user) {
+                this.logger.error(`User not found for ID: ${tokenData.userId}`);
+                return;
+            }
+
+            const tokenAddress = tokenData.tokenAddress;
+            const message = `
+*⏰ Max Holding Time Reached*
+
+*Token:* ${tokenAddress.slice(0, 8)}...${tokenAddress.slice(-8)}
+*Held:* ${heldHours.toFixed(1)}h (limit ${tokenData.conditions.maxHold.hours}h)
+*Change:* ${priceChange >= 0 ? '+' : ''}${priceChange.toFixed(2)}%
+
+The position has not reached a take profit yet. It stays monitored; sell it now if you no longer want to hold it.`;
+
+            await this.telegramBot.sendMessage(user.telegram_id, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '💰 Sell', callback_data: `sell_token_${tokenAddress}` }]
+                    ]
+                }
+            });
+        } catch (error) {
+            this.logger.error('Error sending hold time alert:', error);
+        }
+    }
+
     /**
      * Decrypt private key (always use telegramId as password)
      */
@@ -662,8 +1030,12 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
             }
 
             // Check if already monitoring this token for this user
-            if (this.monitoredTokens.has(tokenKey)) {
+            const tracked = this.monitoredTokens.get(tokenKey);
+            if (tracked) {
                 this.logger.debug(`Token ${tokenAddress} already being monitored for user ${userId}`);
+                if (tracked.ruleId === ruleId && this.applyRuleConditions(tracked, conditions)) {
+                    await this.persistPosition(tracked);
+                }
                 return;
             }
 
@@ -675,7 +1047,7 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
             }
 
             // Add token to monitoring with unique key
-            this.monitoredTokens.set(tokenKey, {
+            this.trackPosition(tokenKey, {
                 userId,
                 ruleId,
                 walletAddress: activeWallet.public_key,
@@ -683,9 +1055,14 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
                 buyPrice,
                 highestPrice: buyPrice,
                 tokenAmount,
+                initialAmount: tokenAmount, // Ladder rungs sell shares of this amount
+                firedRungs: [],
+                openedAt: Date.now(), // Entry time, for the max holding time
+                breakEvenArmed: false,
                 lastChecked: Date.now(),
                 tokenAddress
             });
+            await this.persistPosition(this.monitoredTokens.get(tokenKey));
 
             this.logger.info(`✅ Added token ${tokenAddress} to monitoring for user ${userId}, rule ${ruleId}`);
             this.logger.info(`📊 Monitoring conditions:`, conditions);
@@ -703,7 +1080,14 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
         if (this.monitoredTokens.has(tokenKey)) {
             this.monitoredTokens.delete(tokenKey);
             this.logger.info(`🗑️ Removed token ${tokenAddress} from monitoring for user ${userId}`);
+            // Other users may still hold the same mint
+            if (!this.getMonitoredMints().includes(tokenAddress)) {
+                this.priceOracle.unsubscribe(this.onPriceUpdate, [tokenAddress]);
+            }
         }
+        this.db.deleteMonitoredPosition(userId, tokenAddress).catch(error => {
+            this.logger.error(`Error deleting saved position ${tokenAddress}:`, error.message);
+        });
     }
 
     /**
@@ -965,37 +1349,6 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
             return [];
         }
     }
-
-    /**
-     * Get current price from DexScreener API
-     */
-    async getCurrentPriceFromDexScreener(tokenAddress) {
-        try {
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
-            if (!response.ok) {
-                throw new Error(`DexScreener API responded with status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data.pairs && data.pairs.length > 0) {
-                // Sort by volume and get the most liquid pair
-                const sortedPairs = data.pairs.sort((a, b) => (b.volume?.h24 || 0) - (a.volume?.h24 || 0));
-                const bestPair = sortedPairs[0];
-                
-                if (bestPair.priceUsd) {
-                    this.logger.debug(`DexScreener price for ${tokenAddress}: $${bestPair.priceUsd}`);
-                    return parseFloat(bestPair.priceUsd);
-                }
-            }
-            
-            this.logger.warn(`No price data found on DexScreener for token ${tokenAddress}`);
-            return null;
-        } catch (error) {
-            this.logger.error(`Error fetching price from DexScreener for ${tokenAddress}:`, error);
-            return null;
-        }
-    }
 }
 
 module.exports = ManualManagementService;
\ No newline at end of file
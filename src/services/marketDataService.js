@@ -40,6 +40,36 @@ class MarketDataService {
         }
     }
 
+    /**
+     * USD prices for many mints from Birdeye's multi_price endpoint.
+     * Resolves to a Map of mint -> price; empty when no API key is set.
+     */
+    async getBirdeyePrices(mintAddresses) {
+        const prices = new Map();
+        if (!this.birdeyeApiKey || mintAddresses.length === 0) {
+            return prices;
+        }
+
+        const response = await axios.get(`${this.birdeyeBaseUrl}/defi/multi_price`, {
+            params: {
+                list_address: mintAddresses.join(',')
+            },
+            headers: {
+                'X-API-KEY': this.birdeyeApiKey,
+                'x-chain': 'solana'
+            },
+            timeout: 5000
+        });
+
+        for (const mint of mintAddresses) {
+            const price = parseFloat(response.data?.data?.[mint]?.value);
+            if (price > 0) {
+                prices.set(mint, price);
+            }
+        }
+        return prices;
+    }
+
     async getDexscreenerData(mintAddress) {
         try {
             const response = await axios.get(`${this.dexscreenerBaseUrl}/dex/tokens/${mintAddress}`);
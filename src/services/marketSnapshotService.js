@@ -0,0 +1,46 @@
+const TokenDataService = require('./tokenDataService');
+
+/**
+ * Market Snapshot Service
+ * Records the metrics of the top traded tokens (price, market cap, liquidity,
+ * volume, category and per-window changes) as TokenDataService sees them, so
+ * rules can be backtested against the history. Old snapshots are pruned.
+ */
+class MarketSnapshotService {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        this.tokenDataService = new TokenDataService(config);
+        this.retentionDays = (config && config.snapshotRetentionDays) || 14;
+        this.recording = false;
+    }
+
+    /**
+     * Take one snapshot and drop snapshots past the retention period
+     * @returns {Promise<number>} Number of tokens recorded
+     */
+    async recordSnapshot() {
+        if (this.recording) {
+            return 0;
+        }
+        this.recording = true;
+
+        try {
+            const snapshot = await this.tokenDataService.getMarketSnapshot();
+            if (snapshot.length > 0) {
+                await this.db.saveTokenSnapshots(snapshot, Date.now());
+            }
+            await this.db.deleteTokenSnapshotsBefore(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+            console.log(`[MarketSnapshotService] Recorded ${snapshot.length} tokens`);
+            return snapshot.length;
+        } catch (error) {
+            console.error('[MarketSnapshotService] Error recording snapshot:', error.message);
+            return 0;
+        } finally {
+            this.recording = false;
+        }
+    }
+}
+
+module.exports = MarketSnapshotService;
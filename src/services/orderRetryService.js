@@ -0,0 +1,593 @@
+const { Keypair } = require('@solana/web3.js');
+const { NATIVE_MINT } = require('@solana/spl-token');
+const TelegramUtils = require('../utils/telegramUtils');
+
+// Failures that another attempt will not fix; these orders are not queued or retried
+const NON_RETRYABLE_ERRORS = [
+    /insufficient/i,
+    /trade guard/i,
+    /no tokens (to|available to) sell/i,
+    /invalid (sol )?amount/i,
+    /token address is required/i,
+    /swap provider .* is not available/i
+];
+
+/**
+ * Bull-backed queue, used when Redis is reachable
+ */
+class BullRetryBackend {
+    constructor(service, redisConfig) {
+        this.name = 'redis';
+        this.service = service;
+        this.redisConfig = redisConfig;
+        this.queue = null;
+    }
+
+    /**
+     * Resolve to true once Redis answers a ping, false when it does not within a few seconds
+     */
+    async isAvailable() {
+        const Redis = require('ioredis');
+        const probe = new Redis({
+            ...this.redisConfig,
+            lazyConnect: true,
+            connectTimeout: 3000,
+            maxRetriesPerRequest: 1,
+            retryStrategy: () => null
+        });
+        probe.on('error', () => {}); // Reported through the rejected connect below
+        try {
+            await probe.connect();
+            await probe.ping();
+            return true;
+        } catch (error) {
+            console.warn(`[OrderRetryService] Redis unavailable (${error.message})`);
+            return false;
+        } finally {
+            probe.disconnect();
+        }
+    }
+
+    async start() {
+        const Queue = require('bull');
+        this.queue = new Queue('order-retries', {
+            redis: this.redisConfig,
+            settings: {
+                backoffStrategies: {
+                    capped: attemptsMade => this.service.getBackoffMs(attemptsMade)
+                }
+            }
+        });
+        this.queue.on('error', error => console.error('[OrderRetryService] Queue error:', error.message));
+
+        this.queue.process(async job => {
+            const order = { ...job.data, id: job.id, attempts: job.attemptsMade, maxAttempts: job.opts.attempts };
+            // attemptStartedAt still set means the last attempt never finished: Bull hands jobs
+            // that stalled in a crash straight back, so settle it on chain before trading again
+            if (job.data.attemptStartedAt && await this.recoverInterrupted(job, order)) {
+                return;
+            }
+
+            await job.update({ ...job.data, attemptStartedAt: new Date().toISOString().replace('T', ' ').slice(0, 19) });
+            try {
+                await this.service.attemptOrder(order, quotedOutAmount => job.update({ ...job.data, quotedOutAmount }));
+            } catch (error) {
+                if (error.final) {
+                    job.discard();
+                }
+                throw error;
+            } finally {
+                await job.update({ ...job.data, attemptStartedAt: null });
+            }
+        });
+    }
+
+    /**
+     * Settle a job whose last attempt was interrupted, as SqliteRetryBackend.recoverInterrupted
+     * does for its rows. Resolves to true when the swap landed and the job is done, false when
+     * nothing was sent and the attempt may go ahead; throws (and discards the job) when a sent
+     * swap may still land.
+     */
+    async recoverInterrupted(job, order) {
+        const wallet = await this.service.db.getWalletById(order.walletId, order.userId);
+        const sent = await this.service.findInterruptedSwap(wallet && wallet.public_key, job.data.attemptStartedAt);
+        await job.update({ ...job.data, attemptStartedAt: null });
+        await this.service.notifyInterrupted(order, sent);
+        if (!sent) {
+            console.log(`[OrderRetryService] Retrying job #${job.id} interrupted by a restart`);
+            return false;
+        }
+        if (sent.landed) {
+            console.log(`[OrderRetryService] Job #${job.id} landed as ${sent.signature} before the restart`);
+            return true;
+        }
+        console.log(`[OrderRetryService] Job #${job.id} was interrupted after sending ${sent.signature}, not retried`);
+        job.discard();
+        throw new Error(`Interrupted after sending ${sent.signature}; check it before retrying`);
+    }
+
+    async stop() {
+        if (this.queue) {
+            await this.queue.close();
+            this.queue = null;
+        }
+    }
+
+    async add(order) {
+        const job = await this.queue.add(order, {
+            attempts: order.maxAttempts,
+            backoff: { type: 'capped' },
+            delay: this.service.getBackoffMs(0),
+            removeOnComplete: true
+        });
+        return job.id;
+    }
+
+    async listForUser(userId) {
+        const jobs = await this.queue.getJobs(['active', 'waiting', 'delayed', 'failed']);
+        const orders = [];
+        for (const job of jobs.filter(job => job && job.data.userId === userId)) {
+            const state = await job.getState();
+            orders.push({
+                id: job.id,
+                side: job.data.side,
+                tokenAddress: job.data.tokenAddress,
+                amount: job.data.amount,
+                attempts: job.attemptsMade,
+                maxAttempts: job.opts.attempts,
+                status: state === 'active' ? 'running' : state === 'failed' ? 'failed' : 'queued',
+                lastError: job.failedReason || job.data.lastError || null,
+                nextAttemptAt: state === 'delayed' ? new Date(job.timestamp + (job.delay || 0)) : null
+            });
+        }
+        return orders.sort((a, b) => Number(b.id) - Number(a.id));
+    }
+
+    async getOwnedJob(userId, id) {
+        const job = await this.queue.getJob(id);
+        return job && job.data.userId === userId ? job : null;
+    }
+
+    async retryNow(userId, id) {
+        const job = await this.getOwnedJob(userId, id);
+        if (!job) {
+            return false;
+        }
+        const state = await job.getState();
+        if (state === 'failed') {
+            await job.retry();
+            return true;
+        }
+        if (state === 'delayed') {
+            await job.promote();
+            return true;
+        }
+        return state === 'waiting';
+    }
+
+    async discard(userId, id) {
+        const job = await this.getOwnedJob(userId, id);
+        if (!job || (await job.getState()) === 'active') {
+            return false;
+        }
+        await job.remove();
+        return true;
+    }
+}
+
+/**
+ * SQLite-backed queue polled on an interval, used when Redis is absent
+ */
+class SqliteRetryBackend {
+    constructor(service, db) {
+        this.name = 'sqlite';
+        this.service = service;
+        this.db = db;
+        this.pollInterval = null;
+        this.processing = false;
+    }
+
+    async start() {
+        await this.recoverInterrupted();
+        this.pollInterval = setInterval(() => {
+            this.processDue().catch(error => console.error('[OrderRetryService] Error processing retries:', error));
+        }, this.service.pollIntervalMs);
+    }
+
+    async stop() {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+    }
+
+    /**
+     * Settle retries that were running when the process stopped. Only those whose
+     * wallet sent no swap that landed, or may still land, go back in the queue.
+     */
+    async recoverInterrupted() {
+        for (const row of await this.db.getRunningOrderRetries()) {
+            try {
+                const sent = await this.service.findInterruptedSwap(row.wallet_public_key, row.updated_at);
+                if (!sent) {
+                    await this.db.requeueOrderRetry(row.id);
+                    console.log(`[OrderRetryService] Requeued retry #${row.id} interrupted by a restart`);
+                } else if (sent.landed) {
+                    await this.db.completeOrderRetry(row.id);
+                    console.log(`[OrderRetryService] Retry #${row.id} landed as ${sent.signature} before the restart`);
+                } else {
+                    await this.db.failOrderRetry(row.id, `Interrupted after sending ${sent.signature}; check it before retrying`, null);
+                    console.log(`[OrderRetryService] Retry #${row.id} was interrupted after sending ${sent.signature}, not requeued`);
+                }
+                await this.service.notifyInterrupted(this.toOrder(row), sent);
+            } catch (error) {
+                console.error(`[OrderRetryService] Error recovering retry #${row.id}:`, error);
+            }
+        }
+    }
+
+    async processDue() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+        try {
+            for (const row of await this.db.claimDueOrderRetries()) {
+                const order = this.toOrder(row);
+                try {
+                    await this.service.attemptOrder(order, quotedOutAmount => this.db.setOrderRetryQuote(row.id, quotedOutAmount));
+                    await this.db.completeOrderRetry(row.id);
+                } catch (error) {
+                    await this.db.failOrderRetry(
+                        row.id,
+                        error.message,
+                        error.final ? null : this.service.getBackoffMs(row.attempts + 1)
+                    );
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    toOrder(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            walletId: row.wallet_id,
+            side: row.side,
+            tokenAddress: row.token_address,
+            amount: row.amount,
+            slippageBps: row.slippage_bps,
+            quotedOutAmount: row.quoted_out_amount,
+            attempts: row.attempts,
+            maxAttempts: row.max_attempts,
+            status: row.status,
+            lastError: row.last_error,
+            nextAttemptAt: row.status === 'queued' && row.next_attempt_at ? new Date(`${row.next_attempt_at.replace(' ', 'T')}Z`) : null
+        };
+    }
+
+    async add(order) {
+        const row = await this.db.createOrderRetry({ ...order, delayMs: this.service.getBackoffMs(0) });
+        return row.id;
+    }
+
+    async listForUser(userId) {
+        return (await this.db.getOrderRetriesByUser(userId)).map(row => this.toOrder(row));
+    }
+
+    async retryNow(userId, id) {
+        return this.db.retryOrderRetryNow(Number(id), userId);
+    }
+
+    async discard(userId, id) {
+        return this.db.discardOrderRetry(Number(id), userId);
+    }
+}
+
+/**
+ * Order Retry Service
+ * Keeps failed buys and sells in a persistent queue and retries them with
+ * capped exponential backoff, up to a maximum number of attempts. Each attempt
+ * re-quotes the order first and skips it when the price has moved too far
+ * against the quote taken when it was queued. Jobs live in Redis through bull
+ * when Redis is reachable, otherwise in SQLite.
+ */
+class OrderRetryService {
+    constructor(config, db, tradingExecution, telegramBot) {
+        const settings = config.orderRetry || {};
+        this.config = config;
+        this.db = db;
+        this.tradingExecution = tradingExecution;
+        this.telegramBot = telegramBot;
+        this.maxAttempts = settings.maxAttempts || 5;
+        this.backoffMs = settings.backoffMs || 30000;          // Delay before the first retry, doubled after each failure
+        this.maxBackoffMs = settings.maxBackoffMs || 10 * 60 * 1000;
+        this.maxQuoteDriftPct = settings.maxQuoteDriftPct || 5; // Skip an attempt when the output quote fell further than this
+        this.pollIntervalMs = settings.pollIntervalMs || 15000;
+        this.backend = null;
+    }
+
+    /**
+     * Connect the queue: bull when Redis answers, SQLite otherwise
+     */
+    async start() {
+        if (this.backend) {
+            return;
+        }
+        const bull = new BullRetryBackend(this, this.config.redis || {});
+        this.backend = (this.config.redis && await bull.isAvailable())
+            ? bull
+            : new SqliteRetryBackend(this, this.db);
+        await this.backend.start();
+        console.log(`[OrderRetryService] Retry queue started on ${this.backend.name}`);
+    }
+
+    async stop() {
+        if (this.backend) {
+            await this.backend.stop();
+            this.backend = null;
+        }
+    }
+
+    /**
+     * Delay before the next attempt after attemptsMade failed attempts
+     */
+    getBackoffMs(attemptsMade) {
+        return Math.min(this.backoffMs * Math.pow(2, Math.max(0, attemptsMade - 1)), this.maxBackoffMs);
+    }
+
+    isRetryable(errorMessage) {
+        return !NON_RETRYABLE_ERRORS.some(pattern => pattern.test(errorMessage || ''));
+    }
+
+    /**
+     * Queue a failed order. order is { userId, walletId, side, tokenAddress,
+     * amount, slippageBps, quotedOutAmount } with amount in SOL for buys and tokens for sells.
+     * quotedOutAmount, the output the failed trade was quoted, is the reference every
+     * retry's quote is compared with; without it a fresh quote is taken now.
+     * Resolves to the queued order id, or null when the failure is not worth retrying.
+     */
+    async enqueueFailedOrder(order, errorMessage) {
+        if (!this.backend) {
+            console.warn('[OrderRetryService] Queue not started, dropping failed order');
+            return null;
+        }
+        if (!this.isRetryable(errorMessage)) {
+            console.log(`[OrderRetryService] Not queueing ${order.side} of ${order.tokenAddress}: ${errorMessage}`);
+            return null;
+        }
+
+        const id = await this.backend.add({
+            userId: order.userId,
+            walletId: order.walletId,
+            side: order.side,
+            tokenAddress: order.tokenAddress,
+            amount: order.amount,
+            slippageBps: order.slippageBps || 50,
+            quotedOutAmount: order.quotedOutAmount || await this.quoteForQueue(order),
+            maxAttempts: this.maxAttempts,
+            lastError: errorMessage
+        });
+        console.log(`[OrderRetryService] Queued ${order.side} of ${order.tokenAddress} for retry as #${id}`);
+        return id;
+    }
+
+    /**
+     * Quoted output of an order being queued, or null when it cannot be quoted
+     * right now; the first retry that gets a quote then becomes the reference
+     */
+    async quoteForQueue(order) {
+        try {
+            return await this.checkQuote({ ...order, quotedOutAmount: null });
+        } catch (error) {
+            console.warn(`[OrderRetryService] Could not quote ${order.side} of ${order.tokenAddress} for the queue:`, error.message);
+            return null;
+        }
+    }
+
+    async listOrders(userId) {
+        return this.backend ? this.backend.listForUser(userId) : [];
+    }
+
+    async retryNow(userId, id) {
+        return this.backend ? this.backend.retryNow(userId, id) : false;
+    }
+
+    async discard(userId, id) {
+        return this.backend ? this.backend.discard(userId, id) : false;
+    }
+
+    /**
+     * Re-quote the order and compare with its reference quote. Resolves to the
+     * fresh quoted output; throws when there is no route or the price moved too far.
+     */
+    async checkQuote(order) {
+        const solMint = NATIVE_MINT.toString();
+        const isSelling = order.side === 'sell';
+        const decimals = isSelling ? (await this.tradingExecution.getTokenInfo(order.tokenAddress)).decimals : 9;
+        const quote = await this.tradingExecution.tradeGuard.quoteImpact(
+            order.userId,
+            isSelling ? order.tokenAddress : solMint,
+            isSelling ? solMint : order.tokenAddress,
+            Math.floor(order.amount * Math.pow(10, decimals))
+        );
+
+        if (order.quotedOutAmount) {
+            const driftPct = ((order.quotedOutAmount - quote.outAmount) / order.quotedOutAmount) * 100;
+            if (driftPct > this.maxQuoteDriftPct) {
+                throw new Error(`Quote is ${driftPct.toFixed(2)}% worse than when the order was queued (limit ${this.maxQuoteDriftPct}%)`);
+            }
+        }
+        return quote.outAmount;
+    }
+
+    /**
+     * One attempt at a queued order. When the order was queued without a reference
+     * quote, the first successful quote becomes it and is handed to onQuote for the backend to store.
+     * Errors thrown carry final = true when no further attempt should be made.
+     */
+    async attemptOrder(order, onQuote = null) {
+        const attempt = order.attempts + 1;
+        console.log(`[OrderRetryService] Attempt ${attempt}/${order.maxAttempts} for ${order.side} #${order.id}`);
+
+        try {
+            const quotedOutAmount = await this.checkQuote(order);
+            if (!order.quotedOutAmount && onQuote) {
+                await onQuote(quotedOutAmount);
+            }
+            const result = await this.executeOrder(order);
+            await this.sendNotification(order.userId, `
+*✅ Retried ${order.side === 'buy' ? 'Buy' : 'Sell'} Executed*
+
+*Order:* #${order.id} (attempt ${attempt})
+*Token:* \`${order.tokenAddress}\`
+*Amount:* ${order.side === 'buy' ? `${order.amount} SOL` : `${order.amount} tokens`}
+
+${result.paper ? '*📝 Paper trade* — simulated fill, no transaction sent' : `*Transaction:* [View on Solscan](https://solscan.io/tx/${result.signature})`}`);
+        } catch (error) {
+            // A swap that was sent may have landed: retrying it could trade twice
+            error.final = !!error.sentSignature || !this.isRetryable(error.message) || attempt >= order.maxAttempts;
+            console.error(`[OrderRetryService] Attempt ${attempt} for #${order.id} failed${error.final ? ', giving up' : ''}:`, error.message);
+            if (error.final) {
+                await this.sendNotification(order.userId, `
+*❌ Retry Gave Up*
+
+*Order:* #${order.id} ${order.side.toUpperCase()} \`${order.tokenAddress}\`
+*Attempts:* ${attempt}
+*Last Error:* ${error.message.replace(/([_*`\[])/g, '\\$1')}
+${error.sentSignature ? `\nThe transaction [was sent](https://solscan.io/tx/${error.sentSignature}) and may have landed. Check your wallet before retrying.\n` : ''}
+Open *🔁 Retry Queue* in the Trading Hub to retry it again or discard it.`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a queued order from its wallet and record the trade
+     */
+    async executeOrder(order) {
+        const user = await this.db.getUserById(order.userId);
+        if (!user) {
+            throw new Error(`User not found for ID: ${order.userId}`);
+        }
+        const wallet = await this.db.getWalletById(order.walletId, order.userId);
+        if (!wallet) {
+            throw new Error('Order wallet no longer exists');
+        }
+        if (wallet.is_locked) {
+            throw new Error('Wallet is locked');
+        }
+
+        const decryptedKey = TelegramUtils.decryptPrivateKey(wallet.encrypted_private_key, user.telegram_id.toString());
+        const keypair = Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+
+        let result;
+        if (order.side === 'buy') {
+            result = await this.tradingExecution.executeBuy(order.userId, order.tokenAddress, order.amount, { keypair });
+        } else {
+            result = await this.tradingExecution.executeSell(order.userId, order.tokenAddress, order.amount, keypair, order.slippageBps);
+        }
+        if (!result.success) {
+            const error = new Error(result.originalError || result.error || 'Swap failed');
+            error.sentSignature = result.sentSignature || null;
+            throw error;
+        }
+
+        // Paper fills are already recorded in the paper ledger. The swap has landed,
+        // so a bookkeeping failure is logged rather than failing (and retrying) the order
+        if (!result.paper) {
+            try {
+                const tokenAmount = order.side === 'buy' ? result.tokensReceived : (result.tokensSold || order.amount);
+                const price = order.side === 'buy'
+                    ? (tokenAmount > 0 ? (result.solAmount || order.amount) / tokenAmount : 0)
+                    : result.tokenPrice;
+                const trade = await this.db.createTrade(order.userId, order.tokenAddress, tokenAmount, price, order.side, result.fill);
+                await this.db.linkTradeTransactions(trade.lastInsertRowid, result);
+            } catch (error) {
+                console.error(`[OrderRetryService] Error recording retried ${order.side} #${order.id}:`, error);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * The swap a wallet sent since an interrupted attempt started, checked on chain.
+     * Resolves to { signature, landed } for the first one that landed (landed = true)
+     * or may still land (landed = false), or null when none did.
+     */
+    async findInterruptedSwap(walletPublicKey, since) {
+        if (!walletPublicKey) {
+            return null;
+        }
+        const records = await this.db.getSwapTransactionsSince(walletPublicKey, since);
+        const unsettled = records.filter(record => record.status === 'pending');
+        const confirmed = records.find(record => record.status === 'confirmed');
+        if (confirmed) {
+            return { signature: confirmed.signature, landed: true };
+        }
+        if (unsettled.length === 0) {
+            // Failed and expired swaps never traded
+            return null;
+        }
+
+        const connection = this.tradingExecution.connection;
+        const { value: statuses } = await connection.getSignatureStatuses(
+            unsettled.map(record => record.signature),
+            { searchTransactionHistory: true }
+        );
+        const blockHeight = await connection.getBlockHeight();
+        let open = null;
+        for (let i = 0; i < unsettled.length; i++) {
+            const status = statuses[i];
+            if (status && !status.err && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+                return { signature: unsettled[i].signature, landed: true };
+            }
+            const expired = unsettled[i].last_valid_block_height && blockHeight > unsettled[i].last_valid_block_height;
+            if (!open && !(status && status.err) && !expired) {
+                open = { signature: unsettled[i].signature, landed: false };
+            }
+        }
+        return open;
+    }
+
+    /**
+     * Tell the user what happened to a retry interrupted by a restart, when it was not simply requeued
+     */
+    async notifyInterrupted(order, sent) {
+        if (!sent) {
+            return;
+        }
+        await this.sendNotification(order.userId, sent.landed ? `
+*✅ Retried ${order.side === 'buy' ? 'Buy' : 'Sell'} Executed*
+
+*Order:* #${order.id}
+*Token:* \`${order.tokenAddress}\`
+
+It landed just before the bot restarted.
+*Transaction:* [View on Solscan](https://solscan.io/tx/${sent.signature})` : `
+*⚠️ Retry Interrupted*
+
+*Order:* #${order.id} ${order.side.toUpperCase()} \`${order.tokenAddress}\`
+
+The bot restarted after [sending its transaction](https://solscan.io/tx/${sent.signature}), which may still land, so it was not retried. Check your wallet, then retry or discard it in *🔁 Retry Queue*.`);
+    }
+
+    async sendNotification(userId, message) {
+        try {
+            const user = await this.db.getUserById(userId);
+            if (!user || !this.telegramBot) {
+                return;
+            }
+            await this.telegramBot.sendMessage(user.telegram_id, message, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            console.error('[OrderRetryService] Error sending notification:', error.message);
+        }
+    }
+}
+
+module.exports = OrderRetryService;
@@ -0,0 +1,385 @@
+const axios = require('axios');
+const MarketDataService = require('./marketDataService');
+
+/**
+ * Price Oracle
+ * One place to get USD token prices. Requests for many mints that arrive
+ * together are merged into batched calls to DexScreener, Birdeye and Jupiter.
+ * Each price is the median of the sources, after dropping any source more than
+ * maxDeviationPct away from the median. A price backed by fewer than
+ * minAgreeingSources sources is flagged low confidence, and automated sells
+ * do not act on it. Prices are cached for a short TTL, and consumers can
+ * subscribe to the mints they care about to have fresh prices pushed to them
+ * on every poll.
+ *
+ * The oracle is process-wide (see `priceOracle` below) so every service shares
+ * the cache and the rate budget of the price APIs.
+ */
+class PriceOracle {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 2000;                  // How long a fetched price counts as fresh
+        this.pollIntervalMs = options.pollIntervalMs || 2000; // How often subscribed mints are refreshed
+        this.batchWindowMs = options.batchWindowMs ?? 25;     // How long to gather requests into one batch
+        this.requestTimeoutMs = options.requestTimeoutMs || 5000;
+        this.maxDeviationPct = options.maxDeviationPct || 10;      // Sources further than this from the median are discarded
+        this.minAgreeingSources = options.minAgreeingSources || 2; // Fewer agreeing sources than this is low confidence
+        this.dexScreenerBatchSize = 30; // DexScreener accepts up to 30 addresses per call
+        this.birdeyeBatchSize = 100;    // Birdeye multi_price accepts up to 100 addresses per call
+        this.jupiterBatchSize = 50;     // Jupiter price API accepts up to 50 ids per call
+        this.marketDataService = options.marketDataService || new MarketDataService();
+
+        this.cache = new Map();       // mint -> quote (see getQuotes)
+        this.inFlight = new Map();    // mint -> promise of the quote being fetched
+        this.queue = new Map();       // mint -> resolve function, waiting for the next batch
+        this.flushTimer = null;
+        this.subscribers = new Map(); // listener -> Set of mints
+        this.pollTimer = null;
+        this.polling = false;
+    }
+
+    /**
+     * USD price of one mint, or null when no source has it
+     * @param {string} mint - Token mint address
+     * @param {number} maxAgeMs - Oldest cached price to accept
+     */
+    async getPrice(mint, maxAgeMs = this.ttlMs) {
+        const quotes = await this.getQuotes([mint], maxAgeMs);
+        return quotes.get(mint)?.price ?? null;
+    }
+
+    /**
+     * Quote of one mint (see getQuotes), or null when no source has it
+     */
+    async getQuote(mint, maxAgeMs = this.ttlMs) {
+        const quotes = await this.getQuotes([mint], maxAgeMs);
+        return quotes.get(mint) || null;
+    }
+
+    /**
+     * USD prices of many mints in as few requests as possible.
+     * Resolves to a Map of mint -> price; mints without a price are left out.
+     */
+    async getPrices(mints, maxAgeMs = this.ttlMs) {
+        const quotes = await this.getQuotes(mints, maxAgeMs);
+        const prices = new Map();
+        for (const [mint, quote] of quotes) {
+            prices.set(mint, quote.price);
+        }
+        return prices;
+    }
+
+    /**
+     * Like getPrices, with how far each price can be trusted. Resolves to a Map of
+     * mint -> { price, confidence, sources, discarded, timestamp } where
+     * confidence is 'high' or 'low', sources maps each source that agreed to its
+     * price and discarded lists the sources rejected as outliers.
+     */
+    async getQuotes(mints, maxAgeMs = this.ttlMs) {
+        const unique = [...new Set(mints.filter(Boolean).map(mint => mint.toString()))];
+        const quotes = new Map();
+
+        await Promise.all(unique.map(async mint => {
+            const quote = this.peek(mint, maxAgeMs) || await this.request(mint);
+            if (quote) {
+                quotes.set(mint, quote);
+            }
+        }));
+
+        return quotes;
+    }
+
+    /**
+     * Cached quote for a mint if it is no older than maxAgeMs, without fetching
+     */
+    peek(mint, maxAgeMs = this.ttlMs) {
+        const cached = this.cache.get(mint.toString());
+        if (cached && Date.now() - cached.timestamp <= maxAgeMs) {
+            return cached;
+        }
+        return null;
+    }
+
+    /**
+     * Push prices for mints to listener on every poll. The listener is called
+     * with a Map of mint -> quote (see getQuotes) holding the mints it
+     * subscribed to that have a price. Subscribing again adds more mints.
+     * Returns a function that removes these mints again.
+     */
+    subscribe(listener, mints) {
+        if (!this.subscribers.has(listener)) {
+            this.subscribers.set(listener, new Set());
+        }
+        const subscribed = this.subscribers.get(listener);
+        for (const mint of mints) {
+            subscribed.add(mint.toString());
+        }
+
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+            console.log(`[PriceOracle] Polling subscribed mints every ${this.pollIntervalMs / 1000}s`);
+        }
+
+        return () => this.unsubscribe(listener, mints);
+    }
+
+    /**
+     * Stop pushing the given mints to listener, or every mint when none are given
+     */
+    unsubscribe(listener, mints = null) {
+        const subscribed = this.subscribers.get(listener);
+        if (subscribed && mints) {
+            for (const mint of mints) {
+                subscribed.delete(mint.toString());
+            }
+        }
+        if (subscribed && (!mints || subscribed.size === 0)) {
+            this.subscribers.delete(listener);
+        }
+
+        if (this.subscribers.size === 0 && this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            console.log('[PriceOracle] No subscriptions left, polling stopped');
+        }
+    }
+
+    /**
+     * Refresh every subscribed mint in one batch and hand each listener its
+     * prices. A poll is skipped while the previous one is still fetching.
+     */
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            const mints = new Set();
+            for (const subscribed of this.subscribers.values()) {
+                subscribed.forEach(mint => mints.add(mint));
+            }
+            if (mints.size === 0) {
+                return;
+            }
+
+            const quotes = await this.getQuotes([...mints]);
+
+            for (const [listener, subscribed] of this.subscribers) {
+                const updates = new Map();
+                for (const mint of subscribed) {
+                    if (quotes.has(mint)) {
+                        updates.set(mint, quotes.get(mint));
+                    }
+                }
+                // Listeners run on their own so a slow one (e.g. one that sells) does not hold up the others
+                Promise.resolve()
+                    .then(() => listener(updates))
+                    .catch(error => console.error('[PriceOracle] Subscriber error:', error));
+            }
+        } catch (error) {
+            console.error('[PriceOracle] Error polling prices:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Queue a mint for the next batch, sharing any fetch already under way
+     */
+    request(mint) {
+        if (this.inFlight.has(mint)) {
+            return this.inFlight.get(mint);
+        }
+
+        const promise = new Promise(resolve => this.queue.set(mint, resolve));
+        this.inFlight.set(mint, promise);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.batchWindowMs);
+        }
+        return promise;
+    }
+
+    /**
+     * Fetch everything queued so far and settle the waiting requests
+     */
+    async flush() {
+        this.flushTimer = null;
+        const batch = new Map(this.queue);
+        this.queue.clear();
+
+        let quotes = new Map();
+        try {
+            quotes = await this.fetchQuotes([...batch.keys()]);
+        } catch (error) {
+            console.error('[PriceOracle] Error fetching prices:', error.message);
+        }
+
+        for (const [mint, resolve] of batch) {
+            const quote = quotes.get(mint) || null;
+            if (quote) {
+                this.cache.set(mint, quote);
+            }
+            this.inFlight.delete(mint);
+            resolve(quote);
+        }
+    }
+
+    /**
+     * Quotes for mints from every source, combined into one price each
+     */
+    async fetchQuotes(mints) {
+        const [dexscreener, birdeye, jupiter] = await Promise.all([
+            this.fetchFromDexScreener(mints),
+            this.fetchFromBirdeye(mints),
+            this.fetchFromJupiter(mints)
+        ]);
+        const sources = { dexscreener, birdeye, jupiter };
+
+        const quotes = new Map();
+        const timestamp = Date.now();
+        for (const mint of mints) {
+            const samples = {};
+            for (const [source, prices] of Object.entries(sources)) {
+                if (prices.has(mint)) {
+                    samples[source] = prices.get(mint);
+                }
+            }
+            const quote = this.combine(samples);
+            if (quote) {
+                quotes.set(mint, { ...quote, timestamp });
+                if (quote.discarded.length > 0) {
+                    console.warn(`[PriceOracle] Discarded outlier price(s) for ${mint} from ${quote.discarded.join(', ')} (median $${quote.price}, ${quote.confidence} confidence)`);
+                }
+            }
+        }
+
+        const unpriced = mints.filter(mint => !quotes.has(mint));
+        if (unpriced.length > 0) {
+            console.warn(`[PriceOracle] No price found for ${unpriced.length} mint(s): ${unpriced.slice(0, 5).join(', ')}${unpriced.length > 5 ? ', ...' : ''}`);
+        }
+        return quotes;
+    }
+
+    /**
+     * Median price of the sources that agree, given an object of source -> price.
+     * Returns null when there are no prices at all.
+     */
+    combine(samples) {
+        const all = Object.values(samples);
+        if (all.length === 0) {
+            return null;
+        }
+
+        const overall = median(all);
+        const sources = {};
+        const discarded = [];
+        for (const [source, price] of Object.entries(samples)) {
+            if (Math.abs(price - overall) / overall * 100 <= this.maxDeviationPct) {
+                sources[source] = price;
+            } else {
+                discarded.push(source);
+            }
+        }
+
+        const agreeing = Object.values(sources);
+        if (agreeing.length >= this.minAgreeingSources) {
+            return { price: median(agreeing), confidence: 'high', sources, discarded };
+        }
+        // Too few sources, or they disagree: still report a price, but flag it
+        return { price: overall, confidence: 'low', sources: samples, discarded };
+    }
+
+    /**
+     * USD prices from the highest-volume DexScreener pair of each mint
+     */
+    async fetchFromDexScreener(mints) {
+        const prices = new Map();
+
+        for (let i = 0; i < mints.length; i += this.dexScreenerBatchSize) {
+            const chunk = mints.slice(i, i + this.dexScreenerBatchSize);
+            try {
+                const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${chunk.join(',')}`, {
+                    headers: { 'Accept': 'application/json' },
+                    timeout: this.requestTimeoutMs
+                });
+
+                const bestPairs = new Map(); // mint -> pair with the most 24h volume
+                for (const pair of response.data?.pairs || []) {
+                    const mint = pair.baseToken?.address;
+                    if (!chunk.includes(mint) || !(parseFloat(pair.priceUsd) > 0)) {
+                        continue;
+                    }
+                    const best = bestPairs.get(mint);
+                    if (!best || (pair.volume?.h24 || 0) > (best.volume?.h24 || 0)) {
+                        bestPairs.set(mint, pair);
+                    }
+                }
+
+                bestPairs.forEach((pair, mint) => prices.set(mint, parseFloat(pair.priceUsd)));
+            } catch (error) {
+                console.error(`[PriceOracle] DexScreener request for ${chunk.length} mint(s) failed:`, error.message);
+            }
+        }
+
+        return prices;
+    }
+
+    /**
+     * USD prices from Birdeye, through MarketDataService
+     */
+    async fetchFromBirdeye(mints) {
+        const prices = new Map();
+
+        for (let i = 0; i < mints.length; i += this.birdeyeBatchSize) {
+            const chunk = mints.slice(i, i + this.birdeyeBatchSize);
+            try {
+                const chunkPrices = await this.marketDataService.getBirdeyePrices(chunk);
+                chunkPrices.forEach((price, mint) => prices.set(mint, price));
+            } catch (error) {
+                console.error(`[PriceOracle] Birdeye request for ${chunk.length} mint(s) failed:`, error.message);
+            }
+        }
+
+        return prices;
+    }
+
+    /**
+     * USD prices from Jupiter's price API
+     */
+    async fetchFromJupiter(mints) {
+        const prices = new Map();
+
+        for (let i = 0; i < mints.length; i += this.jupiterBatchSize) {
+            const chunk = mints.slice(i, i + this.jupiterBatchSize);
+            try {
+                const response = await axios.get(`https://lite-api.jup.ag/price/v3?ids=${chunk.join(',')}`, {
+                    headers: { 'Accept': 'application/json' },
+                    timeout: this.requestTimeoutMs
+                });
+
+                for (const mint of chunk) {
+                    const price = parseFloat(response.data?.[mint]?.usdPrice);
+                    if (price > 0) {
+                        prices.set(mint, price);
+                    }
+                }
+            } catch (error) {
+                console.error(`[PriceOracle] Jupiter price request for ${chunk.length} mint(s) failed:`, error.message);
+            }
+        }
+
+        return prices;
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Shared by every service in the process
+const priceOracle = new PriceOracle();
+
+module.exports = { PriceOracle, priceOracle };
@@ -135,12 +135,13 @@ class RaydiumService {
      * Get swap quote from Raydium
      * @param {string} inputMint - Input token mint address
      * @param {string} outputMint - Output token mint address
-     * @param {number} amount - Amount in lamports
+     * @param {number} amount - Amount in lamports (of outputMint when swapMode is 'ExactOut')
      * @param {number} slippageBps - Slippage in basis points (100 = 1%)
      * @param {string} txVersion - Transaction version ('v0' or 'legacy')
+     * @param {string} swapMode - 'ExactIn' or 'ExactOut'
      * @returns {Promise<Object>} Quote response
      */
-    async getSwapQuote(inputMint, outputMint, amount, slippageBps = 50, txVersion = 'v0') {
+    async getSwapQuote(inputMint, outputMint, amount, slippageBps = 50, txVersion = 'v0', swapMode = 'ExactIn') {
         // Validate inputs
         this.validateMintAddresses(inputMint, outputMint);
         
@@ -159,7 +160,9 @@ class RaydiumService {
             { params: '&txVersion=LEGACY', description: 'with txVersion=LEGACY' }
         ];
 
-        const baseEndpoint = `${this.API_URLS.SWAP_HOST}/compute/swap-base-in`;
+        const baseEndpoint = swapMode === 'ExactOut'
+            ? `${this.API_URLS.SWAP_HOST}/compute/swap-base-out`
+            : `${this.API_URLS.SWAP_HOST}/compute/swap-base-in`;
         let lastError = null;
 
         for (const approach of approaches) {
@@ -326,8 +329,11 @@ class RaydiumService {
                 swapResponse: 'redacted for brevity'
             }, null, 2));
 
+            // Exact-out quotes must be built by the matching base-out endpoint
             const endpoints = [
-                `${this.API_URLS.SWAP_HOST}/transaction/swap-base-in`
+                swapResponse.data?.swapType === 'BaseOut'
+                    ? `${this.API_URLS.SWAP_HOST}/transaction/swap-base-out`
+                    : `${this.API_URLS.SWAP_HOST}/transaction/swap-base-in`
             ];
 
             let lastError = null;
@@ -429,9 +435,13 @@ class RaydiumService {
      * @param {number} slippageBps - Slippage in basis points
      * @param {string} priorityLevel - Priority level ('vh', 'h', 'm')
      * @param {string} inputTokenAccount - Input token account address (optional)
+     * @param {Object} quoteResponse - Previously fetched getSwapQuote response to execute (optional)
+     * @param {string} swapMode - 'ExactIn' or 'ExactOut'; amount is the output amount for 'ExactOut'
      * @returns {Promise<Object>} Swap result
      */
-    async executeSwap(inputMint, outputMint, amount, wallet, slippageBps = 50, priorityLevel = 'h', inputTokenAccount = null) {
+    async executeSwap(inputMint, outputMint, amount, wallet, slippageBps = 50, priorityLevel = 'h', inputTokenAccount = null, quoteResponse = null, swapMode = 'ExactIn') {
+        // First transaction that went out; a failure after it must not be retried as if nothing was sent
+        let sentSignature = null;
         try {
             console.log(`[Raydium] Starting swap: ${amount} lamports from ${inputMint} to ${outputMint}`);
             
@@ -446,13 +456,14 @@ class RaydiumService {
             
             console.log(`[Raydium] Using priority fee: ${computeUnitPriceMicroLamports} micro lamports (${priorityLevel})`);
 
-            // Step 2: Get swap quote
-            const swapResponse = await this.getSwapQuote(
+            // Step 2: Get swap quote, unless the caller already chose one
+            const swapResponse = quoteResponse || await this.getSwapQuote(
                 inputMint,
                 outputMint,
                 amount,
                 slippageBps,
-                txVersion
+                txVersion,
+                swapMode
             );
 
             // Step 3: Get token accounts if needed
@@ -530,6 +541,7 @@ class RaydiumService {
                         { skipPreflight: true }
                     );
                     console.log(`[Raydium] ${idx} transaction confirmed, txId: ${txId}`);
+                    sentSignature = sentSignature || txId;
                     signatures.push(txId);
                 }
             } else {
@@ -542,6 +554,7 @@ class RaydiumService {
                     const txId = await this.connection.sendTransaction(transaction, { 
                         skipPreflight: true 
                     });
+                    sentSignature = sentSignature || txId;
                     
                     const { lastValidBlockHeight, blockhash } = await this.connection.getLatestBlockhash({
                         commitment: 'finalized',
@@ -580,6 +593,9 @@ class RaydiumService {
 
         } catch (error) {
             console.error('[Raydium] Swap execution failed:', error);
+            if (sentSignature) {
+                error.sentSignature = sentSignature;
+            }
             throw error;
         }
     }
@@ -650,6 +666,39 @@ class RaydiumService {
         }
     }
 
+    /**
+     * Get the wallet's zero-balance token accounts that can be closed to reclaim their rent.
+     * Frozen accounts and Token 2022 accounts still holding withheld transfer fees are left out,
+     * since the token program refuses to close them.
+     * @param {PublicKey} walletPublicKey - Wallet public key
+     * @returns {Promise<Array>} Accounts as { address, mint, programId, lamports }
+     */
+    async getEmptyTokenAccounts(walletPublicKey) {
+        const accounts = [];
+        for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+            const response = await this.connection.getParsedTokenAccountsByOwner(walletPublicKey, { programId });
+            for (const { pubkey, account } of response.value) {
+                const info = account.data?.parsed?.info;
+                if (!info || info.tokenAmount?.amount !== '0' || info.state === 'frozen') {
+                    continue;
+                }
+                const withheld = (info.extensions || []).find(ext => ext.extension === 'transferFeeAmount');
+                if (withheld && Number(withheld.state?.withheldAmount || 0) > 0) {
+                    continue;
+                }
+                accounts.push({
+                    address: pubkey.toString(),
+                    mint: info.mint,
+                    programId,
+                    lamports: account.lamports
+                });
+            }
+        }
+
+        console.log(`[Raydium] Found ${accounts.length} empty token accounts for wallet ${walletPublicKey.toString()}`);
+        return accounts;
+    }
+
     /**
      * Rate limiting implementation
      */
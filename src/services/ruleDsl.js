@@ -0,0 +1,312 @@
+/**
+ * Rule DSL
+ * Parses the one-line rule syntax of `/rule add`, e.g.
+ *
+ *   "Low cap momentum" mcap<2M liq>50k vol1h>+200% buy 0.2 tp 100% sl 25%
+ *
+ * into the same rule data the rule wizard in commands/rules.js builds, so the
+ * rule is validated and stored exactly like a wizard rule. Every token keeps its
+ * position in the input, which lets both syntax errors and validation errors
+ * point at the token that caused them.
+ */
+class RuleDsl {
+    constructor() {
+        // Range filters: mcap<2M, liq>50k, vol>=100k, price=0.001-0.01
+        this.rangeFields = {
+            mcap: 'marketCap',
+            marketcap: 'marketCap',
+            liq: 'liquidity',
+            liquidity: 'liquidity',
+            vol: 'volume',
+            volume: 'volume',
+            price: 'price'
+        };
+        // Change conditions: vol1h>+200%, price4h<-30%
+        this.changeFields = {
+            vol: 'volumeChange',
+            volume: 'volumeChange',
+            price: 'priceChange'
+        };
+        // Exit rules: tp 100%, sl 25%, ts 10%
+        this.percentFields = {
+            tp: 'takeProfit',
+            sl: 'stopLoss',
+            ts: 'trailingStop'
+        };
+        this.suffixes = { k: 1e3, m: 1e6, b: 1e9 };
+        // validateRuleConfig field names, used to trace its errors back to a token
+        this.fieldLabels = {
+            'Rule name': 'name',
+            'Market cap': 'marketCap',
+            'Price change': 'priceChange',
+            'Price': 'price',
+            'Volume change': 'volumeChange',
+            'Volume': 'volume',
+            'Liquidity': 'liquidity',
+            'Take profit': 'takeProfit',
+            'Stop loss': 'stopLoss',
+            'Trailing stop': 'trailingStop'
+        };
+    }
+
+    /**
+     * Parse a rule definition (the text after `/rule add`)
+     * @param {string} text - The rule definition
+     * @returns {Object} { ruleData, fieldTokens } on success, { error } on a syntax error.
+     *   Errors are { message, start, end } with start/end as offsets into text.
+     */
+    parse(text) {
+        const tokenized = this.tokenize(text);
+        if (tokenized.error) {
+            return { error: tokenized.error };
+        }
+
+        const tokens = tokenized.tokens;
+        if (tokens.length === 0) {
+            return { error: this.errorAt(text.length, text.length, 'Missing rule name, e.g. "Low cap momentum"') };
+        }
+
+        const ruleData = { name: tokens[0].text };
+        const fieldTokens = { name: tokens[0] };
+
+        for (let i = 1; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.quoted) {
+                return { error: this.errorFor(token, 'Only the rule name can be quoted') };
+            }
+
+            const parsed = this.parseTerm(tokens, i);
+            if (parsed.error) {
+                return { error: parsed.error };
+            }
+            if (fieldTokens[parsed.field]) {
+                return { error: this.errorFor(token, `Duplicate term, "${fieldTokens[parsed.field].text}" already sets this`) };
+            }
+
+            // Remember the whole term (e.g. "tp 100%") so validation errors can point at it
+            const last = tokens[i + parsed.consumed - 1];
+            ruleData[parsed.field] = parsed.value;
+            fieldTokens[parsed.field] = { text: text.slice(token.start, last.end), start: token.start, end: last.end };
+            i += parsed.consumed - 1;
+        }
+
+        // Anything that finds or buys tokens makes an autonomous strategy, exit rules alone are manual rules
+        const exitFields = ['takeProfit', 'stopLoss', 'trailingStop'];
+        const autonomous = Object.keys(fieldTokens).some(field => field !== 'name' && !exitFields.includes(field));
+        ruleData.tradingMode = autonomous ? 'autonomous' : 'manual';
+        ruleData.type = autonomous ? 'autonomous_strategy' : 'manual_management';
+
+        return { ruleData, fieldTokens };
+    }
+
+    /**
+     * Split text into whitespace separated tokens, keeping double quoted strings
+     * (including the curly quotes phones like to insert) together
+     */
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            if (text[i] === '"' || text[i] === '“' || text[i] === '”') {
+                const close = text.slice(i + 1).search(/["“”]/);
+                if (close === -1) {
+                    return { error: this.errorAt(start, start + 1, 'Missing closing quote') };
+                }
+                const end = i + 1 + close + 1;
+                tokens.push({ text: text.slice(i + 1, end - 1), start, end, quoted: true });
+                i = end;
+                continue;
+            }
+
+            while (i < text.length && !/\s/.test(text[i])) {
+                i++;
+            }
+            tokens.push({ text: text.slice(start, i), start, end: i, quoted: false });
+        }
+        return { tokens };
+    }
+
+    /**
+     * Parse the term starting at tokens[index]
+     * @returns {Object} { field, value, consumed } or { error }
+     */
+    parseTerm(tokens, index) {
+        const token = tokens[index];
+        const text = token.text.toLowerCase();
+
+        let match = text.match(/^([a-z]+)(\d+[hdw])(<=|>=|<|>)(.*)$/);
+        if (match && this.changeFields[match[1]]) {
+            return this.parseChange(token, this.changeFields[match[1]], match[2], match[3], match[4]);
+        }
+
+        match = text.match(/^spike(\d+[hdw])?(>=|>)(.*)$/);
+        if (match) {
+            const threshold = this.parsePercent(match[3].replace(/^\+/, ''));
+            if (threshold === null || threshold <= 0) {
+                return { error: this.errorFor(token, 'Volume spike needs a positive percentage, e.g. spike1h>300%') };
+            }
+            return { field: 'volumeSpike', value: { threshold, timeWindow: match[1] || '1h' }, consumed: 1 };
+        }
+
+        match = text.match(/^([a-z]+)(<=|>=|<|>|=|:)(.*)$/);
+        if (match && this.rangeFields[match[1]]) {
+            return this.parseRange(token, this.rangeFields[match[1]], match[2], match[3]);
+        }
+
+        // Keyword terms take their value attached (tp100%, buy=0.2) or as the next token (tp 100%)
+        match = text.match(/^([a-z]+)[=:]?(.*)$/);
+        const keyword = match ? match[1] : text;
+        let valueToken = null;
+        let consumed = 1;
+        if (match && match[2]) {
+            valueToken = { ...token, text: token.text.slice(token.text.length - match[2].length) };
+        } else if (tokens[index + 1] && !tokens[index + 1].quoted) {
+            valueToken = tokens[index + 1];
+            consumed = 2;
+        }
+
+        if (this.percentFields[keyword]) {
+            const label = { tp: 'Take profit', sl: 'Stop loss', ts: 'Trailing stop' }[keyword];
+            if (!valueToken) {
+                return { error: this.errorFor(token, `${label} needs a percentage, e.g. ${keyword} 25%`) };
+            }
+            // Stop losses are often written as a loss (sl -25%)
+            const percentage = this.parsePercent(keyword === 'sl' ? valueToken.text.replace(/^-/, '') : valueToken.text);
+            if (percentage === null) {
+                return { error: this.errorFor(valueToken, `${label} needs a percentage, e.g. ${keyword} 25%`) };
+            }
+            return { field: this.percentFields[keyword], value: { percentage, enabled: true }, consumed };
+        }
+
+        if (keyword === 'buy') {
+            if (!valueToken) {
+                return { error: this.errorFor(token, 'Buy needs an amount in SOL, e.g. buy 0.2') };
+            }
+            const amount = valueToken.text.match(/^(\d+(?:\.\d+)?)(sol)?$/i);
+            if (!amount || !(Number(amount[1]) > 0)) {
+                return { error: this.errorFor(valueToken, 'Buy needs an amount in SOL, e.g. buy 0.2') };
+            }
+            // Allow "buy 0.2 SOL"
+            const unitToken = tokens[index + consumed];
+            if (!amount[2] && unitToken && !unitToken.quoted && unitToken.text.toLowerCase() === 'sol') {
+                consumed++;
+            }
+            return { field: 'buyAmount', value: { value: Number(amount[1]), unit: ' SOL' }, consumed };
+        }
+
+        if (keyword === 'cat' || keyword === 'category') {
+            if (!valueToken || !/^[a-z0-9_-]+$/i.test(valueToken.text)) {
+                return { error: this.errorFor(valueToken || token, 'Category needs a name, e.g. cat defi') };
+            }
+            return { field: 'category', value: valueToken.text.toLowerCase(), consumed };
+        }
+
+        return { error: this.errorFor(token, 'Unknown term. Use mcap, liq, vol, price, vol1h, price1h, spike, buy, tp, sl, ts or cat') };
+    }
+
+    /**
+     * mcap<2M -> { value: { min: 0, max: 2000000 }, operator: 'between' }, the wizard's range shape
+     */
+    parseRange(token, field, operator, rest) {
+        const example = `e.g. ${token.text.match(/^[a-z]+/i)[0]}<2M or ${token.text.match(/^[a-z]+/i)[0]}=100k-2M`;
+        let min = 0;
+        let max = Infinity;
+
+        if (operator === '=' || operator === ':') {
+            const bounds = rest.split('-');
+            if (bounds.length !== 2) {
+                return { error: this.errorFor(token, `Expected a range, ${example}`) };
+            }
+            min = this.parseAmount(bounds[0]);
+            max = this.parseAmount(bounds[1]);
+        } else if (operator === '<' || operator === '<=') {
+            max = this.parseAmount(rest);
+        } else {
+            min = this.parseAmount(rest);
+        }
+
+        if (min === null || max === null) {
+            return { error: this.errorFor(token, `Expected an amount such as 50k, 2M or 0.001, ${example}`) };
+        }
+        return { field, value: { value: { min, max }, operator: 'between' }, consumed: 1 };
+    }
+
+    /**
+     * vol1h>+200% -> { direction: 'increase', threshold: 200, timeframe: '1h' }
+     */
+    parseChange(token, field, timeframe, operator, rest) {
+        const sign = rest[0] === '+' || rest[0] === '-' ? rest[0] : '';
+        const threshold = this.parsePercent(sign ? rest.slice(1) : rest);
+        if (threshold === null) {
+            return { error: this.errorFor(token, `Expected a percentage, e.g. ${token.text.match(/^[a-z]+\d+[hdw]/i)[0]}>+200%`) };
+        }
+
+        let direction = null;
+        if (operator.startsWith('>') && sign !== '-') {
+            direction = 'increase';
+        } else if (operator.startsWith('<') && sign === '-') {
+            direction = 'decrease';
+        }
+        if (!direction) {
+            return { error: this.errorFor(token, 'Use >+N% for a rise or <-N% for a drop') };
+        }
+
+        return { field, value: { direction, threshold, timeframe }, consumed: 1 };
+    }
+
+    /**
+     * '50k' -> 50000, '$2M' -> 2000000, null when unreadable
+     */
+    parseAmount(text) {
+        const match = String(text).match(/^\$?(\d+(?:\.\d+)?)([kmb])?$/i);
+        if (!match) {
+            return null;
+        }
+        return Number(match[1]) * (match[2] ? this.suffixes[match[2].toLowerCase()] : 1);
+    }
+
+    /**
+     * '25%' or '25' -> 25, null when unreadable
+     */
+    parsePercent(text) {
+        const match = String(text).match(/^(\d+(?:\.\d+)?)%?$/);
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Attach a validateRuleConfig error to the token that set the field it is
+     * about. Errors about missing fields point at the end of the input.
+     */
+    locateError(message, parsed, text) {
+        const label = Object.keys(this.fieldLabels)
+            .sort((a, b) => b.length - a.length)
+            .find(candidate => message.startsWith(candidate));
+        const token = label && parsed.fieldTokens[this.fieldLabels[label]];
+        return token ? this.errorFor(token, message) : this.errorAt(text.length, text.length, message);
+    }
+
+    errorFor(token, message) {
+        return this.errorAt(token.start, token.end, message);
+    }
+
+    errorAt(start, end, message) {
+        return { message, start, end };
+    }
+
+    /**
+     * Render an error as the input with a caret line under the offending token,
+     * for a Markdown code block
+     */
+    formatPointer(text, error) {
+        const width = Math.max(1, error.end - error.start);
+        return `${text}\n${' '.repeat(error.start)}${'^'.repeat(width)}`;
+    }
+}
+
+module.exports = RuleDsl;
@@ -1,11 +1,14 @@
 const TokenDataService = require('./tokenDataService');
 const TradingExecution = require('../modules/tradingExecution');
+const ConditionEvaluator = require('./conditionEvaluator');
 
 class RuleEngine {
     constructor(db, config) {
         this.db = db;
         this.tokenDataService = new TokenDataService(config);
         this.tradingExecution = new TradingExecution(config);
+        this.tradingExecution.setDatabase(db);
+        this.conditionEvaluator = new ConditionEvaluator();
         this.isAutonomousMode = false;
     }
 
@@ -14,13 +17,14 @@ class RuleEngine {
             // Get rule and its criteria
             const rule = await this.getRule(ruleId);
             const criteria = await this.getRuleCriteria(ruleId);
+            const groups = await this.db.getConditionGroups(ruleId);
             const metrics = await this.getRuleMetrics(ruleId);
 
             // Get token data
             const tokenData = await this.tokenDataService.getTokenMetrics(tokenAddress);
 
             // Evaluate criteria
-            const criteriaMatch = await this.evaluateCriteria(criteria, tokenData);
+            const criteriaMatch = await this.evaluateCriteria(criteria, tokenData, groups);
             if (!criteriaMatch) {
                 return { match: false };
             }
@@ -85,26 +89,27 @@ class RuleEngine {
             const { Keypair } = require('@solana/web3.js');
             const keypair = Keypair.fromSecretKey(secretKey);
             this.tradingExecution.setUserWallet(keypair);
+            const isPaper = await this.tradingExecution.isPaperTrading(userId);
 
             // If no specific sell amount, sell entire position
             if (!sellAmount) {
-                // Get token balance
-                const tokenBalance = await this.tradingExecution.getTokenBalance(tokenAddress);
+                // Get token balance (paper position when paper trading)
+                const tokenBalance = await this.tradingExecution.getAvailableTokenBalance(userId, keypair.publicKey, tokenAddress);
                 if (tokenBalance <= 0) {
                     throw new Error('No tokens to sell');
                 }
                 sellAmount = tokenBalance;
             }
 
-            // Execute sell
-            const sellResult = await this.tradingExecution.executeSell(userId, tokenAddress, sellAmount);
+            // Execute sell; a rule's exit is never refused by the trade guard
+            const sellResult = await this.tradingExecution.executeSell(userId, tokenAddress, sellAmount, keypair, undefined, { protective: true });
             
             if (sellResult.success) {
                 // Record successful sell
                 await this.recordAutoSellSuccess(ruleId, tokenAddress, userId, sellAmount, sellResult.signature);
                 
                 // Update rule stats
-                await this.updateRuleStats(ruleId, true);
+                await this.updateRuleStats(ruleId, true, isPaper);
                 
                 return {
                     success: true,
@@ -117,7 +122,7 @@ class RuleEngine {
                 await this.recordAutoSellFailure(ruleId, tokenAddress, userId, sellAmount, sellResult.error);
                 
                 // Update rule stats
-                await this.updateRuleStats(ruleId, false);
+                await this.updateRuleStats(ruleId, false, isPaper);
                 
                 throw new Error(`Sell execution failed: ${sellResult.error}`);
             }
@@ -171,73 +176,12 @@ class RuleEngine {
         return stmt.all(ruleId);
     }
 
-    async evaluateCriteria(criteria, tokenData) {
-        for (const criterion of criteria) {
-            try {
-                let value;
-                // For category and timeframe conditions, the value is a string, not JSON
-                if (criterion.condition_type === 'category' || criterion.condition_type === 'discovery_category' || 
-                    criterion.condition_type === 'timeframe' || criterion.condition_type === 'discovery_timeframe') {
-                    value = criterion.condition_value;
-                } else {
-                    value = JSON.parse(criterion.condition_value);
-                }
-                const operator = criterion.operator || 'equals';
-
-                switch (criterion.condition_type) {
-                    case 'category':
-                    case 'discovery_category':
-                        if (!this.evaluateCategory(value, tokenData.category)) {
-                            return false;
-                        }
-                        break;
-                    case 'market_cap':
-                    case 'discovery_market_cap':
-                        if (!this.evaluateNumericRange(operator, tokenData.marketCap, value)) {
-                            return false;
-                        }
-                        break;
-                    case 'price':
-                    case 'discovery_price':
-                        if (!this.evaluateNumericRange(operator, tokenData.price, value)) {
-                            return false;
-                        }
-                        break;
-                    case 'liquidity':
-                    case 'discovery_liquidity':
-                        if (!this.evaluateNumericRange(operator, tokenData.liquidity, value)) {
-                            return false;
-                        }
-                        break;
-                    case 'volume':
-                    case 'discovery_volume':
-                        if (!this.evaluateNumericRange(operator, tokenData.volume, value)) {
-                            return false;
-                        }
-                        break;
-                    case 'timeframe':
-                    case 'discovery_timeframe':
-                        // Timeframe is typically used for change calculations
-                        // Since we're evaluating static token data, we'll skip timeframe conditions
-                        // They should be handled in the change evaluation phase
-                        break;
-                    case 'num_buys':
-                        if (!this.evaluateNumericRange(operator, tokenData.numBuys || tokenData.num_buys, value)) {
-                            return false;
-                        }
-                        break;
-                    case 'num_sells':
-                        if (!this.evaluateNumericRange(operator, tokenData.numSells || tokenData.num_sells, value)) {
-                            return false;
-                        }
-                        break;
-                }
-            } catch (error) {
-                console.error('Error evaluating criterion:', criterion, error);
-                return false;
-            }
-        }
-        return true;
+    /**
+     * Whether tokenData matches the rule's conditions and their AND/OR/NOT groups
+     */
+    async evaluateCriteria(criteria, tokenData, groups = []) {
+        const tree = this.conditionEvaluator.buildTree(criteria, groups);
+        return this.conditionEvaluator.matches(tree, tokenData);
     }
 
     async evaluateMetrics(metrics, tokenData) {
@@ -258,46 +202,6 @@ class RuleEngine {
         return true;
     }
 
-    evaluateCategory(expectedCategory, actualCategory) {
-        return expectedCategory.toLowerCase() === actualCategory.toLowerCase();
-    }
-
-    evaluateNumeric(operator, actual, expected, secondaryValue) {
-        switch (operator) {
-            case '>':
-                return actual > expected;
-            case '<':
-                return actual < expected;
-            case '=':
-                return actual === expected;
-            case '>=':
-                return actual >= expected;
-            case '<=':
-                return actual <= expected;
-            case 'between':
-                return actual >= expected && actual <= secondaryValue;
-            default:
-                return false;
-        }
-    }
-
-    evaluateNumericRange(operator, actual, value) {
-        // Handle both single values and range objects
-        if (typeof value === 'object' && value !== null) {
-            // Range object with min/max
-            if (value.min !== undefined && value.min !== null && actual < Number(value.min)) {
-                return false;
-            }
-            if (value.max !== undefined && value.max !== null && actual > Number(value.max)) {
-                return false;
-            }
-            return true;
-        } else {
-            // Single value with operator
-            return this.evaluateNumeric(operator, actual, Number(value));
-        }
-    }
-
     evaluateChange(direction, actual, threshold) {
         const thresholdValue = Math.abs(threshold);
         const actualValue = Math.abs(actual);
@@ -330,9 +234,11 @@ class RuleEngine {
             INSERT INTO rule_history (
                 rule_id, token_address, token_name,
                 trigger_price, trigger_volume, trigger_market_cap,
-                trigger_liquidity, status
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                trigger_liquidity, status, rule_version
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
+        // Which version of the rule fired, for the rule's version history
+        const ruleVersion = await this.db.getCurrentRuleVersion(ruleId);
 
         return stmt.run([
             ruleId,
@@ -342,15 +248,19 @@ class RuleEngine {
             tokenData.volume || 0,
             tokenData.marketCap || 0,
             tokenData.liquidity || 0,
-            'triggered'
+            'triggered',
+            ruleVersion
         ]);
     }
 
-    async updateRuleStats(ruleId, success) {
+    async updateRuleStats(ruleId, success, isPaper = false) {
+        // Paper executions are counted separately so live stats stay clean
+        const successColumn = isPaper ? 'paper_success_count' : 'success_count';
+        const failureColumn = isPaper ? 'paper_failure_count' : 'failure_count';
         const stmt = this.db.db.prepare(`
             UPDATE rules 
-            SET success_count = success_count + ?,
-                failure_count = failure_count + ?,
+            SET ${successColumn} = ${successColumn} + ?,
+                ${failureColumn} = ${failureColumn} + ?,
                 last_check_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `);
@@ -0,0 +1,258 @@
+/**
+ * Rule Schedule
+ * When a rule is allowed to run: a daily time window in the rule's timezone,
+ * the days of the week it applies to, and an optional pause.
+ *
+ * Schedules are rule_schedules rows:
+ *   timezone      IANA name such as 'Europe/Berlin'
+ *   days          bit mask of weekdays, bit 0 = Sunday ... bit 6 = Saturday
+ *   start_minute  start of the window in minutes after local midnight, NULL for all day
+ *   end_minute    end of the window (exclusive); a window ending before it starts runs
+ *                 overnight and belongs to the day it starts on
+ *   paused_until  ISO timestamp the rule is paused until, NULL when not paused
+ * A rule without a schedule is always active.
+ */
+class RuleSchedule {
+    constructor() {
+        this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.allDays = 127;
+        this.weekdays = 62; // Mon-Fri
+        this.weekends = 65; // Sat, Sun
+        this.formatters = new Map();
+    }
+
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Wall clock time of a date in a timezone
+     * @returns {Object} { year, month, date, day, hour, minute } with month 1-12 and day 0 (Sunday) - 6
+     */
+    localTime(date, timezone) {
+        if (!this.formatters.has(timezone)) {
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                weekday: 'short',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            }));
+        }
+
+        const parts = {};
+        for (const part of this.formatters.get(timezone).formatToParts(date)) {
+            parts[part.type] = part.value;
+        }
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            date: Number(parts.day),
+            day: this.dayNames.indexOf(parts.weekday),
+            hour: Number(parts.hour),
+            minute: Number(parts.minute)
+        };
+    }
+
+    /**
+     * Whether the rule may run at the given time
+     */
+    isActive(schedule, now = new Date()) {
+        if (!schedule) {
+            return true;
+        }
+        if (this.isPaused(schedule, now)) {
+            return false;
+        }
+        return this.isInWindow(schedule, now);
+    }
+
+    isPaused(schedule, now = new Date()) {
+        return !!(schedule && schedule.paused_until && new Date(schedule.paused_until) > now);
+    }
+
+    /**
+     * Whether the time falls in the schedule's days and hours, ignoring any pause
+     */
+    isInWindow(schedule, now) {
+        const local = this.localTime(now, schedule.timezone || 'UTC');
+        const minute = local.hour * 60 + local.minute;
+        const onDay = (day) => (schedule.days & (1 << ((day + 7) % 7))) !== 0;
+
+        if (schedule.start_minute === null || schedule.start_minute === undefined || schedule.start_minute === schedule.end_minute) {
+            return onDay(local.day);
+        }
+        if (schedule.start_minute < schedule.end_minute) {
+            return onDay(local.day) && minute >= schedule.start_minute && minute < schedule.end_minute;
+        }
+        // Overnight window: the evening part of today's window or the morning part of yesterday's
+        return (onDay(local.day) && minute >= schedule.start_minute) || (onDay(local.day - 1) && minute < schedule.end_minute);
+    }
+
+    /**
+     * When the rule is next active
+     * @returns {Date|null} now when it is active, null when it never runs (no days selected)
+     */
+    nextActive(schedule, now = new Date()) {
+        if (!schedule) {
+            return now;
+        }
+        if (!(schedule.days & this.allDays)) {
+            return null;
+        }
+
+        let time = this.isPaused(schedule, now) ? new Date(schedule.paused_until) : now;
+        // Jump to the next window start or local midnight until the window is open; a week and a day covers every mask
+        for (let step = 0; step < 20; step++) {
+            if (this.isInWindow(schedule, time)) {
+                return time;
+            }
+            const local = this.localTime(time, schedule.timezone || 'UTC');
+            const minute = local.hour * 60 + local.minute;
+            const start = schedule.start_minute ?? 0;
+            const minutes = minute < start ? start - minute : 1440 - minute;
+            time = new Date((Math.floor(time.getTime() / 60000) + minutes) * 60000);
+        }
+        return null;
+    }
+
+    /**
+     * Parse a window such as "09:00-17:00", "22:00-06:00 Europe/Berlin" or "all day UTC"
+     * @returns {Object} { startMinute, endMinute, timezone } with timezone undefined when not given, or { error }
+     */
+    parseWindow(text) {
+        const match = String(text || '').trim().match(/^(?:(all\s*day)|(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2}))(?:\s+(\S+))?$/i);
+        if (!match) {
+            return { error: 'Use HH:MM-HH:MM, optionally followed by a timezone, e.g. 09:00-17:00 Europe/Berlin' };
+        }
+
+        const timezone = match[6];
+        if (timezone && !this.isValidTimezone(timezone)) {
+            return { error: `Unknown timezone "${timezone}". Use a name like UTC, Europe/London or America/New_York.` };
+        }
+        if (match[1]) {
+            return { startMinute: null, endMinute: null, timezone };
+        }
+
+        const [startHour, startMinute, endHour, endMinute] = match.slice(2, 6).map(Number);
+        if (startHour > 23 || endHour > 24 || startMinute > 59 || endMinute > 59 || (endHour === 24 && endMinute > 0)) {
+            return { error: 'Hours go from 00:00 to 24:00' };
+        }
+        const start = startHour * 60 + startMinute;
+        const end = (endHour * 60 + endMinute) % 1440;
+        if (start === end) {
+            return { error: 'The window must not start and end at the same time. Use "all day" instead.' };
+        }
+        return { startMinute: start, endMinute: end, timezone };
+    }
+
+    /**
+     * Parse when a pause ends: a duration ("30m", "4h", "2d") or a local date
+     * and time in the schedule's timezone ("YYYY-MM-DD HH:MM")
+     * @returns {Object} { until } as a Date, or { error }
+     */
+    parsePauseUntil(text, timezone = 'UTC', now = new Date()) {
+        const input = String(text || '').trim();
+        const duration = input.match(/^(\d+)\s*([mhd])$/i);
+        if (duration) {
+            const units = { m: 60000, h: 3600000, d: 86400000 };
+            const until = new Date(now.getTime() + Number(duration[1]) * units[duration[2].toLowerCase()]);
+            return until > now ? { until } : { error: 'The pause must end in the future' };
+        }
+
+        const match = input.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+        if (!match) {
+            return { error: 'Use a duration such as 4h or 2d, or a date and time as YYYY-MM-DD HH:MM' };
+        }
+
+        const [year, month, date, hour = 0, minute = 0] = match.slice(1).map(value => Number(value || 0));
+        const until = this.fromLocalTime({ year, month, date, hour, minute }, timezone);
+        if (Number.isNaN(until.getTime()) || month < 1 || month > 12 || date < 1 || date > 31 || hour > 23 || minute > 59) {
+            return { error: 'That is not a valid date and time' };
+        }
+        if (until <= now) {
+            return { error: 'The pause must end in the future' };
+        }
+        return { until };
+    }
+
+    /**
+     * The instant a wall clock time in a timezone refers to
+     */
+    fromLocalTime({ year, month, date, hour, minute }, timezone) {
+        const wall = Date.UTC(year, month - 1, date, hour, minute);
+        let time = wall;
+        // Correct by the zone's offset twice so times next to a DST change land right
+        for (let i = 0; i < 2; i++) {
+            const local = this.localTime(new Date(time), timezone);
+            time += wall - Date.UTC(local.year, local.month - 1, local.date, local.hour, local.minute);
+        }
+        return new Date(time);
+    }
+
+    formatMinute(minute) {
+        return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+    }
+
+    formatDays(days) {
+        if ((days & this.allDays) === this.allDays) return 'Every day';
+        if (days === this.weekdays) return 'Weekdays';
+        if (days === this.weekends) return 'Weekends';
+        if (!(days & this.allDays)) return 'No days';
+        // Monday first
+        return [1, 2, 3, 4, 5, 6, 0].filter(day => days & (1 << day)).map(day => this.dayNames[day]).join(', ');
+    }
+
+    /**
+     * Days and hours of a schedule, e.g. "Weekdays 09:00-17:00 (Europe/Berlin)"
+     */
+    describe(schedule) {
+        if (!schedule) {
+            return 'Always';
+        }
+        const hours = schedule.start_minute === null || schedule.start_minute === undefined
+            ? 'all day'
+            : `${this.formatMinute(schedule.start_minute)}-${this.formatMinute(schedule.end_minute)}`;
+        return `${this.formatDays(schedule.days)} ${hours} (${schedule.timezone || 'UTC'})`;
+    }
+
+    /**
+     * A date as wall clock time in a timezone, e.g. "Mon 09:00" within a week, "Mon 3 Jun 09:00" after
+     */
+    formatLocal(date, timezone, now = new Date()) {
+        const local = this.localTime(date, timezone);
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const time = this.formatMinute(local.hour * 60 + local.minute);
+        if (date - now < 6 * 86400000) {
+            return `${this.dayNames[local.day]} ${time}`;
+        }
+        return `${this.dayNames[local.day]} ${local.date} ${months[local.month - 1]} ${time}`;
+    }
+
+    /**
+     * When the rule is next active, for rule summaries: "Now", "Mon 09:00 Europe/Berlin (in 14h)" or "Never (no days selected)"
+     */
+    describeNextActive(schedule, now = new Date()) {
+        const next = this.nextActive(schedule, now);
+        if (!next) {
+            return 'Never (no days selected)';
+        }
+        if (next <= now) {
+            return 'Now';
+        }
+
+        const minutes = Math.ceil((next - now) / 60000);
+        const wait = minutes < 60 ? `${minutes}m` : minutes < 2880 ? `${Math.round(minutes / 60)}h` : `${Math.round(minutes / 1440)}d`;
+        return `${this.formatLocal(next, schedule.timezone || 'UTC', now)} ${schedule.timezone || 'UTC'} (in ${wait})`;
+    }
+}
+
+module.exports = RuleSchedule;
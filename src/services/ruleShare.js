@@ -0,0 +1,256 @@
+const zlib = require('zlib');
+
+/**
+ * Rule Share
+ * Turns a rule (its rule_conditions, condition groups, rule_settings and
+ * classification) into a portable payload, either as a share code
+ * ("RULE1." + base64url of the deflated JSON) or as a JSON file, and reads
+ * such codes and files back.
+ *
+ * Payloads are untrusted on the way in: everything is checked and copied field
+ * by field, and wallet-specific data (wallet addresses, trader lists, keys) is
+ * stripped both when exporting and when importing. Copy trade conditions that
+ * follow one custom wallet are left out entirely since they mean nothing
+ * without it.
+ */
+class RuleShare {
+    constructor() {
+        this.version = 1;
+        this.codePattern = /^RULE(\d+)\.([A-Za-z0-9_-]+)$/;
+        this.maxConditions = 50;
+        this.maxGroups = 20;
+        this.maxValueLength = 2000;
+        this.maxPayloadLength = 100000; // Bytes of JSON, for both codes and files
+        this.operators = ['>=', '<=', '>', '<', '='];
+        this.frequencies = ['immediate', 'hourly', 'daily', 'weekly'];
+        // Keys that hold wallet-specific data in condition values; walletType ('whales', 'custom'...) is kept
+        this.walletKeyPattern = /wallet|trader|private|secret|seed|mnemonic/i;
+        this.rangeFields = ['marketCap', 'price', 'volume', 'liquidity'];
+    }
+
+    /**
+     * Build the share payload of a rule
+     * @param {Object} rule - rules row
+     * @param {Array} conditions - rule_conditions rows
+     * @param {Array} groups - rule_condition_groups rows
+     * @param {Object} settings - rule_settings row, if any
+     * @param {Object} classification - RulesCommand.getRuleClassification(rule)
+     * @returns {Object} { payload, dropped } with dropped the number of wallet-specific conditions left out
+     */
+    buildPayload(rule, conditions, groups, settings, classification) {
+        // Parents before their subgroups, so groups can refer to their parent by index
+        const ids = new Set(groups.map(group => group.id));
+        const ordered = [];
+        const remaining = [...groups];
+        while (remaining.length > 0) {
+            const index = remaining.findIndex(group => !ids.has(group.parent_id) || ordered.some(added => added.id === group.parent_id));
+            ordered.push(...remaining.splice(Math.max(index, 0), 1));
+        }
+        const groupIndex = new Map(ordered.map((group, index) => [group.id, index]));
+
+        return this.normalize({
+            v: this.version,
+            name: rule.name,
+            type: rule.type,
+            description: rule.description,
+            classification,
+            settings: settings || {},
+            groups: ordered.map(group => ({
+                parent: groupIndex.has(group.parent_id) ? groupIndex.get(group.parent_id) : null,
+                operator: group.operator,
+                negate: !!group.negate
+            })),
+            conditions: conditions.map(condition => ({
+                type: condition.condition_type,
+                value: this.parseValue(condition.condition_value),
+                operator: condition.operator,
+                group: groupIndex.has(condition.group_id) ? groupIndex.get(condition.group_id) : null
+            }))
+        });
+    }
+
+    /**
+     * Share code of a payload
+     */
+    encode(payload) {
+        const deflated = zlib.deflateRawSync(Buffer.from(JSON.stringify(payload)));
+        return `RULE${payload.v}.${deflated.toString('base64url')}`;
+    }
+
+    /**
+     * Read a share code or the contents of an exported JSON file
+     * @param {string} input - The code or file text
+     * @returns {Object} { payload, dropped } on success, { error } with a message for the user otherwise
+     */
+    read(input) {
+        const text = String(input || '').trim();
+        let json;
+
+        if (text.startsWith('{')) {
+            json = text;
+        } else {
+            const match = text.replace(/\s+/g, '').match(this.codePattern);
+            if (!match) {
+                return { error: 'This is not a rule share code. Codes start with RULE1.' };
+            }
+            if (Number(match[1]) > this.version) {
+                return { error: `This code was made by a newer version of the bot (format ${match[1]})` };
+            }
+            try {
+                json = zlib.inflateRawSync(Buffer.from(match[2], 'base64url'), { maxOutputLength: this.maxPayloadLength }).toString();
+            } catch (error) {
+                return { error: 'This share code is damaged or incomplete. Please copy the whole code.' };
+            }
+        }
+
+        if (json.length > this.maxPayloadLength) {
+            return { error: 'This rule is too large to import' };
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(json);
+        } catch (error) {
+            return { error: 'This file is not a rule export' };
+        }
+        if (!payload || typeof payload !== 'object' || !Array.isArray(payload.conditions)) {
+            return { error: 'This file is not a rule export' };
+        }
+        if (!(Number(payload.v) >= 1) || Number(payload.v) > this.version) {
+            return { error: `Unsupported rule format ${payload.v}` };
+        }
+
+        return this.normalize(payload);
+    }
+
+    /**
+     * Copy the known fields of a payload, with wallet-specific data stripped
+     * @returns {Object} { payload, dropped }
+     */
+    normalize(payload) {
+        const groups = (Array.isArray(payload.groups) ? payload.groups : [])
+            .slice(0, this.maxGroups)
+            .map(group => group || {})
+            .map((group, index) => ({
+                // A group can only sit in a group listed before it
+                parent: Number.isInteger(group.parent) && group.parent >= 0 && group.parent < index ? group.parent : null,
+                operator: group.operator === 'OR' ? 'OR' : 'AND',
+                negate: !!group.negate
+            }));
+
+        let dropped = 0;
+        const conditions = [];
+        for (const condition of payload.conditions.slice(0, this.maxConditions)) {
+            if (!condition || typeof condition.type !== 'string' || !/^[a-z_]{1,50}$/.test(condition.type)) {
+                continue;
+            }
+            const raw = typeof condition.value === 'string' ? this.parseValue(condition.value) : condition.value;
+            if (/copy_trade$/.test(condition.type) && raw && raw.walletType === 'custom') {
+                dropped++;
+                continue;
+            }
+
+            const value = this.stripWalletData(raw);
+            const stored = typeof value === 'string' ? value : JSON.stringify(value);
+            if (stored === undefined || stored.length > this.maxValueLength) {
+                continue;
+            }
+
+            conditions.push({
+                type: condition.type,
+                value: this.parseValue(stored),
+                operator: this.operators.includes(condition.operator) ? condition.operator : '>=',
+                group: Number.isInteger(condition.group) && condition.group >= 0 && condition.group < groups.length ? condition.group : null
+            });
+        }
+
+        const settings = payload.settings || {};
+        const threshold = Number(settings.alert_threshold);
+
+        return {
+            payload: {
+                v: this.version,
+                name: typeof payload.name === 'string' ? payload.name.trim() : '',
+                type: typeof payload.type === 'string' ? payload.type : '',
+                description: typeof payload.description === 'string' ? payload.description.slice(0, 200) : '',
+                classification: payload.classification && typeof payload.classification === 'object'
+                    ? { emoji: String(payload.classification.emoji || ''), text: String(payload.classification.text || ''), description: String(payload.classification.description || '') }
+                    : null,
+                settings: {
+                    notifications_enabled: settings.notifications_enabled === undefined || settings.notifications_enabled ? 1 : 0,
+                    alerts_enabled: settings.alerts_enabled === undefined || settings.alerts_enabled ? 1 : 0,
+                    notification_frequency: this.frequencies.includes(settings.notification_frequency) ? settings.notification_frequency : 'immediate',
+                    alert_threshold: Number.isFinite(threshold) && threshold > 0 ? threshold : 100
+                },
+                groups,
+                conditions
+            },
+            dropped
+        };
+    }
+
+    /**
+     * Deep copy of a condition value without wallet-specific keys
+     */
+    stripWalletData(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.stripWalletData(item));
+        }
+        if (value && typeof value === 'object') {
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                if (key === 'walletType' || !this.walletKeyPattern.test(key)) {
+                    copy[key] = this.stripWalletData(item);
+                }
+            }
+            return copy;
+        }
+        return value;
+    }
+
+    /**
+     * Rule data in the shape the rule wizard builds, for RulesCommand.validateRuleConfig
+     */
+    toRuleData(payload) {
+        const ruleData = {
+            name: payload.name,
+            type: payload.type,
+            tradingMode: { autonomous_strategy: 'autonomous', manual_management: 'manual' }[payload.type]
+        };
+
+        for (const condition of payload.conditions) {
+            // discovery_market_cap -> marketCap, manual_take_profit_ladder -> takeProfitLadder
+            const field = condition.type
+                .replace(/^(discovery|management|manual)_/, '')
+                .replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+            if (ruleData[field] !== undefined) {
+                continue;
+            }
+            ruleData[field] = this.rangeFields.includes(field)
+                ? { value: condition.value, operator: 'between' }
+                : condition.value;
+        }
+
+        return ruleData;
+    }
+
+    /**
+     * Stored condition values are JSON except for plain strings such as categories
+     */
+    parseValue(value) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * condition_value column text of a payload condition
+     */
+    storedValue(condition) {
+        return typeof condition.value === 'string' ? condition.value : JSON.stringify(condition.value);
+    }
+}
+
+module.exports = RuleShare;
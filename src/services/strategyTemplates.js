@@ -0,0 +1,78 @@
+/**
+ * Built-in strategy templates, seeded into strategy_templates on startup.
+ *
+ * ruleData is the rule wizard's data (see commands/rules.js) minus the name:
+ * discovery conditions, the buy amount and the management exits. Applying a
+ * template creates a rule from it through the same validation and condition
+ * storage as the wizard. maxDailyTrades is stored for the user's strategy
+ * preferences (see AutonomousService.loadStrategyTemplate).
+ */
+module.exports = [
+    {
+        name: 'Conservative dip buyer',
+        description: 'Buys established mid caps with deep liquidity after a 15% daily drop, takes 25% and cuts losses at 10%.',
+        riskLevel: 'low',
+        maxDailyTrades: 3,
+        ruleData: {
+            tradingMode: 'autonomous',
+            type: 'autonomous_strategy',
+            marketCap: { value: { min: 5000000, max: 100000000 }, operator: 'between' },
+            liquidity: { value: { min: 250000, max: Infinity }, operator: 'between' },
+            priceChange: { direction: 'decrease', threshold: 15, timeframe: '24h' },
+            buyAmount: { value: 0.1, unit: ' SOL' },
+            takeProfit: { percentage: 25, enabled: true },
+            stopLoss: { percentage: 10, enabled: true }
+        }
+    },
+    {
+        name: 'Blue chip swing',
+        description: 'Trades large caps with heavy volume for small, steady swings.',
+        riskLevel: 'low',
+        maxDailyTrades: 2,
+        ruleData: {
+            tradingMode: 'autonomous',
+            type: 'autonomous_strategy',
+            marketCap: { value: { min: 100000000, max: Infinity }, operator: 'between' },
+            liquidity: { value: { min: 1000000, max: Infinity }, operator: 'between' },
+            volume: { value: { min: 1000000, max: Infinity }, operator: 'between' },
+            buyAmount: { value: 0.25, unit: ' SOL' },
+            takeProfit: { percentage: 15, enabled: true },
+            stopLoss: { percentage: 7, enabled: true }
+        }
+    },
+    {
+        name: 'Momentum rider',
+        description: 'Joins small caps rising 20% in an hour on doubling volume and rides them with a trailing stop.',
+        riskLevel: 'medium',
+        maxDailyTrades: 5,
+        ruleData: {
+            tradingMode: 'autonomous',
+            type: 'autonomous_strategy',
+            marketCap: { value: { min: 1000000, max: 20000000 }, operator: 'between' },
+            liquidity: { value: { min: 100000, max: Infinity }, operator: 'between' },
+            priceChange: { direction: 'increase', threshold: 20, timeframe: '1h' },
+            volumeChange: { direction: 'increase', threshold: 100, timeframe: '1h' },
+            buyAmount: { value: 0.1, unit: ' SOL' },
+            takeProfit: { percentage: 50, enabled: true },
+            stopLoss: { percentage: 15, enabled: true },
+            trailingStop: { percentage: 10, enabled: true }
+        }
+    },
+    {
+        name: 'Degen volume spike',
+        description: 'Apes small amounts into micro caps whose hourly volume triples. Expect many losers and the odd runner.',
+        riskLevel: 'high',
+        maxDailyTrades: 10,
+        ruleData: {
+            tradingMode: 'autonomous',
+            type: 'autonomous_strategy',
+            marketCap: { value: { min: 0, max: 1000000 }, operator: 'between' },
+            liquidity: { value: { min: 20000, max: Infinity }, operator: 'between' },
+            volumeSpike: { threshold: 300, timeWindow: '1h' },
+            buyAmount: { value: 0.05, unit: ' SOL' },
+            takeProfit: { percentage: 100, enabled: true },
+            stopLoss: { percentage: 30, enabled: true },
+            trailingStop: { percentage: 20, enabled: true }
+        }
+    }
+];
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const { NATIVE_MINT } = require('@solana/spl-token');
+
+/**
+ * Swap providers
+ *
+ * Every provider implements the same four steps so TradingExecution can walk
+ * an ordered list of them instead of branching on provider names:
+ *
+ *   quote({ inputMint, outputMint, amount, slippageBps, swapMode })
+ *       -> { inAmount, outAmount, priceImpactPct, routeHops, feeLamports, raw }
+ *   build({ inputMint, outputMint, amount, wallet, slippageBps, isSelling, quote, swapMode })
+ *       -> provider-specific built swap, passed back into send(); when a quote
+ *          from this provider is given, the swap executes exactly that quote
+ *   send(wallet, built)
+ *       -> { signatures, swapResponse, priorityFee, transactionCount, ... }
+ *   verify(signature, tokenAddress)
+ *       -> true, or throws when the swap did not land
+ *
+ * `name` is the key used in provider order settings, `label` is shown to users,
+ * and `offline` marks providers that never touch the network or the chain.
+ * In quotes, routeHops lists a label per hop, feeLamports sums the pool fees
+ * charged in SOL and raw is the provider's own quote response.
+ *
+ * swapMode is 'ExactIn' (the default; amount is what goes in) or 'ExactOut'
+ * (amount is what must come out). inAmount and outAmount mean the same in
+ * both modes.
+ */
+
+const SOL_MINT = NATIVE_MINT.toString();
+
+/**
+ * Sum route fees charged in SOL; fees in other mints are not converted
+ */
+function sumSolFees(fees) {
+    return fees
+        .filter(fee => fee.feeMint === SOL_MINT)
+        .reduce((sum, fee) => sum + parseInt(fee.feeAmount || 0), 0);
+}
+
+class JupiterSwapProvider {
+    constructor(tradingExecution) {
+        this.name = 'jupiter';
+        this.label = 'Jupiter';
+        this.offline = false;
+        this.tradingExecution = tradingExecution;
+    }
+
+    async quote({ inputMint, outputMint, amount, slippageBps, swapMode = 'ExactIn' }) {
+        const quoteResponse = await this.tradingExecution.makeJupiterRequest('quote', {
+            inputMint,
+            outputMint,
+            amount,
+            slippageBps: Math.floor(slippageBps),
+            swapMode,
+            restrictIntermediateTokens: true
+        });
+
+        if (!quoteResponse || quoteResponse.error || !quoteResponse.outAmount) {
+            throw new Error(`Failed to get quote: ${quoteResponse?.error || 'Empty quote'}`);
+        }
+
+        const routePlan = quoteResponse.routePlan || [];
+        return {
+            inAmount: parseInt(quoteResponse.inAmount),
+            outAmount: parseInt(quoteResponse.outAmount),
+            priceImpactPct: parseFloat(quoteResponse.priceImpactPct || '0'),
+            routeHops: routePlan.map(step => step.swapInfo?.label || 'Unknown'),
+            feeLamports: sumSolFees(routePlan.map(step => step.swapInfo || {})),
+            raw: quoteResponse
+        };
+    }
+
+    async build({ inputMint, outputMint, amount, wallet, slippageBps, quote, swapMode = 'ExactIn' }) {
+        const swapResult = await this.tradingExecution.buildJupiterSwap(
+            inputMint,
+            outputMint,
+            amount,
+            wallet.publicKey,
+            slippageBps, // Already in basis points, no need to divide
+            quote ? quote.raw : null,
+            swapMode
+        );
+
+        if (!swapResult) {
+            throw new Error('Jupiter returned empty swap result');
+        }
+        return swapResult;
+    }
+
+    async send(wallet, built) {
+        const signature = await this.tradingExecution.executeTransaction(wallet, built.transaction);
+
+        if (signature && typeof signature === 'string') {
+            return {
+                signatures: [signature],
+                swapResponse: built,
+                priorityFee: built.prioritizationFeeLamports || 0,
+                transactionCount: 1
+            };
+        }
+
+        // If executeTransaction returned a failure object, surface its details
+        if (signature && typeof signature === 'object' && signature.success === false) {
+            const errorWithLogs = new Error(`Jupiter transaction failed: ${signature.error || 'Unknown error'}`);
+            if (signature.logs) {
+                errorWithLogs.logs = signature.logs;
+            }
+            errorWithLogs.sentSignature = signature.sentSignature || null;
+            throw errorWithLogs;
+        }
+
+        // No signature produced. Surface detailed simulation error if available
+        const simErr = built.simulationError;
+        const dynSlip = built.dynamicSlippageReport;
+        const detailParts = [];
+        if (simErr) {
+            if (simErr.errorCode) detailParts.push(`code=${simErr.errorCode}`);
+            if (simErr.error) detailParts.push(`message=${simErr.error}`);
+        }
+        if (dynSlip && typeof dynSlip.slippageBps !== 'undefined') {
+            detailParts.push(`slippageBps=${dynSlip.slippageBps}`);
+        }
+        const detail = detailParts.length ? detailParts.join(', ') : 'unknown reason';
+        throw new Error(`Jupiter swap failed without signature: ${detail}`);
+    }
+
+    async verify(signature, tokenAddress) {
+        return this.tradingExecution.verifyTransactionSuccess(signature, tokenAddress);
+    }
+}
+
+class RaydiumSwapProvider {
+    constructor(tradingExecution) {
+        this.name = 'raydium';
+        this.label = 'Raydium';
+        this.offline = false;
+        this.tradingExecution = tradingExecution;
+        this.raydiumService = tradingExecution.raydiumService;
+    }
+
+    /**
+     * Quotes through the same compute endpoint executeSwap builds from, so a
+     * chosen quote can be executed as-is
+     */
+    async quote({ inputMint, outputMint, amount, slippageBps, swapMode = 'ExactIn' }) {
+        const raydiumQuote = await this.raydiumService.getSwapQuote(inputMint, outputMint, amount, slippageBps, 'v0', swapMode);
+        const data = raydiumQuote.data || raydiumQuote;
+        const routePlan = data.routePlan || [];
+        const exactOut = swapMode === 'ExactOut';
+        return {
+            inAmount: parseInt(data.inputAmount || data.inAmount || (exactOut ? 0 : amount)),
+            outAmount: parseInt(data.outputAmount || data.outAmount || (exactOut ? amount : 0)),
+            priceImpactPct: parseFloat(data.priceImpactPct || data.priceImpact || '0'),
+            routeHops: routePlan.map(step => `Raydium ${String(step.poolId || '').slice(0, 4)}`.trim()),
+            feeLamports: sumSolFees(routePlan),
+            raw: raydiumQuote
+        };
+    }
+
+    /**
+     * Raydium's API quotes and builds transactions inside executeSwap, so build
+     * only resolves the input token account needed for sells.
+     */
+    async build({ inputMint, outputMint, amount, wallet, slippageBps, isSelling, quote, swapMode = 'ExactIn' }) {
+        let inputTokenAccount = null;
+        if (isSelling && inputMint !== NATIVE_MINT.toString()) {
+            try {
+                const tokenAccounts = await this.raydiumService.getTokenAccounts(wallet.publicKey);
+                const inputAccount = tokenAccounts.find(acc => acc.mint === inputMint);
+
+                if (!inputAccount) {
+                    console.log(`[RaydiumSwapProvider] No input token account found for ${inputMint}`);
+                    throw new Error('No suitable token account found for Raydium swap');
+                }
+                inputTokenAccount = inputAccount.address;
+                console.log(`[RaydiumSwapProvider] Found input token account: ${inputTokenAccount} with balance ${inputAccount.uiAmount}`);
+            } catch (error) {
+                throw new Error(`Raydium swap preparation failed: ${error.message}`);
+            }
+        }
+
+        return { inputMint, outputMint, amount, slippageBps, swapMode, inputTokenAccount, quoteResponse: quote ? quote.raw : null };
+    }
+
+    async send(wallet, built) {
+        const result = await this.raydiumService.executeSwap(
+            built.inputMint,
+            built.outputMint,
+            built.amount,
+            wallet,
+            built.slippageBps,
+            'h', // High priority
+            built.inputTokenAccount, // Pass the input token account string for selling
+            built.quoteResponse,
+            built.swapMode
+        );
+
+        if (!result.success) {
+            throw new Error(`Raydium swap failed: ${result.error || 'Unknown error'}`);
+        }
+
+        // Raydium confirms inline, so its transactions are recorded as already landed
+        const db = this.tradingExecution.db;
+        if (db) {
+            for (const signature of result.signatures || []) {
+                try {
+                    await db.createTransactionRecord({ signature, walletPublicKey: wallet.publicKey.toString(), kind: 'swap' });
+                    await db.updateTransactionStatus(signature, 'confirmed');
+                } catch (error) {
+                    console.error(`[RaydiumSwapProvider] Failed to record transaction ${signature}:`, error.message);
+                }
+            }
+        }
+        return result;
+    }
+
+    async verify(signature, tokenAddress) {
+        return this.tradingExecution.verifyTransactionSuccess(signature, tokenAddress);
+    }
+}
+
+/**
+ * Deterministic in-process provider for running buy/sell flows offline.
+ * Prices every token at a fixed SOL rate and returns `mock-` signatures
+ * that only this provider will verify.
+ */
+class MockSwapProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.label = 'Mock';
+        this.offline = true;
+        this.solPerToken = options.solPerToken || 0.000001;
+        this.tokenDecimals = options.tokenDecimals || 9;
+        this.feeBps = options.feeBps || 0;
+        this.sentSignatures = new Set();
+        this.sequence = 0;
+    }
+
+    async quote({ inputMint, outputMint, amount, swapMode = 'ExactIn' }) {
+        const solMint = NATIVE_MINT.toString();
+        if (inputMint === outputMint) {
+            throw new Error('Input and output mint addresses cannot be the same');
+        }
+        if (!amount || amount <= 0) {
+            throw new Error(`Invalid amount: ${amount}`);
+        }
+
+        const tokenScale = Math.pow(10, this.tokenDecimals);
+        // Units of outputMint per unit of inputMint; token to token swaps at 1:1
+        let rate = 1;
+        if (inputMint === solMint) {
+            rate = tokenScale / (this.solPerToken * 1e9);
+        } else if (outputMint === solMint) {
+            rate = (this.solPerToken * 1e9) / tokenScale;
+        }
+        rate *= 1 - this.feeBps / 10000;
+
+        if (swapMode === 'ExactOut') {
+            return { inAmount: Math.ceil(amount / rate), outAmount: amount, priceImpactPct: 0, routeHops: ['Mock'], feeLamports: 0, raw: null };
+        }
+        return { inAmount: amount, outAmount: Math.floor(amount * rate), priceImpactPct: 0, routeHops: ['Mock'], feeLamports: 0, raw: null };
+    }
+
+    async build(params) {
+        const quote = params.quote || await this.quote(params);
+        return { ...params, ...quote };
+    }
+
+    async send(wallet, built) {
+        this.sequence++;
+        const signature = `mock-${crypto.createHash('sha256')
+            .update(`${built.inputMint}:${built.outputMint}:${built.amount}:${this.sequence}`)
+            .digest('hex')
+            .slice(0, 32)}`;
+        this.sentSignatures.add(signature);
+
+        return {
+            signatures: [signature],
+            swapResponse: {
+                inAmount: built.inAmount,
+                outAmount: built.outAmount,
+                priceImpactPct: built.priceImpactPct
+            },
+            outputAmount: built.outAmount,
+            priorityFee: 0,
+            transactionCount: 1,
+            offline: true
+        };
+    }
+
+    async verify(signature) {
+        if (!this.sentSignatures.has(signature)) {
+            throw new Error(`Unknown mock signature: ${signature}`);
+        }
+        return true;
+    }
+}
+
+/**
+ * Registry of swap providers keyed by name, resolving per-user provider order
+ */
+class SwapProviderRegistry {
+    constructor(defaultOrder = ['jupiter', 'raydium']) {
+        this.providers = new Map();
+        this.defaultOrder = defaultOrder;
+    }
+
+    register(provider) {
+        if (!provider || !provider.name) {
+            throw new Error('Swap provider must have a name');
+        }
+        for (const method of ['quote', 'build', 'send', 'verify']) {
+            if (typeof provider[method] !== 'function') {
+                throw new Error(`Swap provider ${provider.name} is missing ${method}()`);
+            }
+        }
+        this.providers.set(provider.name, provider);
+        return this;
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    names() {
+        return Array.from(this.providers.keys());
+    }
+
+    /**
+     * Turn an order ('jupiter,raydium' or an array) into registered providers,
+     * using the default order when none is given. Unregistered names are skipped,
+     * but an order naming the mock provider, or nothing registered, throws: falling
+     * back to the real providers would send real swaps the user never chose.
+     */
+    resolve(order) {
+        const names = (typeof order === 'string' ? order.split(',') : (order || []))
+            .map(name => String(name).trim())
+            .filter(Boolean);
+        if (names.length === 0) {
+            return this.defaultOrder.map(name => this.get(name)).filter(Boolean);
+        }
+
+        const missing = names.filter(name => !this.get(name));
+        const resolved = names.map(name => this.get(name)).filter(Boolean);
+        if (missing.includes('mock') || resolved.length === 0) {
+            throw new Error(`Swap provider ${missing.join(', ')} is not available. Choose your swap providers again in Trade Settings.`);
+        }
+        return resolved;
+    }
+}
+
+/**
+ * Names of the providers a registry built from this config would contain
+ */
+function getAvailableProviderNames(config = {}) {
+    const names = ['jupiter', 'raydium'];
+    if (config.enableMockProvider) {
+        names.push('mock');
+    }
+    return names;
+}
+
+function createDefaultRegistry(tradingExecution, config = {}) {
+    const registry = new SwapProviderRegistry(config.swapProviderOrder || ['jupiter', 'raydium']);
+    registry.register(new JupiterSwapProvider(tradingExecution));
+    registry.register(new RaydiumSwapProvider(tradingExecution));
+    if (config.enableMockProvider) {
+        registry.register(new MockSwapProvider(config.mockProvider || {}));
+    }
+    return registry;
+}
+
+module.exports = {
+    SwapProviderRegistry,
+    JupiterSwapProvider,
+    RaydiumSwapProvider,
+    MockSwapProvider,
+    createDefaultRegistry,
+    getAvailableProviderNames
+};
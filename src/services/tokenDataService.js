@@ -1,4 +1,6 @@
 const axios = require('axios');
+const { priceOracle } = require('./priceOracle');
+const ConditionEvaluator = require('./conditionEvaluator');
 // Removed MarketDataService import since we only use Jupiter now
 
 class TokenDataService {
@@ -38,20 +40,29 @@ class TokenDataService {
         const cached = this.priceCache.get(tokenAddress);
         const now = Date.now();
         if (cached && (now - cached.timestamp < this.cacheTTL)) {
-            return cached.priceData;
+            return this.withOraclePrice(cached.priceData);
         }
         try {
             await this.cooldownIfNeeded();
             const jupiterData = await this.getJupiterData(tokenAddress);
             // Cache the result
             this.priceCache.set(tokenAddress, { priceData: jupiterData, timestamp: Date.now() });
-            return jupiterData;
+            return this.withOraclePrice(jupiterData);
         } catch (error) {
             console.error('Error fetching token data:', error);
             throw error;
         }
     }
 
+    /**
+     * Token data with the price oracle's price when it has a fresh one, so the
+     * metadata cache does not show a price older than the rest of the bot uses
+     */
+    withOraclePrice(tokenData) {
+        const quote = tokenData?.address ? priceOracle.peek(tokenData.address) : null;
+        return quote ? { ...tokenData, price: quote.price } : tokenData;
+    }
+
     async getJupiterData(tokenAddress) {
         try {
             const url = `https://lite-api.jup.ag/tokens/v2/search?query=${tokenAddress}`;
@@ -159,6 +170,51 @@ class TokenDataService {
         return data?.liquidity || 0;
     }
 
+    /**
+     * Jupiter's top traded tokens of the last 24h (raw Jupiter token objects)
+     */
+    async getTopTradedTokens() {
+        const response = await axios.get('https://lite-api.jup.ag/tokens/v2/toptraded/24h', {
+            headers: { 'Accept': 'application/json' }
+        });
+        return Array.isArray(response.data) ? response.data : (response.data?.data || []);
+    }
+
+    /**
+     * Metrics of the current top traded tokens for the market snapshot history.
+     * Per-window stats keep only the figures rule conditions read (changes and 24h volume).
+     * @returns {Promise<Array>} [{ address, symbol, price, marketCap, liquidity, volume, category, stats }]
+     */
+    async getMarketSnapshot() {
+        const tokens = await this.getTopTradedTokens();
+        return tokens
+            .filter(token => token.id && token.usdPrice)
+            .map(token => {
+                const stats = {};
+                for (const window of ['5m', '1h', '6h', '24h']) {
+                    const windowStats = token[`stats${window}`];
+                    if (windowStats) {
+                        stats[window] = {
+                            priceChange: windowStats.priceChange,
+                            volumeChange: windowStats.volumeChange,
+                            buyVolume: windowStats.buyVolume,
+                            sellVolume: windowStats.sellVolume
+                        };
+                    }
+                }
+                return {
+                    address: token.id,
+                    symbol: token.symbol,
+                    price: token.usdPrice,
+                    marketCap: token.mcap,
+                    liquidity: token.liquidity,
+                    volume: token.stats24h ? (token.stats24h.buyVolume || 0) + (token.stats24h.sellVolume || 0) : null,
+                    category: token.tags ? token.tags[0] : null,
+                    stats
+                };
+            });
+    }
+
     /**
      * Fetch tokens from Jupiter, filter by rule criteria, and return a random selection.
      * @param {Object} rule - The rule object containing criteria for filtering tokens.
@@ -166,150 +222,51 @@ class TokenDataService {
      * @param {Object} db - Database manager instance for user-specific data.
      * @param {Object} config - Config object.
      * @param {number} userId - User ID for user-specific filtering (optional).
+     * @param {Object} report - Optional object filled with { candidates, matched, conditions: [{ condition, failed, unknown }] },
+     *   where failed counts the candidates each condition rejects on its own and unknown those it had no data for.
      * @returns {Promise<Array>} Array of token objects.
      */
-    async getTokensByCriteria(rule, count = 3, db = null, config = null, userId = null) {
+    async getTokensByCriteria(rule, count = 3, db = null, config = null, userId = null, report = null) {
         try {
             // Fetch trending tokens from Jupiter
-            const axios = require('axios');
-            const response = await axios.get('https://lite-api.jup.ag/tokens/v2/toptraded/24h', {
-                headers: { 'Accept': 'application/json' }
-            });
-            let tokens = Array.isArray(response.data) ? response.data : (response.data?.data || []);
+            const tokens = await this.getTopTradedTokens();
             console.log(`[TokenDataService] Rule:`, JSON.stringify(rule, null, 2));
             console.log(`[TokenDataService] Tokens fetched from Jupiter: ${tokens.length}`);
             if (!tokens.length) return [];
 
-            // Fetch rule conditions from DB if possible
+            // Fetch rule conditions and their groups from DB if possible
             let conditions = [];
+            let groups = [];
             if (db && rule.id) {
                 if (typeof db.getRuleConditions === 'function') {
                     conditions = await db.getRuleConditions(rule.id);
                 }
+                if (typeof db.getConditionGroups === 'function') {
+                    groups = await db.getConditionGroups(rule.id);
+                }
             }
             console.log(`[TokenDataService] Rule conditions:`, JSON.stringify(conditions, null, 2));
+            if (groups.length > 0) {
+                console.log(`[TokenDataService] Rule condition groups:`, JSON.stringify(groups, null, 2));
+            }
 
-            // Filtering logic (category, market cap, price, etc.)
-            const filtered = tokens.filter(token => {
-                // Check ALL conditions - token must pass every single one
-                for (const cond of conditions) {
-                    try {
-                        let value;
-                        // For category and timeframe conditions, the value is a string, not JSON
-                        if (cond.condition_type === 'category' || cond.condition_type === 'discovery_category' || 
-                            cond.condition_type === 'timeframe' || cond.condition_type === 'discovery_timeframe') {
-                            value = cond.condition_value;
-                        } else {
-                            value = JSON.parse(cond.condition_value);
-                        }
-                        let conditionPassed = true;
-                        
-                        switch (cond.condition_type) {
-                            case 'category':
-                            case 'discovery_category':
-                                // Jupiter uses 'tags' instead of 'category'
-                                const tokenCategory = token.tags ? token.tags[0] : token.category;
-                                if (!tokenCategory || tokenCategory.toLowerCase() !== value.toLowerCase()) {
-                                    conditionPassed = false;
-                                }
-                                break;
-                            case 'market_cap':
-                            case 'discovery_market_cap': {
-                                // Jupiter uses 'mcap' for market cap
-                                const cap = token.mcap ?? token.marketCap ?? token.market_cap;
-                                if (cap === undefined || cap === null) { 
-                                    conditionPassed = false; 
-                                    break; 
-                                }
-                                if (typeof value === 'object') {
-                                    if (value.min !== undefined && value.min !== null && cap < Number(value.min)) conditionPassed = false;
-                                    if (value.max !== undefined && value.max !== null && cap > Number(value.max)) conditionPassed = false;
-                                } else {
-                                    if (cond.operator === '>=') { if (cap < Number(value)) conditionPassed = false; }
-                                    else if (cond.operator === '<=') { if (cap > Number(value)) conditionPassed = false; }
-                                    else if (!cond.operator && cap > Number(value)) conditionPassed = false; // fallback: treat as max
-                                }
-                                if (!conditionPassed) {
-                                    console.log(`[TokenDataService] Token ${token.symbol || token.id || token.address} filtered out by ${cond.condition_type} condition:`, cond, 'Token market cap:', cap);
-                                }
-                                break;
-                            }
-                            case 'price':
-                            case 'discovery_price':
-                                if (token.usdPrice === undefined || token.usdPrice === null) { 
-                                    conditionPassed = false; 
-                                    break; 
-                                }
-                                if (cond.operator === '>=') { if (token.usdPrice < value) conditionPassed = false; }
-                                if (cond.operator === '<=') { if (token.usdPrice > value) conditionPassed = false; }
-                                break;
-                            case 'volume':
-                            case 'discovery_volume': {
-                                // Jupiter provides volume data in stats24h
-                                const volume = token.stats24h ? (token.stats24h.buyVolume + token.stats24h.sellVolume) : (token.volume24h ?? token.volume);
-                                if (volume === undefined || volume === null) {
-                                    // If volume data is not available, we'll skip this condition for now
-                                    console.log(`[TokenDataService] Volume data not available for token ${token.symbol || token.id || token.address}, skipping volume condition`);
-                                    break;
-                                }
-                                if (typeof value === 'object') {
-                                    if (value.min !== undefined && value.min !== null && volume < Number(value.min)) conditionPassed = false;
-                                    if (value.max !== undefined && value.max !== null && volume > Number(value.max)) conditionPassed = false;
-                                } else {
-                                    if (cond.operator === '>=') { if (volume < Number(value)) conditionPassed = false; }
-                                    else if (cond.operator === '<=') { if (volume > Number(value)) conditionPassed = false; }
-                                    else if (!cond.operator && volume < Number(value)) conditionPassed = false; // fallback: treat as min
-                                }
-                                if (!conditionPassed) {
-                                    console.log(`[TokenDataService] Token ${token.symbol || token.id || token.address} filtered out by ${cond.condition_type} condition:`, cond, 'Token volume:', volume);
-                                }
-                                break;
-                            }
-                            case 'liquidity':
-                            case 'discovery_liquidity': {
-                                // Jupiter provides liquidity data directly
-                                const liquidity = token.liquidity;
-                                if (liquidity === undefined || liquidity === null) {
-                                    // If liquidity data is not available, we'll skip this condition for now
-                                    console.log(`[TokenDataService] Liquidity data not available for token ${token.symbol || token.id || token.address}, skipping liquidity condition`);
-                                    break;
-                                }
-                                if (typeof value === 'object') {
-                                    if (value.min !== undefined && value.min !== null && liquidity < Number(value.min)) conditionPassed = false;
-                                    if (value.max !== undefined && value.max !== null && liquidity > Number(value.max)) conditionPassed = false;
-                                } else {
-                                    if (cond.operator === '>=') { if (liquidity < Number(value)) conditionPassed = false; }
-                                    else if (cond.operator === '<=') { if (liquidity > Number(value)) conditionPassed = false; }
-                                    else if (!cond.operator && liquidity < Number(value)) conditionPassed = false; // fallback: treat as min
-                                }
-                                if (!conditionPassed) {
-                                    console.log(`[TokenDataService] Token ${token.symbol || token.id || token.address} filtered out by ${cond.condition_type} condition:`, cond, 'Token liquidity:', liquidity);
-                                }
-                                break;
-                            }
-                            case 'timeframe':
-                            case 'discovery_timeframe':
-                                // Timeframe is typically used for change calculations (price change, volume change)
-                                // Since we're filtering static token data, we'll skip timeframe conditions
-                                // They should be handled in the rule evaluation phase
-                                console.log(`[TokenDataService] Timeframe condition skipped for static filtering:`, cond);
-                                break;
-                            // Add more condition types as needed
-                        }
-                        
-                        // If any condition fails, the token is rejected
-                        if (!conditionPassed) {
-                            return false;
-                        }
-                    } catch (e) {
-                        console.log(`[TokenDataService] Error parsing condition or filtering token:`, e, cond);
-                        return false; // Reject token if condition parsing fails
-                    }
-                }
-                // If we get here, ALL conditions passed
-                return true;
-            });
+            // Filtering logic (category, market cap, price, etc.), combined by the rule's AND/OR/NOT groups
+            const evaluator = new ConditionEvaluator();
+            const tree = evaluator.buildTree(conditions, groups);
+            const filtered = tokens.filter(token => evaluator.matches(tree, token));
             console.log(`[TokenDataService] Tokens after filtering: ${filtered.length}`);
+            if (report) {
+                report.candidates = tokens.length;
+                report.matched = filtered.length;
+                report.conditions = conditions.map(condition => {
+                    const results = tokens.map(token => evaluator.evaluateCondition(condition, token));
+                    return {
+                        condition,
+                        failed: results.filter(result => result === false).length,
+                        unknown: results.filter(result => result === null).length
+                    };
+                });
+            }
             if (!filtered.length) {
                 console.log(`[TokenDataService] No tokens matched the rule. Returning empty array.`);
                 return [];
@@ -0,0 +1,258 @@
+const axios = require('axios');
+const { NATIVE_MINT } = require('@solana/spl-token');
+
+/**
+ * Trade Guard
+ * Checks every buy and sell against the user's max price impact and max share
+ * of pool liquidity. Oversized buys are shrunk (or rejected when the user turned
+ * resizing off); oversized sells are split into chunks that each stay under the caps.
+ * Protective exits (stop-losses, panic sells) are never refused: when they cannot
+ * be quoted or split they go through in one piece, with the reason reported.
+ */
+class TradeGuard {
+    constructor(tradingExecution) {
+        this.tradingExecution = tradingExecution;
+        this.defaults = {
+            maxPriceImpact: 5,     // Percent
+            maxLiquidityPct: 2,    // Percent of pool liquidity per trade
+            resize: true
+        };
+        this.resizeAttempts = 4;
+        this.maxSellChunks = 10;
+        this.liquidityCache = new Map(); // tokenAddress -> { pool, timestamp }
+        this.liquidityCacheTTL = 60 * 1000;
+    }
+
+    /**
+     * The user's guard limits, falling back to the defaults
+     */
+    async getLimits(userId) {
+        let settings = null;
+        if (this.tradingExecution.db && userId) {
+            try {
+                settings = await this.tradingExecution.db.getUserSettings(userId);
+            } catch (error) {
+                console.error('[TradeGuard] Error reading settings:', error.message);
+            }
+        }
+
+        return {
+            maxPriceImpact: settings?.max_price_impact ?? this.defaults.maxPriceImpact,
+            maxLiquidityPct: settings?.max_liquidity_pct ?? this.defaults.maxLiquidityPct,
+            resize: settings?.resize_oversized_trades === undefined || settings?.resize_oversized_trades === null
+                ? this.defaults.resize
+                : !!settings.resize_oversized_trades
+        };
+    }
+
+    /**
+     * USD liquidity of the deepest SOL pool for a token and the SOL price it
+     * implies, from DexScreener. Returns null when unknown.
+     */
+    async getPoolLiquidity(tokenAddress) {
+        const cached = this.liquidityCache.get(tokenAddress);
+        if (cached && Date.now() - cached.timestamp < this.liquidityCacheTTL) {
+            return cached.pool;
+        }
+
+        let pool = null;
+        try {
+            const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`, {
+                headers: { 'Accept': 'application/json' },
+                timeout: 5000
+            });
+            const solMint = NATIVE_MINT.toString();
+            const pairs = (response.data?.pairs || []).filter(pair =>
+                pair.chainId === 'solana' &&
+                pair.quoteToken?.address === solMint &&
+                pair.liquidity?.usd > 0 &&
+                parseFloat(pair.priceNative) > 0
+            );
+            const deepest = pairs.sort((a, b) => b.liquidity.usd - a.liquidity.usd)[0];
+            if (deepest) {
+                pool = {
+                    liquidityUsd: deepest.liquidity.usd,
+                    solPriceUsd: parseFloat(deepest.priceUsd) / parseFloat(deepest.priceNative)
+                };
+            }
+        } catch (error) {
+            console.error(`[TradeGuard] Error fetching liquidity for ${tokenAddress}:`, error.message);
+        }
+
+        this.liquidityCache.set(tokenAddress, { pool, timestamp: Date.now() });
+        return pool;
+    }
+
+    /**
+     * Price impact of a swap through the first of the user's providers that quotes it
+     */
+    async quoteImpact(userId, inputMint, outputMint, amount) {
+        const errors = [];
+        for (const provider of await this.tradingExecution.resolveSwapProviders(userId)) {
+            try {
+                const quote = await provider.quote({ inputMint, outputMint, amount, slippageBps: 50 });
+                return { priceImpactPct: Number(quote.priceImpactPct || 0), outAmount: quote.outAmount };
+            } catch (error) {
+                errors.push(`${provider.label}: ${error.message}`);
+            }
+        }
+        throw new Error(`Could not quote price impact: ${errors.join('; ') || 'no swap provider available'}`);
+    }
+
+    /**
+     * Check a buy of solAmount SOL. Resolves to
+     * { allowed, solAmount, resized, reason } where solAmount may be smaller than
+     * requested when the trade was resized to fit the caps.
+     * knownImpactPct skips the first quote when the caller already has one.
+     */
+    async checkBuy(userId, tokenAddress, solAmount, knownImpactPct = null) {
+        const limits = await this.getLimits(userId);
+        const notes = [];
+        let amount = solAmount;
+
+        // Liquidity cap
+        const pool = await this.getPoolLiquidity(tokenAddress);
+        if (pool) {
+            const maxSol = (pool.liquidityUsd * limits.maxLiquidityPct / 100) / pool.solPriceUsd;
+            if (amount > maxSol) {
+                const reason = `${amount} SOL is more than ${limits.maxLiquidityPct}% of the pool's $${Math.round(pool.liquidityUsd).toLocaleString()} liquidity (max ${maxSol.toFixed(4)} SOL)`;
+                if (!limits.resize) {
+                    return { allowed: false, solAmount, resized: false, reason };
+                }
+                amount = maxSol;
+                notes.push(reason);
+            }
+        }
+
+        // Price impact cap, shrinking the buy in proportion to its overshoot
+        const solMint = NATIVE_MINT.toString();
+        for (let attempt = 0; attempt <= this.resizeAttempts; attempt++) {
+            const impact = attempt === 0 && knownImpactPct !== null && amount === solAmount
+                ? knownImpactPct
+                : (await this.quoteImpact(userId, solMint, tokenAddress, Math.floor(amount * 1e9))).priceImpactPct;
+
+            if (impact <= limits.maxPriceImpact) {
+                return {
+                    allowed: true,
+                    solAmount: amount,
+                    resized: amount < solAmount,
+                    reason: notes.join('; ')
+                };
+            }
+
+            const reason = `price impact ${impact.toFixed(2)}% exceeds your ${limits.maxPriceImpact}% cap`;
+            if (!limits.resize || attempt === this.resizeAttempts) {
+                return { allowed: false, solAmount, resized: false, reason };
+            }
+            if (attempt === 0) {
+                notes.push(reason);
+            }
+            amount = amount * (limits.maxPriceImpact / impact) * 0.9;
+        }
+
+        return { allowed: false, solAmount, resized: false, reason: 'could not size the buy under the price impact cap' };
+    }
+
+    /**
+     * Check an exact-amount or token to token swap. These are never resized,
+     * since the user asked for exact amounts. solAmount is the SOL leg of the
+     * swap (0 when neither side is SOL) and tokenAddress the token traded
+     * against it. Resolves to { allowed, reason }.
+     */
+    async checkSwap(userId, tokenAddress, solAmount, priceImpactPct) {
+        const limits = await this.getLimits(userId);
+
+        if (priceImpactPct > limits.maxPriceImpact) {
+            return { allowed: false, reason: `price impact ${priceImpactPct.toFixed(2)}% exceeds your ${limits.maxPriceImpact}% cap` };
+        }
+
+        if (tokenAddress && solAmount > 0) {
+            const pool = await this.getPoolLiquidity(tokenAddress);
+            if (pool) {
+                const maxSol = (pool.liquidityUsd * limits.maxLiquidityPct / 100) / pool.solPriceUsd;
+                if (solAmount > maxSol) {
+                    return {
+                        allowed: false,
+                        reason: `${solAmount.toFixed(4)} SOL is more than ${limits.maxLiquidityPct}% of the pool's $${Math.round(pool.liquidityUsd).toLocaleString()} liquidity (max ${maxSol.toFixed(4)} SOL)`
+                    };
+                }
+            }
+        }
+
+        return { allowed: true, reason: '' };
+    }
+
+    /**
+     * Split a sell of tokenAmount into chunks that each stay under the caps.
+     * Resolves to { allowed, chunks, reason } with chunk amounts in tokens.
+     * options.protective marks an exit that must not be blocked: it is sold in
+     * one piece when it cannot be quoted or needs more than maxSellChunks.
+     */
+    async planSell(userId, tokenAddress, tokenAmount, decimals, options = {}) {
+        const limits = await this.getLimits(userId);
+        const solMint = NATIVE_MINT.toString();
+        const scale = Math.pow(10, decimals);
+
+        let full;
+        try {
+            full = await this.quoteImpact(userId, tokenAddress, solMint, Math.floor(tokenAmount * scale));
+        } catch (error) {
+            if (!options.protective) {
+                throw error;
+            }
+            return { allowed: true, chunks: [tokenAmount], reason: `not split: ${error.message}` };
+        }
+        let chunkCount = Math.max(1, Math.ceil(full.priceImpactPct / limits.maxPriceImpact));
+
+        const pool = await this.getPoolLiquidity(tokenAddress);
+        if (pool) {
+            const sellUsd = (full.outAmount / 1e9) * pool.solPriceUsd;
+            const maxUsd = pool.liquidityUsd * limits.maxLiquidityPct / 100;
+            chunkCount = Math.max(chunkCount, Math.ceil(sellUsd / maxUsd));
+        }
+
+        // Confirm the chunk size with a fresh quote, doubling the count if it is still too big
+        while (chunkCount > 1 && chunkCount <= this.maxSellChunks) {
+            let chunk;
+            try {
+                chunk = await this.quoteImpact(userId, tokenAddress, solMint, Math.floor((tokenAmount / chunkCount) * scale));
+            } catch (error) {
+                if (!options.protective) {
+                    throw error;
+                }
+                return { allowed: true, chunks: [tokenAmount], reason: `not split (${full.priceImpactPct.toFixed(2)}% price impact): ${error.message}` };
+            }
+            if (chunk.priceImpactPct <= limits.maxPriceImpact) {
+                break;
+            }
+            chunkCount *= 2;
+        }
+
+        if (chunkCount > this.maxSellChunks && options.protective) {
+            return {
+                allowed: true,
+                chunks: [tokenAmount],
+                reason: `not split (${full.priceImpactPct.toFixed(2)}% price impact): staying under your ${limits.maxPriceImpact}% price impact and ${limits.maxLiquidityPct}% liquidity caps would need more than ${this.maxSellChunks} chunks`
+            };
+        }
+
+        if (chunkCount > this.maxSellChunks) {
+            return {
+                allowed: false,
+                chunks: [],
+                reason: `selling ${tokenAmount} would need more than ${this.maxSellChunks} chunks to stay under your ${limits.maxPriceImpact}% price impact and ${limits.maxLiquidityPct}% liquidity caps`
+            };
+        }
+
+        const chunkAmount = tokenAmount / chunkCount;
+        return {
+            allowed: true,
+            chunks: Array.from({ length: chunkCount }, () => chunkAmount),
+            reason: chunkCount > 1
+                ? `split into ${chunkCount} chunks to keep each under your ${limits.maxPriceImpact}% price impact and ${limits.maxLiquidityPct}% liquidity caps`
+                : ''
+        };
+    }
+}
+
+module.exports = TradeGuard;
@@ -0,0 +1,226 @@
+const { Connection, Keypair, Transaction, VersionedTransaction } = require('@solana/web3.js');
+const TelegramUtils = require('../utils/telegramUtils');
+
+/**
+ * Transaction Tracker
+ * Follows every recorded on-chain transaction until it lands, fails or expires.
+ * Pending fee, withdrawal and rent transactions whose blockhash has expired are
+ * re-signed with a fresh blockhash and resent, up to maxAttempts sends in total.
+ * Swaps are only settled: whoever sent one has already reported its failure
+ * and may have retried it, so resending would trade a second time.
+ */
+class TransactionTracker {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        this.connection = new Connection(config.rpcEndpoint);
+        this.isMonitoring = false;
+        this.monitoringInterval = null;
+        this.logger = console;
+        this.checkIntervalMs = 15000;
+        this.idleSeconds = 180; // Leave transactions still being confirmed inline alone
+        this.maxAttempts = 3;
+    }
+
+    /**
+     * Serialize a sent transaction so the tracker can rebuild it later
+     */
+    static describeTransaction(transaction) {
+        const isVersioned = transaction instanceof VersionedTransaction;
+        return {
+            serializedTx: Buffer.from(transaction.serialize()).toString('base64'),
+            txVersion: isVersioned ? 'v0' : 'legacy',
+            lastValidBlockHeight: transaction.lastValidBlockHeight || null
+        };
+    }
+
+    /**
+     * Record a sent transaction for tracking. Never throws: tracking must not
+     * break the send path that called it.
+     */
+    static async record(db, transaction, { signature, walletPublicKey, kind, userId = null, lastValidBlockHeight = null, referenceType = null, referenceId = null }) {
+        if (!db || typeof db.createTransactionRecord !== 'function') {
+            return null;
+        }
+        try {
+            const description = TransactionTracker.describeTransaction(transaction);
+            if (!userId && typeof db.getWalletByPublicKey === 'function') {
+                const wallet = await db.getWalletByPublicKey(walletPublicKey.toString());
+                userId = wallet ? wallet.user_id : null;
+            }
+            return await db.createTransactionRecord({
+                signature,
+                userId,
+                walletPublicKey: walletPublicKey.toString(),
+                kind,
+                serializedTx: description.serializedTx,
+                txVersion: description.txVersion,
+                lastValidBlockHeight: lastValidBlockHeight || description.lastValidBlockHeight,
+                referenceType,
+                referenceId
+            });
+        } catch (error) {
+            console.error(`[TransactionTracker] Failed to record ${kind} transaction ${signature}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Start polling pending transactions
+     */
+    async startMonitoring() {
+        if (this.isMonitoring) {
+            this.logger.info('Transaction tracking already active');
+            return;
+        }
+
+        this.isMonitoring = true;
+        this.logger.info('Starting transaction tracking...');
+
+        this.monitoringInterval = setInterval(async () => {
+            try {
+                await this.checkPendingTransactions();
+            } catch (error) {
+                this.logger.error('Error in transaction tracking interval:', error);
+            }
+        }, this.checkIntervalMs);
+
+        this.logger.info(`🚀 Transaction tracking started with ${this.checkIntervalMs / 1000}s check interval`);
+    }
+
+    /**
+     * Stop polling pending transactions
+     */
+    stopMonitoring() {
+        if (this.monitoringInterval) {
+            clearInterval(this.monitoringInterval);
+            this.monitoringInterval = null;
+        }
+        this.isMonitoring = false;
+        this.logger.info('Transaction tracking stopped');
+    }
+
+    /**
+     * Poll signature statuses and settle, resubmit or expire each pending transaction
+     */
+    async checkPendingTransactions() {
+        const pending = await this.db.getPendingTransactions(this.idleSeconds);
+        if (pending.length === 0) {
+            return;
+        }
+
+        // Height before statuses: a transaction landing between the two calls must show up
+        // as landed, not as unseen past its last valid height
+        const blockHeight = await this.connection.getBlockHeight();
+        const { value: statuses } = await this.connection.getSignatureStatuses(
+            pending.map(tx => tx.signature),
+            { searchTransactionHistory: true }
+        );
+
+        for (let i = 0; i < pending.length; i++) {
+            const record = pending[i];
+            const status = statuses[i];
+
+            try {
+                if (status && status.err) {
+                    await this.settle(record, 'failed', JSON.stringify(status.err));
+                    this.logger.info(`[TransactionTracker] ${record.kind} transaction ${record.signature} failed on-chain`);
+                } else if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+                    await this.settle(record, 'confirmed');
+                    this.logger.info(`[TransactionTracker] ${record.kind} transaction ${record.signature} confirmed`);
+                } else if (record.last_valid_block_height && blockHeight > record.last_valid_block_height) {
+                    await this.handleExpired(record);
+                }
+            } catch (error) {
+                this.logger.error(`[TransactionTracker] Error checking ${record.signature}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Record the outcome of a transaction, and of the withdrawal it carries
+     */
+    async settle(record, status, error = null) {
+        await this.db.updateTransactionStatus(record.signature, status, error);
+        if (record.kind === 'withdrawal') {
+            await this.db.updateWithdrawalTransaction(record.signature, status === 'confirmed' ? 'success' : status);
+        }
+    }
+
+    /**
+     * The blockhash expired without the transaction landing: rebuild and resend once
+     * its status shows it still has not landed, or give up once maxAttempts sends
+     * have been made. Swaps are never resent.
+     */
+    async handleExpired(record) {
+        if (record.kind === 'swap') {
+            await this.settle(record, 'expired', 'Blockhash expired; swaps are not resent');
+            this.logger.info(`[TransactionTracker] swap transaction ${record.signature} expired`);
+            return;
+        }
+        if (record.attempts >= this.maxAttempts || !record.serialized_tx) {
+            await this.settle(record, 'expired', `Blockhash expired after ${record.attempts} attempt(s)`);
+            this.logger.info(`[TransactionTracker] ${record.kind} transaction ${record.signature} expired`);
+            return;
+        }
+
+        const wallet = await this.db.getWalletByPublicKey(record.wallet_public_key);
+        if (!wallet || !wallet.telegram_id) {
+            await this.settle(record, 'expired', 'Wallet unavailable for resubmission');
+            return;
+        }
+
+        // Look once more right before resending: a withdrawal that landed after the batch check would be paid twice
+        const { value: status } = await this.connection.getSignatureStatus(record.signature, { searchTransactionHistory: true });
+        if (status && status.err) {
+            await this.settle(record, 'failed', JSON.stringify(status.err));
+            return;
+        }
+        if (status) {
+            if (['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+                await this.settle(record, 'confirmed');
+            }
+            return;
+        }
+
+        const decryptedKey = TelegramUtils.decryptPrivateKey(wallet.encrypted_private_key, wallet.telegram_id.toString());
+        const keypair = Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+        const resent = await this.resubmit(record, keypair);
+        if (record.kind === 'withdrawal') {
+            await this.db.updateWithdrawalTransaction(record.signature, 'pending', resent.signature);
+        }
+
+        this.logger.info(`[TransactionTracker] Resubmitted ${record.kind} transaction ${record.signature} as ${resent.signature} (attempt ${record.attempts + 1})`);
+    }
+
+    /**
+     * Re-sign a recorded transaction with a fresh blockhash and send it again
+     */
+    async resubmit(record, keypair) {
+        const buffer = Buffer.from(record.serialized_tx, 'base64');
+        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+
+        let transaction;
+        if (record.tx_version === 'v0') {
+            transaction = VersionedTransaction.deserialize(buffer);
+            transaction.message.recentBlockhash = blockhash;
+            transaction.sign([keypair]);
+        } else {
+            transaction = Transaction.from(buffer);
+            transaction.recentBlockhash = blockhash;
+            transaction.sign(keypair);
+        }
+
+        const signature = await this.connection.sendRawTransaction(transaction.serialize());
+        await this.db.recordTransactionResubmission(
+            record.id,
+            signature,
+            lastValidBlockHeight,
+            Buffer.from(transaction.serialize()).toString('base64')
+        );
+
+        return { signature, lastValidBlockHeight };
+    }
+}
+
+module.exports = TransactionTracker;
@@ -0,0 +1,87 @@
+/**
+ * Wallet Lock
+ * Serializes everything that signs for the same wallet: buys, sells, limit
+ * order fills and withdrawals queue up per wallet and run one at a time, in
+ * arrival order. Work queued behind another operation runs only after that
+ * operation has finished, so balances it reads are already settled.
+ *
+ * The lock is process-wide (see `walletLock` below) because several
+ * TradingExecution instances can sign for the same wallet.
+ */
+class WalletLock {
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || 120000; // Longest wait for the wallet before giving up
+        this.tails = new Map();   // walletPublicKey -> promise that settles when the last queued operation is done
+        this.holders = new Map(); // walletPublicKey -> label of the operation holding the wallet
+    }
+
+    /**
+     * Run task while holding the wallet. Rejects without running the task when
+     * the wallet stays busy for longer than timeoutMs.
+     * @param {PublicKey|string} walletPublicKey - Wallet that signs in the task
+     * @param {string} label - What the task does, shown to whoever waits on it
+     * @param {Function} task - Async function to run
+     * @param {number} timeoutMs - Longest wait for the wallet
+     */
+    async run(walletPublicKey, label, task, timeoutMs = this.timeoutMs) {
+        const key = walletPublicKey.toString();
+        const previous = this.tails.get(key) || Promise.resolve();
+
+        let release;
+        const done = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => done);
+        this.tails.set(key, tail);
+
+        if (this.holders.has(key)) {
+            console.log(`[WalletLock] ${label} waiting for ${key.slice(0, 8)}... (busy with ${this.holders.get(key)})`);
+        }
+
+        await new Promise((resolve, reject) => {
+            let state = 'waiting';
+            const timer = setTimeout(() => {
+                if (state === 'waiting') {
+                    state = 'abandoned';
+                    const holder = this.holders.get(key) || 'another operation';
+                    reject(new Error(`Wallet is busy with ${holder}; gave up on ${label} after ${Math.round(timeoutMs / 1000)}s`));
+                }
+            }, timeoutMs);
+
+            previous.then(() => {
+                if (state === 'abandoned') {
+                    // Pass the wallet straight on to whoever queued behind us
+                    release();
+                    if (this.tails.get(key) === tail) {
+                        this.tails.delete(key);
+                    }
+                    return;
+                }
+                state = 'acquired';
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+
+        this.holders.set(key, label);
+        try {
+            return await task();
+        } finally {
+            this.holders.delete(key);
+            release();
+            if (this.tails.get(key) === tail) {
+                this.tails.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Whether an operation currently holds the wallet
+     */
+    isBusy(walletPublicKey) {
+        return this.holders.has(walletPublicKey.toString());
+    }
+}
+
+// Shared by every module that signs for user wallets
+const walletLock = new WalletLock();
+
+module.exports = { WalletLock, walletLock };
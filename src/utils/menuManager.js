@@ -275,6 +275,9 @@ ${activeWallet.is_locked ? '🔒 Locked' : '🔓 Unlocked'}
                         { text: '🔒 Security', callback_data: 'wallet_security' },
                         { text: '🔑 Passphrase', callback_data: 'wallet_passphrase' }
                     ],
+                    [
+                        { text: '🧹 Reclaim Rent', callback_data: 'wallet_reclaim_rent' }
+                    ],
                     [
                         { text: '◀️ Back to Settings', callback_data: 'settings' }
                     ]
@@ -300,6 +303,7 @@ ${activeWallet.is_locked ? '🔒 Locked' : '🔓 Unlocked'}
 /wallet - Manage your Solana wallet
 /strategy - Configure trading strategies
 /portfolio - View your holdings and P&L
+/panic - Sell every token in your active wallet
 /claim - Claim 4TOOL fee rewards
 /status - Check bot status
 /help - Show this help message